@@ -0,0 +1,185 @@
+/**
+ * @file backfill-queue.js
+ * @description Bounded worker queue and per-controller rate limiting for snapshot backfill
+ * Lets many slots be fetched in parallel while results are still handled in slot order
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { classifyError } from "./retry.js";
+
+/**
+ * Resolves after the given delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Spaces requests to a single controller and pauses them all on throttling
+ * @class
+ */
+export class RateLimiter {
+  /**
+   * @constructor
+   * @param {number} requestsPerSecond - Maximum request rate (0 or less for unlimited)
+   */
+  constructor(requestsPerSecond) {
+    this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextAt = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Waits until the next request may be sent
+   * @async
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      const at = Math.max(now, this.nextAt);
+      this.nextAt = at + this.intervalMs;
+      if (at > now) {
+        await sleep(at - now);
+      }
+
+      // A pause may have started while we were waiting for our turn
+      if (this.pausedUntil <= Date.now()) return;
+    }
+  }
+
+  /**
+   * Holds back every caller for a while (e.g. after a throttling response)
+   * @param {number} ms - Pause length in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+// One limiter per controller so cameras sharing an NVR share its budget
+const controllerLimiters = new Map();
+
+/**
+ * Returns the shared rate limiter for a controller
+ * @param {string} key - Controller identifier (e.g. host)
+ * @param {number} requestsPerSecond - Rate used when the limiter is first created
+ * @returns {RateLimiter} Limiter shared by all callers using the same key
+ */
+export function getControllerLimiter(key, requestsPerSecond) {
+  if (!controllerLimiters.has(key)) {
+    controllerLimiters.set(key, new RateLimiter(requestsPerSecond));
+  }
+  return controllerLimiters.get(key);
+}
+
+/**
+ * Checks whether an error means the controller is throttling us
+ * @param {Error} error - Error thrown by a capture
+ * @returns {boolean} True for throttling / rate limit errors
+ */
+export function isThrottlingError(error) {
+  return classifyError(error) === "throttled";
+}
+
+/**
+ * Runs a request through a rate limiter, backing off while throttled
+ * Each throttling response pauses the whole controller, doubling the delay
+ * @async
+ * @param {function(): Promise<*>} task - Request to run
+ * @param {RateLimiter} limiter - Limiter for the controller being called
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.throttleBackoffMs=60000] - First backoff delay
+ * @param {number} [options.maxThrottleRetries=3] - Retries before giving up
+ * @param {function(number, number): void} [options.onThrottle] - Called with (delayMs, retry) before each retry
+ * @returns {Promise<*>} Result of the task
+ * @throws {Error} The task's error if it is not throttling or retries run out
+ */
+export async function runWithThrottleBackoff(task, limiter, options = {}) {
+  const {
+    throttleBackoffMs = 60000,
+    maxThrottleRetries = 3,
+    onThrottle,
+  } = options;
+
+  for (let retry = 0; ; retry++) {
+    await limiter.acquire();
+    try {
+      return await task();
+    } catch (error) {
+      if (!isThrottlingError(error) || retry >= maxThrottleRetries) {
+        throw error;
+      }
+
+      const delayMs = throttleBackoffMs * 2 ** retry;
+      limiter.pause(delayMs);
+      onThrottle?.(delayMs, retry + 1);
+    }
+  }
+}
+
+/**
+ * Runs a worker over items with bounded concurrency, delivering results in order
+ * Items are pulled lazily, so an unbounded generator is fine. Once `onResult`
+ * returns true no further items are started; results of items already in
+ * flight are still delivered (their return value is ignored).
+ * @async
+ * @param {Iterable<*>} items - Work items, consumed in order
+ * @param {function(*): Promise<*>} worker - Processes one item
+ * @param {Object} options - Queue options
+ * @param {number} [options.concurrency=1] - Maximum items in flight
+ * @param {function(*, {value?: *, error?: Error}): (boolean|Promise<boolean>)} options.onResult - Receives each outcome in item order; return true to stop
+ * @returns {Promise<{processed: number, stopped: boolean}>} Queue statistics
+ */
+export async function runOrderedQueue(items, worker, options) {
+  const { onResult } = options;
+  const concurrency = Math.max(1, Math.floor(options.concurrency ?? 1));
+  const iterator = items[Symbol.iterator]();
+  const inFlight = new Map();
+
+  let nextIndex = 0;
+  let commitIndex = 0;
+  let exhausted = false;
+  let stopped = false;
+
+  const fill = () => {
+    while (!stopped && !exhausted && inFlight.size < concurrency) {
+      const { value: item, done } = iterator.next();
+      if (done) {
+        exhausted = true;
+        break;
+      }
+
+      const outcome = Promise.resolve()
+        .then(() => worker(item))
+        .then(
+          (value) => ({ value }),
+          (error) => ({ error }),
+        );
+      inFlight.set(nextIndex++, { item, outcome });
+    }
+  };
+
+  fill();
+  while (inFlight.has(commitIndex)) {
+    const { item, outcome } = inFlight.get(commitIndex);
+    const result = await outcome;
+    inFlight.delete(commitIndex++);
+
+    const shouldStop = await onResult(item, result);
+    if (shouldStop && !stopped) {
+      stopped = true;
+    }
+    fill();
+  }
+
+  return { processed: commitIndex, stopped };
+}
@@ -0,0 +1,594 @@
+/**
+ * @file camera-sources.js
+ * @description Pluggable camera sources for lawn-lapse
+ * A source knows how to reach one kind of camera system (UniFi Protect, ...)
+ * and hands frames to the shared scheduling, backfill and encoding pipeline
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import util from "util";
+import { ProtectApi } from "unifi-protect";
+
+import { extractFrameFromVideo, grabStreamFrame } from "./frames.js";
+import { writeSnapshotAtomically } from "./snapshot-integrity.js";
+import {
+  resolveFrameSelection,
+  selectBestFrameOffset,
+} from "./frame-selection.js";
+import { selectPreciseFrameOffset } from "./precision-timing.js";
+import { withRetry } from "./retry.js";
+
+// Check for verbose flag for detailed output
+const isVerbose =
+  process.argv.includes("-v") || process.argv.includes("--verbose");
+
+/**
+ * Interface implemented by every camera source.
+ *
+ * Sources that can export recorded footage set `capabilities.backfill` and
+ * implement `exportVideo`; live-only sources implement `grabFrame` instead.
+ *
+ * @typedef {Object} CameraSource
+ * @property {string} type - Source type identifier (matches `camera.source.type`)
+ * @property {string} label - Human readable target used in progress output
+ * @property {boolean} isConnected - Whether `connect` has completed
+ * @property {{backfill: boolean}} capabilities - Supported capture features
+ * @property {function(): Promise<boolean>} connect - Authenticates/opens the source
+ * @property {function(): Promise<Array<Object>>} listCameras - Lists available cameras
+ * @property {function(string, number, number=): Promise<Buffer>} [exportVideo] - Exports recorded video
+ * @property {function(string, number, number=): Promise<AsyncIterable<Buffer>>} [exportVideoStream] - Exports recorded video as it downloads
+ * @property {function(string, string): Promise<void>} [grabFrame] - Saves a live frame as JPEG
+ * @property {function(string): Promise<{start: Date|null, end: Date|null}|null>} getRecordingRange - Recording availability for a camera
+ * @property {function(): Promise<void>} disconnect - Releases connections
+ */
+
+/**
+ * Creates the logger handed to the unifi-protect library
+ * Library errors are already reported per slot, so they are only echoed in verbose mode
+ * @param {function(string): void} [onError] - Receives each formatted error message
+ * @returns {Object} Logger with debug, error, info and warn methods
+ */
+function createProtectLogger(onError) {
+  const verboseOnly = (message, ...parameters) => {
+    if (isVerbose) console.error(message, ...parameters);
+  };
+  return {
+    debug: () => {},
+    error: (message, ...parameters) => {
+      onError?.(util.format(message, ...parameters));
+      verboseOnly(message, ...parameters);
+    },
+    info: verboseOnly,
+    warn: verboseOnly,
+  };
+}
+
+/**
+ * UniFi Protect client wrapper
+ * Handles authentication and video/snapshot retrieval
+ * @class
+ * @implements {CameraSource}
+ */
+class UniFiProtectClient {
+  /**
+   * Creates a new UniFi Protect client instance
+   * @constructor
+   * @param {Object} settings - Controller settings (host, username, password)
+   */
+  constructor(settings) {
+    this.type = "unifi";
+    this.capabilities = { backfill: true };
+    // The library reports failures only through its logger, so keep the
+    // latest message to explain why a request came back empty
+    this.lastProtectError = null;
+    this.protect = new ProtectApi(
+      createProtectLogger((message) => {
+        this.lastProtectError = message;
+      }),
+    );
+    this.host = settings.host;
+    this.username = settings.username || "admin";
+    this.password = settings.password;
+    this.label = this.host || "UniFi Protect";
+    this.isConnected = false;
+    this.pendingLogin = null;
+  }
+
+  /**
+   * Connects to UniFi Protect controller
+   * Caches connection to avoid repeated authentication; concurrent callers
+   * share a single login
+   * @async
+   * @returns {Promise<boolean>} True if connection successful
+   * @throws {Error} If login fails
+   */
+  async connect() {
+    // Skip if already connected
+    if (this.isConnected) return true;
+
+    this.pendingLogin ??= this.protect
+      .login(this.host, this.username, this.password)
+      .finally(() => {
+        this.pendingLogin = null;
+      });
+    const success = await this.pendingLogin;
+
+    if (!success) {
+      throw new Error("Failed to login to UniFi Protect");
+    }
+
+    if (!this.isConnected && isVerbose) {
+      console.log("✓ Connected to UniFi Protect");
+    }
+    this.isConnected = true;
+    return true;
+  }
+
+  /**
+   * Loads the controller bootstrap (camera list and recording stats)
+   * @async
+   * @returns {Promise<Object>} Protect bootstrap data
+   * @throws {Error} If bootstrap cannot be retrieved
+   */
+  async getBootstrap() {
+    await this.connect();
+
+    if (!this.protect.bootstrap && !(await this.protect.getBootstrap())) {
+      throw new Error("Unable to retrieve UniFi Protect bootstrap");
+    }
+
+    return this.protect.bootstrap;
+  }
+
+  /**
+   * Lists cameras known to the controller
+   * @async
+   * @returns {Promise<Array<Object>>} Cameras with id, name, model and isConnected
+   */
+  async listCameras() {
+    const bootstrap = await this.getBootstrap();
+    return (bootstrap?.cameras ?? []).map((camera) => ({
+      id: camera.id,
+      name: camera.name || camera.displayName || "Unknown",
+      model: camera.marketName || camera.type?.replace("UVC ", "") || "",
+      isConnected: camera.isConnected !== false,
+    }));
+  }
+
+  /**
+   * Reports the span of footage the controller still holds for a camera
+   * @async
+   * @param {string} cameraId - Camera ID to look up
+   * @returns {Promise<{start: Date|null, end: Date|null}|null>} Recording range, or null if unknown
+   */
+  async getRecordingRange(cameraId) {
+    const bootstrap = await this.getBootstrap();
+    const camera = bootstrap?.cameras?.find((c) => c.id === cameraId);
+    const stats = camera?.stats?.video;
+
+    if (!stats) {
+      return null;
+    }
+
+    return {
+      start: stats.recordingStart ? new Date(stats.recordingStart) : null,
+      end: stats.recordingEnd ? new Date(stats.recordingEnd) : null,
+    };
+  }
+
+  /**
+   * Starts a video export from UniFi Protect for a specific time range
+   * Uses the video export API; the clip is returned as it downloads
+   * @async
+   * @param {string} cameraId - Camera ID to export from
+   * @param {number} startMs - Start timestamp in milliseconds
+   * @param {number} [durationMs=1000] - Duration in milliseconds (default 1 second)
+   * @returns {Promise<AsyncIterable<Buffer>>} Video data stream
+   * @throws {Error} If no video data received
+   */
+  async exportVideoStream(cameraId, startMs, durationMs = 1000) {
+    await this.connect();
+
+    const endMs = startMs + durationMs;
+    // Build full URL - required for the library to work correctly
+    const url = `https://${this.host}/proxy/protect/api/video/export?camera=${cameraId}&start=${startMs}&end=${endMs}`;
+
+    this.lastProtectError = null;
+    const response = await this.protect.retrieve(url, {
+      method: "GET",
+      headers: {
+        Accept: "video/mp4",
+      },
+    });
+
+    if (!response || !response.body) {
+      // The library pauses all requests after repeated errors; say so, so
+      // callers can back off instead of counting it as a missing recording
+      const reason = this.protect.isThrottled
+        ? "throttling API calls"
+        : this.lastProtectError?.split(". ")[0].replace(/\.$/, "");
+      throw new Error(
+        reason
+          ? `No video data received (${reason})`
+          : "No video data received",
+      );
+    }
+
+    return response.body;
+  }
+
+  /**
+   * Exports video from UniFi Protect for a specific time range
+   * Used when the clip is read more than once (e.g. to pick a frame)
+   * @async
+   * @param {string} cameraId - Camera ID to export from
+   * @param {number} startMs - Start timestamp in milliseconds
+   * @param {number} [durationMs=1000] - Duration in milliseconds (default 1 second)
+   * @returns {Promise<Buffer>} Video data as buffer
+   * @throws {Error} If no video data received
+   */
+  async exportVideo(cameraId, startMs, durationMs = 1000) {
+    const stream = await this.exportVideoStream(cameraId, startMs, durationMs);
+
+    // Read the stream into a buffer
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Logs out and closes the controller connection
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (!this.isConnected) return;
+    this.protect.logout();
+    this.isConnected = false;
+  }
+}
+
+/**
+ * Base for sources that can only see the present moment (no recordings)
+ * Wraps a single configured camera, so listing and connecting are trivial
+ * @class
+ * @implements {CameraSource}
+ */
+class LiveSource {
+  /**
+   * @constructor
+   * @param {string} type - Source type identifier
+   * @param {Object} camera - Camera configuration owning this source
+   */
+  constructor(type, camera) {
+    this.type = type;
+    this.capabilities = { backfill: false };
+    this.camera = camera;
+    this.url = camera.source?.url;
+    this.timeoutMs = camera.source?.timeoutMs ?? 15000;
+    this.isConnected = false;
+
+    if (!this.url) {
+      throw new Error(
+        `Camera ${camera.name || camera.id} needs a source.url for ${type} capture`,
+      );
+    }
+
+    // Never echo embedded credentials in progress output
+    try {
+      const parsed = new URL(this.url);
+      this.label = `${parsed.protocol}//${parsed.host}`;
+    } catch {
+      this.label = type;
+    }
+  }
+
+  /**
+   * Live sources have no session to open
+   * @async
+   * @returns {Promise<boolean>} Always true
+   */
+  async connect() {
+    this.isConnected = true;
+    return true;
+  }
+
+  /**
+   * Lists the single camera this source wraps
+   * @async
+   * @returns {Promise<Array<Object>>} One-element camera list
+   */
+  async listCameras() {
+    return [
+      {
+        id: this.camera.id,
+        name: this.camera.name || this.camera.id,
+        model: this.type,
+        isConnected: true,
+      },
+    ];
+  }
+
+  /**
+   * Live sources keep no recordings
+   * @async
+   * @returns {Promise<null>} Always null
+   */
+  async getRecordingRange() {
+    return null;
+  }
+
+  /**
+   * Marks the source as disconnected
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.isConnected = false;
+  }
+}
+
+/**
+ * Live RTSP (or any ffmpeg-readable stream) camera source
+ * Grabs the current frame from the stream with ffmpeg
+ * @class
+ * @extends LiveSource
+ */
+class RtspSource extends LiveSource {
+  /**
+   * @constructor
+   * @param {Object} camera - Camera configuration with source.url (and optional source.transport)
+   */
+  constructor(camera) {
+    super("rtsp", camera);
+    this.transport = camera.source?.transport || "tcp";
+  }
+
+  /**
+   * Saves the current stream frame as a JPEG
+   * @async
+   * @param {string} _cameraId - Unused; the stream URL identifies the camera
+   * @param {string} outputPath - Path to save the frame
+   * @returns {Promise<void>}
+   */
+  async grabFrame(_cameraId, outputPath) {
+    await this.connect();
+    await grabStreamFrame(this.url, outputPath, {
+      transport: this.transport,
+      timeoutMs: this.timeoutMs,
+    });
+  }
+}
+
+/**
+ * HTTP snapshot-URL camera source (e.g. `http://camera/snapshot.jpg`)
+ * Supports optional basic authentication
+ * @class
+ * @extends LiveSource
+ */
+class HttpSnapshotSource extends LiveSource {
+  /**
+   * @constructor
+   * @param {Object} camera - Camera configuration with source.url (and optional credentials)
+   */
+  constructor(camera) {
+    super("http", camera);
+    this.username = camera.source?.username;
+    this.password = camera.source?.password;
+  }
+
+  /**
+   * Downloads the current JPEG from the snapshot URL
+   * @async
+   * @param {string} _cameraId - Unused; the URL identifies the camera
+   * @param {string} outputPath - Path to save the frame
+   * @returns {Promise<void>}
+   * @throws {Error} If the request fails or does not return an image
+   */
+  async grabFrame(_cameraId, outputPath) {
+    await this.connect();
+
+    const headers = {};
+    if (this.username) {
+      const credentials = Buffer.from(
+        `${this.username}:${this.password || ""}`,
+      ).toString("base64");
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        headers,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        throw new Error(
+          `Snapshot request timed out after ${this.timeoutMs / 1000}s`,
+        );
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Snapshot request failed: ${response.status}`);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.startsWith("image/")) {
+      throw new Error(`Snapshot URL returned ${contentType || "no image"}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    await fs.writeFile(outputPath, data);
+  }
+}
+
+// Registered source factories, keyed by `camera.source.type`
+const sourceFactories = new Map([
+  [
+    "unifi",
+    (camera, config) => {
+      // Per-camera controller settings override the global unifi block
+      const overrides = { ...camera.source };
+      delete overrides.type;
+      return new UniFiProtectClient({ ...config.unifi, ...overrides });
+    },
+  ],
+  ["rtsp", (camera) => new RtspSource(camera)],
+  ["http", (camera) => new HttpSnapshotSource(camera)],
+]);
+
+/**
+ * Registers a camera source implementation
+ * @param {string} type - Source type used in `camera.source.type`
+ * @param {function(Object, Object): CameraSource} factory - Creates a source for (camera, config)
+ */
+export function registerCameraSource(type, factory) {
+  sourceFactories.set(type, factory);
+}
+
+/**
+ * Lists the registered camera source types
+ * @returns {Array<string>} Source type identifiers
+ */
+export function getCameraSourceTypes() {
+  return Array.from(sourceFactories.keys());
+}
+
+/**
+ * Resolves the source type configured for a camera
+ * @param {Object} camera - Camera configuration
+ * @returns {string} Source type, defaulting to "unifi"
+ */
+export function getSourceType(camera) {
+  return camera?.source?.type || "unifi";
+}
+
+/**
+ * Creates the camera source for a configured camera
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Full configuration
+ * @returns {CameraSource} Source instance
+ * @throws {Error} If the source type is unknown
+ */
+export function createCameraSource(camera, config) {
+  const type = getSourceType(camera);
+  const factory = sourceFactories.get(type);
+
+  if (!factory) {
+    throw new Error(
+      `Unknown camera source "${type}" for ${camera?.name || camera?.id || "camera"}`,
+    );
+  }
+
+  return factory(camera, config);
+}
+
+// Single attempt, used when the caller passes no retry policy
+const NO_RETRY = { maxAttempts: 1, retryOn: [] };
+
+/**
+ * Captures the frame for a single schedule slot
+ * Recording sources export a clip at the slot time (streamed into ffmpeg when
+ * the source supports it); live sources grab a frame now.
+ * With frame selection enabled, recording sources export a window around the
+ * slot and keep its sharpest, best exposed frame; with precision timing they
+ * keep the frame whose timestamp overlay shows the slot time.
+ * The export, the frame extraction and the live grab are each retried per the
+ * policy; a streamed export is retried together with its extraction.
+ * Frames are validated and renamed into place only once complete.
+ * @async
+ * @param {CameraSource} source - Source to capture from
+ * @param {string} cameraId - Camera ID within the source
+ * @param {Date} slot - Scheduled capture time
+ * @param {string} outputPath - Path to save the JPEG
+ * @param {Object} [options] - Capture options
+ * @param {Object} [options.retryPolicy] - Retry policy from resolveRetryPolicy (default: no retries)
+ * @param {function(Error, string, number, number): void} [options.onRetry] - Called before each retry
+ * @param {Object} [options.frameSelection] - `frameSelection` config block (default: first frame)
+ * @param {Object} [options.precisionTiming] - Settings from resolvePrecisionTiming (takes precedence when enabled)
+ * @param {Object} [options.ocrEngine] - OCR engine shared across slots (default: getOcrEngine)
+ * @returns {Promise<{frameOffset: number|null, overlayTime: Date|null}>} Seconds between the slot and the chosen frame (null unless frame selection or precision timing chose it), and the overlay time read from it
+ * @throws {Error} The final error, tagged with `category` and `attempts`
+ */
+export async function captureSlot(
+  source,
+  cameraId,
+  slot,
+  outputPath,
+  options = {},
+) {
+  const { retryPolicy = NO_RETRY, onRetry } = options;
+  const retry = (operation) => withRetry(operation, retryPolicy, { onRetry });
+
+  if (source.capabilities.backfill) {
+    const precision = options.precisionTiming?.enabled
+      ? options.precisionTiming
+      : null;
+    const selection = resolveFrameSelection(options.frameSelection);
+    const windowSeconds = precision
+      ? precision.windowSeconds
+      : selection.enabled
+        ? selection.windowSeconds
+        : 0;
+
+    if (windowSeconds === 0 && source.exportVideoStream) {
+      // A single frame needs one pass, so the export is piped into ffmpeg
+      await retry(() =>
+        writeSnapshotAtomically(outputPath, async (partialPath) =>
+          extractFrameFromVideo(
+            await source.exportVideoStream(cameraId, slot.getTime(), 1000),
+            partialPath,
+          ),
+        ),
+      );
+      return { frameOffset: null, overlayTime: null };
+    }
+
+    const videoBuffer = await retry(() =>
+      source.exportVideo(
+        cameraId,
+        slot.getTime() - windowSeconds * 1000,
+        windowSeconds > 0 ? windowSeconds * 2000 : 1000,
+      ),
+    );
+
+    let offsetSeconds = 0;
+    let overlayTime = null;
+    await retry(async () => {
+      if (precision) {
+        ({ offsetSeconds, overlayTime } = await selectPreciseFrameOffset(
+          videoBuffer,
+          slot,
+          precision,
+          options.ocrEngine,
+        ));
+      } else if (selection.enabled) {
+        offsetSeconds = await selectBestFrameOffset(videoBuffer, selection);
+      }
+      await writeSnapshotAtomically(outputPath, (partialPath) =>
+        extractFrameFromVideo(videoBuffer, partialPath, offsetSeconds),
+      );
+    });
+    return {
+      frameOffset: windowSeconds > 0 ? offsetSeconds - windowSeconds : null,
+      overlayTime,
+    };
+  }
+
+  await retry(() =>
+    writeSnapshotAtomically(outputPath, (partialPath) =>
+      source.grabFrame(cameraId, partialPath),
+    ),
+  );
+  return { frameOffset: null, overlayTime: null };
+}
+
+export { UniFiProtectClient, RtspSource, HttpSnapshotSource };
@@ -8,14 +8,66 @@
  * @license MIT
  */
 
-import { ProtectApi } from "unifi-protect";
 import fs from "fs/promises";
-import { spawn } from "child_process";
 import path from "path";
 import { fileURLToPath } from "url";
 
-import { loadConfigIfExists } from "./config.js";
-import { generateDailySlots } from "./scheduling.js";
+import { loadConfigIfExists, getCameraSchedule } from "./config.js";
+import {
+  generateDailySlots,
+  formatSnapshotName,
+  validateSchedule,
+  describeSchedule,
+  getScheduleTimezone,
+  getZonedDay,
+  resolveDaySchedule,
+} from "./scheduling.js";
+import {
+  createCameraSource,
+  captureSlot,
+  getSourceType,
+} from "./camera-sources.js";
+import {
+  OUTCOMES,
+  loadLedger,
+  appendLedger,
+  createLedgerEntry,
+  outcomeForCategory,
+  syncLedgerWithDirectory,
+  getCapturedFilenames,
+  isKnownEmpty,
+  hashFile,
+} from "./ledger.js";
+import {
+  classifyError,
+  resolveRetryPolicy,
+  loadRetryList,
+  saveRetryList,
+  updateRetryEntry,
+} from "./retry.js";
+import {
+  getControllerLimiter,
+  runOrderedQueue,
+  runWithThrottleBackoff,
+} from "./backfill-queue.js";
+import { sweepOrphanedTempFiles } from "./frames.js";
+import { resolvePrecisionTiming, getOcrEngine } from "./precision-timing.js";
+import {
+  discoverRecordingRange,
+  loadRecordingRange,
+  saveRecordingRange,
+  isSlotInRange,
+} from "./recording-range.js";
+import {
+  resolveWeatherSettings,
+  createWeatherLookup,
+  hasExcludedWeather,
+} from "./weather.js";
+import {
+  renderTimelapses,
+  generateTimelapse,
+  validateVideoSettings,
+} from "./encoding.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,205 +85,206 @@ const isVerbose =
   process.argv.includes("-v") || process.argv.includes("--verbose");
 
 /**
- * UniFi Protect client wrapper
- * Handles authentication and video/snapshot retrieval
- * @class
+ * Captures the current schedule slot from a live-only source.
+ * Live sources cannot look into the past, so only the most recent slot is
+ * taken, and only while it is still inside the source's capture window.
+ * @async
+ * @param {Object} config - Loaded application configuration.
+ * @param {Object} camera - The camera configuration to process.
+ * @param {Object} source - Live camera source for this camera.
+ * @param {string} outputDir - Snapshot directory.
+ * @returns {Promise<Object>} Capture statistics.
  */
-class UniFiProtectClient {
-  /**
-   * Creates a new UniFi Protect client instance
-   * @constructor
-   */
-  constructor(config) {
-    this.protect = new ProtectApi();
-    this.host = config.unifi.host;
-    this.username = config.unifi.username || "admin";
-    this.password = config.unifi.password;
-    this.isConnected = false;
-  }
+async function captureLiveSnapshot(config, camera, source, outputDir) {
+  const now = new Date();
+  const windowMinutes = camera.source?.captureWindowMinutes ?? 15;
+  const schedule = getCameraSchedule(config, camera);
+  const timezone = getScheduleTimezone(schedule);
 
-  /**
-   * Connects to UniFi Protect controller
-   * Caches connection to avoid repeated authentication
-   * @async
-   * @returns {Promise<boolean>} True if connection successful
-   * @throws {Error} If login fails
-   */
-  async connect() {
-    // Skip if already connected
-    if (this.isConnected) return true;
-
-    const success = await this.protect.login(
-      this.host,
-      this.username,
-      this.password,
-    );
+  console.log(`Backfill: disabled (live-only ${source.type} source)`);
 
-    if (!success) {
-      throw new Error("Failed to login to UniFi Protect");
+  // Include yesterday so a slot just before midnight is still picked up
+  const candidates = [];
+  for (const dayOffset of [1, 0]) {
+    const targetDate = getZonedDay(now, timezone);
+    targetDate.setDate(targetDate.getDate() - dayOffset);
+
+    try {
+      candidates.push(
+        ...generateDailySlots(targetDate, schedule, config.location),
+      );
+    } catch (error) {
+      console.error(`Error generating slots: ${error.message}`);
     }
+  }
 
-    this.isConnected = true;
-    if (isVerbose) console.log("✓ Connected to UniFi Protect");
-    return true;
+  const dueSlot = candidates
+    .filter(
+      (slot) =>
+        slot.getTime() <= now.getTime() &&
+        now.getTime() - slot.getTime() <= windowMinutes * 60 * 1000,
+    )
+    .sort((a, b) => b - a)[0];
+
+  if (!dueSlot) {
+    console.log(`No slot due within the last ${windowMinutes} minutes.`);
+    return { capturedCount: 0, outputDir, timeSlots: [] };
   }
 
-  /**
-   * Exports video from UniFi Protect for a specific time range
-   * Uses the video export API to get a small video clip
-   * @async
-   * @param {string} cameraId - Camera ID to export from
-   * @param {number} startMs - Start timestamp in milliseconds
-   * @param {number} [durationMs=1000] - Duration in milliseconds (default 1 second)
-   * @returns {Promise<Buffer>} Video data as buffer
-   * @throws {Error} If no video data received
-   */
-  async exportVideo(cameraId, startMs, durationMs = 1000) {
-    await this.connect();
+  const { date, time, filename } = formatSnapshotName(dueSlot, timezone);
+  const outputPath = path.join(outputDir, filename);
+  const timeSlots = [
+    {
+      hour: parseInt(time.slice(0, 2), 10),
+      minute: parseInt(time.slice(2, 4), 10),
+    },
+  ];
+  const prefix = `  ${date} ${time.slice(0, 2)}:${time.slice(2)}: `;
 
-    const endMs = startMs + durationMs;
-    // Build full URL - required for the library to work correctly
-    const url = `https://${this.host}/proxy/protect/api/video/export?camera=${cameraId}&start=${startMs}&end=${endMs}`;
+  const alreadyHad = await fs
+    .access(outputPath)
+    .then(() => true)
+    .catch(() => false);
 
-    const response = await this.protect.retrieve(url, {
-      method: "GET",
-      headers: {
-        Accept: "video/mp4",
+  let capturedCount = 0;
+  let failedCount = 0;
+  let ledgerEntry = null;
+
+  const weatherSettings = resolveWeatherSettings(config.weather);
+  const weather =
+    alreadyHad || !weatherSettings.enabled
+      ? null
+      : await createWeatherLookup(weatherSettings, config)?.getTags(dueSlot);
+  const skipForWeather =
+    weatherSettings.action === "skip" &&
+    hasExcludedWeather(weather, weatherSettings);
+
+  if (skipForWeather) {
+    console.log(`${prefix}skipped (${weather.join(", ")})`);
+    ledgerEntry = createLedgerEntry(
+      { slot: dueSlot, filename },
+      {
+        outcome: OUTCOMES.SKIPPED,
+        source: `${source.type}:${source.label}`,
+        weather,
       },
-    });
-
-    if (!response || !response.body) {
-      throw new Error("No video data received");
-    }
-
-    // Read the stream into a buffer
-    const chunks = [];
-    for await (const chunk of response.body) {
-      chunks.push(chunk);
+    );
+  } else if (!alreadyHad) {
+    try {
+      console.log(`${prefix}Grabbing live frame from ${source.label}...`);
+      await captureSlot(source, camera.id, dueSlot, outputPath, {
+        retryPolicy: resolveRetryPolicy(config.retry),
+        onRetry: (error, category, attempt, delayMs) =>
+          console.log(
+            `${prefix}${category}, retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1})`,
+          ),
+      });
+      console.log(
+        `${prefix}✓${weather?.length ? ` (${weather.join(", ")})` : ""}`,
+      );
+      capturedCount++;
+      ledgerEntry = createLedgerEntry(
+        { slot: dueSlot, filename },
+        {
+          outcome: OUTCOMES.CAPTURED,
+          sha256: await hashFile(outputPath),
+          source: `${source.type}:${source.label}`,
+          weather,
+        },
+      );
+    } catch (error) {
+      const message = error?.message || String(error);
+      const category = error?.category || classifyError(error);
+      console.log(`${prefix}✗ (${message})`);
+      failedCount++;
+      ledgerEntry = createLedgerEntry(
+        { slot: dueSlot, filename },
+        {
+          outcome: outcomeForCategory(category),
+          errorCategory: category,
+          error: message,
+          source: `${source.type}:${source.label}`,
+        },
+      );
+    } finally {
+      await source.disconnect();
     }
+  }
 
-    return Buffer.concat(chunks);
+  if (ledgerEntry) {
+    await appendLedger(camera.id, [ledgerEntry]);
   }
 
-  /**
-   * Extracts a single frame from video buffer
-   * Uses ffmpeg to extract the first frame as a JPEG
-   * @async
-   * @param {Buffer} videoBuffer - Video data buffer
-   * @param {string} outputPath - Path to save the extracted frame
-   * @returns {Promise<void>}
-   * @throws {Error} If ffmpeg fails
-   */
-  async extractFrameFromVideo(videoBuffer, outputPath) {
-    return new Promise((resolve, reject) => {
-      const tempVideoPath = `${outputPath}.temp.mp4`;
-
-      fs.writeFile(tempVideoPath, videoBuffer)
-        .then(() => {
-          const ffmpeg = spawn(
-            "ffmpeg",
-            [
-              "-i",
-              tempVideoPath,
-              "-ss",
-              "00:00:00", // Extract frame at start
-              "-frames:v",
-              "1", // Extract only 1 frame
-              "-q:v",
-              "2", // High quality JPEG
-              "-y", // Overwrite output
-              outputPath,
-            ],
-            {
-              stdio: isVerbose ? "inherit" : "pipe", // Show output only in verbose mode
-            },
-          );
-
-          ffmpeg.on("exit", (code) => {
-            // Clean up temp file
-            fs.unlink(tempVideoPath)
-              .then(() => {
-                if (code !== 0) {
-                  reject(new Error(`ffmpeg exited with code ${code}`));
-                } else {
-                  resolve();
-                }
-              })
-              .catch(reject);
-          });
-
-          ffmpeg.on("error", (err) => {
-            // Attempt to clean up on error
-            fs.unlink(tempVideoPath).catch(() => {});
-            reject(err);
-          });
-        })
-        .catch(reject);
-    });
+  console.log(`\nSummary:`);
+  console.log(`  Captured: ${capturedCount}`);
+  console.log(`  Already had: ${alreadyHad ? 1 : 0}`);
+  console.log(`  Failed: ${failedCount}`);
+  if (skipForWeather) {
+    console.log(`  Skipped for weather: 1`);
   }
+
+  return { capturedCount, outputDir, timeSlots };
 }
 
 /**
- * Fetches missing snapshots from UniFi Protect.
+ * Fetches missing snapshots from the camera's configured source.
  * Checks for gaps in snapshot collection and backfills from video recordings.
+ * With `options.slot`, recorded sources only export that slot and the slots on
+ * the retry-later list, using the recording range saved by the last full pass.
  * @async
  * @param {Object} config - Loaded application configuration.
  * @param {Object} camera - The camera configuration to process.
+ * @param {Object} [options] - Capture options.
+ * @param {Date} [options.slot] - Single slot to capture instead of backfilling every gap.
  * @returns {Promise<Object>} Capture statistics.
+ * @throws {Error} If the camera or its credentials are missing, or its schedule is invalid
  */
-async function fetchMissingSnapshots(config, camera) {
+async function fetchMissingSnapshots(config, camera, options = {}) {
+  const { slot: plannedSlot = null } = options;
   const now = new Date();
 
   console.log(`[${now.toISOString()}] Starting snapshot capture...`);
 
-  if (!config.unifi.password) {
-    console.error("Error: Missing UniFi Protect password in configuration.");
-    console.error(
-      "Please run 'lawn-lapse setup' to add credentials to lawn.config.json",
-    );
-    process.exit(1);
+  // Thrown rather than exiting so the daemon keeps running and records the error
+  if (!camera || !camera.id) {
+    throw new Error("No camera configured. Run setup to select a camera.");
   }
 
-  if (!camera || !camera.id) {
-    console.error("Error: No camera configured. Run setup to select a camera.");
-    process.exit(1);
+  if (
+    getSourceType(camera) === "unifi" &&
+    !(camera.source?.password || config.unifi.password)
+  ) {
+    throw new Error(
+      "Missing UniFi Protect password in configuration. Run 'lawn-lapse setup' to add credentials to lawn.config.json",
+    );
   }
 
-  const client = new UniFiProtectClient(config);
   const cameraName = camera.name || "Unknown Camera";
+  const schedule = getCameraSchedule(config, camera);
+  const validation = validateSchedule(schedule);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid schedule for ${cameraName}: ${validation.errors.join(", ")}`,
+    );
+  }
+
+  const source = createCameraSource(camera, config);
   const outputDir = camera.snapshotDir || path.join(__dirname, "snapshots");
 
   console.log(`Camera: ${cameraName} (${camera.id})`);
-  const timezone =
-    config.schedule.timezone ||
-    Intl.DateTimeFormat().resolvedOptions().timeZone ||
-    "UTC";
+  const timezone = getScheduleTimezone(schedule);
 
   // Display schedule information
-  const scheduleMode = config.schedule.mode || "fixed-time";
-  if (scheduleMode === "fixed-time") {
-    const times = config.schedule.fixedTimes || ["12:00"];
-    console.log(`Schedule: ${times.join(", ")} ${timezone}`);
-  } else if (scheduleMode === "interval") {
-    const shotsPerHour = config.schedule.interval?.shotsPerHour || 1;
-    const startHour = config.schedule.window?.startHour || "00:00";
-    const endHour = config.schedule.window?.endHour || "23:59";
-    console.log(
-      `Schedule: ${shotsPerHour} shots/hour, ${startHour}-${endHour} ${timezone}`,
-    );
-  } else if (scheduleMode === "sunrise-sunset") {
-    const shotsPerHour = config.schedule.interval?.shotsPerHour || 1;
-    const captureSunrise = config.schedule.captureSunrise ?? true;
-    const captureSunset = config.schedule.captureSunset ?? true;
-    const events = [];
-    if (captureSunrise) events.push("sunrise");
-    if (captureSunset) events.push("sunset");
-    if (shotsPerHour > 0) events.push(`${shotsPerHour} shots/hour between`);
-    console.log(`Schedule: ${events.join(" + ")} ${timezone}`);
-  }
+  console.log(
+    `Schedule: ${describeSchedule(schedule)} ${timezone}${camera.schedule ? " (camera schedule)" : ""}`,
+  );
 
   await fs.mkdir(outputDir, { recursive: true });
 
+  if (!source.capabilities.backfill) {
+    return captureLiveSnapshot(config, camera, source, outputDir);
+  }
+
   const historyConfig = config.history || {};
   const maxDays = Number.isFinite(historyConfig.maxDays)
     ? historyConfig.maxDays
@@ -246,149 +299,388 @@ async function fetchMissingSnapshots(config, camera) {
   let consecutiveNotFound = 0;
   let consecutiveFailures = 0;
   let attemptCount = 0;
+  let weatherSkippedCount = 0;
+
+  // The ledger knows which slots were captured, had no recording, or failed;
+  // snapshots added outside of a capture run are adopted first
+  const ledger = await loadLedger(camera.id);
+  const { adopted } = await syncLedgerWithDirectory(
+    camera.id,
+    outputDir,
+    ledger,
+    timezone,
+  );
+  if (adopted > 0) {
+    console.log(`Ledger: recorded ${adopted} existing snapshot(s)`);
+  }
+  const existingSnapshots = new Set(getCapturedFilenames(ledger));
+  const sourceName = `${source.type}:${source.label}`;
+  let knownEmptyCount = 0;
+
+  // Slots that failed transiently on earlier runs are revisited first, as
+  // long as they are still inside the backfill window and on a scheduled day
+  const retryPolicy = resolveRetryPolicy(config.retry);
+  const oldestSlotMs =
+    now.getTime() -
+    Math.min(maxDays ?? HARD_LIMIT_DAYS, HARD_LIMIT_DAYS) * 86400000;
+  const retryEntries = new Map();
+  for (const entry of await loadRetryList(camera.id)) {
+    const slot = new Date(entry.slot);
+    if (
+      isNaN(slot.getTime()) ||
+      slot.getTime() < oldestSlotMs ||
+      !resolveDaySchedule(getZonedDay(slot, timezone), schedule)
+    ) {
+      continue;
+    }
+    const { filename } = formatSnapshotName(slot, timezone);
+    if (!existingSnapshots.has(filename)) {
+      retryEntries.set(filename, { ...entry, filename });
+    }
+  }
 
-  const files = await fs.readdir(outputDir).catch(() => []);
-  const existingSnapshots = new Set(files.filter((f) => f.endsWith(".jpg")));
-
-  console.log(
-    maxDays
-      ? `Checking for missing snapshots (up to ${maxDays} days back)...`
-      : `Checking historical snapshots until no recordings remain (max 365 days)...`,
+  // Ask how far back recordings go so slots without footage are never requested
+  let announcedConnect = false;
+  let recordingRange = null;
+  if (plannedSlot) {
+    // A single slot isn't worth probing for; the last full pass saved the range
+    recordingRange = await loadRecordingRange(camera.id);
+  } else {
+    try {
+      if (!source.isConnected) {
+        announcedConnect = true;
+        console.log(`  Connecting to ${source.label}...`);
+      }
+      recordingRange = await discoverRecordingRange(source, camera.id, {
+        earliestMs: oldestSlotMs,
+        previous: await loadRecordingRange(camera.id),
+        now,
+      });
+    } catch (error) {
+      if (classifyError(error) === "auth") {
+        await source.disconnect();
+        throw new Error(
+          `Unable to continue snapshot backfill: ${error.message}. Aborting.`,
+        );
+      }
+      console.log(
+        `⚠️  Could not determine the recording range (${error.message}); checking slot by slot`,
+      );
+    }
+    if (recordingRange) {
+      await saveRecordingRange(camera.id, recordingRange);
+      const end = recordingRange.end
+        ? ` to ${recordingRange.end.toLocaleString()}`
+        : "";
+      console.log(
+        `Recordings: ${recordingRange.start.toLocaleString()}${end} (${recordingRange.method === "controller" ? "reported by the controller" : "found by probing"})`,
+      );
+    }
+  }
+  if (recordingRange) {
+    // Footage for these has expired, so retrying them is pointless
+    for (const [filename, entry] of retryEntries) {
+      if (!isSlotInRange(recordingRange, new Date(entry.slot))) {
+        retryEntries.delete(filename);
+      }
+    }
+  }
+  let outOfRangeCount = 0;
+
+  const revisitSlots = Array.from(
+    retryEntries.values(),
+    (entry) => new Date(entry.slot),
+  ).sort((a, b) => a - b);
+
+  const backfillConfig = config.backfill || {};
+  const concurrency = backfillConfig.concurrency ?? 4;
+  const requestsPerSecond = backfillConfig.requestsPerSecond ?? 5;
+  const throttleBackoffMs = backfillConfig.throttleBackoffMs ?? 60000;
+  const maxThrottleRetries = backfillConfig.maxThrottleRetries ?? 3;
+  const limiter = getControllerLimiter(
+    `${source.type}:${source.label}`,
+    requestsPerSecond,
   );
 
-  const newSnapshots = [];
-  const capturedTimeSlots = new Set(); // Track unique time slots for timelapse generation
+  if (plannedSlot) {
+    const { date, time } = formatSnapshotName(plannedSlot, timezone);
+    console.log(
+      `Capturing the ${date} ${time.slice(0, 2)}:${time.slice(2)} slot...`,
+    );
+  } else {
+    console.log(
+      maxDays
+        ? `Checking for missing snapshots (up to ${maxDays} days back)...`
+        : `Checking historical snapshots until no recordings remain (max 365 days)...`,
+    );
+  }
+  if (concurrency > 1 && !plannedSlot) {
+    console.log(
+      `Fetching up to ${concurrency} slots at a time${requestsPerSecond > 0 ? ` (max ${requestsPerSecond} requests/s to ${source.label})` : ""}`,
+    );
+  }
 
-  for (let dayOffset = 0; ; dayOffset++) {
-    if (maxDays !== null && dayOffset >= maxDays) {
-      break;
-    }
+  if (revisitSlots.length > 0) {
+    console.log(
+      `Revisiting ${revisitSlots.length} slot(s) from the retry-later list first`,
+    );
+  }
 
-    if (dayOffset >= HARD_LIMIT_DAYS) {
+  // One OCR engine serves every slot of the run; overlays show the
+  // schedule's wall-clock time
+  const precisionTiming = {
+    ...resolvePrecisionTiming(config.precisionTiming, camera.precisionTiming),
+    timezone,
+  };
+  const ocrEngine = precisionTiming.enabled
+    ? getOcrEngine(precisionTiming)
+    : null;
+  if (ocrEngine) {
+    if (await ocrEngine.isAvailable()) {
       console.log(
-        `\nReached 365-day backfill limit. Stopping historical retrieval.`,
+        `Precision timing: matching the timestamp overlay within ±${precisionTiming.windowSeconds}s`,
+      );
+    } else {
+      console.log(
+        `⚠️  Precision timing is enabled but ${precisionTiming.tesseractPath} was not found; using the slot's middle frame`,
       );
-      break;
     }
+  }
 
-    const targetDate = new Date();
-    targetDate.setDate(targetDate.getDate() - dayOffset);
-    targetDate.setHours(0, 0, 0, 0); // Start at midnight for the day
+  // Weather is looked up per slot; with "skip" bad-weather slots are not requested
+  const weatherSettings = resolveWeatherSettings(config.weather);
+  const weatherLookup = createWeatherLookup(weatherSettings, config);
+  if (weatherLookup) {
+    console.log(
+      `Weather: ${weatherSettings.action === "skip" ? "skipping" : "tagging"} ${weatherSettings.conditions.join(", ")} (${weatherLookup.provider.type})`,
+    );
+  }
 
-    if (targetDate.getTime() > now.getTime()) {
-      continue;
+  const newSnapshots = [];
+  const capturedTimeSlots = new Set(); // Track unique time slots for timelapse generation
+
+  /**
+   * Describes a scheduled slot for fetchSlot and handleResult
+   * @param {Date} slot - Slot time
+   * @returns {Object} Queue item
+   */
+  const slotItem = (slot) => {
+    const { date, time, filename } = formatSnapshotName(slot, timezone);
+    return {
+      type: "slot",
+      slot,
+      date,
+      time,
+      filename,
+      outputPath: path.join(outputDir, filename),
+      existing: existingSnapshots.has(filename),
+      knownEmpty: isKnownEmpty(ledger.get(filename)),
+      weatherSkipped:
+        weatherLookup !== null &&
+        weatherSettings.action === "skip" &&
+        ledger.get(filename)?.outcome === OUTCOMES.SKIPPED,
+    };
+  };
+
+  /**
+   * Yields every past slot, newest day first, followed by a marker at the end
+   * of each day so stop conditions are checked once per day as before.
+   * A planned slot is yielded on its own, after the retry-later slots.
+   */
+  function* backfillItems() {
+    for (const slot of revisitSlots) {
+      const { date, time, filename } = formatSnapshotName(slot, timezone);
+      yield {
+        type: "slot",
+        slot,
+        date,
+        time,
+        filename,
+        outputPath: path.join(outputDir, filename),
+        existing: false,
+        revisit: true,
+      };
     }
 
-    // Generate all capture slots for this day using the scheduling system
-    let slots;
-    try {
-      slots = generateDailySlots(targetDate, config.schedule, config.location);
-    } catch (error) {
-      // Format date in local timezone for consistency
-      const year = targetDate.getFullYear();
-      const month = String(targetDate.getMonth() + 1).padStart(2, "0");
-      const day = String(targetDate.getDate()).padStart(2, "0");
-      const dateStr = `${year}-${month}-${day}`;
-      console.error(`Error generating slots for ${dateStr}: ${error.message}`);
-      continue;
+    if (plannedSlot) {
+      const item = slotItem(plannedSlot);
+      if (!retryEntries.has(item.filename)) {
+        yield item;
+      }
+      return;
     }
 
-    // Filter out future slots (for today only)
-    const validSlots = slots.filter((slot) => slot.getTime() <= now.getTime());
+    for (let dayOffset = 0; ; dayOffset++) {
+      if (maxDays !== null && dayOffset >= maxDays) {
+        return;
+      }
 
-    if (validSlots.length === 0) {
-      continue;
-    }
+      if (dayOffset >= HARD_LIMIT_DAYS) {
+        yield { type: "limit" };
+        return;
+      }
+
+      // Days are counted in the schedule's timezone
+      const targetDate = getZonedDay(now, timezone);
+      targetDate.setDate(targetDate.getDate() - dayOffset);
 
-    let dayHadAnyData = false;
-
-    // Process each slot for this day
-    for (const slot of validSlots) {
-      // Use local timezone consistently for both date and time
-      const year = slot.getFullYear();
-      const month = String(slot.getMonth() + 1).padStart(2, "0");
-      const day = String(slot.getDate()).padStart(2, "0");
-      const dateStr = `${year}-${month}-${day}`;
-      const timeStr = `${String(slot.getHours()).padStart(2, "0")}${String(slot.getMinutes()).padStart(2, "0")}`;
-      const filename = `${dateStr}_${timeStr}.jpg`;
-      const outputPath = path.join(outputDir, filename);
-
-      // Track this time slot for timelapse generation
-      capturedTimeSlots.add(timeStr);
-
-      if (existingSnapshots.has(filename)) {
-        skippedCount++;
-        dayHadAnyData = true;
+      // Generate all capture slots for this day using the scheduling system
+      let slots;
+      try {
+        slots = generateDailySlots(targetDate, schedule, config.location);
+      } catch (error) {
+        // targetDate holds the schedule's calendar day in its local fields
+        const year = targetDate.getFullYear();
+        const month = String(targetDate.getMonth() + 1).padStart(2, "0");
+        const day = String(targetDate.getDate()).padStart(2, "0");
+        const dateStr = `${year}-${month}-${day}`;
+        console.error(
+          `Error generating slots for ${dateStr}: ${error.message}`,
+        );
         continue;
       }
 
-      attemptCount++;
-      const prefix = `  [${attemptCount}] ${dateStr} ${timeStr.slice(0, 2)}:${timeStr.slice(2)}: `;
+      // Older days have no footage at all
+      if (
+        recordingRange &&
+        slots.length > 0 &&
+        slots[slots.length - 1].getTime() <
+          recordingRange.start.getTime() - recordingRange.uncertaintyMs
+      ) {
+        yield { type: "range-start" };
+        return;
+      }
+
+      // Filter out future slots (for today only)
+      const validSlots = slots.filter(
+        (slot) => slot.getTime() <= now.getTime(),
+      );
 
-      try {
-        if (!client.isConnected) {
-          console.log(
-            `${prefix}Connecting to ${config.unifi.host || "UniFi Protect"}...`,
-          );
-        }
+      if (validSlots.length === 0) {
+        continue;
+      }
 
-        const videoBuffer = await client.exportVideo(
-          camera.id,
-          slot.getTime(),
-          1000,
-        );
-        await client.extractFrameFromVideo(videoBuffer, outputPath);
-        console.log(`${prefix}✓`);
-        capturedCount++;
-        newSnapshots.push(outputPath);
-        dayHadAnyData = true;
-        consecutiveNoData = 0;
-        consecutiveNotFound = 0;
-        consecutiveFailures = 0;
-      } catch (error) {
-        const message = error?.message || String(error);
-        console.log(`${prefix}✗ (${message})`);
-        failedCount++;
-
-        const normalizedMessage = message.toLowerCase();
-        const fatalConnectionError =
-          /failed to login|eperm|econnrefused|unauthorized|forbidden|invalid credentials|network unreachable/.test(
-            normalizedMessage,
-          );
-        const looksLikeNoData =
-          /404|no data|no recording|no video data|not found|taking too long|throttling api calls|timed out/.test(
-            normalizedMessage,
-          );
-        const looksLikeNotFound = /404|not found/.test(normalizedMessage);
-
-        if (fatalConnectionError) {
-          throw new Error(
-            `Unable to continue snapshot backfill: ${message}. Aborting.`,
-          );
+      for (const slot of validSlots) {
+        const item = slotItem(slot);
+        if (retryEntries.has(item.filename)) {
+          continue; // Already revisited above
         }
-
-        consecutiveFailures += 1;
-        if (looksLikeNoData) {
-          consecutiveNoData += 1;
-        } else {
-          consecutiveNoData = 0;
+        if (
+          !item.existing &&
+          recordingRange &&
+          !isSlotInRange(recordingRange, slot)
+        ) {
+          outOfRangeCount++;
+          continue;
         }
+        yield item;
+      }
+
+      yield { type: "day-end" };
+    }
+  }
 
-        if (looksLikeNotFound) {
-          consecutiveNotFound += 1;
-        } else {
-          consecutiveNotFound = 0;
+  const fetchSlot = async (item) => {
+    if (
+      item.type !== "slot" ||
+      item.existing ||
+      item.knownEmpty ||
+      item.weatherSkipped
+    ) {
+      return null;
+    }
+
+    const weather = weatherLookup
+      ? await weatherLookup.getTags(item.slot)
+      : null;
+    if (
+      weatherSettings.action === "skip" &&
+      hasExcludedWeather(weather, weatherSettings)
+    ) {
+      return { skipped: true, weather };
+    }
+
+    const { frameOffset, overlayTime } = await runWithThrottleBackoff(
+      async () => {
+        if (!source.isConnected && !announcedConnect) {
+          announcedConnect = true;
+          console.log(`  Connecting to ${source.label}...`);
         }
+        return captureSlot(source, camera.id, item.slot, item.outputPath, {
+          retryPolicy,
+          frameSelection: config.frameSelection,
+          precisionTiming,
+          ocrEngine,
+          onRetry: (error, category, attempt, delayMs) =>
+            console.log(
+              `  ↻ ${item.date} ${item.time.slice(0, 2)}:${item.time.slice(2)}: ${category}, retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${retryPolicy.maxAttempts})`,
+            ),
+        });
+      },
+      limiter,
+      {
+        throttleBackoffMs,
+        maxThrottleRetries,
+        onThrottle: (delayMs, retry) =>
+          console.log(
+            `  ⏸  ${source.label} is throttling requests; pausing ${Math.round(delayMs / 1000)}s (retry ${retry}/${maxThrottleRetries})`,
+          ),
+      },
+    );
+
+    return {
+      sha256: await hashFile(item.outputPath),
+      frameOffset,
+      overlayTime,
+      weather,
+    };
+  };
+
+  const pendingLedgerEntries = [];
+  const flushLedger = async () => {
+    await appendLedger(camera.id, pendingLedgerEntries.splice(0));
+  };
+
+  let dayHadAnyData = false;
+  let stopped = false;
+  let fatalError = null;
+  const startedAt = Date.now();
+
+  // Results arrive in slot order, so the counters below behave exactly as
+  // they would if every slot had been fetched one after another
+  const handleResult = async (item, { value, error }) => {
+    if (item.type === "limit") {
+      if (!stopped) {
+        console.log(
+          `\nReached 365-day backfill limit. Stopping historical retrieval.`,
+        );
+      }
+      return true;
+    }
+
+    if (item.type === "range-start") {
+      if (!stopped) {
+        console.log(
+          `\nReached the oldest recording (${recordingRange.start.toLocaleDateString()}). Stopping backfill.`,
+        );
       }
+      return true;
     }
 
-    // Check stopping conditions at the end of each day
-    if (!dayHadAnyData) {
+    if (item.type === "day-end") {
+      const hadData = dayHadAnyData;
+      dayHadAnyData = false;
+      if (stopped || hadData) {
+        return false;
+      }
+
+      // Check stopping conditions at the end of each day
       if (consecutiveNotFound >= 3) {
         console.log(
           "\nEncountered three consecutive 404/not found responses. Stopping backfill.",
         );
-        break;
+        stopped = true;
+        return true;
       }
 
       const hitConfiguredNoDataLimit =
@@ -400,528 +692,223 @@ async function fetchMissingSnapshots(config, camera) {
           ? `Stopping backfill after ${consecutiveNoData} consecutive days without recordings.`
           : "Stopping backfill after three consecutive data fetch failures.";
         console.log(`\n${reason}`);
-        break;
-      }
-    }
-  }
-
-  if (capturedCount === 0 && skippedCount > 0 && failedCount === 0) {
-    console.log("✓ All snapshots up to date!");
-  }
-
-  console.log(`\nSummary:`);
-  console.log(`  Captured: ${capturedCount}`);
-  console.log(`  Already had: ${skippedCount}`);
-  console.log(`  Failed: ${failedCount}`);
-
-  // Convert captured time slots to hour/minute objects for timelapse generation
-  const timeSlots = Array.from(capturedTimeSlots)
-    .sort()
-    .map((timeStr) => ({
-      hour: parseInt(timeStr.slice(0, 2), 10),
-      minute: parseInt(timeStr.slice(2, 4), 10),
-    }));
-
-  return { capturedCount, outputDir, timeSlots };
-}
-
-/**
- * Analyzes snapshot distribution to determine timelapse generation strategy
- * Returns object with daily videos (>2 frames/day) and time-based groups (≤2 frames/day)
- * @async
- * @param {string} snapshotDir - Directory containing snapshots
- * @returns {Promise<Object>} Object with dailyVideos array and timeBasedGroups object
- */
-async function analyzeSnapshotDistribution(snapshotDir) {
-  const files = await fs.readdir(snapshotDir);
-  const snapshots = files.filter((f) => f.endsWith(".jpg"));
-
-  // Group snapshots by date
-  const byDate = new Map();
-  for (const filename of snapshots) {
-    const match = filename.match(/^(\d{4}-\d{2}-\d{2})_(\d{4})\.jpg$/);
-    if (match) {
-      const [, date, time] = match;
-      if (!byDate.has(date)) {
-        byDate.set(date, []);
+        stopped = true;
+        return true;
       }
-      byDate.get(date).push({ filename, date, time });
+      return false;
     }
-  }
 
-  // Separate into daily videos (>2 frames) and time-based groups (≤2 frames)
-  const dailyVideos = [];
-  const timeBasedSnapshots = [];
+    const { date: dateStr, time: timeStr, outputPath } = item;
 
-  for (const [date, dateSnapshots] of byDate) {
-    if (dateSnapshots.length > 2) {
-      // Sort by time for chronological daily video
-      dateSnapshots.sort((a, b) => a.time.localeCompare(b.time));
-      dailyVideos.push({ date, snapshots: dateSnapshots });
-    } else {
-      // Add to time-based pool
-      timeBasedSnapshots.push(...dateSnapshots);
-    }
-  }
+    // Track this time slot for timelapse generation
+    capturedTimeSlots.add(timeStr);
 
-  // Group time-based snapshots by time slot
-  const timeBasedGroups = new Map();
-  for (const snapshot of timeBasedSnapshots) {
-    if (!timeBasedGroups.has(snapshot.time)) {
-      timeBasedGroups.set(snapshot.time, []);
+    if (item.existing) {
+      skippedCount++;
+      dayHadAnyData = true;
+      return false;
     }
-    timeBasedGroups.get(snapshot.time).push(snapshot);
-  }
-
-  // Convert to sorted array
-  const timeGroups = Array.from(timeBasedGroups.entries())
-    .map(([time, snapshots]) => ({
-      time,
-      hour: parseInt(time.slice(0, 2), 10),
-      minute: parseInt(time.slice(2, 4), 10),
-      snapshots: snapshots.sort((a, b) => a.date.localeCompare(b.date)),
-    }))
-    .sort((a, b) => a.time.localeCompare(b.time));
 
-  return { dailyVideos, timeGroups };
-}
-
-/**
- * Generates a daily video from snapshots taken throughout a single day
- * @async
- * @param {Object} dailyVideo - Object with date and snapshots array
- * @param {string} snapshotDir - Directory containing snapshots
- * @param {string} timelapseDir - Directory to save timelapse
- * @param {Object} camera - Camera configuration
- * @param {Object} config - Full configuration for defaults
- * @returns {Promise<void>}
- */
-async function generateDailyVideo(
-  dailyVideo,
-  snapshotDir,
-  timelapseDir,
-  camera,
-  config,
-) {
-  const { date, snapshots } = dailyVideo;
-
-  await fs.mkdir(timelapseDir, { recursive: true });
-
-  const outputPath = path.join(timelapseDir, `${date}.mp4`);
-
-  // Check if video cache is still valid
-  try {
-    const videoStats = await fs.stat(outputPath);
-    const videoMtime = videoStats.mtime.getTime();
-
-    // Find the latest snapshot modification time
-    let latestSnapshotMtime = 0;
-    for (const snapshot of snapshots) {
-      const snapshotPath = path.join(snapshotDir, snapshot.filename);
-      const snapshotStats = await fs.stat(snapshotPath);
-      if (snapshotStats.mtime.getTime() > latestSnapshotMtime) {
-        latestSnapshotMtime = snapshotStats.mtime.getTime();
+    // Slots the source already reported as empty are not requested again,
+    // but still count towards the "no recordings" stop conditions
+    if (item.knownEmpty) {
+      knownEmptyCount++;
+      consecutiveFailures += 1;
+      consecutiveNoData += 1;
+      if (ledger.get(item.filename).errorCategory === "not-found") {
+        consecutiveNotFound += 1;
+      } else {
+        consecutiveNotFound = 0;
       }
+      return false;
     }
 
-    // If video is newer than all snapshots, use cached version
-    if (videoMtime > latestSnapshotMtime) {
-      console.log(`\n✓ Using cached daily video for ${date}`);
-      console.log(`  ${snapshots.length} snapshots (cache is up-to-date)`);
-      return;
+    // Slots skipped for their weather on an earlier run stay skipped
+    if (item.weatherSkipped) {
+      weatherSkippedCount++;
+      return false;
     }
-  } catch {
-    // Video doesn't exist or can't be stat'd, proceed with generation
-  }
-
-  console.log(`\nGenerating daily video for ${date}...`);
-  console.log(`Found ${snapshots.length} snapshots`);
-
-  // Detect resolution from first snapshot
-  const firstSnapshot = path.join(snapshotDir, snapshots[0].filename);
-  let maxWidth = 0;
-  let maxHeight = 0;
-
-  try {
-    const dimensions = await getImageDimensions(firstSnapshot);
-    maxWidth = dimensions.width;
-    maxHeight = dimensions.height;
-  } catch (error) {
-    if (isVerbose) console.error(`Error getting dimensions: ${error.message}`);
-    maxWidth = 1920;
-    maxHeight = 1080;
-  }
 
-  const fps = camera.video?.fps ?? config.videoDefaults?.fps ?? 24;
-  const crf = camera.video?.quality ?? config.videoDefaults?.quality ?? 1;
-  const interpolate =
-    camera.video?.interpolate ?? config.videoDefaults?.interpolate ?? true;
-
-  // Create file list for ffconcat demuxer
-  const fileListPath = path.join(snapshotDir, "filelist.txt");
-  const safeFps = fps > 0 ? fps : 1;
-  const frameDuration = 1 / safeFps;
-  const lines = ["ffconcat version 1.0"];
-
-  snapshots.forEach((snapshot, index) => {
-    lines.push(`file '${snapshot.filename}'`);
-    if (index !== snapshots.length - 1) {
-      lines.push(`duration ${frameDuration.toFixed(6)}`);
+    if (value?.skipped) {
+      weatherSkippedCount++;
+      updateRetryEntry(retryEntries, item, null, retryPolicy);
+      pendingLedgerEntries.push(
+        createLedgerEntry(item, {
+          outcome: OUTCOMES.SKIPPED,
+          source: sourceName,
+          weather: value.weather,
+        }),
+      );
+      console.log(
+        `  – ${dateStr} ${timeStr.slice(0, 2)}:${timeStr.slice(2)}: skipped (${value.weather.join(", ")})`,
+      );
+      return false;
     }
-  });
-
-  await fs.writeFile(fileListPath, `${lines.join("\n")}\n`);
 
-  return new Promise((resolve, reject) => {
-    let videoFilter = `scale=${maxWidth}:${maxHeight}:force_original_aspect_ratio=decrease,pad=${maxWidth}:${maxHeight}:(ow-iw)/2:(oh-ih)/2`;
-
-    if (interpolate) {
-      videoFilter = `minterpolate=fps=${safeFps}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1,${videoFilter}`;
+    attemptCount++;
+    const prefix = `  [${attemptCount}] ${dateStr} ${timeStr.slice(0, 2)}:${timeStr.slice(2)}${item.revisit ? " (retry)" : ""}: `;
+
+    updateRetryEntry(retryEntries, item, error ?? null, retryPolicy);
+
+    const category = error ? error.category || classifyError(error) : null;
+    pendingLedgerEntries.push(
+      createLedgerEntry(
+        item,
+        error
+          ? {
+              outcome: outcomeForCategory(category),
+              errorCategory: category,
+              error: error?.message || String(error),
+              source: sourceName,
+            }
+          : {
+              outcome: OUTCOMES.CAPTURED,
+              sha256: value.sha256,
+              source: sourceName,
+              frameOffset: value.frameOffset,
+              weather: value.weather,
+            },
+      ),
+    );
+    if (pendingLedgerEntries.length >= 50) {
+      await flushLedger();
     }
 
-    const ffmpegArgs = [
-      "-f",
-      "concat",
-      "-safe",
-      "0",
-      "-i",
-      fileListPath,
-      "-c:v",
-      "libx264",
-      "-preset",
-      "slow",
-      "-crf",
-      String(crf),
-      "-vf",
-      videoFilter,
-      "-r",
-      String(safeFps),
-      "-pix_fmt",
-      "yuv420p",
-      "-y",
-      outputPath,
-    ];
-
-    if (!isVerbose) {
-      ffmpegArgs.unshift("-loglevel", "error", "-stats");
+    if (!error) {
+      const offset = value.frameOffset
+        ? ` (frame at ${value.frameOffset > 0 ? "+" : ""}${value.frameOffset.toFixed(1)}s)`
+        : "";
+      const overlay = value.overlayTime
+        ? ` (overlay ${value.overlayTime.toLocaleTimeString("en-US", { timeZone: timezone, hourCycle: "h23" })})`
+        : precisionTiming.enabled
+          ? " (overlay unreadable, middle frame)"
+          : "";
+      const weather = value.weather?.length
+        ? ` (${value.weather.join(", ")})`
+        : "";
+      console.log(`${prefix}✓${offset}${overlay}${weather}`);
+      capturedCount++;
+      newSnapshots.push(outputPath);
+    } else {
+      const message = error?.message || String(error);
+      const attempts =
+        error?.attempts > 1 ? ` after ${error.attempts} attempts` : "";
+      console.log(`${prefix}✗ (${message}${attempts})`);
+      failedCount++;
     }
 
-    const ffmpeg = spawn("ffmpeg", ffmpegArgs, {
-      stdio: isVerbose ? "inherit" : ["pipe", "pipe", "inherit"],
-    });
+    // Revisited slots are out of date order, so they must not move the
+    // stop-condition counters of the backward walk
+    if (item.revisit && !error) {
+      return false;
+    }
 
-    ffmpeg.on("exit", async (code) => {
-      if (code !== 0) {
-        reject(new Error(`ffmpeg exited with code ${code}`));
-      } else {
-        const stats = await fs.stat(outputPath);
-        const sizeMB = (stats.size / (1024 * 1024)).toFixed(1);
+    if (!error) {
+      dayHadAnyData = true;
+      consecutiveNoData = 0;
+      consecutiveNotFound = 0;
+      consecutiveFailures = 0;
+    } else {
+      const message = error?.message || String(error);
 
-        console.log(`✓ Daily video created: ${outputPath} (${sizeMB}MB)`);
-        console.log(`  ${snapshots.length} snapshots from ${date}`);
-        console.log(
-          `  Resolution: ${maxWidth}x${maxHeight} @ ${safeFps}fps${interpolate ? " (interpolated)" : ""}`,
+      const normalizedMessage = message.toLowerCase();
+      const fatalConnectionError =
+        /failed to login|eperm|econnrefused|unauthorized|forbidden|invalid credentials|network unreachable/.test(
+          normalizedMessage,
+        );
+      const looksLikeNoData =
+        /404|no data|no recording|no video data|not found|taking too long|throttling api calls|timed out/.test(
+          normalizedMessage,
         );
+      const looksLikeNotFound = /404|not found/.test(normalizedMessage);
 
-        await fs.unlink(fileListPath).catch(() => {});
-        resolve();
+      if (fatalConnectionError) {
+        fatalError ??= message;
+        stopped = true;
+        return true;
       }
-    });
-
-    ffmpeg.on("error", reject);
-  });
-}
-
-/**
- * Concatenates all daily videos into a full timelapse
- * Uses ffmpeg concat demuxer for fast, lossless concatenation
- * @async
- * @param {string} timelapseDir - Directory containing daily videos
- * @param {Array} dailyVideos - Array of daily video objects with dates
- * @returns {Promise<void>}
- */
-async function concatenateDailyVideos(timelapseDir, dailyVideos) {
-  if (dailyVideos.length === 0) {
-    console.log("\nNo daily videos to concatenate");
-    return;
-  }
-
-  console.log(`\nConcatenating ${dailyVideos.length} daily videos...`);
-
-  // Create concat list file
-  const concatListPath = path.join(timelapseDir, "concat-list.txt");
-  const lines = dailyVideos.map((dv) => `file '${dv.date}.mp4'`);
-  await fs.writeFile(concatListPath, lines.join("\n") + "\n");
-
-  // Generate output filename with date range
-  const firstDate = dailyVideos[0].date;
-  const lastDate = dailyVideos[dailyVideos.length - 1].date;
-  const outputPath = path.join(
-    timelapseDir,
-    `full-timelapse_${firstDate}_to_${lastDate}.mp4`,
-  );
-
-  return new Promise((resolve, reject) => {
-    const ffmpegArgs = [
-      "-f",
-      "concat",
-      "-safe",
-      "0",
-      "-i",
-      concatListPath,
-      "-c",
-      "copy", // No re-encoding, just copy streams
-      "-y",
-      outputPath,
-    ];
-
-    if (!isVerbose) {
-      ffmpegArgs.unshift("-loglevel", "error", "-stats");
-    }
 
-    const ffmpeg = spawn("ffmpeg", ffmpegArgs, {
-      stdio: isVerbose ? "inherit" : ["pipe", "pipe", "inherit"],
-    });
+      if (item.revisit) {
+        return false;
+      }
 
-    ffmpeg.on("exit", async (code) => {
-      if (code !== 0) {
-        reject(new Error(`ffmpeg concat exited with code ${code}`));
+      consecutiveFailures += 1;
+      if (looksLikeNoData) {
+        consecutiveNoData += 1;
       } else {
-        const stats = await fs.stat(outputPath);
-        const sizeMB = (stats.size / (1024 * 1024)).toFixed(1);
-
-        console.log(`✓ Full timelapse created: ${outputPath} (${sizeMB}MB)`);
-        console.log(
-          `  ${dailyVideos.length} days from ${firstDate} to ${lastDate}`,
-        );
-
-        await fs.unlink(concatListPath).catch(() => {});
-        resolve();
+        consecutiveNoData = 0;
       }
-    });
-
-    ffmpeg.on("error", reject);
-  });
-}
-
-/**
- * Generates time-lapse video from collected snapshots
- * Automatically detects optimal resolution and creates MP4 video
- * @async
- * @param {Object} camera - Camera configuration containing snapshot directory.
- * @param {Object} config - Full configuration for defaults.
- * @param {number} captureHour - Hour of capture time
- * @param {number} captureMinute - Minute of capture time
- * @returns {Promise<void>}
- */
-async function generateTimelapse(camera, config, captureHour, captureMinute) {
-  const snapshotDir = camera.snapshotDir || path.join(__dirname, "snapshots");
-  const timelapseDir =
-    camera.timelapseDir || path.join(path.dirname(snapshotDir), "timelapses");
-
-  await fs.mkdir(timelapseDir, { recursive: true });
-
-  const files = await fs.readdir(snapshotDir);
-  const timeStr = `${String(captureHour).padStart(2, "0")}${String(captureMinute).padStart(2, "0")}`;
-
-  // Filter for snapshots at the specified time
-  const snapshots = files
-    .filter((f) => f.endsWith(".jpg") && f.includes(`_${timeStr}.jpg`))
-    .sort();
-
-  if (snapshots.length === 0) {
-    console.log("\nNo snapshots found for time-lapse generation");
-    return;
-  }
-
-  console.log(`\nRegenerating time-lapse...`);
-  console.log(`Found ${snapshots.length} snapshots`);
-
-  // Extract date range for filename
-  const firstDate = snapshots[0].split("_")[0];
-  const lastDate = snapshots[snapshots.length - 1].split("_")[0];
-
-  // Determine the resolution from the largest image
-  // This ensures we use the highest quality available
-  let maxWidth = 0;
-  let maxHeight = 0;
 
-  for (const snapshot of snapshots) {
-    const imagePath = path.join(snapshotDir, snapshot);
-    try {
-      const dimensions = await getImageDimensions(imagePath);
-      if (dimensions.width > maxWidth) {
-        maxWidth = dimensions.width;
-        maxHeight = dimensions.height;
+      if (looksLikeNotFound) {
+        consecutiveNotFound += 1;
+      } else {
+        consecutiveNotFound = 0;
       }
-    } catch (error) {
-      if (isVerbose)
-        console.error(
-          `Error getting dimensions for ${snapshot}:`,
-          error.message,
-        );
-    }
-  }
-
-  // Default to HD if we couldn't detect dimensions
-  if (maxWidth === 0) {
-    maxWidth = 1920;
-    maxHeight = 1080;
-  }
-
-  // Build output filename with time and date range
-  const hourStr =
-    String(captureHour).padStart(2, "0") +
-    "h" +
-    String(captureMinute).padStart(2, "0");
-  const outputPath = path.join(
-    timelapseDir,
-    `timelapse_${hourStr}_${firstDate}_to_${lastDate}.mp4`,
-  );
-
-  const fps = camera.video?.fps ?? config.videoDefaults?.fps ?? 24;
-  const crf = camera.video?.quality ?? config.videoDefaults?.quality ?? 1;
-  const interpolate =
-    camera.video?.interpolate ?? config.videoDefaults?.interpolate ?? true;
-
-  // Create file list for ffconcat demuxer with explicit frame durations
-  const fileListPath = path.join(snapshotDir, "filelist.txt");
-  const safeFps = fps > 0 ? fps : 1;
-  const frameDuration = 1 / safeFps;
-  const lines = ["ffconcat version 1.0"];
-
-  snapshots.forEach((file, index) => {
-    lines.push(`file '${file}'`);
-    if (index !== snapshots.length - 1) {
-      lines.push(`duration ${frameDuration.toFixed(6)}`);
     }
-  });
 
-  await fs.writeFile(fileListPath, `${lines.join("\n")}\n`);
-
-  return new Promise((resolve, reject) => {
-    // Build video filter chain
-    let videoFilter = `scale=${maxWidth}:${maxHeight}:force_original_aspect_ratio=decrease,pad=${maxWidth}:${maxHeight}:(ow-iw)/2:(oh-ih)/2`;
-
-    // Add motion interpolation for smoother playback
-    if (interpolate) {
-      videoFilter = `minterpolate=fps=${safeFps}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1,${videoFilter}`;
-    }
-
-    // Build ffmpeg arguments for video generation
-    const ffmpegArgs = [
-      "-f",
-      "concat", // Use concat demuxer for file list
-      "-safe",
-      "0", // Allow absolute paths
-      "-i",
-      fileListPath,
-      "-c:v",
-      "libx264", // H.264 codec
-      "-preset",
-      "slow", // Slow preset for better compression
-      "-crf",
-      String(crf), // Quality setting
-      "-vf",
-      videoFilter,
-      "-r",
-      String(safeFps), // Output frame rate
-      "-pix_fmt",
-      "yuv420p", // Pixel format for compatibility
-      "-y", // Overwrite output
-      outputPath,
-    ];
-
-    // Add quiet flags unless verbose
-    if (!isVerbose) {
-      ffmpegArgs.unshift("-loglevel", "error", "-stats");
+    if (attemptCount % 25 === 0) {
+      const elapsedSeconds = (Date.now() - startedAt) / 1000;
+      console.log(
+        `  … ${attemptCount} slots fetched (${(attemptCount / elapsedSeconds).toFixed(1)}/s): ${capturedCount} captured, ${failedCount} failed, back to ${dateStr}`,
+      );
     }
+    return false;
+  };
 
-    const ffmpeg = spawn("ffmpeg", ffmpegArgs, {
-      stdio: isVerbose ? "inherit" : ["pipe", "pipe", "inherit"],
-    });
-
-    ffmpeg.on("exit", async (code) => {
-      if (code !== 0) {
-        reject(new Error(`ffmpeg exited with code ${code}`));
-      } else {
-        // Get file size for summary
-        const stats = await fs.stat(outputPath);
-        const sizeMB = (stats.size / (1024 * 1024)).toFixed(1);
+  await runOrderedQueue(backfillItems(), fetchSlot, {
+    concurrency,
+    onResult: handleResult,
+  });
 
-        console.log(`✓ Time-lapse created: ${outputPath} (${sizeMB}MB)`);
-        console.log(
-          `  ${snapshots.length} days from ${firstDate} to ${lastDate}`,
-        );
-        console.log(
-          `  Resolution: ${maxWidth}x${maxHeight} @ ${safeFps}fps${interpolate ? " (interpolated)" : ""}`,
-        );
+  await flushLedger();
+  await saveRetryList(camera.id, Array.from(retryEntries.values()));
 
-        // Clean up temporary file list
-        await fs.unlink(fileListPath).catch(() => {
-          // Ignore error if file doesn't exist
-        });
-        resolve();
-      }
-    });
+  if (fatalError) {
+    await source.disconnect();
+    throw new Error(
+      `Unable to continue snapshot backfill: ${fatalError}. Aborting.`,
+    );
+  }
 
-    ffmpeg.on("error", reject);
-  });
-}
+  await source.disconnect();
 
-/**
- * Gets image dimensions using ffprobe
- * Used to determine optimal video resolution
- * @async
- * @param {string} imagePath - Path to image file
- * @returns {Promise<Object>} Object with width and height properties
- * @returns {number} returns.width - Image width in pixels
- * @returns {number} returns.height - Image height in pixels
- * @throws {Error} If ffprobe fails
- */
-async function getImageDimensions(imagePath) {
-  return new Promise((resolve, reject) => {
-    const ffprobe = spawn(
-      "ffprobe",
-      [
-        "-v",
-        "error", // Suppress all output except errors
-        "-select_streams",
-        "v:0", // Select first video stream
-        "-show_entries",
-        "stream=width,height", // Get width and height
-        "-of",
-        "csv=s=x:p=0", // Output as WIDTHxHEIGHT
-        imagePath,
-      ],
-      {
-        stdio: ["pipe", "pipe", "pipe"],
-      },
-    );
+  if (capturedCount === 0 && skippedCount > 0 && failedCount === 0) {
+    console.log("✓ All snapshots up to date!");
+  }
 
-    let output = "";
-    ffprobe.stdout.on("data", (data) => {
-      output += data.toString();
-    });
+  console.log(`\nSummary:`);
+  console.log(`  Captured: ${capturedCount}`);
+  console.log(`  Already had: ${skippedCount}`);
+  console.log(`  Failed: ${failedCount}`);
+  if (knownEmptyCount > 0) {
+    console.log(`  Known empty (not re-requested): ${knownEmptyCount}`);
+  }
+  if (outOfRangeCount > 0) {
+    console.log(`  Outside recordings (not requested): ${outOfRangeCount}`);
+  }
+  if (weatherSkippedCount > 0) {
+    console.log(`  Skipped for weather: ${weatherSkippedCount}`);
+  }
+  if (retryEntries.size > 0) {
+    console.log(`  Retry later: ${retryEntries.size}`);
+  }
 
-    ffprobe.on("exit", (code) => {
-      if (code !== 0) {
-        reject(new Error(`ffprobe exited with code ${code}`));
-      } else {
-        const [width, height] = output.trim().split("x").map(Number);
-        resolve({ width, height });
-      }
-    });
+  // Convert captured time slots to hour/minute objects for timelapse generation
+  const timeSlots = Array.from(capturedTimeSlots)
+    .sort()
+    .map((timeStr) => ({
+      hour: parseInt(timeStr.slice(0, 2), 10),
+      minute: parseInt(timeStr.slice(2, 4), 10),
+    }));
 
-    ffprobe.on("error", reject);
-  });
+  return { capturedCount, outputDir, timeSlots };
 }
 
 /**
  * Main execution function
  * Orchestrates snapshot fetching and time-lapse generation for all cameras
  * @async
- * @returns {Promise<void>}
+ * @returns {Promise<Array<{camera: string, success: boolean, error: string|null}>>} Outcome per camera
  */
 async function main() {
   const startTime = new Date();
@@ -954,6 +941,28 @@ async function main() {
 
   console.log(`\n📷 Processing ${cameras.length} camera(s)...\n`);
 
+  // Snapshots don't need an encoder, so a video problem only skips rendering
+  const videoError = await validateVideoSettings(config).then(
+    () => null,
+    (error) => error,
+  );
+  if (videoError) {
+    console.error(`❌ ${videoError.message}`);
+    console.error(
+      "   Snapshots will still be captured, but no videos are rendered until this is fixed\n",
+    );
+  }
+
+  // Clean up clips left behind by interrupted runs
+  const sweptFiles = await sweepOrphanedTempFiles(
+    cameras.map(
+      (camera) => camera.snapshotDir || path.join(__dirname, "snapshots"),
+    ),
+  );
+  if (sweptFiles > 0) {
+    console.log(`🧹 Removed ${sweptFiles} leftover temporary video file(s)`);
+  }
+
   const results = [];
 
   for (let i = 0; i < cameras.length; i++) {
@@ -968,51 +977,13 @@ async function main() {
 
     try {
       await fetchMissingSnapshots(config, camera);
-
-      // Analyze snapshot distribution to determine generation strategy
-      const snapshotDir =
-        camera.snapshotDir || path.join(__dirname, "snapshots");
-      const timelapseDir =
-        camera.timelapseDir ||
-        path.join(path.dirname(snapshotDir), "timelapses");
-
-      const { dailyVideos, timeGroups } =
-        await analyzeSnapshotDistribution(snapshotDir);
-
-      console.log(
-        `\nAnalysis: ${dailyVideos.length} multi-capture days, ${timeGroups.length} time-based groups`,
-      );
-
-      // Generate daily videos for multi-capture days (>2 frames/day)
-      if (dailyVideos.length > 0) {
-        console.log(`\nGenerating ${dailyVideos.length} daily video(s)...`);
-        for (const dailyVideo of dailyVideos) {
-          await generateDailyVideo(
-            dailyVideo,
-            snapshotDir,
-            timelapseDir,
-            camera,
-            config,
-          );
-        }
-
-        // Concatenate all daily videos into full timelapse
-        await concatenateDailyVideos(timelapseDir, dailyVideos);
+      if (videoError) {
+        throw new Error(`Videos not rendered: ${videoError.message}`);
       }
 
-      // Generate traditional time-based timelapses for single/double-capture days
-      if (timeGroups.length > 0) {
-        console.log(
-          `\nGenerating ${timeGroups.length} time-based timelapse(s)...`,
-        );
-        for (const { hour, minute } of timeGroups) {
-          await generateTimelapse(camera, config, hour, minute);
-        }
-      }
-
-      if (dailyVideos.length === 0 && timeGroups.length === 0) {
-        console.log("\nNo snapshots found for timelapse generation");
-      }
+      // Daily videos, the full timelapse and time-based timelapses are
+      // rendered from the ledger's usable snapshots
+      await renderTimelapses(camera, config);
 
       results.push({
         camera: camera.name,
@@ -1063,13 +1034,17 @@ async function main() {
   console.log(`\n⏱️  Duration: ${duration} seconds`);
   console.log(`[${endTime.toISOString()}] All cameras processed!`);
 
-  // Exit with error code if any camera failed
-  if (failed > 0) {
-    process.exit(1);
-  }
+  return results;
 }
 
 // Only run main function if this is the entry point
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  main().then((results) => {
+    // Exit with error code if any camera failed
+    if (results.some((r) => !r.success)) {
+      process.exit(1);
+    }
+  });
 }
+
+export { fetchMissingSnapshots, generateTimelapse, main };
@@ -64,6 +64,14 @@ function createDefaultConfig() {
       fps: 24,
       quality: 1,
       interpolate: true,
+      // Named encoding profile (see video-profiles.js); null encodes H.264 at `quality`
+      profile: null,
+      // Extra outputs next to each time-lapse: "gif", "webp", "contact-sheet"
+      formats: [],
+      // Date/time text drawn on each frame: true, or settings (see overlay.js)
+      overlay: null,
+      // Align frames with a reference frame: true, or settings (see stabilization.js)
+      stabilize: null,
     },
     notifications: {
       frequency: "never",
@@ -72,10 +80,57 @@ function createDefaultConfig() {
       maxDays: null,
       stopAfterConsecutiveNoData: 7,
     },
+    backfill: {
+      concurrency: 4,
+      requestsPerSecond: 5,
+      throttleBackoffMs: 60000,
+      maxThrottleRetries: 3,
+    },
   };
 }
 
-function applyCameraDefaults(camera) {
+// Nested blocks are merged key by key; an empty time list keeps the base times
+function mergeSchedule(base, override = {}) {
+  return {
+    ...base,
+    ...override,
+    interval: {
+      ...base.interval,
+      ...(override.interval || {}),
+    },
+    window: {
+      ...base.window,
+      ...(override.window || {}),
+    },
+    fixedTimes:
+      override.fixedTimes?.length > 0 ? override.fixedTimes : base.fixedTimes,
+  };
+}
+
+// A camera's own schedule if it has one, otherwise the global schedule
+function getCameraSchedule(config, camera) {
+  return camera?.schedule ?? config.schedule;
+}
+
+// Every value of a video setting in the config, global first, each with where
+// it was set for error messages
+function getSelectedVideoSettings(config, key) {
+  const selected = [];
+  if (config.videoDefaults?.[key]) {
+    selected.push({ where: "videoDefaults", value: config.videoDefaults[key] });
+  }
+  for (const camera of config.cameras ?? []) {
+    if (camera.video?.[key]) {
+      selected.push({
+        where: `camera ${camera.name || camera.id}`,
+        value: camera.video[key],
+      });
+    }
+  }
+  return selected;
+}
+
+function applyCameraDefaults(camera, globalSchedule) {
   const baseDir = getBaseDir();
   const snapshotDir = camera.snapshotDir || path.join(baseDir, "snapshots");
   const candidateTimelapseDir = camera.timelapseDir;
@@ -87,34 +142,40 @@ function applyCameraDefaults(camera) {
   return {
     id: camera.id || "",
     name: camera.name || "",
+    source: {
+      ...camera.source,
+      type: camera.source?.type || "unifi",
+    },
     snapshotDir,
     timelapseDir,
     video: {
       fps: camera.video?.fps,
       quality: camera.video?.quality,
       interpolate: camera.video?.interpolate,
+      profile: camera.video?.profile,
+      formats: camera.video?.formats,
+      overlay: camera.video?.overlay,
+      stabilize: camera.video?.stabilize,
     },
+    // Per-camera schedule, merged over the global one
+    ...(camera.schedule
+      ? {
+          schedule: mergeSchedule(
+            globalSchedule ?? createDefaultConfig().schedule,
+            camera.schedule,
+          ),
+        }
+      : {}),
+    // Per-camera override of the global precisionTiming block
+    ...(camera.precisionTiming
+      ? { precisionTiming: camera.precisionTiming }
+      : {}),
   };
 }
 
 function applyDefaults(rawConfig = {}) {
   const defaults = createDefaultConfig();
-  const schedule = {
-    ...defaults.schedule,
-    ...(rawConfig.schedule || {}),
-    interval: {
-      ...defaults.schedule.interval,
-      ...(rawConfig.schedule?.interval || {}),
-    },
-    window: {
-      ...defaults.schedule.window,
-      ...(rawConfig.schedule?.window || {}),
-    },
-    fixedTimes:
-      rawConfig.schedule?.fixedTimes?.length > 0
-        ? rawConfig.schedule.fixedTimes
-        : defaults.schedule.fixedTimes,
-  };
+  const schedule = mergeSchedule(defaults.schedule, rawConfig.schedule || {});
 
   const location = {
     ...defaults.location,
@@ -141,9 +202,14 @@ function applyDefaults(rawConfig = {}) {
     ...(rawConfig.history || {}),
   };
 
+  const backfill = {
+    ...defaults.backfill,
+    ...(rawConfig.backfill || {}),
+  };
+
   const cameras = Array.isArray(rawConfig.cameras)
     ? rawConfig.cameras.map((camera) => {
-        const withDefaults = applyCameraDefaults(camera);
+        const withDefaults = applyCameraDefaults(camera, schedule);
         return {
           ...withDefaults,
           video: {
@@ -151,6 +217,10 @@ function applyDefaults(rawConfig = {}) {
             quality: withDefaults.video.quality ?? videoDefaults.quality,
             interpolate:
               withDefaults.video.interpolate ?? videoDefaults.interpolate,
+            profile: withDefaults.video.profile ?? videoDefaults.profile,
+            formats: withDefaults.video.formats ?? videoDefaults.formats,
+            overlay: withDefaults.video.overlay ?? videoDefaults.overlay,
+            stabilize: withDefaults.video.stabilize ?? videoDefaults.stabilize,
           },
         };
       })
@@ -165,6 +235,15 @@ function applyDefaults(rawConfig = {}) {
     videoDefaults,
     notifications,
     history,
+    backfill,
+    // Feature blocks are merged over their module's defaults where they are
+    // read (e.g. resolveRetryPolicy)
+    retry: rawConfig.retry || {},
+    frameSelection: rawConfig.frameSelection || {},
+    precisionTiming: rawConfig.precisionTiming || {},
+    frameQuality: rawConfig.frameQuality || {},
+    weather: rawConfig.weather || {},
+    daemon: rawConfig.daemon || {},
   };
 }
 
@@ -401,6 +480,8 @@ export {
   getBaseDir,
   createDefaultConfig,
   applyDefaults,
+  getCameraSchedule,
+  getSelectedVideoSettings,
   migrateLegacySnapshots,
   detectLegacySnapshots,
 };
@@ -0,0 +1,516 @@
+/**
+ * @file daemon.js
+ * @description Long-running capture scheduler behind `lawn daemon`
+ * Instead of polling from cron, the daemon sleeps until each camera's next slot
+ * and captures it as it happens. Videos are regenerated on their own cadence in
+ * a child process so a long render never delays a capture, and gaps in recorded
+ * cameras are backfilled just before each regeneration. A health file in the
+ * base directory records the PID and what the daemon last did, which
+ * `lawn status` reads to report on it.
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+import { setTimeout as delay } from "timers/promises";
+import { fileURLToPath } from "url";
+
+import { getBaseDir, getCameraSchedule } from "./config.js";
+import { getNextCaptureTime, validateSchedule } from "./scheduling.js";
+import { createCameraSource } from "./camera-sources.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MINUTE_MS = 60 * 1000;
+
+// Sleeps are cut into naps so clock changes and suspends are noticed, and
+// the health file's heartbeat stays fresh
+const MAX_NAP_MS = MINUTE_MS;
+
+// A slot older than this is left to the next capture's backfill
+const STALE_SLOT_MS = 15 * MINUTE_MS;
+
+/**
+ * Default daemon settings
+ * @type {{videoIntervalMinutes: number, recordingDelaySeconds: number}}
+ */
+export const DEFAULT_DAEMON = {
+  videoIntervalMinutes: 60,
+  recordingDelaySeconds: 60,
+};
+
+/**
+ * Merges daemon settings over the defaults
+ * A video interval of 0 turns video regeneration off.
+ * @param {Object} [daemonConfig] - The config's `daemon` block
+ * @returns {{videoIntervalMinutes: number, recordingDelaySeconds: number}} Settings
+ */
+export function resolveDaemonSettings(daemonConfig = {}) {
+  const merged = { ...DEFAULT_DAEMON, ...(daemonConfig || {}) };
+  return {
+    videoIntervalMinutes: Math.max(0, Number(merged.videoIntervalMinutes) || 0),
+    recordingDelaySeconds: Math.max(
+      0,
+      Number(merged.recordingDelaySeconds) || 0,
+    ),
+  };
+}
+
+/**
+ * Gets the path of the daemon's PID/health file
+ * @returns {string} Absolute path to daemon.json in the base directory
+ */
+export function getDaemonStatePath() {
+  return path.join(getBaseDir(), "daemon.json");
+}
+
+/**
+ * Checks whether a process is alive
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+export function isProcessRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // The process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Reads the daemon's health file
+ * @async
+ * @returns {Promise<Object|null>} Saved state plus `running`, or null if there is none
+ */
+export async function readDaemonState() {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(getDaemonStatePath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+  return { ...state, running: !state.stoppedAt && isProcessRunning(state.pid) };
+}
+
+/**
+ * Writes the daemon's health file
+ * Written beside the final path and renamed so readers never see half a file.
+ * @async
+ * @param {Object} state - State to save
+ * @returns {Promise<void>}
+ */
+export async function writeDaemonState(state) {
+  const statePath = getDaemonStatePath();
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(`${statePath}.tmp`, `${JSON.stringify(state, null, 2)}\n`);
+  await fs.rename(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Checks whether a camera's slots are exported from recordings
+ * Those slots are captured a little late so the footage has been written.
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Application configuration
+ * @returns {boolean} True if the camera's source backfills from recordings
+ */
+function usesRecordings(camera, config) {
+  try {
+    return createCameraSource(camera, config).capabilities.backfill;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Finds the cameras whose next capture comes first
+ * Each camera looks for its next slot after the last one it captured, so a
+ * slot whose capture waits for recordings is not passed over. Cameras without
+ * a recent last slot only look back as far as STALE_SLOT_MS.
+ * @param {Object} config - Application configuration
+ * @param {Object} settings - Resolved daemon settings
+ * @param {Map<string, Date>} lastSlots - Last captured slot (or catch-up time) per camera ID
+ * @param {Date} now - Current time
+ * @returns {{slot: Date, at: Date, cameras: Array<Object>}|null} Earliest capture, or null if none is scheduled
+ */
+export function planNextCapture(config, settings, lastSlots, now) {
+  let plan = null;
+
+  for (const camera of config.cameras || []) {
+    const schedule = getCameraSchedule(config, camera);
+    if (!validateSchedule(schedule).isValid) {
+      continue;
+    }
+
+    const last = lastSlots.get(camera.id);
+    const after =
+      last && now.getTime() - last.getTime() < STALE_SLOT_MS
+        ? last
+        : new Date(now.getTime() - STALE_SLOT_MS);
+
+    let slot;
+    try {
+      slot =
+        getNextCaptureTime(schedule, config.location, after) ??
+        getNextCaptureTime(schedule, config.location, now);
+    } catch {
+      continue;
+    }
+    if (!slot) {
+      continue;
+    }
+
+    const delayMs = usesRecordings(camera, config)
+      ? settings.recordingDelaySeconds * 1000
+      : 0;
+    const at = new Date(slot.getTime() + delayMs);
+
+    if (!plan || at < plan.at) {
+      plan = { slot, at, cameras: [camera] };
+    } else if (at.getTime() === plan.at.getTime()) {
+      plan.cameras.push(camera);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Sleeps until the time passes or the signal aborts
+ * @async
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Aborts the sleep
+ * @returns {Promise<void>}
+ */
+async function sleep(ms, signal) {
+  try {
+    await delay(ms, undefined, { signal });
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Captures a camera's due slot through the regular capture pipeline
+ * Live sources grab the slot now. Recorded sources export just that slot and
+ * the slots waiting on the retry-later list; without a slot they run the
+ * usual backfill pass over every gap. Slots already in the ledger are not
+ * requested again.
+ * @async
+ * @param {Object} config - Application configuration
+ * @param {Object} camera - Camera to capture
+ * @param {Date|null} slot - Slot to capture, or null to backfill
+ * @returns {Promise<{capturedCount: number}>} Capture statistics
+ * @throws {Error} If the camera can't be captured
+ */
+async function captureCamera(config, camera, slot) {
+  const { fetchMissingSnapshots } = await import("./capture-and-timelapse.js");
+  return fetchMissingSnapshots(config, camera, slot ? { slot } : {});
+}
+
+/**
+ * Regenerates every camera's videos in a child process
+ * @async
+ * @param {AbortSignal} signal - Stops the child with SIGTERM
+ * @returns {Promise<void>}
+ * @throws {Error} If video generation fails
+ */
+async function regenerateVideos(signal) {
+  const script = path.join(__dirname, "generate-videos-only.js");
+  const flags = process.argv.filter(
+    (arg) => arg === "-v" || arg === "--verbose",
+  );
+
+  await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...flags], {
+      stdio: "inherit",
+      env: process.env,
+      signal,
+      killSignal: "SIGTERM",
+    });
+
+    child.on("close", (code) => {
+      if (code === 0 || signal.aborted) {
+        resolve();
+      } else {
+        reject(new Error(`Video generation exited with code ${code}`));
+      }
+    });
+
+    // Aborting also reports an error; the close event settles the promise
+    child.on("error", (error) => {
+      if (error.name !== "AbortError") {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Scheduler that captures each slot on time and regenerates videos periodically
+ */
+export class CaptureDaemon {
+  /**
+   * @param {Object} config - Application configuration
+   * @param {Object} [options] - Overrides, mainly for tests
+   * @param {function(Object, Object, Date|null): Promise<Object>} [options.captureCamera] - Captures one camera's slot, or backfills it
+   * @param {function(AbortSignal): Promise<void>} [options.regenerateVideos] - Regenerates all videos
+   * @param {function(): Date} [options.now] - Clock
+   * @param {function(number, AbortSignal): Promise<void>} [options.sleep] - Sleeps for a number of milliseconds
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.settings = resolveDaemonSettings(config.daemon);
+    this.captureCamera = options.captureCamera || captureCamera;
+    this.regenerateVideos = options.regenerateVideos || regenerateVideos;
+    this.now = options.now || (() => new Date());
+    this.sleep = options.sleep || sleep;
+
+    this.controller = new AbortController();
+    this.lastSlots = new Map();
+    this.videoRun = null;
+    this.newSnapshots = true;
+    this.state = null;
+  }
+
+  /**
+   * Whether stop() has been called
+   * @type {boolean}
+   */
+  get stopping() {
+    return this.controller.signal.aborted;
+  }
+
+  /**
+   * Asks the daemon to stop
+   * A capture in progress is finished first; video generation is interrupted.
+   * @returns {void}
+   */
+  stop() {
+    this.controller.abort();
+  }
+
+  /**
+   * Runs until stop() is called
+   * Starts with a catch-up capture of every camera, then sleeps from slot to
+   * slot.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async run() {
+    const startedAt = this.now();
+    this.state = {
+      pid: process.pid,
+      startedAt: startedAt.toISOString(),
+      heartbeatAt: startedAt.toISOString(),
+      nextCapture: null,
+      lastCapture: null,
+      lastVideos: null,
+      lastError: null,
+      stoppedAt: null,
+    };
+    await writeDaemonState(this.state);
+
+    const cameras = this.config.cameras || [];
+    console.log(
+      `[${startedAt.toISOString()}] 🛰️  Daemon started (pid ${process.pid}) for ${cameras.length} camera(s)`,
+    );
+
+    // Anything missed while the daemon was not running is backfilled first
+    for (const camera of cameras) {
+      this.lastSlots.set(camera.id, startedAt);
+    }
+    await this.capture(cameras, null);
+
+    const videoIntervalMs = this.settings.videoIntervalMinutes * MINUTE_MS;
+    let nextVideosAt = this.now();
+    let nextBackfillAt = new Date(startedAt.getTime() + videoIntervalMs);
+
+    while (!this.stopping) {
+      const now = this.now();
+
+      if (videoIntervalMs > 0 && now >= nextVideosAt) {
+        nextVideosAt = new Date(now.getTime() + videoIntervalMs);
+
+        // Slot captures only export their own slot, so gaps in recorded
+        // cameras (downtime, failed exports) are backfilled here
+        if (now >= nextBackfillAt) {
+          nextBackfillAt = nextVideosAt;
+          const recorded = cameras.filter((camera) =>
+            usesRecordings(camera, this.config),
+          );
+          if (recorded.length > 0) {
+            await this.capture(recorded, null);
+          }
+        }
+
+        if (!this.videoRun && this.newSnapshots) {
+          this.startVideos();
+        }
+      }
+
+      const plan = planNextCapture(
+        this.config,
+        this.settings,
+        this.lastSlots,
+        now,
+      );
+
+      if (plan && plan.at <= now) {
+        await this.capture(plan.cameras, plan.slot);
+        continue;
+      }
+
+      const nextCapture = plan
+        ? {
+            slot: plan.slot.toISOString(),
+            at: plan.at.toISOString(),
+            cameras: plan.cameras.map((camera) => camera.name),
+          }
+        : null;
+      if (nextCapture?.slot !== this.state.nextCapture?.slot) {
+        console.log(
+          nextCapture
+            ? `[${now.toISOString()}] 🕒 Next capture: ${plan.slot.toLocaleString()} (${nextCapture.cameras.join(", ")})`
+            : `[${now.toISOString()}] 🕒 No captures scheduled today or tomorrow`,
+        );
+      }
+      this.state.nextCapture = nextCapture;
+      this.state.heartbeatAt = now.toISOString();
+      await writeDaemonState(this.state);
+
+      let wakeAt = plan ? plan.at.getTime() : Infinity;
+      if (videoIntervalMs > 0) {
+        wakeAt = Math.min(wakeAt, nextVideosAt.getTime());
+      }
+      await this.sleep(
+        Math.max(0, Math.min(wakeAt - now.getTime(), MAX_NAP_MS)),
+        this.controller.signal,
+      );
+    }
+
+    await this.videoRun;
+
+    const stoppedAt = this.now();
+    this.state.nextCapture = null;
+    this.state.stoppedAt = stoppedAt.toISOString();
+    await writeDaemonState(this.state);
+    console.log(`[${stoppedAt.toISOString()}] 👋 Daemon stopped`);
+  }
+
+  /**
+   * Captures a slot for each camera, one after another
+   * A failing camera is logged and recorded; the others still run.
+   * @async
+   * @param {Array<Object>} cameras - Cameras to capture
+   * @param {Date|null} slot - Slot being captured, or null to backfill
+   * @returns {Promise<void>}
+   */
+  async capture(cameras, slot) {
+    const failed = [];
+
+    for (const camera of cameras) {
+      if (slot) {
+        this.lastSlots.set(camera.id, slot);
+      }
+      if (this.stopping) {
+        continue;
+      }
+
+      try {
+        const result = await this.captureCamera(this.config, camera, slot);
+        if (result?.capturedCount > 0) {
+          this.newSnapshots = true;
+        }
+      } catch (error) {
+        failed.push(camera.name);
+        this.recordError(`${camera.name}: ${error.message}`);
+      }
+    }
+
+    this.state.lastCapture = {
+      slot: slot ? slot.toISOString() : null,
+      at: this.now().toISOString(),
+      cameras: cameras.map((camera) => camera.name),
+      failed,
+    };
+    await writeDaemonState(this.state);
+  }
+
+  /**
+   * Starts video regeneration in the background
+   * @returns {void}
+   */
+  startVideos() {
+    this.newSnapshots = false;
+    console.log(`[${this.now().toISOString()}] 🎬 Regenerating videos...`);
+
+    this.videoRun = this.regenerateVideos(this.controller.signal)
+      .then(() => {
+        if (!this.stopping) {
+          this.state.lastVideos = this.now().toISOString();
+        }
+      })
+      .catch((error) => {
+        // Try again at the next interval
+        this.newSnapshots = true;
+        this.recordError(error.message);
+      })
+      .finally(() => {
+        this.videoRun = null;
+      });
+  }
+
+  /**
+   * Logs an error and keeps it in the health file
+   * @param {string} message - Error message
+   * @returns {void}
+   */
+  recordError(message) {
+    const at = this.now().toISOString();
+    console.error(`[${at}] ❌ ${message}`);
+    this.state.lastError = { message, at };
+  }
+}
+
+/**
+ * Runs the daemon until SIGTERM or SIGINT
+ * Refuses to start when the health file names another running daemon.
+ * @async
+ * @param {Object} config - Application configuration
+ * @returns {Promise<void>}
+ * @throws {Error} If another daemon is already running
+ */
+export async function runDaemon(config) {
+  const existing = await readDaemonState();
+  if (existing?.running && existing.pid !== process.pid) {
+    throw new Error(`Daemon already running (pid ${existing.pid})`);
+  }
+
+  const daemon = new CaptureDaemon(config);
+  const shutdown = (signal) => {
+    console.log(`\n${signal} received, finishing the current capture...`);
+    daemon.stop();
+  };
+  process.once("SIGTERM", shutdown);
+  process.once("SIGINT", shutdown);
+
+  try {
+    await daemon.run();
+  } finally {
+    process.removeListener("SIGTERM", shutdown);
+    process.removeListener("SIGINT", shutdown);
+  }
+}
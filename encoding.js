@@ -0,0 +1,1171 @@
+/**
+ * @file encoding.js
+ * @description Video encoding for daily videos, full timelapses and time-based timelapses
+ * Every ffmpeg encode is described as an EncodeJob (inputs, filters, codec profile, output)
+ * so the capture script, generate-videos-only.js and other scripts render the same way
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+import {
+  loadLedger,
+  syncLedgerWithDirectory,
+  getCapturedFilenames,
+} from "./ledger.js";
+import { getCameraSchedule } from "./config.js";
+import { getScheduleTimezone } from "./scheduling.js";
+import { resolveWeatherSettings, filterSnapshotsByWeather } from "./weather.js";
+import {
+  resolveFrameQuality,
+  analyzeSnapshots,
+  filterFramesByQuality,
+} from "./frame-quality.js";
+import {
+  getAvailableEncoders,
+  resolveEncodingProfile,
+  describeProfile,
+  validateEncodingProfiles,
+} from "./video-profiles.js";
+import {
+  resolveExportFormat,
+  planExport,
+  validateExportFormats,
+} from "./export-formats.js";
+import {
+  OVERLAY_METADATA_KEY,
+  resolveOverlay,
+  getOverlayText,
+  buildOverlayFilter,
+  validateOverlays,
+} from "./overlay.js";
+import {
+  resolveStabilization,
+  getStabilizationReference,
+  analyzeStabilization,
+  writeTransformFile,
+  buildStabilizationFilters,
+  validateStabilization,
+} from "./stabilization.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Check for verbose flag for detailed output
+const isVerbose =
+  process.argv.includes("-v") || process.argv.includes("--verbose");
+
+/**
+ * Resolution used when no snapshot can be probed
+ * @type {{width: number, height: number}}
+ */
+export const DEFAULT_RESOLUTION = { width: 1920, height: 1080 };
+
+/**
+ * Copies streams without re-encoding (used to join daily videos)
+ * @type {Object}
+ */
+export const STREAM_COPY = { codec: "copy" };
+
+/**
+ * Gets the snapshot and timelapse directories for a camera
+ * @param {Object} camera - Camera configuration
+ * @returns {{snapshotDir: string, timelapseDir: string}} Directories
+ */
+export function getCameraDirs(camera) {
+  const snapshotDir = camera.snapshotDir || path.join(__dirname, "snapshots");
+  const timelapseDir =
+    camera.timelapseDir || path.join(path.dirname(snapshotDir), "timelapses");
+  return { snapshotDir, timelapseDir };
+}
+
+/**
+ * Resolves a camera's video settings over the global videoDefaults
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Full configuration for defaults
+ * @returns {{fps: number, quality: number, interpolate: boolean, profile: string|Object|null, formats: Array, overlay: Object|null, stabilize: Object|null}} Video settings
+ * @throws {Error} If the overlay or stabilization settings are invalid
+ */
+export function resolveVideoSettings(camera, config) {
+  const fps = camera.video?.fps ?? config.videoDefaults?.fps ?? 24;
+  return {
+    fps: fps > 0 ? fps : 1,
+    quality: camera.video?.quality ?? config.videoDefaults?.quality ?? 1,
+    interpolate:
+      camera.video?.interpolate ?? config.videoDefaults?.interpolate ?? true,
+    profile: camera.video?.profile ?? config.videoDefaults?.profile ?? null,
+    formats: camera.video?.formats ?? config.videoDefaults?.formats ?? [],
+    overlay: resolveOverlay(
+      camera.video?.overlay ?? config.videoDefaults?.overlay ?? null,
+    ),
+    stabilize: resolveStabilization(
+      camera.video?.stabilize ?? config.videoDefaults?.stabilize ?? null,
+    ),
+  };
+}
+
+/**
+ * Creates the H.264 codec profile used for snapshot videos
+ * @param {Object} settings - Video settings
+ * @param {number} settings.fps - Output frame rate
+ * @param {number} settings.quality - CRF value
+ * @returns {Object} Codec profile
+ */
+export function createH264Profile({ fps, quality }) {
+  return {
+    codec: "libx264",
+    codecName: "h264",
+    preset: "slow", // Slow preset for better compression
+    crf: quality,
+    fps,
+    pixelFormat: "yuv420p", // Pixel format for compatibility
+  };
+}
+
+/**
+ * Creates the codec profile for a camera's video settings
+ * Without a named profile, videos are H.264 at the `quality` CRF
+ * @async
+ * @param {Object} settings - Video settings from resolveVideoSettings
+ * @returns {Promise<Object>} Codec profile for EncodeJob
+ * @throws {Error} If the profile is unknown or ffmpeg can't encode it
+ */
+export async function createCodecProfile(settings) {
+  if (!settings.profile) {
+    return createH264Profile(settings);
+  }
+  return resolveEncodingProfile(settings.profile, {
+    fps: settings.fps,
+    encoders: await getAvailableEncoders(),
+  });
+}
+
+/**
+ * Checks a configuration's video settings before anything is rendered
+ * Capture doesn't need an encoder, so this runs where videos are rendered
+ * rather than when the config is loaded
+ * @async
+ * @param {Object} config - Configuration with defaults applied
+ * @returns {Promise<void>}
+ * @throws {Error} If a selected profile, format, overlay or stabilization
+ * setting is invalid or ffmpeg can't render it
+ */
+export async function validateVideoSettings(config) {
+  await validateEncodingProfiles(config);
+  await validateExportFormats(config);
+  validateOverlays(config);
+  await validateStabilization(config);
+}
+
+/**
+ * Builds the filter chain that fits frames into one resolution
+ * Frames are scaled to fit and padded, with optional motion interpolation first
+ * and an optional text overlay
+ * @param {Object} options - Filter options
+ * @param {number} options.width - Output width
+ * @param {number} options.height - Output height
+ * @param {number} options.fps - Output frame rate
+ * @param {boolean} [options.interpolate=false] - Add motion interpolation
+ * @param {Object|null} [options.overlay=null] - Overlay settings from resolveOverlay
+ * @returns {Array<string>} ffmpeg video filters
+ */
+export function buildFrameFilters({
+  width,
+  height,
+  fps,
+  interpolate = false,
+  overlay = null,
+}) {
+  const filters = [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+  ];
+  const interpolation = `minterpolate=fps=${fps}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1`;
+
+  if (overlay) {
+    filters.push(buildOverlayFilter(overlay, { height }));
+    // minterpolate drops frame metadata, so the text is drawn before it
+    if (interpolate) {
+      filters.push(interpolation);
+    }
+  } else if (interpolate) {
+    filters.unshift(interpolation);
+  }
+
+  return filters;
+}
+
+/**
+ * Describes a concat demuxer input
+ * @param {string} listPath - Path to the ffconcat/concat list
+ * @returns {Object} EncodeJob input
+ */
+export function concatInput(listPath) {
+  return { path: listPath, format: "concat", options: ["-safe", "0"] };
+}
+
+/**
+ * One ffmpeg encode: inputs, a video filter chain, a codec profile and an output
+ */
+export class EncodeJob {
+  /**
+   * @param {Object} job - Job description
+   * @param {Array<Object>} job.inputs - Inputs as {path, format?, options?}
+   * @param {Array<string>} [job.filters] - Video filters, applied in order
+   * @param {Object} job.profile - Codec profile (see createCodecProfile, STREAM_COPY)
+   * @param {string} job.output - Output path
+   * @param {Object<string, string>} [job.metadata] - Container metadata tags, e.g. {comment: "..."}
+   */
+  constructor({ inputs, filters = [], profile, output, metadata = {} }) {
+    if (!inputs?.length) {
+      throw new Error("EncodeJob needs at least one input");
+    }
+    if (!profile?.codec) {
+      throw new Error("EncodeJob needs a codec profile");
+    }
+    if (!output) {
+      throw new Error("EncodeJob needs an output path");
+    }
+    if (profile.codec === "copy" && filters.length > 0) {
+      throw new Error("Filters can't be applied while copying streams");
+    }
+
+    this.inputs = inputs;
+    this.filters = filters;
+    this.profile = profile;
+    this.output = output;
+    this.metadata = metadata;
+  }
+
+  /**
+   * Builds the ffmpeg arguments for this job
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.verbose] - Keep ffmpeg's full log output
+   * @returns {Array<string>} ffmpeg arguments
+   */
+  buildArgs({ verbose = isVerbose } = {}) {
+    const args = verbose ? [] : ["-loglevel", "error", "-stats"];
+
+    for (const input of this.inputs) {
+      if (input.format) {
+        args.push("-f", input.format);
+      }
+      args.push(...(input.options ?? []), "-i", input.path);
+    }
+
+    const {
+      codec,
+      preset,
+      presetFlag = "-preset",
+      crf,
+      fps,
+      pixelFormat,
+    } = this.profile;
+    if (codec === "copy") {
+      args.push("-c", "copy"); // No re-encoding, just copy streams
+    } else {
+      args.push("-c:v", codec);
+      if (preset !== undefined) args.push(presetFlag, String(preset));
+      if (crf !== undefined) args.push("-crf", String(crf));
+      args.push(...(this.profile.args ?? []));
+    }
+
+    if (this.filters.length > 0) {
+      args.push("-vf", this.filters.join(","));
+    }
+    if (fps !== undefined) args.push("-r", String(fps));
+    if (pixelFormat) args.push("-pix_fmt", pixelFormat);
+    for (const [key, value] of Object.entries(this.metadata)) {
+      args.push("-metadata", `${key}=${value}`);
+    }
+
+    args.push("-y", this.output);
+    return args;
+  }
+
+  /**
+   * Runs ffmpeg for this job
+   * @async
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.verbose] - Show ffmpeg's full log output
+   * @param {AbortSignal} [options.signal] - Stops ffmpeg when aborted
+   * @returns {Promise<{output: string, size: number}>} Output path and size in bytes
+   * @throws {Error} If ffmpeg fails
+   */
+  async run({ verbose = isVerbose, signal } = {}) {
+    await fs.mkdir(path.dirname(this.output), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn("ffmpeg", this.buildArgs({ verbose }), {
+        stdio: verbose ? "inherit" : ["pipe", "pipe", "inherit"],
+        signal,
+      });
+
+      ffmpeg.on("exit", (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}`));
+        } else {
+          resolve();
+        }
+      });
+
+      ffmpeg.on("error", reject);
+    });
+
+    const { size } = await fs.stat(this.output);
+    return { output: this.output, size };
+  }
+}
+
+/**
+ * Formats a file size in megabytes for progress output
+ * @param {number} size - Size in bytes
+ * @returns {string} Size such as "12.3MB"
+ */
+function formatSize(size) {
+  return `${(size / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+/**
+ * Describes a camera's encoding profile for progress output
+ * @param {Object} settings - Video settings from resolveVideoSettings
+ * @returns {string} Suffix such as ", archive profile", or "" without a profile
+ */
+function describeSettingsProfile(settings) {
+  return settings.profile
+    ? `, ${describeProfile(settings.profile)} profile`
+    : "";
+}
+
+/**
+ * Writes an ffconcat list that shows each frame for 1/fps seconds
+ * Paths are relative to the list, so it belongs in the snapshot directory
+ * @async
+ * @param {string} listPath - Path of the list file
+ * @param {Array<string>} filenames - Frames in playback order
+ * @param {number} fps - Frame rate
+ * @param {Array<string>} [labels] - Overlay text for each frame, attached as frame metadata
+ * @returns {Promise<void>}
+ */
+export async function writeFrameList(listPath, filenames, fps, labels) {
+  const frameDuration = 1 / fps;
+  const lines = ["ffconcat version 1.0"];
+
+  filenames.forEach((filename, index) => {
+    lines.push(`file '${filename}'`);
+    if (labels) {
+      // The entry is unquoted twice: once as a directive argument, where
+      // quoting keeps the spaces, and again as a key=value pair
+      const text = labels[index]
+        .replace(/[\r\n]+/g, " ")
+        .replace(/[\\']/g, "\\$&");
+      const entry = `${OVERLAY_METADATA_KEY}=${text}`.replace(/'/g, "'\\''");
+      lines.push(`file_packet_metadata '${entry}'`);
+    }
+    if (index !== filenames.length - 1) {
+      lines.push(`duration ${frameDuration.toFixed(6)}`);
+    }
+  });
+
+  await fs.writeFile(listPath, `${lines.join("\n")}\n`);
+}
+
+/**
+ * Gets image dimensions using ffprobe
+ * Used to determine optimal video resolution
+ * @async
+ * @param {string} imagePath - Path to image file
+ * @returns {Promise<Object>} Object with width and height properties
+ * @returns {number} returns.width - Image width in pixels
+ * @returns {number} returns.height - Image height in pixels
+ * @throws {Error} If ffprobe fails
+ */
+export async function getImageDimensions(imagePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn(
+      "ffprobe",
+      [
+        "-v",
+        "error", // Suppress all output except errors
+        "-select_streams",
+        "v:0", // Select first video stream
+        "-show_entries",
+        "stream=width,height", // Get width and height
+        "-of",
+        "csv=s=x:p=0", // Output as WIDTHxHEIGHT
+        imagePath,
+      ],
+      {
+        stdio: ["pipe", "pipe", "pipe"],
+      },
+    );
+
+    let output = "";
+    ffprobe.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on("exit", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe exited with code ${code}`));
+      } else {
+        const [width, height] = output.trim().split("x").map(Number);
+        resolve({ width, height });
+      }
+    });
+
+    ffprobe.on("error", reject);
+  });
+}
+
+/**
+ * Finds the widest of the given snapshots so no frame is downscaled
+ * Falls back to DEFAULT_RESOLUTION when none can be probed
+ * @async
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Array<string>} filenames - Snapshots to probe
+ * @returns {Promise<{width: number, height: number}>} Output resolution
+ */
+export async function detectResolution(snapshotDir, filenames) {
+  let width = 0;
+  let height = 0;
+
+  for (const filename of filenames) {
+    try {
+      const dimensions = await getImageDimensions(
+        path.join(snapshotDir, filename),
+      );
+      if (dimensions.width > width) {
+        width = dimensions.width;
+        height = dimensions.height;
+      }
+    } catch (error) {
+      if (isVerbose) {
+        console.error(
+          `Error getting dimensions for ${filename}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  return width > 0 ? { width, height } : { ...DEFAULT_RESOLUTION };
+}
+
+/**
+ * Measures any new snapshots and writes the transform file for one video
+ * A failure is reported and the video is rendered without stabilization
+ * @async
+ * @param {Object} camera - Camera configuration
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Array<string>} filenames - Snapshots in playback order
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @param {string} transformsPath - Path of the .trf file to write
+ * @returns {Promise<Array<string>>} Stabilization filters, or none if it failed
+ */
+async function prepareStabilization(
+  camera,
+  snapshotDir,
+  filenames,
+  settings,
+  transformsPath,
+) {
+  try {
+    const { cache, measured } = await analyzeStabilization(
+      camera.id,
+      snapshotDir,
+      filenames,
+      settings,
+      getImageDimensions,
+    );
+    if (measured > 0) {
+      console.log(`Stabilization: measured ${measured} new snapshot(s)`);
+    }
+    await writeTransformFile(transformsPath, cache, filenames);
+    return buildStabilizationFilters(settings, {
+      transformsPath,
+      width: cache.reference.width,
+      height: cache.reference.height,
+    });
+  } catch (error) {
+    console.error(
+      `⚠️  Stabilization failed, rendering without it: ${error.message}`,
+    );
+    return [];
+  }
+}
+
+/**
+ * Renders snapshots into one video at the camera's frame rate and quality
+ * @async
+ * @param {Object} options - Render options
+ * @param {string} options.snapshotDir - Directory containing snapshots
+ * @param {Array<string>} options.filenames - Snapshots in playback order
+ * @param {string} options.output - Output video path
+ * @param {Object} options.settings - Video settings from resolveVideoSettings
+ * @param {Object} [options.profile] - Codec profile (defaults to createCodecProfile(settings))
+ * @param {Array<string>} [options.probe] - Snapshots probed for resolution (default all)
+ * @param {Object} [options.camera] - Camera configuration (overlay name and stabilization cache)
+ * @param {Object<string, string>} [options.metadata] - Container metadata tags for the video
+ * @returns {Promise<{output: string, size: number, width: number, height: number}>} Result
+ * @throws {Error} If ffmpeg fails
+ */
+export async function renderSnapshots({
+  snapshotDir,
+  filenames,
+  output,
+  settings,
+  profile,
+  probe = filenames,
+  camera = {},
+  metadata,
+}) {
+  const codecProfile = profile ?? (await createCodecProfile(settings));
+  const { width, height } = await detectResolution(snapshotDir, probe);
+
+  // One list per output so concurrent renders don't overwrite each other
+  const { name } = path.parse(output);
+  const listPath = path.join(snapshotDir, `filelist-${name}.txt`);
+  const transformsPath = path.join(snapshotDir, `transforms-${name}.trf`);
+
+  try {
+    // Frames are aligned before anything else touches them
+    const stabilization = settings.stabilize
+      ? await prepareStabilization(
+          camera,
+          snapshotDir,
+          filenames,
+          settings.stabilize,
+          transformsPath,
+        )
+      : [];
+
+    const labels = settings.overlay
+      ? filenames.map((filename) =>
+          getOverlayText(filename, settings.overlay, camera.name || camera.id),
+        )
+      : undefined;
+    await writeFrameList(listPath, filenames, settings.fps, labels);
+
+    const job = new EncodeJob({
+      inputs: [concatInput(listPath)],
+      filters: [
+        ...stabilization,
+        ...buildFrameFilters({ width, height, ...settings }),
+      ],
+      profile: codecProfile,
+      output,
+      // The fingerprint would claim the frames were aligned, so it is left
+      // out and the next run tries again
+      metadata:
+        settings.stabilize && stabilization.length === 0 ? {} : metadata,
+    });
+
+    const { size } = await job.run();
+    return { output, size, width, height };
+  } finally {
+    await fs.unlink(listPath).catch(() => {
+      // Ignore error if file doesn't exist
+    });
+    await fs.unlink(transformsPath).catch(() => {});
+  }
+}
+
+/**
+ * Analyzes snapshot distribution to determine timelapse generation strategy
+ * Returns object with daily videos (>2 frames/day) and time-based groups (≤2 frames/day)
+ * @async
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Array<string>} [snapshotFiles] - Captured snapshots from the ledger (defaults to a directory listing)
+ * @returns {Promise<Object>} Object with dailyVideos array and timeGroups array
+ */
+export async function analyzeSnapshotDistribution(snapshotDir, snapshotFiles) {
+  const files = snapshotFiles ?? (await fs.readdir(snapshotDir));
+  const snapshots = files.filter((f) => f.endsWith(".jpg"));
+
+  // Group snapshots by date
+  const byDate = new Map();
+  for (const filename of snapshots) {
+    const match = filename.match(/^(\d{4}-\d{2}-\d{2})_(\d{4})\.jpg$/);
+    if (match) {
+      const [, date, time] = match;
+      if (!byDate.has(date)) {
+        byDate.set(date, []);
+      }
+      byDate.get(date).push({ filename, date, time });
+    }
+  }
+
+  // Separate into daily videos (>2 frames) and time-based groups (≤2 frames)
+  const dailyVideos = [];
+  const timeBasedSnapshots = [];
+
+  for (const [date, dateSnapshots] of byDate) {
+    if (dateSnapshots.length > 2) {
+      // Sort by time for chronological daily video
+      dateSnapshots.sort((a, b) => a.time.localeCompare(b.time));
+      dailyVideos.push({ date, snapshots: dateSnapshots });
+    } else {
+      // Add to time-based pool
+      timeBasedSnapshots.push(...dateSnapshots);
+    }
+  }
+
+  dailyVideos.sort((a, b) => a.date.localeCompare(b.date));
+
+  // Group time-based snapshots by time slot
+  const timeBasedGroups = new Map();
+  for (const snapshot of timeBasedSnapshots) {
+    if (!timeBasedGroups.has(snapshot.time)) {
+      timeBasedGroups.set(snapshot.time, []);
+    }
+    timeBasedGroups.get(snapshot.time).push(snapshot);
+  }
+
+  // Convert to sorted array
+  const timeGroups = Array.from(timeBasedGroups.entries())
+    .map(([time, snapshots]) => ({
+      time,
+      hour: parseInt(time.slice(0, 2), 10),
+      minute: parseInt(time.slice(2, 4), 10),
+      snapshots: snapshots.sort((a, b) => a.date.localeCompare(b.date)),
+    }))
+    .sort((a, b) => a.time.localeCompare(b.time));
+
+  return { dailyVideos, timeGroups };
+}
+
+/**
+ * Reads one entry of a video's first video stream or container using ffprobe
+ * @async
+ * @param {string} videoPath - Path to video file
+ * @param {string} entry - ffprobe -show_entries value, e.g. "stream=codec_name"
+ * @returns {Promise<string>} Entry value, or "" if the video has none
+ * @throws {Error} If ffprobe fails
+ */
+async function probeVideoEntry(videoPath, entry) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn(
+      "ffprobe",
+      [
+        "-v",
+        "error",
+        "-select_streams",
+        "v:0",
+        "-show_entries",
+        entry,
+        "-of",
+        "csv=p=0",
+        videoPath,
+      ],
+      { stdio: ["ignore", "pipe", "pipe"] },
+    );
+
+    let output = "";
+    ffprobe.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on("exit", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe exited with code ${code}`));
+      } else {
+        resolve(output.trim());
+      }
+    });
+
+    ffprobe.on("error", reject);
+  });
+}
+
+/**
+ * Gets the codec of a video's first video stream using ffprobe
+ * @async
+ * @param {string} videoPath - Path to video file
+ * @returns {Promise<string>} ffprobe codec name, e.g. "h264" or "hevc"
+ * @throws {Error} If ffprobe fails
+ */
+export async function getVideoCodec(videoPath) {
+  return probeVideoEntry(videoPath, "stream=codec_name");
+}
+
+/**
+ * Gets the render fingerprint stored in a video's comment tag
+ * @async
+ * @param {string} videoPath - Path to video file
+ * @returns {Promise<string>} Comment, or "" if the video has none
+ * @throws {Error} If ffprobe fails
+ */
+export async function getVideoComment(videoPath) {
+  return probeVideoEntry(videoPath, "format_tags=comment");
+}
+
+/**
+ * Fingerprints everything that changes how a daily video looks
+ * Daily videos are joined without re-encoding, so one made with other
+ * settings (including another codec) or other frames is rendered again.
+ * Frames left out by the weather or frame quality filters are older than the
+ * video, so the frame list is part of the fingerprint
+ * @param {Object} settings - Video settings from resolveVideoSettings
+ * @param {Object} profile - Codec profile the video is encoded with
+ * @param {Object} [options] - Options
+ * @param {Object} [options.camera] - Camera configuration (the overlay's {camera} text)
+ * @param {Object} [options.reference] - Stabilization reference from getStabilizationReference
+ * @param {Array<string>} [options.filenames] - Snapshots in the video
+ * @returns {string} Fingerprint for the video's comment tag
+ */
+export function getRenderFingerprint(
+  settings,
+  profile,
+  { camera = {}, reference = null, filenames = [] } = {},
+) {
+  const key = {
+    filenames,
+    fps: settings.fps,
+    interpolate: settings.interpolate,
+    profile,
+    overlay: settings.overlay && {
+      ...settings.overlay,
+      camera: camera.name || camera.id || "",
+    },
+    stabilize: settings.stabilize && { ...settings.stabilize, reference },
+  };
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(key))
+    .digest("hex");
+  return `lawn-lapse:${hash.slice(0, 16)}`;
+}
+
+/**
+ * Checks whether a video is newer than every snapshot it was made from
+ * and was rendered with the same settings
+ * @async
+ * @param {string} outputPath - Video path
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Array<string>} filenames - Snapshots in the video
+ * @param {string} fingerprint - Fingerprint from getRenderFingerprint
+ * @returns {Promise<boolean>} True if the video can be reused
+ */
+async function isVideoUpToDate(
+  outputPath,
+  snapshotDir,
+  filenames,
+  fingerprint,
+) {
+  try {
+    const videoStats = await fs.stat(outputPath);
+
+    // Find the latest snapshot modification time
+    let latestSnapshotMtime = 0;
+    for (const filename of filenames) {
+      const snapshotStats = await fs.stat(path.join(snapshotDir, filename));
+      latestSnapshotMtime = Math.max(
+        latestSnapshotMtime,
+        snapshotStats.mtime.getTime(),
+      );
+    }
+
+    if (videoStats.mtime.getTime() <= latestSnapshotMtime) {
+      return false;
+    }
+    return (await getVideoComment(outputPath)) === fingerprint;
+  } catch {
+    // Video doesn't exist or can't be stat'd, proceed with generation
+    return false;
+  }
+}
+
+/**
+ * Generates a daily video from snapshots taken throughout a single day
+ * Reuses the existing video when it is newer than all of its snapshots and
+ * was rendered with the same settings
+ * @async
+ * @param {Object} dailyVideo - Object with date and snapshots array
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {string} timelapseDir - Directory to save timelapse
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Full configuration for defaults
+ * @returns {Promise<string>} Path of the daily video
+ */
+export async function generateDailyVideo(
+  dailyVideo,
+  snapshotDir,
+  timelapseDir,
+  camera,
+  config,
+) {
+  const { date, snapshots } = dailyVideo;
+  const filenames = snapshots.map((snapshot) => snapshot.filename);
+  const outputPath = path.join(timelapseDir, `${date}.mp4`);
+  const settings = resolveVideoSettings(camera, config);
+  const profile = await createCodecProfile(settings);
+  // A missing reference is reported when the video is rendered
+  const reference = settings.stabilize
+    ? await getStabilizationReference(
+        camera.id,
+        snapshotDir,
+        filenames,
+        settings.stabilize,
+      ).catch(() => null)
+    : null;
+  const fingerprint = getRenderFingerprint(settings, profile, {
+    camera,
+    reference,
+    filenames,
+  });
+
+  if (await isVideoUpToDate(outputPath, snapshotDir, filenames, fingerprint)) {
+    console.log(`\n✓ Using cached daily video for ${date}`);
+    console.log(`  ${snapshots.length} snapshots (cache is up-to-date)`);
+    return outputPath;
+  }
+
+  console.log(`\nGenerating daily video for ${date}...`);
+  console.log(`Found ${snapshots.length} snapshots`);
+
+  // A day's snapshots share one resolution, so only the first is probed
+  const { size, width, height } = await renderSnapshots({
+    snapshotDir,
+    filenames,
+    output: outputPath,
+    settings,
+    profile,
+    probe: filenames.slice(0, 1),
+    camera,
+    metadata: { comment: fingerprint },
+  });
+
+  console.log(`✓ Daily video created: ${outputPath} (${formatSize(size)})`);
+  console.log(`  ${snapshots.length} snapshots from ${date}`);
+  console.log(
+    `  Resolution: ${width}x${height} @ ${settings.fps}fps${settings.interpolate ? " (interpolated)" : ""}${describeSettingsProfile(settings)}`,
+  );
+
+  return outputPath;
+}
+
+/**
+ * Concatenates all daily videos into a full timelapse
+ * Uses ffmpeg concat demuxer for fast, lossless concatenation
+ * @async
+ * @param {string} timelapseDir - Directory containing daily videos
+ * @param {Array} dailyVideos - Array of daily video objects with dates
+ * @returns {Promise<string|null>} Path of the full timelapse, or null if there were no daily videos
+ */
+export async function concatenateDailyVideos(timelapseDir, dailyVideos) {
+  if (dailyVideos.length === 0) {
+    console.log("\nNo daily videos to concatenate");
+    return null;
+  }
+
+  console.log(`\nConcatenating ${dailyVideos.length} daily videos...`);
+
+  // Create concat list file
+  const concatListPath = path.join(timelapseDir, "concat-list.txt");
+  const lines = dailyVideos.map((dv) => `file '${dv.date}.mp4'`);
+  await fs.writeFile(concatListPath, lines.join("\n") + "\n");
+
+  // Generate output filename with date range
+  const firstDate = dailyVideos[0].date;
+  const lastDate = dailyVideos[dailyVideos.length - 1].date;
+  const outputPath = path.join(
+    timelapseDir,
+    `full-timelapse_${firstDate}_to_${lastDate}.mp4`,
+  );
+
+  const job = new EncodeJob({
+    inputs: [concatInput(concatListPath)],
+    profile: STREAM_COPY,
+    output: outputPath,
+  });
+
+  try {
+    const { size } = await job.run();
+    console.log(
+      `✓ Full timelapse created: ${outputPath} (${formatSize(size)})`,
+    );
+    console.log(
+      `  ${dailyVideos.length} days from ${firstDate} to ${lastDate}`,
+    );
+  } finally {
+    await fs.unlink(concatListPath).catch(() => {});
+  }
+
+  return outputPath;
+}
+
+/**
+ * Generates time-lapse video from collected snapshots
+ * Uses the snapshots taken at one time of day, at the largest resolution among them
+ * @async
+ * @param {Object} camera - Camera configuration containing snapshot directory.
+ * @param {Object} config - Full configuration for defaults.
+ * @param {number} captureHour - Hour of capture time
+ * @param {number} captureMinute - Minute of capture time
+ * @param {Array<string>} [snapshotFiles] - Captured snapshots from the ledger (defaults to a directory listing)
+ * @returns {Promise<string|null>} Path of the time-lapse, or null if no snapshots match
+ */
+export async function generateTimelapse(
+  camera,
+  config,
+  captureHour,
+  captureMinute,
+  snapshotFiles,
+) {
+  const { snapshotDir, timelapseDir } = getCameraDirs(camera);
+
+  const files = snapshotFiles ?? (await fs.readdir(snapshotDir));
+  const timeStr = `${String(captureHour).padStart(2, "0")}${String(captureMinute).padStart(2, "0")}`;
+
+  // Filter for snapshots at the specified time
+  const snapshots = files
+    .filter((f) => f.endsWith(".jpg") && f.includes(`_${timeStr}.jpg`))
+    .sort();
+
+  if (snapshots.length === 0) {
+    console.log("\nNo snapshots found for time-lapse generation");
+    return null;
+  }
+
+  console.log(`\nRegenerating time-lapse...`);
+  console.log(`Found ${snapshots.length} snapshots`);
+
+  // Build output filename with time and date range
+  const firstDate = snapshots[0].split("_")[0];
+  const lastDate = snapshots[snapshots.length - 1].split("_")[0];
+  const hourStr = `${timeStr.slice(0, 2)}h${timeStr.slice(2)}`;
+  const outputPath = path.join(
+    timelapseDir,
+    `timelapse_${hourStr}_${firstDate}_to_${lastDate}.mp4`,
+  );
+
+  const settings = resolveVideoSettings(camera, config);
+  const { size, width, height } = await renderSnapshots({
+    snapshotDir,
+    filenames: snapshots,
+    output: outputPath,
+    settings,
+    camera,
+  });
+
+  console.log(`✓ Time-lapse created: ${outputPath} (${formatSize(size)})`);
+  console.log(`  ${snapshots.length} days from ${firstDate} to ${lastDate}`);
+  console.log(
+    `  Resolution: ${width}x${height} @ ${settings.fps}fps${settings.interpolate ? " (interpolated)" : ""}${describeSettingsProfile(settings)}`,
+  );
+
+  await renderExports(settings.formats, {
+    snapshotDir,
+    filenames: snapshots,
+    videoPath: outputPath,
+    resolution: { width, height },
+  });
+
+  return outputPath;
+}
+
+/**
+ * Renders the extra formats (GIF, WebP, contact sheet) for a time-lapse
+ * from the same snapshots as its MP4. A failed export is reported and
+ * skipped so the MP4 still counts
+ * @async
+ * @param {Array<string|Object>} formats - Formats from the camera's video settings
+ * @param {Object} options - Options
+ * @param {string} options.snapshotDir - Directory containing snapshots
+ * @param {Array<string>} options.filenames - Snapshots in playback order
+ * @param {string} options.videoPath - MP4 the exports belong to
+ * @param {{width: number, height: number}} options.resolution - Resolution of the MP4
+ * @returns {Promise<Array<string>>} Paths of the exports written
+ */
+export async function renderExports(
+  formats,
+  { snapshotDir, filenames, videoPath, resolution },
+) {
+  if (formats.length === 0) {
+    return [];
+  }
+
+  const encoders = await getAvailableEncoders();
+  const outputs = [];
+
+  for (const entry of formats) {
+    let format = null;
+    try {
+      format = resolveExportFormat(entry);
+      const plan = planExport(format, {
+        filenames,
+        resolution,
+        videoPath,
+        encoders,
+      });
+
+      const listPath = path.join(
+        snapshotDir,
+        `filelist-${path.parse(plan.output).name}-${format.type}.txt`,
+      );
+      await writeFrameList(listPath, plan.filenames, plan.fps);
+
+      try {
+        const { size } = await new EncodeJob({
+          inputs: [concatInput(listPath)],
+          filters: [
+            ...buildFrameFilters({ width: plan.width, height: plan.height }),
+            ...plan.filters,
+          ],
+          profile: plan.profile,
+          output: plan.output,
+        }).run();
+
+        console.log(
+          `✓ ${format.label} created: ${plan.output} (${formatSize(size)})`,
+        );
+        outputs.push(plan.output);
+      } finally {
+        await fs.unlink(listPath).catch(() => {});
+      }
+    } catch (error) {
+      console.error(
+        `⚠️  ${format?.label ?? "Export"} failed: ${error.message}`,
+      );
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Picks the snapshots that go into a camera's videos
+ * Starts from the ledger's captured snapshots and leaves out frames tagged
+ * with filtered weather or below the frame quality thresholds
+ * @async
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Full configuration
+ * @returns {Promise<Array<string>>} Snapshot filenames
+ */
+export async function selectSnapshots(camera, config) {
+  const { snapshotDir } = getCameraDirs(camera);
+
+  const ledger = await loadLedger(camera.id);
+  await syncLedgerWithDirectory(
+    camera.id,
+    snapshotDir,
+    ledger,
+    getScheduleTimezone(getCameraSchedule(config, camera)),
+  );
+  const weatherFiltered = filterSnapshotsByWeather(
+    getCapturedFilenames(ledger),
+    ledger,
+    resolveWeatherSettings(config.weather),
+  );
+  let snapshotFiles = weatherFiltered.kept;
+  if (weatherFiltered.excluded > 0) {
+    console.log(
+      `\nWeather: leaving ${weatherFiltered.excluded} snapshot(s) out of the time-lapse`,
+    );
+  }
+
+  // New snapshots are scored once; dark, IR, blurry and obstructed
+  // frames are left out
+  const frameQuality = resolveFrameQuality(config.frameQuality);
+  if (frameQuality.enabled) {
+    const { scores, scored } = await analyzeSnapshots(
+      camera.id,
+      snapshotDir,
+      snapshotFiles,
+    );
+    if (scored > 0) {
+      console.log(`\nFrame quality: scored ${scored} new snapshot(s)`);
+    }
+    const { kept, excluded } = filterFramesByQuality(
+      snapshotFiles,
+      scores,
+      frameQuality,
+    );
+    if (excluded.length > 0) {
+      console.log(
+        `Frame quality: leaving ${excluded.length} snapshot(s) out of the time-lapse`,
+      );
+      if (isVerbose) {
+        for (const { filename, reasons } of excluded) {
+          console.log(`  - ${filename} (${reasons.join(", ")})`);
+        }
+      }
+    }
+    snapshotFiles = kept;
+  }
+
+  return snapshotFiles;
+}
+
+/**
+ * Renders every video for a camera
+ * Days with more than two snapshots become daily videos joined into a full
+ * timelapse; the remaining snapshots become one time-lapse per time of day
+ * @async
+ * @param {Object} camera - Camera configuration
+ * @param {Object} config - Full configuration
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.snapshotFiles] - Snapshots to use (defaults to selectSnapshots)
+ * @returns {Promise<{dailyVideos: number, timeGroups: number, outputs: Array<string>}>} Videos written or reused
+ */
+export async function renderTimelapses(camera, config, options = {}) {
+  const { snapshotDir, timelapseDir } = getCameraDirs(camera);
+  const snapshotFiles =
+    options.snapshotFiles ?? (await selectSnapshots(camera, config));
+
+  const { dailyVideos, timeGroups } = await analyzeSnapshotDistribution(
+    snapshotDir,
+    snapshotFiles,
+  );
+
+  console.log(
+    `\nAnalysis: ${dailyVideos.length} multi-capture days, ${timeGroups.length} time-based groups`,
+  );
+
+  const outputs = [];
+
+  // Generate daily videos for multi-capture days (>2 frames/day)
+  if (dailyVideos.length > 0) {
+    console.log(`\nGenerating ${dailyVideos.length} daily video(s)...`);
+    for (const dailyVideo of dailyVideos) {
+      outputs.push(
+        await generateDailyVideo(
+          dailyVideo,
+          snapshotDir,
+          timelapseDir,
+          camera,
+          config,
+        ),
+      );
+    }
+
+    // Concatenate all daily videos into full timelapse
+    outputs.push(await concatenateDailyVideos(timelapseDir, dailyVideos));
+  }
+
+  // Generate traditional time-based timelapses for single/double-capture days
+  if (timeGroups.length > 0) {
+    console.log(`\nGenerating ${timeGroups.length} time-based timelapse(s)...`);
+    for (const { hour, minute } of timeGroups) {
+      outputs.push(
+        await generateTimelapse(camera, config, hour, minute, snapshotFiles),
+      );
+    }
+  }
+
+  if (dailyVideos.length === 0 && timeGroups.length === 0) {
+    console.log("\nNo snapshots found for timelapse generation");
+  }
+
+  return {
+    dailyVideos: dailyVideos.length,
+    timeGroups: timeGroups.length,
+    outputs,
+  };
+}
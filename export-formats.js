@@ -0,0 +1,239 @@
+/**
+ * @file export-formats.js
+ * @description Extra output formats rendered next to each time-lapse MP4
+ * Animated GIF (palettegen/paletteuse), animated WebP and a contact sheet of
+ * evenly spaced frames, selected with `formats` in videoDefaults or a camera's video block
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import path from "path";
+
+import { getSelectedVideoSettings } from "./config.js";
+import { getAvailableEncoders } from "./video-profiles.js";
+
+/**
+ * Supported formats and their default settings. A camera lists formats by
+ * name, or as objects such as {type: "gif", width: 320} to change settings
+ * @type {Object<string, Object>}
+ */
+export const EXPORT_FORMATS = {
+  gif: {
+    label: "GIF",
+    width: 480,
+    fps: 10,
+    // Long time-lapses are thinned to this many evenly spaced frames
+    maxFrames: 150,
+    colors: 256,
+  },
+  webp: {
+    label: "WebP",
+    width: 640,
+    fps: 10,
+    maxFrames: 150,
+    quality: 75,
+  },
+  "contact-sheet": {
+    label: "Contact sheet",
+    frames: 12,
+    columns: 4,
+    tileWidth: 320,
+  },
+};
+
+// Encoders each format can use, in order of preference
+const FORMAT_ENCODERS = {
+  gif: ["gif"],
+  webp: ["libwebp_anim", "libwebp"],
+  "contact-sheet": ["mjpeg"],
+};
+
+/**
+ * Picks the first encoder for a format that ffmpeg supports
+ * @param {Object} format - Format settings from resolveExportFormat
+ * @param {Set<string>|null} encoders - Available encoders (null picks the first)
+ * @returns {string} Encoder name
+ * @throws {Error} If ffmpeg has no encoder for the format
+ */
+function pickEncoder(format, encoders) {
+  const candidates = FORMAT_ENCODERS[format.type];
+  const encoder = encoders
+    ? candidates.find((candidate) => encoders.has(candidate))
+    : candidates[0];
+  if (!encoder) {
+    throw new Error(
+      `${format.label} export needs ${candidates.join(" or ")}, which this ffmpeg build does not include`,
+    );
+  }
+  return encoder;
+}
+
+/**
+ * Merges a format entry over its defaults
+ * @param {string|Object} format - Format name or {type, ...settings}
+ * @returns {Object} Format settings including `type`
+ * @throws {Error} If the format is unknown
+ */
+export function resolveExportFormat(format) {
+  const type = typeof format === "string" ? format : format?.type;
+  if (!EXPORT_FORMATS[type]) {
+    throw new Error(
+      `Unknown export format "${type}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")})`,
+    );
+  }
+
+  const overrides = typeof format === "string" ? {} : format;
+  return { ...EXPORT_FORMATS[type], ...overrides, type };
+}
+
+/**
+ * Picks `count` items spread evenly from first to last
+ * @param {Array} items - Items in order
+ * @param {number} count - Number of items wanted
+ * @returns {Array} Sampled items (all of them if there are no more than `count`)
+ */
+export function sampleEvenly(items, count) {
+  if (items.length <= count) {
+    return [...items];
+  }
+  if (count <= 1) {
+    return items.slice(0, Math.max(count, 0));
+  }
+
+  const step = (items.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => items[Math.round(i * step)]);
+}
+
+/**
+ * Scales a resolution down to a width, keeping the aspect ratio and even dimensions
+ * @param {{width: number, height: number}} source - Source resolution
+ * @param {number} width - Target width (never more than the source width)
+ * @returns {{width: number, height: number}} Target resolution
+ */
+export function fitWidth(source, width) {
+  const evenWidth = Math.max(
+    2,
+    Math.round(Math.min(width, source.width) / 2) * 2,
+  );
+  const height = Math.max(
+    2,
+    Math.round((evenWidth * source.height) / source.width / 2) * 2,
+  );
+  return { width: evenWidth, height };
+}
+
+/**
+ * Gets the path a format is written to, next to its MP4
+ * @param {string} videoPath - MP4 path
+ * @param {string} type - Format type
+ * @returns {string} Output path
+ */
+export function getExportPath(videoPath, type) {
+  const { dir, name } = path.parse(videoPath);
+  if (type === "contact-sheet") {
+    return path.join(dir, `${name}_contact-sheet.jpg`);
+  }
+  return path.join(dir, `${name}.${type}`);
+}
+
+/**
+ * Plans one export: which frames go in, at what size, and how to encode them
+ * Frames are fitted to `width`x`height` by the caller before `filters` run
+ * @param {Object} format - Format settings from resolveExportFormat
+ * @param {Object} options - Options
+ * @param {Array<string>} options.filenames - Snapshots in playback order
+ * @param {{width: number, height: number}} options.resolution - Resolution of the MP4
+ * @param {string} options.videoPath - MP4 the export belongs to
+ * @param {Set<string>|null} [options.encoders] - Available encoders (null picks the first)
+ * @returns {{filenames: Array<string>, fps: number, width: number, height: number, filters: Array<string>, profile: Object, output: string}} Export plan
+ * @throws {Error} If ffmpeg has no encoder for the format
+ */
+export function planExport(
+  format,
+  { filenames, resolution, videoPath, encoders = null },
+) {
+  const encoder = pickEncoder(format, encoders);
+  const output = getExportPath(videoPath, format.type);
+
+  if (format.type === "contact-sheet") {
+    const frames = sampleEvenly(filenames, format.frames);
+    const columns = Math.max(1, Math.min(format.columns, frames.length));
+    const rows = Math.ceil(frames.length / columns);
+    return {
+      filenames: frames,
+      fps: 1,
+      ...fitWidth(resolution, format.tileWidth),
+      filters: [`tile=${columns}x${rows}:padding=4:margin=4`],
+      profile: {
+        codec: encoder,
+        args: ["-frames:v", "1", "-q:v", "3", "-update", "1"],
+      },
+      output,
+    };
+  }
+
+  const frames = sampleEvenly(filenames, format.maxFrames);
+  const { width, height } = fitWidth(resolution, format.width);
+
+  if (format.type === "gif") {
+    return {
+      filenames: frames,
+      fps: format.fps,
+      width,
+      height,
+      // One palette for the whole clip, built from the frames themselves
+      filters: [
+        `split[frames][copy];[copy]palettegen=max_colors=${format.colors}:stats_mode=diff[palette];[frames][palette]paletteuse=dither=sierra2_4a:diff_mode=rectangle`,
+      ],
+      profile: { codec: encoder, fps: format.fps, args: ["-loop", "0"] },
+      output,
+    };
+  }
+
+  return {
+    filenames: frames,
+    fps: format.fps,
+    width,
+    height,
+    filters: [],
+    profile: {
+      codec: encoder,
+      fps: format.fps,
+      args: ["-quality", String(format.quality), "-loop", "0"],
+    },
+    output,
+  };
+}
+
+/**
+ * Checks that every selected format exists and that ffmpeg can encode it
+ * Encoders are only checked when ffmpeg can be run; without a format nothing is spawned
+ * @async
+ * @param {Object} config - Configuration with defaults applied
+ * @param {Object} [options] - Options
+ * @param {Set<string>|null} [options.encoders] - Available encoders (detected by default)
+ * @returns {Promise<void>}
+ * @throws {Error} If a format is unknown or unsupported
+ */
+export async function validateExportFormats(config, options = {}) {
+  const selected = getSelectedVideoSettings(config, "formats").flatMap(
+    ({ where, value }) => value.map((format) => ({ where, format })),
+  );
+  if (selected.length === 0) {
+    return;
+  }
+
+  const encoders =
+    "encoders" in options ? options.encoders : await getAvailableEncoders();
+
+  for (const { where, format } of selected) {
+    try {
+      const settings = resolveExportFormat(format);
+      if (encoders) {
+        pickEncoder(settings, encoders);
+      }
+    } catch (error) {
+      throw new Error(`Invalid export format in ${where}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * @file frame-quality.js
+ * @description Keeps dark, infrared, blurry and obstructed frames out of the videos
+ * Scores each snapshot once after capture (brightness, color saturation,
+ * sharpness and a coarse layout signature) and applies the configured
+ * thresholds when videos are generated
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+import { decodeImagePixels } from "./frames.js";
+import { scoreFrame } from "./frame-selection.js";
+
+/**
+ * Default frame quality settings (overridden by the `frameQuality` config block)
+ * @type {Object}
+ */
+export const DEFAULT_FRAME_QUALITY = {
+  enabled: false,
+  minBrightness: 30, // Mean luminance, 0-255
+  minSaturation: 0.03, // Mean color saturation, 0-1; IR night mode is gray
+  minSharpness: 15, // Laplacian variance of the 160x90 thumbnail
+  maxChange: 0.3, // Layout difference from both neighbors, 0-1
+};
+
+// Snapshots are scored at this size, which is plenty for frame-wide measures
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 90;
+
+// Layout signature: mean luminance of 10x10 blocks of the sample
+const SIGNATURE_BLOCK = 10;
+
+/**
+ * Reasons a frame can be excluded, in the order they are reported
+ * @enum {string}
+ */
+export const QUALITY_ISSUES = {
+  DARK: "dark",
+  INFRARED: "infrared",
+  BLURRY: "blurry",
+  CHANGE: "sudden change",
+};
+
+/**
+ * @typedef {Object} FrameScore
+ * @property {number} size - Snapshot size in bytes when scored
+ * @property {number} mtimeMs - Snapshot modification time when scored
+ * @property {number} brightness - Mean luminance (0-255)
+ * @property {number} saturation - Mean saturation (0-1)
+ * @property {number} sharpness - Laplacian variance of the luminance
+ * @property {string} signature - Base64 block luminance used to detect sudden changes
+ */
+
+/**
+ * Merges the `frameQuality` config block over the defaults
+ * A threshold of 0 (or null for maxChange) turns that check off.
+ * @param {Object} [qualityConfig] - `frameQuality` block from lawn.config.json
+ * @returns {Object} Complete settings
+ */
+export function resolveFrameQuality(qualityConfig = {}) {
+  const settings = { ...DEFAULT_FRAME_QUALITY, ...qualityConfig };
+  return {
+    ...settings,
+    minBrightness: Math.max(0, Number(settings.minBrightness) || 0),
+    minSaturation: Math.max(0, Number(settings.minSaturation) || 0),
+    minSharpness: Math.max(0, Number(settings.minSharpness) || 0),
+    maxChange:
+      settings.maxChange === null || settings.maxChange === undefined
+        ? Infinity
+        : Math.max(0, Number(settings.maxChange) || 0),
+  };
+}
+
+/**
+ * Measures an RGB image
+ * @param {Uint8Array} pixels - Packed 8-bit RGB values, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{brightness: number, saturation: number, sharpness: number, signature: string}} Image measures
+ */
+export function measureImage(pixels, width, height) {
+  const count = width * height;
+  const luma = new Uint8Array(count);
+  let lumaSum = 0;
+  let saturationSum = 0;
+
+  for (let i = 0; i < count; i++) {
+    const r = pixels[i * 3];
+    const g = pixels[i * 3 + 1];
+    const b = pixels[i * 3 + 2];
+    luma[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    lumaSum += luma[i];
+    const max = Math.max(r, g, b);
+    if (max > 0) {
+      saturationSum += (max - Math.min(r, g, b)) / max;
+    }
+  }
+
+  const columns = Math.ceil(width / SIGNATURE_BLOCK);
+  const rows = Math.ceil(height / SIGNATURE_BLOCK);
+  const sums = new Array(columns * rows).fill(0);
+  const sizes = new Array(columns * rows).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const block =
+        Math.floor(y / SIGNATURE_BLOCK) * columns +
+        Math.floor(x / SIGNATURE_BLOCK);
+      sums[block] += luma[y * width + x];
+      sizes[block]++;
+    }
+  }
+  const signature = Buffer.from(
+    sums.map((sum, i) => Math.round(sum / sizes[i])),
+  );
+
+  return {
+    brightness: count > 0 ? lumaSum / count : 0,
+    saturation: count > 0 ? saturationSum / count : 0,
+    sharpness: scoreFrame(luma, width, height).sharpness,
+    signature: signature.toString("base64"),
+  };
+}
+
+/**
+ * Compares the layout of two frames, ignoring overall brightness and contrast
+ * @param {string} a - Signature of the first frame
+ * @param {string} b - Signature of the second frame
+ * @returns {number} 0 for the same layout, 0.5 for unrelated, up to 1 for inverted
+ */
+export function compareSignatures(a, b) {
+  const x = Buffer.from(a, "base64");
+  const y = Buffer.from(b, "base64");
+  const n = Math.min(x.length, y.length);
+  if (n === 0) return 0;
+
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) {
+    meanX += x[i] / n;
+    meanY += y[i] / n;
+  }
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+    varianceX += (x[i] - meanX) ** 2;
+    varianceY += (y[i] - meanY) ** 2;
+  }
+
+  // A featureless frame has no layout to compare
+  const correlation =
+    varianceX > 0 && varianceY > 0
+      ? covariance / Math.sqrt(varianceX * varianceY)
+      : 0;
+  return (1 - correlation) / 2;
+}
+
+/**
+ * Gets the path of a camera's frame score cache
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getFrameQualityPath(cameraId) {
+  return path.join(
+    getBaseDir(),
+    "frame-quality",
+    `${encodeURIComponent(cameraId)}.json`,
+  );
+}
+
+/**
+ * Loads a camera's frame scores
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @returns {Promise<Map<string, FrameScore>>} Scores keyed by snapshot filename
+ */
+export async function loadFrameScores(cameraId) {
+  try {
+    const saved = JSON.parse(
+      await fs.readFile(getFrameQualityPath(cameraId), "utf8"),
+    );
+    return new Map(Object.entries(saved ?? {}));
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return new Map();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves a camera's frame scores
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {Map<string, FrameScore>} scores - Scores keyed by snapshot filename
+ * @returns {Promise<void>}
+ */
+export async function saveFrameScores(cameraId, scores) {
+  const scoresPath = getFrameQualityPath(cameraId);
+  const sorted = Object.fromEntries(
+    Array.from(scores.entries()).sort(([a], [b]) => a.localeCompare(b)),
+  );
+  await fs.mkdir(path.dirname(scoresPath), { recursive: true });
+  await fs.writeFile(scoresPath, `${JSON.stringify(sorted)}\n`);
+}
+
+/**
+ * Scores snapshots that have no up-to-date score yet
+ * Snapshots that can't be decoded stay unscored, and so are never excluded.
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {string} snapshotDir - Camera snapshot directory
+ * @param {Array<string>} filenames - Snapshots to score
+ * @returns {Promise<{scores: Map<string, FrameScore>, scored: number}>} All known scores and how many were added
+ */
+export async function analyzeSnapshots(cameraId, snapshotDir, filenames) {
+  const scores = await loadFrameScores(cameraId);
+  let scored = 0;
+
+  for (const filename of filenames) {
+    const imagePath = path.join(snapshotDir, filename);
+    const stats = await fs.stat(imagePath).catch(() => null);
+    if (!stats) continue;
+
+    const previous = scores.get(filename);
+    if (previous?.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+      continue;
+    }
+
+    try {
+      const { pixels, width, height } = await decodeImagePixels(imagePath, {
+        width: SAMPLE_WIDTH,
+        height: SAMPLE_HEIGHT,
+      });
+      scores.set(filename, {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        ...measureImage(pixels, width, height),
+      });
+      scored++;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        console.log("⚠️  ffmpeg not found; frame quality not checked");
+        break;
+      }
+      scores.delete(filename);
+    }
+  }
+
+  if (scored > 0) {
+    await saveFrameScores(cameraId, scores);
+  }
+  return { scores, scored };
+}
+
+/**
+ * Splits snapshots into the sequences they are shown in
+ * Days with more than two snapshots become a daily video; the rest are shown
+ * by time of day, one frame per day (see analyzeSnapshotDistribution)
+ * @param {Array<string>} filenames - Snapshot filenames (YYYY-MM-DD_HHMM.jpg)
+ * @returns {Array<Array<string>>} Sequences in playback order
+ */
+function groupIntoSequences(filenames) {
+  const byDate = new Map();
+  for (const filename of [...filenames].sort()) {
+    const date = filename.slice(0, 10);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(filename);
+  }
+
+  const sequences = [];
+  const byTime = new Map();
+  for (const files of byDate.values()) {
+    if (files.length > 2) {
+      sequences.push(files);
+      continue;
+    }
+    for (const filename of files) {
+      const time = filename.slice(11, 15);
+      if (!byTime.has(time)) byTime.set(time, []);
+      byTime.get(time).push(filename);
+    }
+  }
+
+  return [...sequences, ...byTime.values()];
+}
+
+/**
+ * Finds snapshots that fall below the quality thresholds
+ * A sudden change is a frame whose layout differs from the frames on both
+ * sides of it in its sequence, like a droplet on the lens or a passing car.
+ * @param {Array<string>} filenames - Snapshot filenames
+ * @param {Map<string, FrameScore>} scores - Frame scores
+ * @param {Object} settings - Resolved frame quality settings
+ * @returns {Map<string, Array<string>>} Reasons (QUALITY_ISSUES values) keyed by excluded filename
+ */
+export function findQualityIssues(filenames, scores, settings) {
+  const issues = new Map();
+  const addIssue = (filename, issue) => {
+    if (!issues.has(filename)) issues.set(filename, []);
+    issues.get(filename).push(issue);
+  };
+
+  for (const filename of filenames) {
+    const score = scores.get(filename);
+    if (!score) continue;
+
+    if (score.brightness < settings.minBrightness) {
+      addIssue(filename, QUALITY_ISSUES.DARK);
+    }
+    if (score.saturation < settings.minSaturation) {
+      addIssue(filename, QUALITY_ISSUES.INFRARED);
+    }
+    if (score.sharpness < settings.minSharpness) {
+      addIssue(filename, QUALITY_ISSUES.BLURRY);
+    }
+  }
+
+  if (Number.isFinite(settings.maxChange)) {
+    for (const sequence of groupIntoSequences(filenames)) {
+      // Compared against neighbors that are themselves usable
+      const usable = sequence.filter(
+        (filename) => scores.has(filename) && !issues.has(filename),
+      );
+      for (let i = 1; i < usable.length - 1; i++) {
+        const signature = scores.get(usable[i]).signature;
+        if (
+          compareSignatures(signature, scores.get(usable[i - 1]).signature) >
+            settings.maxChange &&
+          compareSignatures(signature, scores.get(usable[i + 1]).signature) >
+            settings.maxChange
+        ) {
+          addIssue(usable[i], QUALITY_ISSUES.CHANGE);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Leaves snapshots below the quality thresholds out of a list of captures
+ * @param {Array<string>} filenames - Captured snapshot filenames
+ * @param {Map<string, FrameScore>} scores - Frame scores
+ * @param {Object} settings - Resolved frame quality settings
+ * @returns {{kept: Array<string>, excluded: Array<{filename: string, reasons: Array<string>}>}} Snapshots to use and the ones left out
+ */
+export function filterFramesByQuality(filenames, scores, settings) {
+  if (!settings.enabled) {
+    return { kept: filenames, excluded: [] };
+  }
+
+  const issues = findQualityIssues(filenames, scores, settings);
+  return {
+    kept: filenames.filter((filename) => !issues.has(filename)),
+    excluded: Array.from(issues, ([filename, reasons]) => ({
+      filename,
+      reasons,
+    })).sort((a, b) => a.filename.localeCompare(b.filename)),
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * @file frame-selection.js
+ * @description Picks the clearest frame around a slot instead of the first one
+ * Scores sampled frames by sharpness (variance of the Laplacian) and exposure so
+ * motion blur and IR day/night switches are skipped
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { sampleClipFrames } from "./frames.js";
+
+/**
+ * Default frame selection settings (overridden by the `frameSelection` config block)
+ * @type {Object}
+ */
+export const DEFAULT_FRAME_SELECTION = {
+  enabled: false,
+  windowSeconds: 3,
+  candidates: 7,
+};
+
+// Pixels this close to black or white carry no detail
+const CLIP_LOW = 5;
+const CLIP_HIGH = 250;
+
+/**
+ * Merges a partial frame selection configuration over the defaults
+ * @param {Object} [selectionConfig] - `frameSelection` block from lawn.config.json
+ * @returns {Object} Complete settings
+ */
+export function resolveFrameSelection(selectionConfig = {}) {
+  const settings = { ...DEFAULT_FRAME_SELECTION, ...selectionConfig };
+  return {
+    ...settings,
+    windowSeconds: Math.max(0.5, Number(settings.windowSeconds) || 0),
+    candidates: Math.max(2, Math.floor(Number(settings.candidates) || 0)),
+  };
+}
+
+/**
+ * Scores a grayscale frame
+ * @param {Uint8Array} pixels - 8-bit luminance values, row by row
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{sharpness: number, exposure: number, score: number}} Sharpness (Laplacian variance), exposure (0-1) and their product
+ */
+export function scoreFrame(pixels, width, height) {
+  let sum = 0;
+  let clipped = 0;
+  for (const value of pixels) {
+    sum += value;
+    if (value <= CLIP_LOW || value >= CLIP_HIGH) clipped++;
+  }
+  const mean = pixels.length > 0 ? sum / pixels.length : 0;
+
+  let laplacianSum = 0;
+  let laplacianSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian =
+        4 * pixels[i] -
+        pixels[i - 1] -
+        pixels[i + 1] -
+        pixels[i - width] -
+        pixels[i + width];
+      laplacianSum += laplacian;
+      laplacianSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const sharpness =
+    count > 0 ? laplacianSquares / count - (laplacianSum / count) ** 2 : 0;
+
+  // Best at mid-gray with nothing crushed or blown out
+  const exposure =
+    pixels.length > 0
+      ? (1 - Math.abs(mean - 128) / 128) * (1 - clipped / pixels.length)
+      : 0;
+
+  return { sharpness, exposure, score: sharpness * exposure };
+}
+
+/**
+ * Picks the best scoring frame, preferring the one closest to the target on ties
+ * @param {Array<{offsetSeconds: number, pixels: Uint8Array, width: number, height: number}>} frames - Sampled frames
+ * @param {number} targetOffsetSeconds - Offset of the slot itself within the clip
+ * @returns {{offsetSeconds: number, score: number}|null} Chosen frame, or null if there were none
+ */
+export function pickBestFrame(frames, targetOffsetSeconds) {
+  let best = null;
+
+  for (const frame of frames) {
+    const { score } = scoreFrame(frame.pixels, frame.width, frame.height);
+    const distance = Math.abs(frame.offsetSeconds - targetOffsetSeconds);
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && distance < best.distance)
+    ) {
+      best = { offsetSeconds: frame.offsetSeconds, score, distance };
+    }
+  }
+
+  return best && { offsetSeconds: best.offsetSeconds, score: best.score };
+}
+
+/**
+ * Finds the offset of the best frame in a clip exported around a slot
+ * @async
+ * @param {Buffer} videoBuffer - Clip spanning `windowSeconds` either side of the slot
+ * @param {Object} settings - Settings from resolveFrameSelection
+ * @returns {Promise<number>} Offset within the clip, in seconds
+ * @throws {Error} If ffmpeg fails
+ */
+export async function selectBestFrameOffset(videoBuffer, settings) {
+  const { windowSeconds, candidates } = settings;
+  const frames = await sampleClipFrames(videoBuffer, {
+    count: candidates,
+    durationSeconds: windowSeconds * 2,
+  });
+
+  return pickBestFrame(frames, windowSeconds)?.offsetSeconds ?? windowSeconds;
+}
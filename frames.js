@@ -0,0 +1,606 @@
+/**
+ * @file frames.js
+ * @description ffmpeg helpers for turning recorded footage into snapshot frames
+ * Shared by every camera source that delivers video rather than still images
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+import { PARTIAL_SUFFIX } from "./snapshot-integrity.js";
+
+// Check for verbose flag for detailed output
+const isVerbose =
+  process.argv.includes("-v") || process.argv.includes("--verbose");
+
+// Suffix of the clip files older versions wrote next to each snapshot
+const LEGACY_TEMP_SUFFIX = ".temp.mp4";
+
+// Staged clips older than this were left behind by a crashed run
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+// Clips whose layout is still unknown after this many bytes are staged
+const MAX_CLIP_PEEK_BYTES = 1024 * 1024;
+
+/**
+ * Gets the directory used to stage clips that can't be streamed into ffmpeg
+ * Kept outside the snapshot directories so crashes never leave files there
+ * @returns {string} Temp directory path
+ */
+export function getTempDir() {
+  return path.join(os.tmpdir(), "lawn-lapse");
+}
+
+/**
+ * Extracts a single frame from a video file on disk
+ * Seeks to the requested offset and writes that frame as a JPEG
+ * @async
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputPath - Path to save the extracted frame
+ * @param {number} [offsetSeconds=0] - Position of the frame within the video
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails
+ */
+export async function extractFrameFromFile(
+  videoPath,
+  outputPath,
+  offsetSeconds = 0,
+) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      "ffmpeg",
+      [
+        "-ss",
+        offsetSeconds.toFixed(3), // Seek before decoding for long recordings
+        "-i",
+        videoPath,
+        "-frames:v",
+        "1", // Extract only 1 frame
+        "-q:v",
+        "2", // High quality JPEG
+        "-f",
+        "mjpeg", // Output name may not end in .jpg while it is being written
+        "-y", // Overwrite output
+        outputPath,
+      ],
+      {
+        stdio: isVerbose ? "inherit" : "pipe", // Show output only in verbose mode
+      },
+    );
+
+    ffmpeg.on("exit", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      } else {
+        resolve();
+      }
+    });
+
+    ffmpeg.on("error", reject);
+  });
+}
+
+/**
+ * Runs ffmpeg, optionally feeding data to its stdin
+ * @async
+ * @param {Array<string>} args - ffmpeg arguments
+ * @param {Buffer|AsyncIterable<Buffer>} [input] - Data piped into stdin
+ * @returns {Promise<Buffer>} Everything ffmpeg wrote to stdout
+ * @throws {Error} If ffmpeg fails or the input stream errors
+ */
+async function runFfmpeg(args, input) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn("ffmpeg", args, {
+      // Show diagnostics only in verbose mode
+      stdio: [
+        input ? "pipe" : "ignore",
+        "pipe",
+        isVerbose ? "inherit" : "ignore",
+      ],
+    });
+
+    const chunks = [];
+    ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+
+    let inputError = null;
+    if (input) {
+      pipeline(Readable.from(input), ffmpeg.stdin).catch((error) => {
+        // ffmpeg stops reading once it has what it needs; that is not an error
+        if (
+          error.code === "EPIPE" ||
+          error.code === "ERR_STREAM_PREMATURE_CLOSE"
+        )
+          return;
+        inputError = error;
+      });
+    }
+
+    ffmpeg.on("close", (code) => {
+      if (inputError) {
+        // A clip cut short would otherwise yield a frame from the wrong time
+        reject(inputError);
+      } else if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+
+    ffmpeg.on("error", reject);
+  });
+}
+
+/**
+ * Checks whether ffmpeg can read a clip from a pipe, from its first bytes
+ * Walks the top-level MP4 boxes: the index (`moov`) has to come before the
+ * media data (`mdat`), as in fragmented exports. Other formats are streamed.
+ * @param {Buffer} head - Start of the clip
+ * @returns {boolean|null} Whether the clip can be streamed, or null if more bytes are needed
+ */
+export function canStreamClip(head) {
+  let offset = 0;
+
+  while (offset + 8 <= head.length) {
+    const type = head.toString("latin1", offset + 4, offset + 8);
+    if (!/^[\x20-\x7e]{4}$/.test(type)) {
+      // Not an MP4 box: leave it to ffmpeg
+      return offset === 0;
+    }
+    if (type === "moov") return true;
+    if (type === "mdat") return false;
+
+    let size = head.readUInt32BE(offset);
+    if (size === 1) {
+      // 64-bit size follows the type
+      if (offset + 16 > head.length) return null;
+      size = Number(head.readBigUInt64BE(offset + 8));
+    }
+    // A zero size runs to the end of the file, so no index follows it
+    if (size < 8) return false;
+    offset += size;
+  }
+
+  return null;
+}
+
+/**
+ * Reads just enough of a clip to decide whether it can be streamed
+ * @async
+ * @param {Buffer|AsyncIterable<Buffer>} clip - Clip data or stream
+ * @returns {Promise<{streamable: boolean, data: Buffer|AsyncIterable<Buffer>}>} The decision, and the whole clip including the bytes already read
+ */
+async function peekClip(clip) {
+  if (Buffer.isBuffer(clip)) {
+    // A truncated clip fails the same way from a file
+    return { streamable: canStreamClip(clip) !== false, data: clip };
+  }
+
+  const iterator = clip[Symbol.asyncIterator]();
+  const chunks = [];
+  let streamable = null;
+  let done = false;
+  while (streamable === null && !done) {
+    const next = await iterator.next();
+    done = next.done;
+    if (!done) chunks.push(Buffer.from(next.value));
+
+    const head = Buffer.concat(chunks);
+    streamable = canStreamClip(head);
+    if (streamable === null && head.length > MAX_CLIP_PEEK_BYTES) {
+      streamable = false;
+    }
+  }
+
+  async function* data() {
+    try {
+      yield* chunks;
+      while (!done) {
+        const next = await iterator.next();
+        done = next.done;
+        if (!done) yield next.value;
+      }
+    } finally {
+      // Closes the download when ffmpeg stops reading early
+      if (!done) await iterator.return?.();
+    }
+  }
+
+  return { streamable: streamable !== false, data: data() };
+}
+
+/**
+ * Runs ffmpeg over a clip held in memory or still being downloaded
+ * Streams the clip into ffmpeg when its layout allows reading it front to
+ * back; other clips are staged in the temp directory instead, never next to
+ * the snapshots. The choice is made per clip.
+ * @async
+ * @param {Buffer|AsyncIterable<Buffer>} clip - Clip data or stream
+ * @param {function(string): Array<string>} buildArgs - Builds the ffmpeg arguments for an input
+ * @returns {Promise<Buffer>} Everything ffmpeg wrote to stdout
+ * @throws {Error} If ffmpeg fails or the clip stream errors
+ */
+async function runFfmpegOnClip(clip, buildArgs) {
+  const { streamable, data } = await peekClip(clip);
+  if (streamable) {
+    return runFfmpeg(buildArgs("pipe:0"), data);
+  }
+
+  const tempDir = getTempDir();
+  await fs.mkdir(tempDir, { recursive: true });
+
+  const tempVideoPath = path.join(
+    tempDir,
+    `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp4`,
+  );
+
+  try {
+    await fs.writeFile(tempVideoPath, data);
+    return await runFfmpeg(buildArgs(tempVideoPath));
+  } finally {
+    // Clean up temp file
+    await fs.unlink(tempVideoPath).catch(() => {});
+  }
+}
+
+/**
+ * Extracts a single frame from video buffer or stream
+ * @async
+ * @param {Buffer|AsyncIterable<Buffer>} clip - Video data buffer, or the export stream
+ * @param {string} outputPath - Path to save the extracted frame
+ * @param {number} [offsetSeconds=0] - Position of the frame within the clip
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails or the clip stream errors
+ */
+export async function extractFrameFromVideo(
+  clip,
+  outputPath,
+  offsetSeconds = 0,
+) {
+  await runFfmpegOnClip(clip, (input) => [
+    "-i",
+    input,
+    // Seek after the input so piped clips are decoded up to the frame
+    ...(offsetSeconds > 0 ? ["-ss", offsetSeconds.toFixed(3)] : []),
+    "-frames:v",
+    "1", // Extract only 1 frame
+    "-q:v",
+    "2", // High quality JPEG
+    "-f",
+    "mjpeg", // Output name may not end in .jpg while it is being written
+    "-y", // Overwrite output
+    outputPath,
+  ]);
+}
+
+/**
+ * Decodes evenly spaced frames of a clip as small grayscale images
+ * Used to score candidate frames without writing any files
+ * @async
+ * @param {Buffer} videoBuffer - Video data buffer
+ * @param {Object} options - Sampling options
+ * @param {number} options.count - Number of frames to sample
+ * @param {number} options.durationSeconds - Length of the clip
+ * @param {number} [options.width=160] - Width of the sampled frames
+ * @param {number} [options.height=90] - Height of the sampled frames
+ * @returns {Promise<Array<{offsetSeconds: number, pixels: Uint8Array, width: number, height: number}>>} Sampled frames, in clip order
+ * @throws {Error} If ffmpeg fails
+ */
+export async function sampleClipFrames(videoBuffer, options) {
+  const { count, durationSeconds, width = 160, height = 90 } = options;
+  const interval = count > 1 ? durationSeconds / (count - 1) : durationSeconds;
+
+  const output = await runFfmpegOnClip(videoBuffer, (input) => [
+    "-i",
+    input,
+    "-vf",
+    `fps=1/${interval.toFixed(3)},scale=${width}:${height},format=gray`,
+    "-frames:v",
+    String(count),
+    "-f",
+    "rawvideo",
+    "pipe:1",
+  ]);
+
+  const frameSize = width * height;
+  const frames = [];
+  for (let i = 0; (i + 1) * frameSize <= output.length; i++) {
+    frames.push({
+      offsetSeconds: i * interval,
+      pixels: output.subarray(i * frameSize, (i + 1) * frameSize),
+      width,
+      height,
+    });
+  }
+  return frames;
+}
+
+/**
+ * Decodes an image as small RGB pixels
+ * Used to score snapshots that are already on disk
+ * @async
+ * @param {string} imagePath - JPEG (or any image ffmpeg reads)
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.width=160] - Width to scale to
+ * @param {number} [options.height=90] - Height to scale to
+ * @returns {Promise<{pixels: Buffer, width: number, height: number}>} Packed 8-bit RGB values, row by row
+ * @throws {Error} If ffmpeg fails or the image is truncated
+ */
+export async function decodeImagePixels(imagePath, options = {}) {
+  const { width = 160, height = 90 } = options;
+
+  const pixels = await runFfmpeg([
+    "-i",
+    imagePath,
+    "-vf",
+    `scale=${width}:${height},format=rgb24`,
+    "-frames:v",
+    "1",
+    "-f",
+    "rawvideo",
+    "pipe:1",
+  ]);
+  if (pixels.length < width * height * 3) {
+    throw new Error(`Could not decode ${path.basename(imagePath)}`);
+  }
+
+  return { pixels: pixels.subarray(0, width * height * 3), width, height };
+}
+
+/**
+ * Splits concatenated binary PGM images (as written by ffmpeg's image2pipe)
+ * @param {Buffer} data - One or more P5 images back to back
+ * @returns {Array<Buffer>} Individual images
+ * @throws {Error} If the data is not a sequence of PGM images
+ */
+export function splitPgmImages(data) {
+  const images = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    // Header: "P5", width, height and maxval separated by whitespace
+    const header = data
+      .subarray(offset, offset + 64)
+      .toString("latin1")
+      .match(/^P5\s+(\d+)\s+(\d+)\s+(\d+)\s/);
+    if (!header) {
+      throw new Error(`Invalid PGM image at byte ${offset}`);
+    }
+
+    const [text, width, height, maxValue] = header;
+    const bytesPerPixel = Number(maxValue) > 255 ? 2 : 1;
+    const end =
+      offset + text.length + Number(width) * Number(height) * bytesPerPixel;
+    if (end > data.length) {
+      throw new Error(`Truncated PGM image at byte ${offset}`);
+    }
+
+    images.push(data.subarray(offset, end));
+    offset = end;
+  }
+
+  return images;
+}
+
+/**
+ * Crops the timestamp overlay out of frames sampled from a clip
+ * Crops are upscaled and converted to grayscale to help OCR
+ * @async
+ * @param {Buffer} videoBuffer - Video data buffer
+ * @param {Object} options - Sampling options
+ * @param {number} options.framesPerSecond - Frames to sample per second of clip
+ * @param {number} options.durationSeconds - Length of the clip
+ * @param {{x: number, y: number, width: number, height: number}} options.region - Overlay position as fractions of the frame
+ * @returns {Promise<Array<{offsetSeconds: number, image: Buffer}>>} PGM crops, in clip order
+ * @throws {Error} If ffmpeg fails
+ */
+export async function extractOverlayCrops(videoBuffer, options) {
+  const { framesPerSecond, durationSeconds, region } = options;
+  const crop = `crop=iw*${region.width}:ih*${region.height}:iw*${region.x}:ih*${region.y}`;
+
+  const output = await runFfmpegOnClip(videoBuffer, (input) => [
+    "-i",
+    input,
+    "-vf",
+    `fps=${framesPerSecond},${crop},scale=iw*2:ih*2,format=gray`,
+    "-frames:v",
+    String(Math.floor(durationSeconds * framesPerSecond) + 1),
+    "-f",
+    "image2pipe",
+    "-c:v",
+    "pgm",
+    "pipe:1",
+  ]);
+
+  return splitPgmImages(output).map((image, i) => ({
+    offsetSeconds: i / framesPerSecond,
+    image,
+  }));
+}
+
+/**
+ * Checks whether a file was last written long enough ago to be abandoned
+ * @async
+ * @param {string} filePath - File to check
+ * @returns {Promise<boolean>} True for regular files older than an hour
+ */
+async function isStale(filePath) {
+  const stats = await fs.stat(filePath).catch(() => null);
+  return Boolean(stats?.isFile() && Date.now() - stats.mtimeMs > STALE_TEMP_MS);
+}
+
+/**
+ * Removes files left behind by interrupted runs
+ * Deletes legacy `*.temp.mp4` clips in the given snapshot directories and,
+ * once they are more than an hour old, unfinished `*.partial` snapshots and
+ * staged clips in the temp directory
+ * @async
+ * @param {Array<string>} snapshotDirs - Snapshot directories to clean
+ * @param {Object} [options] - Sweep options
+ * @param {string} [options.tempDir] - Staging directory (default: getTempDir())
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function sweepOrphanedTempFiles(snapshotDirs, options = {}) {
+  const { tempDir = getTempDir() } = options;
+  const orphans = [];
+
+  for (const dir of snapshotDirs) {
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      if (
+        file.endsWith(LEGACY_TEMP_SUFFIX) ||
+        (file.endsWith(PARTIAL_SUFFIX) && (await isStale(filePath)))
+      ) {
+        orphans.push(filePath);
+      }
+    }
+  }
+
+  const staged = await fs.readdir(tempDir).catch(() => []);
+  for (const file of staged) {
+    const filePath = path.join(tempDir, file);
+    if (await isStale(filePath)) {
+      orphans.push(filePath);
+    }
+  }
+
+  let removed = 0;
+  for (const filePath of orphans) {
+    try {
+      await fs.unlink(filePath);
+      removed++;
+    } catch {
+      // Already gone or not ours to delete
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Reads duration and embedded creation time from a video file
+ * @async
+ * @param {string} videoPath - Path to the video file
+ * @returns {Promise<{durationMs: number|null, creationTime: Date|null}>} Container metadata
+ * @throws {Error} If ffprobe fails
+ */
+export async function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn(
+      "ffprobe",
+      [
+        "-v",
+        "error",
+        "-show_entries",
+        "format=duration:format_tags=creation_time",
+        "-of",
+        "json",
+        videoPath,
+      ],
+      { stdio: ["pipe", "pipe", "pipe"] },
+    );
+
+    let output = "";
+    ffprobe.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on("exit", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe exited with code ${code}`));
+        return;
+      }
+
+      try {
+        const format = JSON.parse(output).format || {};
+        const duration = parseFloat(format.duration);
+        const creationTime = format.tags?.creation_time
+          ? new Date(format.tags.creation_time)
+          : null;
+
+        resolve({
+          durationMs: Number.isFinite(duration)
+            ? Math.round(duration * 1000)
+            : null,
+          creationTime:
+            creationTime && !isNaN(creationTime.getTime())
+              ? creationTime
+              : null,
+        });
+      } catch (error) {
+        reject(new Error(`Unable to parse ffprobe output: ${error.message}`));
+      }
+    });
+
+    ffprobe.on("error", reject);
+  });
+}
+
+/**
+ * Grabs the current frame from a live stream (RTSP, HLS, MJPEG, ...)
+ * Uses ffmpeg to read the stream and write its first decoded frame as a JPEG
+ * @async
+ * @param {string} streamUrl - Stream URL understood by ffmpeg
+ * @param {string} outputPath - Path to save the frame
+ * @param {Object} [options] - Grab options
+ * @param {string} [options.transport="tcp"] - RTSP transport (tcp or udp)
+ * @param {number} [options.timeoutMs=15000] - Give up if no frame arrives in time
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails or times out
+ */
+export async function grabStreamFrame(streamUrl, outputPath, options = {}) {
+  const { transport = "tcp", timeoutMs = 15000 } = options;
+
+  return new Promise((resolve, reject) => {
+    const ffmpegArgs = [
+      "-i",
+      streamUrl,
+      "-frames:v",
+      "1", // Extract only 1 frame
+      "-q:v",
+      "2", // High quality JPEG
+      "-f",
+      "mjpeg", // Output name may not end in .jpg while it is being written
+      "-y", // Overwrite output
+      outputPath,
+    ];
+
+    if (streamUrl.startsWith("rtsp")) {
+      ffmpegArgs.unshift("-rtsp_transport", transport);
+    }
+
+    const ffmpeg = spawn("ffmpeg", ffmpegArgs, {
+      stdio: isVerbose ? "inherit" : "pipe",
+    });
+
+    // Streams can stall without ever closing, so enforce our own deadline
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ffmpeg.kill("SIGKILL");
+    }, timeoutMs);
+
+    ffmpeg.on("exit", (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        fs.unlink(outputPath).catch(() => {});
+        reject(new Error(`Stream timed out after ${timeoutMs / 1000}s`));
+      } else if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      } else {
+        resolve();
+      }
+    });
+
+    ffmpeg.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
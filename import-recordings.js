@@ -0,0 +1,254 @@
+/**
+ * @file import-recordings.js
+ * @description Imports snapshots from recorded video files (e.g. NVR exports on a NAS)
+ * Extracts a frame at every schedule slot covered by each recording so timelapses
+ * can include footage that has already aged out of the camera system
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getCameraSchedule } from "./config.js";
+import {
+  generateDailySlots,
+  formatSnapshotName,
+  getScheduleTimezone,
+  parseWallTime,
+} from "./scheduling.js";
+import { extractFrameFromFile, probeVideo } from "./frames.js";
+import { writeSnapshotAtomically } from "./snapshot-integrity.js";
+import {
+  OUTCOMES,
+  appendLedger,
+  createLedgerEntry,
+  hashFile,
+} from "./ledger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VIDEO_EXTENSIONS = new Set([".mp4", ".mkv", ".mov", ".avi", ".ts"]);
+
+// Start-time patterns seen in NVR export filenames, most specific first
+const FILENAME_PATTERNS = [
+  // 2024-05-01_12-00-00, 2024-05-01T12:00:00, 2024-05-01 12.00.00
+  /(?<!\d)(\d{4})-(\d{2})-(\d{2})[T _](\d{2})[-:.](\d{2})[-:.](\d{2})(?!\d)/,
+  // 20240501_120000, 20240501-120000, 20240501120000 (Reolink, Hikvision, ...)
+  /(?<!\d)(\d{4})(\d{2})(\d{2})[T_-]?(\d{2})(\d{2})(\d{2})(?!\d)/,
+];
+
+/**
+ * Reads the recording start time from a video filename
+ * Supports dated names (wall-clock time in the camera's timezone) and
+ * 13-digit epoch milliseconds
+ * @param {string} filename - Recording filename (no directory needed)
+ * @param {string} [timezone] - Timezone the camera's schedule is in (default: the host's)
+ * @returns {Date|null} Start time, or null if the name has no timestamp
+ */
+export function parseRecordingStart(
+  filename,
+  timezone = getScheduleTimezone(null),
+) {
+  for (const pattern of FILENAME_PATTERNS) {
+    const match = filename.match(pattern);
+    if (!match) continue;
+
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    const start = parseWallTime(
+      { year, month, day, hour, minute, second },
+      timezone,
+    );
+    if (start) return start;
+  }
+
+  const epochMatch = filename.match(/(?<!\d)(1\d{12})(?!\d)/);
+  if (epochMatch) {
+    return new Date(Number(epochMatch[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Recursively lists video files in a directory
+ * @async
+ * @param {string} directory - Directory to scan
+ * @returns {Promise<Array<string>>} Sorted absolute paths of video files
+ */
+export async function findVideoFiles(directory) {
+  const results = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      results.push(...(await findVideoFiles(entryPath)));
+    } else if (
+      entry.isFile() &&
+      !entry.name.startsWith(".") &&
+      VIDEO_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+    ) {
+      results.push(path.resolve(entryPath));
+    }
+  }
+
+  return results.sort();
+}
+
+/**
+ * Works out which schedule slots each recording covers
+ * A slot is taken from the first recording that contains it
+ * @param {Array<{path: string, start: Date, durationMs: number}>} recordings - Recordings with known timing
+ * @param {Object} schedule - Schedule configuration
+ * @param {Object} location - Location for sunrise/sunset (lat, lon)
+ * @returns {Array<{recording: string, slot: Date, offsetSeconds: number, filename: string}>} Extractions sorted by slot
+ */
+export function planFrameExtractions(recordings, schedule, location = null) {
+  const planned = new Map();
+  const ordered = [...recordings].sort((a, b) => a.start - b.start);
+  const timezone = getScheduleTimezone(schedule);
+
+  for (const recording of ordered) {
+    const startMs = recording.start.getTime();
+    const endMs = startMs + recording.durationMs;
+
+    // The schedule's days need not line up with the host's, so look a day
+    // either side
+    const day = new Date(recording.start);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - 1);
+
+    while (day.getTime() < endMs + DAY_MS) {
+      let slots = [];
+      try {
+        slots = generateDailySlots(day, schedule, location);
+      } catch {
+        // Days without computable slots are simply skipped
+      }
+
+      for (const slot of slots) {
+        const slotMs = slot.getTime();
+        if (slotMs < startMs || slotMs >= endMs) continue;
+
+        const { filename } = formatSnapshotName(slot, timezone);
+        if (planned.has(filename)) continue;
+
+        planned.set(filename, {
+          recording: recording.path,
+          slot,
+          offsetSeconds: (slotMs - startMs) / 1000,
+          filename,
+        });
+      }
+
+      day.setDate(day.getDate() + 1);
+    }
+  }
+
+  return Array.from(planned.values()).sort((a, b) => a.slot - b.slot);
+}
+
+/**
+ * Imports snapshots for a camera from a directory of recorded video files
+ * @async
+ * @param {string} directory - Directory containing recordings
+ * @param {Object} camera - Camera configuration whose snapshotDir receives frames
+ * @param {Object} config - Full configuration (schedule and location)
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun=false] - Only report what would be extracted
+ * @returns {Promise<{imported: number, skipped: number, failed: number, unreadable: number}>} Import statistics
+ */
+export async function importRecordings(
+  directory,
+  camera,
+  config,
+  options = {},
+) {
+  const { dryRun = false } = options;
+  const files = await findVideoFiles(directory);
+
+  console.log(`Found ${files.length} recording(s) in ${directory}`);
+
+  // Recording names carry wall-clock time, like the schedule's slots
+  const schedule = getCameraSchedule(config, camera);
+  const timezone = getScheduleTimezone(schedule);
+  const recordings = [];
+  let unreadable = 0;
+
+  for (const file of files) {
+    const name = path.basename(file);
+    try {
+      const metadata = await probeVideo(file);
+      const start =
+        parseRecordingStart(name, timezone) || metadata.creationTime;
+
+      if (!start || !metadata.durationMs) {
+        console.log(`  ⚠️  ${name}: unable to determine start time/duration`);
+        unreadable++;
+        continue;
+      }
+
+      recordings.push({ path: file, start, durationMs: metadata.durationMs });
+    } catch (error) {
+      console.log(`  ⚠️  ${name}: ${error.message}`);
+      unreadable++;
+    }
+  }
+
+  const plan = planFrameExtractions(recordings, schedule, config.location);
+
+  await fs.mkdir(camera.snapshotDir, { recursive: true });
+  const existingFiles = await fs.readdir(camera.snapshotDir).catch(() => []);
+  const existingSnapshots = new Set(existingFiles);
+
+  console.log(
+    `${plan.length} schedule slot(s) covered by ${recordings.length} recording(s)\n`,
+  );
+
+  let imported = 0;
+  let skipped = 0;
+  let failed = 0;
+  const ledgerEntries = [];
+
+  for (const [index, item] of plan.entries()) {
+    const { date, time } = formatSnapshotName(item.slot, timezone);
+    const prefix = `  [${index + 1}/${plan.length}] ${date} ${time.slice(0, 2)}:${time.slice(2)}: `;
+
+    if (existingSnapshots.has(item.filename)) {
+      skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(
+        `${prefix}would extract from ${path.basename(item.recording)} @ ${item.offsetSeconds.toFixed(1)}s`,
+      );
+      imported++;
+      continue;
+    }
+
+    try {
+      const outputPath = path.join(camera.snapshotDir, item.filename);
+      await writeSnapshotAtomically(outputPath, (partialPath) =>
+        extractFrameFromFile(item.recording, partialPath, item.offsetSeconds),
+      );
+      console.log(`${prefix}✓`);
+      imported++;
+      ledgerEntries.push(
+        createLedgerEntry(item, {
+          outcome: OUTCOMES.CAPTURED,
+          sha256: await hashFile(outputPath),
+          source: `import:${path.basename(item.recording)}`,
+        }),
+      );
+    } catch (error) {
+      console.log(`${prefix}✗ (${error.message})`);
+      failed++;
+    }
+  }
+
+  await appendLedger(camera.id, ledgerEntries);
+
+  return { imported, skipped, failed, unreadable };
+}
@@ -12,7 +12,7 @@ import fsp from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { spawn, execSync } from "child_process";
-import { input, password, select, confirm } from "@inquirer/prompts";
+import { input, password, select, confirm, checkbox } from "@inquirer/prompts";
 import { ProtectApi } from "unifi-protect";
 
 import {
@@ -25,13 +25,51 @@ import {
   applyDefaults,
   migrateLegacySnapshots,
   detectLegacySnapshots,
+  getCameraSchedule,
 } from "./config.js";
 import {
   detectLocation,
   confirmLocation,
   formatLocation,
 } from "./geolocation.js";
-import { validateSchedule } from "./scheduling.js";
+import {
+  validateSchedule,
+  describeSchedule,
+  getNextCaptureTime,
+  getScheduleTimezone,
+  formatSnapshotName,
+  formatSlotTime,
+  SOLAR_EVENTS,
+} from "./scheduling.js";
+import { getSourceType, createCameraSource } from "./camera-sources.js";
+import { importRecordings } from "./import-recordings.js";
+import { loadLedger, getCapturedFilenames, summarizeLedger } from "./ledger.js";
+import { verifySnapshots, getQuarantineDir } from "./snapshot-integrity.js";
+import { loadRecordingRange } from "./recording-range.js";
+import {
+  resolveWeatherSettings,
+  summarizeWeather,
+  filterSnapshotsByWeather,
+} from "./weather.js";
+import {
+  resolveFrameQuality,
+  loadFrameScores,
+  filterFramesByQuality,
+} from "./frame-quality.js";
+import { runDaemon, readDaemonState } from "./daemon.js";
+import {
+  getServicePlatform,
+  buildServicePath,
+  getCaptureCalendar,
+  describeCaptureCalendar,
+  describeService,
+  getServiceFiles,
+  installService,
+  uninstallService,
+  getServiceStatus,
+  listActiveSchedulers,
+} from "./service.js";
+import { validateVideoSettings } from "./encoding.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -81,6 +119,293 @@ function isCronInstalled() {
   }
 }
 
+/**
+ * Drops lawn-lapse entries from crontab text
+ * @param {string} crontab - Current crontab
+ * @returns {string} Crontab without lawn-lapse lines
+ */
+function removeLawnCronLines(crontab) {
+  return crontab
+    .split("\n")
+    .filter(
+      (line) =>
+        !line.includes("capture-and-timelapse.js") &&
+        !line.includes("lawn-lapse") &&
+        !line.includes("lawn.js") &&
+        !line.includes("daily-noon-update.js"),
+    )
+    .join("\n");
+}
+
+/**
+ * Removes the cron job so it does not run alongside a service
+ * @returns {boolean} True if a cron job was removed
+ */
+function removeCronJob() {
+  if (!isCronInstalled()) {
+    return false;
+  }
+  const crontab = execSync("crontab -l 2>/dev/null", { encoding: "utf8" });
+  execSync("crontab -", {
+    input: `${removeLawnCronLines(crontab).trim()}\n`,
+  });
+  return true;
+}
+
+/**
+ * Parses sun elevations typed as "30, 10 setting"
+ * @param {string} value - Comma-separated degrees, each optionally followed by rising or setting
+ * @returns {Array<{degrees: number, direction?: string}>|null} Elevations, or null if any is malformed
+ */
+function parseSunElevations(value) {
+  const elevations = [];
+  for (const part of value.split(",").map((v) => v.trim())) {
+    if (!part) continue;
+    const match = /^(-?\d+(?:\.\d+)?)(?:\s+(rising|setting))?$/.exec(part);
+    const degrees = match && parseFloat(match[1]);
+    if (!match || degrees < -18 || degrees > 90) return null;
+    elevations.push(match[2] ? { degrees, direction: match[2] } : { degrees });
+  }
+  return elevations;
+}
+
+/**
+ * Prompts for the location used by sun-based schedules
+ * Offers the detected location first, then asks for coordinates.
+ * @async
+ * @param {Object} [currentLocation] - Location offered as the default
+ * @returns {Promise<Object>} Location with lat, lon and name
+ */
+async function promptLocation(currentLocation) {
+  // Detect or input location
+  console.log("\n📍 Detecting your location for sun position calculations...");
+  const detected = await detectLocation();
+
+  let location;
+  if (detected && detected.lat && detected.lon) {
+    console.log(`✅ Detected location: ${formatLocation(detected)}`);
+
+    const useDetected = await confirm({
+      message: "Use this location?",
+      default: true,
+    });
+
+    if (useDetected) {
+      location = await confirmLocation(detected);
+    }
+  }
+
+  if (!location || !location.lat || !location.lon) {
+    console.log("\nPlease enter your location coordinates:");
+    const lat = await input({
+      message: "Latitude:",
+      default: currentLocation?.lat ? String(currentLocation.lat) : "",
+      validate: (value) => {
+        const num = parseFloat(value);
+        return !isNaN(num) && num >= -90 && num <= 90
+          ? true
+          : "Must be between -90 and 90";
+      },
+    });
+
+    const lon = await input({
+      message: "Longitude:",
+      default: currentLocation?.lon ? String(currentLocation.lon) : "",
+      validate: (value) => {
+        const num = parseFloat(value);
+        return !isNaN(num) && num >= -180 && num <= 180
+          ? true
+          : "Must be between -180 and 180";
+      },
+    });
+
+    location = {
+      lat: parseFloat(lat),
+      lon: parseFloat(lon),
+      name: "Custom location",
+    };
+  }
+
+  return location;
+}
+
+/**
+ * Prompts for a capture schedule
+ * Sun-based schedules also ask for the location, detecting it if possible.
+ * @async
+ * @param {Object} [current] - Schedule whose values are offered as defaults
+ * @param {Object} [currentLocation] - Location offered as the default
+ * @returns {Promise<{schedule: Object, location: Object|null}>} Schedule, and the location if one was entered
+ */
+async function promptSchedule(current, currentLocation) {
+  let newLocation = null;
+
+  const scheduleMode = await select({
+    message: "Select capture schedule mode:",
+    choices: [
+      {
+        name: "Fixed daily time(s) - Capture at specific times each day",
+        value: "fixed-time",
+      },
+      {
+        name: "Interval - Capture at regular intervals throughout the day",
+        value: "interval",
+      },
+      {
+        name: "Sunrise/Sunset - Capture based on sun position",
+        value: "sunrise-sunset",
+      },
+      {
+        name: "Solar - Capture at solar noon, golden/blue hour or a sun angle",
+        value: "solar",
+      },
+    ],
+    default: current?.mode || "fixed-time",
+  });
+
+  const scheduleConfig = {
+    mode: scheduleMode,
+    timezone:
+      current?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+
+  // Configure based on selected mode
+  if (scheduleMode === "fixed-time") {
+    const snapshotTime = await input({
+      message:
+        "Capture time(s) (24-hour format, comma-separated for multiple):",
+      default: (current?.fixedTimes || ["12:00"]).join(", "),
+      validate: (value) => {
+        const times = value.split(",").map((t) => t.trim());
+        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+        for (const time of times) {
+          if (!timeRegex.test(time)) {
+            return `Invalid time format: ${time}. Use HH:MM format`;
+          }
+        }
+        return true;
+      },
+    });
+    scheduleConfig.fixedTimes = snapshotTime.split(",").map((t) => t.trim());
+  } else if (scheduleMode === "interval") {
+    const shotsPerHour = await input({
+      message: "Captures per hour (1-60):",
+      default: String(current?.interval?.shotsPerHour || 1),
+      validate: (value) => {
+        const num = parseInt(value, 10);
+        return num >= 1 && num <= 60 ? true : "Must be between 1 and 60";
+      },
+    });
+
+    const startHour = await input({
+      message: "Start time (HH:MM):",
+      default: current?.window?.startHour || "06:00",
+      validate: (value) => {
+        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+        return timeRegex.test(value)
+          ? true
+          : "Please enter a valid time in HH:MM format";
+      },
+    });
+
+    const endHour = await input({
+      message: "End time (HH:MM):",
+      default: current?.window?.endHour || "18:00",
+      validate: (value) => {
+        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+        return timeRegex.test(value)
+          ? true
+          : "Please enter a valid time in HH:MM format";
+      },
+    });
+
+    scheduleConfig.interval = { shotsPerHour: parseInt(shotsPerHour, 10) };
+    scheduleConfig.window = { startHour, endHour };
+  } else if (scheduleMode === "sunrise-sunset") {
+    newLocation = await promptLocation(currentLocation);
+
+    const captureSunrise = await confirm({
+      message: "Capture at sunrise?",
+      default: current?.captureSunrise !== false,
+    });
+
+    const captureSunset = await confirm({
+      message: "Capture at sunset?",
+      default: current?.captureSunset !== false,
+    });
+
+    const additionalCaptures = await confirm({
+      message: "Add interval captures between sunrise and sunset?",
+      default: false,
+    });
+
+    scheduleConfig.captureSunrise = captureSunrise;
+    scheduleConfig.captureSunset = captureSunset;
+
+    if (additionalCaptures) {
+      const shotsPerHour = await input({
+        message: "Captures per hour between sunrise and sunset:",
+        default: "1",
+        validate: (value) => {
+          const num = parseInt(value, 10);
+          return num >= 1 && num <= 60 ? true : "Must be between 1 and 60";
+        },
+      });
+      scheduleConfig.interval = { shotsPerHour: parseInt(shotsPerHour, 10) };
+    } else {
+      // Saved schedules are merged over defaults that include an interval
+      scheduleConfig.interval = { shotsPerHour: 0 };
+    }
+  } else if (scheduleMode === "solar") {
+    newLocation = await promptLocation(currentLocation);
+
+    scheduleConfig.solarEvents = await checkbox({
+      message: "Capture at:",
+      choices: Object.entries(SOLAR_EVENTS).map(([value, name]) => ({
+        name,
+        value,
+        checked: (current?.solarEvents ?? ["solarNoon"]).includes(value),
+      })),
+    });
+
+    const elevations = await input({
+      message:
+        "Sun elevations in degrees (comma-separated, e.g. 30 or 30 rising; blank for none):",
+      default: (current?.sunElevations ?? [])
+        .map(({ degrees, direction }) =>
+          direction ? `${degrees} ${direction}` : String(degrees),
+        )
+        .join(", "),
+      validate: (value) =>
+        parseSunElevations(value)
+          ? true
+          : 'Use "30", "30 rising" or "-4 setting"',
+    });
+    scheduleConfig.sunElevations = parseSunElevations(elevations);
+
+    const azimuths = await input({
+      message:
+        "Sun compass bearings in degrees (comma-separated, e.g. 180; blank for none):",
+      default: (current?.sunAzimuths ?? []).join(", "),
+      validate: (value) =>
+        value
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean)
+          .every((v) => /^\d+(\.\d+)?$/.test(v) && parseFloat(v) < 360)
+          ? true
+          : "Bearings must be between 0 and 360",
+    });
+    scheduleConfig.sunAzimuths = azimuths
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean)
+      .map(parseFloat);
+  }
+
+  return { schedule: scheduleConfig, location: newLocation };
+}
+
 /**
  * Runs the interactive setup flow
  * Guides user through configuration with smart defaults and validation
@@ -430,6 +755,7 @@ async function runSetup(skipCron = false) {
       configuredCameras.push({
         id: camera.id,
         name: cameraName,
+        source: existingCamera?.source ?? { type: "unifi" },
         snapshotDir: defaultSnapshotDir,
         timelapseDir: defaultTimelapseDir,
         video: {
@@ -438,14 +764,41 @@ async function runSetup(skipCron = false) {
             existingCamera?.video?.quality ??
             config.videoDefaults?.quality ??
             1,
+          profile:
+            existingCamera?.video?.profile ??
+            config.videoDefaults?.profile ??
+            null,
+          formats:
+            existingCamera?.video?.formats ??
+            config.videoDefaults?.formats ??
+            [],
+          overlay:
+            existingCamera?.video?.overlay ??
+            config.videoDefaults?.overlay ??
+            null,
+          stabilize:
+            existingCamera?.video?.stabilize ??
+            config.videoDefaults?.stabilize ??
+            null,
         },
+        ...(existingCamera?.schedule
+          ? { schedule: existingCamera.schedule }
+          : {}),
+        ...(existingCamera?.precisionTiming
+          ? { precisionTiming: existingCamera.precisionTiming }
+          : {}),
       });
 
       console.log(`  ${cameraName}: ${defaultSnapshotDir}`);
     }
 
+    // Cameras on other sources (RTSP, HTTP, ...) are configured by hand; keep them
+    const otherSourceCameras = (config.cameras || []).filter(
+      (camera) => getSourceType(camera) !== "unifi",
+    );
+
     config = await updateConfig((draft) => {
-      draft.cameras = configuredCameras;
+      draft.cameras = [...configuredCameras, ...otherSourceCameras];
     });
 
     await protect.logout();
@@ -453,170 +806,14 @@ async function runSetup(skipCron = false) {
     console.log("\n⏰ Step 3: Schedule Configuration");
     console.log("----------------------------------------\n");
 
-    const scheduleMode = await select({
-      message: "Select capture schedule mode:",
-      choices: [
-        {
-          name: "Fixed daily time(s) - Capture at specific times each day",
-          value: "fixed-time",
-        },
-        {
-          name: "Interval - Capture at regular intervals throughout the day",
-          value: "interval",
-        },
-        {
-          name: "Sunrise/Sunset - Capture based on sun position",
-          value: "sunrise-sunset",
-        },
-      ],
-      default: config.schedule?.mode || "fixed-time",
-    });
-
-    const scheduleConfig = {
-      mode: scheduleMode,
-      timezone:
-        config.schedule?.timezone ||
-        Intl.DateTimeFormat().resolvedOptions().timeZone,
-    };
-
-    // Configure based on selected mode
-    if (scheduleMode === "fixed-time") {
-      const snapshotTime = await input({
-        message:
-          "Capture time(s) (24-hour format, comma-separated for multiple):",
-        default: (config.schedule?.fixedTimes || ["12:00"]).join(", "),
-        validate: (value) => {
-          const times = value.split(",").map((t) => t.trim());
-          const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-          for (const time of times) {
-            if (!timeRegex.test(time)) {
-              return `Invalid time format: ${time}. Use HH:MM format`;
-            }
-          }
-          return true;
-        },
-      });
-      scheduleConfig.fixedTimes = snapshotTime.split(",").map((t) => t.trim());
-    } else if (scheduleMode === "interval") {
-      const shotsPerHour = await input({
-        message: "Captures per hour (1-60):",
-        default: String(config.schedule?.interval?.shotsPerHour || 1),
-        validate: (value) => {
-          const num = parseInt(value, 10);
-          return num >= 1 && num <= 60 ? true : "Must be between 1 and 60";
-        },
-      });
-
-      const startHour = await input({
-        message: "Start time (HH:MM):",
-        default: config.schedule?.window?.startHour || "06:00",
-        validate: (value) => {
-          const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-          return timeRegex.test(value)
-            ? true
-            : "Please enter a valid time in HH:MM format";
-        },
-      });
-
-      const endHour = await input({
-        message: "End time (HH:MM):",
-        default: config.schedule?.window?.endHour || "18:00",
-        validate: (value) => {
-          const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-          return timeRegex.test(value)
-            ? true
-            : "Please enter a valid time in HH:MM format";
-        },
-      });
-
-      scheduleConfig.interval = { shotsPerHour: parseInt(shotsPerHour, 10) };
-      scheduleConfig.window = { startHour, endHour };
-    } else if (scheduleMode === "sunrise-sunset") {
-      // Detect or input location
-      console.log(
-        "\n📍 Detecting your location for sunrise/sunset calculations...",
-      );
-      const detected = await detectLocation();
-
-      let location;
-      if (detected && detected.lat && detected.lon) {
-        console.log(`✅ Detected location: ${formatLocation(detected)}`);
-
-        const useDetected = await confirm({
-          message: "Use this location?",
-          default: true,
-        });
-
-        if (useDetected) {
-          location = await confirmLocation(detected);
-        }
-      }
-
-      if (!location || !location.lat || !location.lon) {
-        console.log("\nPlease enter your location coordinates:");
-        const lat = await input({
-          message: "Latitude:",
-          default: config.location?.lat ? String(config.location.lat) : "",
-          validate: (value) => {
-            const num = parseFloat(value);
-            return !isNaN(num) && num >= -90 && num <= 90
-              ? true
-              : "Must be between -90 and 90";
-          },
-        });
-
-        const lon = await input({
-          message: "Longitude:",
-          default: config.location?.lon ? String(config.location.lon) : "",
-          validate: (value) => {
-            const num = parseFloat(value);
-            return !isNaN(num) && num >= -180 && num <= 180
-              ? true
-              : "Must be between -180 and 180";
-          },
-        });
-
-        location = {
-          lat: parseFloat(lat),
-          lon: parseFloat(lon),
-          name: "Custom location",
-        };
-      }
-
-      // Update config with location
+    const { schedule: scheduleConfig, location } = await promptSchedule(
+      config.schedule,
+      config.location,
+    );
+    if (location) {
       config = await updateConfig((draft) => {
         draft.location = location;
       });
-
-      const captureSunrise = await confirm({
-        message: "Capture at sunrise?",
-        default: config.schedule?.captureSunrise !== false,
-      });
-
-      const captureSunset = await confirm({
-        message: "Capture at sunset?",
-        default: config.schedule?.captureSunset !== false,
-      });
-
-      const additionalCaptures = await confirm({
-        message: "Add interval captures between sunrise and sunset?",
-        default: false,
-      });
-
-      scheduleConfig.captureSunrise = captureSunrise;
-      scheduleConfig.captureSunset = captureSunset;
-
-      if (additionalCaptures) {
-        const shotsPerHour = await input({
-          message: "Captures per hour between sunrise and sunset:",
-          default: "1",
-          validate: (value) => {
-            const num = parseInt(value, 10);
-            return num >= 1 && num <= 60 ? true : "Must be between 1 and 60";
-          },
-        });
-        scheduleConfig.interval = { shotsPerHour: parseInt(shotsPerHour, 10) };
-      }
     }
 
     // Validate and save schedule configuration
@@ -633,7 +830,47 @@ async function runSetup(skipCron = false) {
       Object.assign(draft.schedule, scheduleConfig);
     });
 
-    console.log(`✅ Schedule configured: ${scheduleMode} mode`);
+    console.log(`✅ Schedule configured: ${scheduleConfig.mode} mode`);
+
+    // Cameras pointed at different things may need their own schedules
+    if (config.cameras.length > 1) {
+      for (const [index, camera] of config.cameras.entries()) {
+        const override = await confirm({
+          message: `Give ${camera.name} its own schedule?`,
+          default: Boolean(camera.schedule),
+        });
+
+        if (!override) {
+          config = await updateConfig((draft) => {
+            delete draft.cameras[index].schedule;
+          });
+          continue;
+        }
+
+        const cameraSchedule = await promptSchedule(
+          getCameraSchedule(config, camera),
+          config.location,
+        );
+        const cameraValidation = validateSchedule(cameraSchedule.schedule);
+        if (!cameraValidation.isValid) {
+          console.error(
+            `❌ Schedule configuration error for ${camera.name}:`,
+            cameraValidation.errors.join(", "),
+          );
+          process.exit(1);
+        }
+
+        config = await updateConfig((draft) => {
+          draft.cameras[index].schedule = cameraSchedule.schedule;
+          if (cameraSchedule.location) {
+            draft.location = cameraSchedule.location;
+          }
+        });
+        console.log(
+          `✅ ${camera.name}: ${describeSchedule(config.cameras[index].schedule)}`,
+        );
+      }
+    }
 
     // Create output directories for all cameras
     console.log("\n📁 Creating output directories...");
@@ -646,25 +883,67 @@ async function runSetup(skipCron = false) {
     console.log("\n✅ Configuration saved to lawn.config.json");
 
     if (!skipCron) {
-      console.log("\n⏰ Step 5: Cron Job Setup");
+      console.log("\n⏰ Step 5: Automatic Captures");
       console.log("----------------------------------------\n");
 
-      const setupCron = await confirm({
+      const setupAutomatic = await confirm({
         message: "Would you like to set up automatic captures?",
         default: true,
       });
 
-      if (setupCron) {
+      let scheduler = setupAutomatic ? "cron" : null;
+      const servicePlatform = getServicePlatform();
+      if (setupAutomatic && servicePlatform) {
+        scheduler = await select({
+          message: "How should captures be started?",
+          choices: [
+            {
+              name: `${servicePlatform === "launchd" ? "launchd agent" : "systemd timer"} (recommended)`,
+              value: "service",
+            },
+            { name: "cron job", value: "cron" },
+          ],
+          default: "service",
+        });
+      }
+
+      if (scheduler === "service") {
+        try {
+          const { files, logPath } = await installService(config);
+          if (removeCronJob()) {
+            console.log("✅ Removed the old cron job");
+          }
+          console.log(
+            `✅ Installed ${files.map((file) => path.basename(file)).join(" and ")} to run ${describeCaptureCalendar(getCaptureCalendar(config))}`,
+          );
+          console.log(`   Logs will be saved to: ${logPath}`);
+        } catch (error) {
+          console.error("❌ Failed to install the service:", error.message);
+          console.log("   Try again later with: lawn service install");
+        }
+      }
+
+      if (scheduler === "cron") {
         // Determine cron schedule based on mode
         let cronTime;
-        if (config.schedule.mode === "fixed-time") {
+        const schedules = config.cameras.map((camera) =>
+          getCameraSchedule(config, camera),
+        );
+        const firstTime = config.schedule.fixedTimes?.[0];
+        if (
+          schedules.every(
+            (schedule) =>
+              schedule.mode === "fixed-time" &&
+              schedule.fixedTimes[0] === firstTime,
+          )
+        ) {
           // For fixed times, run at those specific times
           // For simplicity, we'll use the first time if multiple are configured
-          const firstTime = config.schedule.fixedTimes[0];
           const [hour, minute] = firstTime.split(":");
           cronTime = `${minute} ${hour} * * *`;
         } else {
-          // For interval and sunrise/sunset modes, run every 15 minutes
+          // For interval and sunrise/sunset modes, or cameras on different
+          // schedules, run every 15 minutes
           // The capture script will check if a capture is actually due
           cronTime = "*/15 * * * *";
         }
@@ -678,8 +957,8 @@ async function runSetup(skipCron = false) {
         // Ensure logs directory exists
         await fsp.mkdir(logDir, { recursive: true });
 
-        // Include PATH for homebrew and common binary locations
-        const pathEnv = "PATH=/opt/homebrew/bin:/usr/local/bin:/usr/bin:/bin";
+        // Cron starts with a minimal PATH; keep the one ffmpeg was found on
+        const pathEnv = `PATH="${buildServicePath()}"`;
         const cronCommand = `${cronTime} ${pathEnv} ${nodePath} ${scriptPath} >> ${logPath} 2>&1`;
 
         try {
@@ -692,16 +971,7 @@ async function runSetup(skipCron = false) {
             existingCron = "";
           }
 
-          const filteredCron = existingCron
-            .split("\n")
-            .filter(
-              (line) =>
-                !line.includes("capture-and-timelapse.js") &&
-                !line.includes("lawn-lapse") &&
-                !line.includes("lawn.js") &&
-                !line.includes("daily-noon-update.js"),
-            )
-            .join("\n");
+          const filteredCron = removeLawnCronLines(existingCron);
 
           const newCron = filteredCron.trim() + "\n" + cronCommand + "\n";
 
@@ -719,10 +989,14 @@ async function runSetup(skipCron = false) {
             child.on("error", reject);
           });
 
-          if (config.schedule.mode === "fixed-time") {
+          if (cronTime !== "*/15 * * * *") {
             console.log(
               `✅ Cron job installed to run at ${config.schedule.fixedTimes.join(", ")}`,
             );
+          } else if (config.cameras.some((camera) => camera.schedule)) {
+            console.log(
+              `✅ Cron job installed to check each camera's schedule every 15 minutes`,
+            );
           } else if (config.schedule.mode === "interval") {
             console.log(
               `✅ Cron job installed to check for captures every 15 minutes`,
@@ -734,8 +1008,20 @@ async function runSetup(skipCron = false) {
             console.log(
               `✅ Cron job installed to check for sunrise/sunset captures every 15 minutes`,
             );
+          } else if (config.schedule.mode === "solar") {
+            console.log(
+              `✅ Cron job installed to check for sun position captures every 15 minutes`,
+            );
           }
           console.log(`   Logs will be saved to: ${logPath}`);
+          if ((await uninstallService().catch(() => [])).length > 0) {
+            console.log("✅ Removed the old service");
+          }
+          if (cronTime === "*/15 * * * *") {
+            console.log(
+              "   For captures on the exact minute, run 'lawn daemon' instead of cron",
+            );
+          }
         } catch (error) {
           console.error("❌ Failed to install cron job:", error.message);
           console.log("\nYou can manually add this to your crontab:");
@@ -782,6 +1068,241 @@ async function runCapture() {
   });
 }
 
+/**
+ * Runs the capture daemon in the foreground until SIGTERM or SIGINT
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} If no camera is configured or a daemon is already running
+ */
+async function runDaemonCommand() {
+  const config = await loadConfig();
+  if (!config.cameras?.length) {
+    throw new Error("No cameras configured. Run 'lawn' to set up.");
+  }
+
+  if (isCronInstalled()) {
+    console.log(
+      "⚠️  A cron job is also installed; remove it with 'crontab -e' so slots are not captured twice.\n",
+    );
+  }
+
+  await runDaemon(config);
+}
+
+/**
+ * Manages the systemd timer or launchd agent that starts captures
+ * Usage: lawn service install [--daemon] [--dry-run] | uninstall | status
+ * @async
+ * @param {Array<string>} serviceArgs - Arguments following the service command
+ * @returns {Promise<void>}
+ * @throws {Error} If the platform has no supported service manager or the action is unknown
+ */
+async function runService(serviceArgs) {
+  const [action = "status", ...options] = serviceArgs;
+  const platform = getServicePlatform();
+  if (!platform) {
+    throw new Error(
+      `Services are not supported on ${process.platform}; use "lawn cron" instead`,
+    );
+  }
+
+  if (action === "install") {
+    const config = await loadConfig();
+    if (!config.cameras?.length) {
+      throw new Error('No cameras configured. Run "lawn" to set up first.');
+    }
+
+    const daemon = options.includes("--daemon");
+    if (options.includes("--dry-run")) {
+      for (const file of getServiceFiles(platform, config, { daemon })) {
+        console.log(`# ${file.path}\n${file.contents}`);
+      }
+      return;
+    }
+
+    const { files, logPath } = await installService(config, { daemon });
+    console.log(
+      `✅ Installed ${describeService({ platform, mode: daemon ? "daemon" : "timer" })}`,
+    );
+    files.forEach((file) => console.log(`   ${file}`));
+    console.log(
+      daemon
+        ? "   Keeps lawn daemon running and restarts it if it fails"
+        : `   Captures run ${describeCaptureCalendar(getCaptureCalendar(config))}`,
+    );
+    console.log(`   Logs: ${logPath}`);
+    if (removeCronJob()) {
+      console.log("✅ Removed the old cron job so captures don't run twice");
+    }
+    return;
+  }
+
+  if (action === "uninstall") {
+    const removed = await uninstallService();
+    if (removed.length === 0) {
+      console.log(`No ${platform} service installed`);
+      return;
+    }
+    console.log(`✅ Removed ${platform} service`);
+    removed.forEach((file) => console.log(`   ${file}`));
+    return;
+  }
+
+  if (action === "status") {
+    const status = await getServiceStatus();
+    if (!status.installed) {
+      console.log(
+        `✗ No ${platform} service installed (install with: lawn service install)`,
+      );
+      return;
+    }
+    console.log(
+      status.active
+        ? `✓ ${describeService(status)} active`
+        : `⚠️  ${describeService(status)} installed but not active`,
+    );
+    status.files.forEach((file) => console.log(`   ${file}`));
+    return;
+  }
+
+  throw new Error(
+    "Usage: lawn service install [--daemon] [--dry-run] | uninstall | status",
+  );
+}
+
+/**
+ * Imports snapshots from a directory of recorded video files
+ * Usage: lawn import <dir> [--camera <id|name>] [--dry-run]
+ * @async
+ * @param {Array<string>} importArgs - Arguments following the import command
+ * @returns {Promise<void>}
+ * @throws {Error} If the directory or camera is missing
+ */
+async function runImport(importArgs) {
+  const directory = importArgs.find(
+    (arg, index) =>
+      !arg.startsWith("-") && importArgs[index - 1] !== "--camera",
+  );
+  if (!directory) {
+    throw new Error(
+      "Usage: lawn import <dir> [--camera <id|name>] [--dry-run]",
+    );
+  }
+
+  const config = await loadConfig();
+  if (!config.cameras?.length) {
+    throw new Error('No cameras configured. Run "lawn" to set up first.');
+  }
+
+  const cameraIndex = importArgs.indexOf("--camera");
+  const cameraArg = cameraIndex >= 0 ? importArgs[cameraIndex + 1] : null;
+  let camera = config.cameras[0];
+
+  if (cameraArg) {
+    camera = config.cameras.find(
+      (c) => c.id === cameraArg || c.name === cameraArg,
+    );
+    if (!camera) {
+      throw new Error(`Camera "${cameraArg}" not found in configuration`);
+    }
+  } else if (config.cameras.length > 1) {
+    const selectedCameraId = await select({
+      message: "Which camera are these recordings from?",
+      choices: config.cameras.map((c) => ({ name: c.name, value: c.id })),
+    });
+    camera = config.cameras.find((c) => c.id === selectedCameraId);
+  }
+
+  const dryRun = importArgs.includes("--dry-run");
+  console.log(
+    `📼 Importing recordings for ${camera.name}${dryRun ? " (dry run)" : ""}`,
+  );
+  console.log(`   Snapshots: ${camera.snapshotDir}\n`);
+
+  const result = await importRecordings(
+    path.resolve(directory),
+    camera,
+    config,
+    {
+      dryRun,
+    },
+  );
+
+  console.log(`\n📊 Summary:`);
+  console.log(
+    `  ${dryRun ? "Would import" : "Imported"}: ${result.imported} snapshot(s)`,
+  );
+  if (result.skipped > 0) {
+    console.log(`  Already present: ${result.skipped}`);
+  }
+  if (result.failed > 0) {
+    console.log(`  Failed: ${result.failed}`);
+  }
+  if (result.unreadable > 0) {
+    console.log(`  Unreadable recordings: ${result.unreadable}`);
+  }
+}
+
+/**
+ * Checks existing snapshots and quarantines corrupt ones
+ * Usage: lawn verify [--camera <id|name>] [--dry-run]
+ * @async
+ * @param {Array<string>} verifyArgs - Arguments following the verify command
+ * @returns {Promise<void>}
+ * @throws {Error} If no cameras are configured or the camera is missing
+ */
+async function runVerify(verifyArgs) {
+  const config = await loadConfig();
+  if (!config.cameras?.length) {
+    throw new Error('No cameras configured. Run "lawn" to set up first.');
+  }
+
+  const cameraIndex = verifyArgs.indexOf("--camera");
+  const cameraArg = cameraIndex >= 0 ? verifyArgs[cameraIndex + 1] : null;
+  let cameras = config.cameras;
+
+  if (cameraArg) {
+    cameras = config.cameras.filter(
+      (c) => c.id === cameraArg || c.name === cameraArg,
+    );
+    if (cameras.length === 0) {
+      throw new Error(`Camera "${cameraArg}" not found in configuration`);
+    }
+  }
+
+  const dryRun = verifyArgs.includes("--dry-run");
+  let totalCorrupt = 0;
+
+  for (const camera of cameras) {
+    console.log(
+      `🔎 Verifying snapshots for ${camera.name}${dryRun ? " (dry run)" : ""}`,
+    );
+
+    const { checked, corrupt } = await verifySnapshots(camera, {
+      dryRun,
+      timezone: getScheduleTimezone(getCameraSchedule(config, camera)),
+    });
+    for (const { filename, error } of corrupt) {
+      console.log(`  ✗ ${filename}: ${error}`);
+    }
+
+    if (corrupt.length === 0) {
+      console.log(`  ✓ ${checked} snapshot(s) OK\n`);
+    } else if (dryRun) {
+      console.log(`  ${corrupt.length} of ${checked} snapshot(s) corrupt\n`);
+    } else {
+      console.log(
+        `  Quarantined ${corrupt.length} of ${checked} snapshot(s) in ${getQuarantineDir(camera.id)}\n`,
+      );
+    }
+    totalCorrupt += corrupt.length;
+  }
+
+  if (totalCorrupt > 0 && !dryRun) {
+    console.log("The next capture run will fetch the quarantined slots again.");
+  }
+}
+
 /**
  * Runs the status check process
  * Displays system information and statistics
@@ -800,11 +1321,15 @@ async function runStatus() {
     return;
   }
 
-  const snapshotTime = config.schedule?.fixedTimes?.[0] || "12:00";
-  const [captureHour, captureMinute] = snapshotTime
-    .split(":")
-    .map((n) => parseInt(n, 10));
-  const timeStr = `${String(captureHour).padStart(2, "0")}${String(captureMinute).padStart(2, "0")}`;
+  // Captures carry on with bad video settings, so they're only a warning here
+  try {
+    await validateVideoSettings(config);
+  } catch (error) {
+    console.log(`\n⚠️  ${error.message}`);
+    console.log(
+      "   Snapshots are captured, but no videos are rendered until this is fixed",
+    );
+  }
 
   // Show per-camera status
   console.log(`\n📷 Cameras (${cameras.length} configured):`);
@@ -819,9 +1344,62 @@ async function runStatus() {
     console.log(`  Snapshots: ${camera.snapshotDir}`);
     console.log(`  Videos: ${camera.timelapseDir}`);
 
-    // Check snapshots
+    const schedule = getCameraSchedule(config, camera);
+    const scheduleCheck = validateSchedule(schedule);
+    const timezone = getScheduleTimezone(schedule);
+    console.log(
+      `  Schedule: ${describeSchedule(schedule)} ${timezone}${camera.schedule ? " (camera schedule)" : ""}`,
+    );
+    if (!scheduleCheck.isValid) {
+      console.log(`  ⚠️  Invalid schedule: ${scheduleCheck.errors.join(", ")}`);
+    } else {
+      try {
+        const next = getNextCaptureTime(schedule, config.location);
+        console.log(
+          next
+            ? `  Next capture: ${formatSnapshotName(next, timezone).date} ${formatSlotTime(next, timezone)}`
+            : "  Next capture: none today or tomorrow",
+        );
+      } catch (error) {
+        console.log(`  Next capture: ⚠️  ${error.message}`);
+      }
+    }
+
+    const snapshotTime = schedule.fixedTimes?.[0] || "12:00";
+    const [captureHour, captureMinute] = snapshotTime
+      .split(":")
+      .map((n) => parseInt(n, 10));
+    const timeStr = `${String(captureHour).padStart(2, "0")}${String(captureMinute).padStart(2, "0")}`;
+
     try {
-      const files = await fs.readdir(camera.snapshotDir);
+      const source = createCameraSource(camera, config);
+      const mode = source.capabilities.backfill
+        ? "backfill enabled"
+        : "live-only, backfill disabled";
+      console.log(`  Source: ${source.type} ${source.label} (${mode})`);
+    } catch (error) {
+      console.log(`  Source: ⚠️  ${error.message}`);
+    }
+
+    // Found by the last backfill; shows how far back it can still go
+    const range = await loadRecordingRange(camera.id).catch(() => null);
+    if (range) {
+      const daysBack = Math.floor((Date.now() - range.start) / 86400000);
+      const how =
+        range.method === "controller" ? "reported by controller" : "probed";
+      console.log(
+        `  Recordings: since ${range.start.toLocaleDateString()} (${daysBack} days back, ${how} ${range.checkedAt.toLocaleString()})`,
+      );
+    }
+
+    // Check snapshots (the ledger knows about captures; older setups
+    // without one fall back to the directory listing)
+    try {
+      const ledger = await loadLedger(camera.id);
+      const files =
+        ledger.size > 0
+          ? getCapturedFilenames(ledger)
+          : await fsp.readdir(camera.snapshotDir);
       const jpgFiles = files
         .filter((f) => f.endsWith(".jpg") && f.includes(`_${timeStr}.jpg`))
         .sort();
@@ -858,13 +1436,67 @@ async function runStatus() {
       } else {
         console.log("\n  📸 Snapshots: None found");
       }
+
+      if (ledger.size > 0) {
+        const summary = summarizeLedger(ledger);
+        const missing =
+          summary.missing > 0 ? `, ${summary.missing} missing` : "";
+        console.log(
+          `     Ledger: ${summary.captured} captured, ${summary.empty} known empty, ${summary.failed} failed${missing}`,
+        );
+        if (summary.lastAttemptAt) {
+          console.log(
+            `     Last attempt: ${new Date(summary.lastAttemptAt).toLocaleString()}`,
+          );
+        }
+
+        const weatherSettings = resolveWeatherSettings(config.weather);
+        if (weatherSettings.enabled) {
+          const weather = summarizeWeather(ledger, weatherSettings);
+          console.log(
+            `     Weather: ${weather.checked} tagged, ${weather.excluded} left out of videos, ${weather.skipped} skipped`,
+          );
+        }
+      }
+
+      // Frames scored by the last video run that fall below the thresholds
+      const frameQuality = resolveFrameQuality(config.frameQuality);
+      if (frameQuality.enabled) {
+        const usable =
+          ledger.size > 0
+            ? filterSnapshotsByWeather(
+                files,
+                ledger,
+                resolveWeatherSettings(config.weather),
+              ).kept
+            : files.filter((f) => f.endsWith(".jpg"));
+        const scores = await loadFrameScores(camera.id);
+        const { excluded } = filterFramesByQuality(
+          usable,
+          scores,
+          frameQuality,
+        );
+        const unscored = usable.filter((f) => !scores.has(f)).length;
+        const pending = unscored > 0 ? `, ${unscored} not scored yet` : "";
+        console.log(
+          `     Quality: ${excluded.length} left out of videos${pending}`,
+        );
+        excluded
+          .slice(0, 5)
+          .forEach(({ filename, reasons }) =>
+            console.log(`        - ${filename} (${reasons.join(", ")})`),
+          );
+        if (excluded.length > 5) {
+          console.log(`        ... and ${excluded.length - 5} more`);
+        }
+      }
     } catch {
       console.log("\n  📸 Snapshots: Directory not accessible");
     }
 
     // Check timelapses
     try {
-      const files = await fs.readdir(camera.timelapseDir);
+      const files = await fsp.readdir(camera.timelapseDir);
       const timelapses = files.filter(
         (f) => f.startsWith("timelapse") && f.endsWith(".mp4"),
       );
@@ -873,7 +1505,7 @@ async function runStatus() {
         totalTimelapses += timelapses.length;
         const timelapseStats = await Promise.all(
           timelapses.map(async (file) => {
-            const stats = await fs.stat(path.join(camera.timelapseDir, file));
+            const stats = await fsp.stat(path.join(camera.timelapseDir, file));
             return { file, mtime: stats.mtime, size: stats.size };
           }),
         );
@@ -903,31 +1535,103 @@ async function runStatus() {
     }
   }
 
-  console.log("\n⏰ Cron Job:");
+  console.log("\n⏰ Scheduler:");
+  let cronActive = false;
   try {
-    const { execSync } = await import("child_process");
     const crontab = execSync('crontab -l 2>/dev/null || echo ""', {
       encoding: "utf-8",
     });
     const cronLine = crontab
       .split("\n")
-      .find((line) => line.includes("lawn-lapse") || line.includes("lawn.js"));
+      .find((line) => line.includes("capture-and-timelapse.js"));
 
     if (cronLine) {
-      if (!cronLine.startsWith("#")) {
-        const parts = cronLine.split(" ");
-        const minute = parts[0];
-        const hour = parts[1];
-        console.log(`  ✓ Active: Daily at ${hour}:${minute.padStart(2, "0")}`);
+      if (!cronLine.trim().startsWith("#")) {
+        cronActive = true;
+        const [minute, hour] = cronLine.trim().split(/\s+/);
+        console.log(
+          /^\d+$/.test(hour)
+            ? `  Cron: ✓ Daily at ${hour}:${minute.padStart(2, "0")}`
+            : "  Cron: ✓ Every 15 minutes",
+        );
       } else {
-        console.log("  ✓ Cron job configured (disabled or commented)");
+        console.log("  Cron: configured but commented out");
       }
     } else {
-      console.log("  ✗ Not configured");
-      console.log("  Run: lawn-lapse cron to set up automatic daily capture");
+      console.log("  Cron: ✗ Not configured");
     }
   } catch {
-    console.log("  Unable to check cron status");
+    console.log("  Cron: unable to check");
+  }
+
+  const service = await getServiceStatus().catch(() => null);
+  if (service?.platform) {
+    const name = service.platform === "launchd" ? "launchd" : "systemd";
+    if (!service.installed) {
+      console.log(`  ${name}: ✗ Not installed`);
+    } else {
+      console.log(
+        `  ${name}: ${service.active ? "✓" : "⚠️ "} ${describeService(service)}${service.active ? "" : " installed but not active"}`,
+      );
+    }
+  }
+
+  const daemon = await readDaemonState().catch(() => null);
+  const schedulers = listActiveSchedulers({
+    cron: cronActive,
+    service,
+    daemonRunning: Boolean(daemon?.running),
+  });
+  if (schedulers.length === 0) {
+    console.log("  ✗ No automatic captures");
+    console.log("  Run: lawn service install (or lawn cron, or lawn daemon)");
+  } else if (schedulers.length > 1) {
+    console.log(
+      `  ⚠️  Captures are started by ${schedulers.join(" and ")}; keep only one so slots aren't captured twice`,
+    );
+  } else {
+    console.log(`  ✓ Captures are started by ${schedulers[0]}`);
+  }
+
+  console.log("\n🛰️  Daemon:");
+  if (!daemon) {
+    console.log("  ✗ Not running (start with: lawn daemon)");
+  } else if (daemon.running) {
+    console.log(
+      `  ✓ Running (pid ${daemon.pid}) since ${new Date(daemon.startedAt).toLocaleString()}`,
+    );
+    console.log(
+      `  Last heartbeat: ${new Date(daemon.heartbeatAt).toLocaleString()}`,
+    );
+    if (daemon.nextCapture) {
+      console.log(
+        `  Next capture: ${new Date(daemon.nextCapture.slot).toLocaleString()} (${daemon.nextCapture.cameras.join(", ")})`,
+      );
+    }
+  } else if (daemon.stoppedAt) {
+    console.log(`  ✗ Stopped ${new Date(daemon.stoppedAt).toLocaleString()}`);
+  } else {
+    console.log(
+      `  ⚠️  Not running (pid ${daemon.pid} exited without stopping)`,
+    );
+  }
+  if (daemon?.lastCapture) {
+    const failed = daemon.lastCapture.failed.length
+      ? `, failed: ${daemon.lastCapture.failed.join(", ")}`
+      : "";
+    console.log(
+      `  Last capture: ${new Date(daemon.lastCapture.at).toLocaleString()}${failed}`,
+    );
+  }
+  if (daemon?.lastVideos) {
+    console.log(
+      `  Last videos: ${new Date(daemon.lastVideos).toLocaleString()}`,
+    );
+  }
+  if (daemon?.lastError) {
+    console.log(
+      `  Last error: ${daemon.lastError.message} (${new Date(daemon.lastError.at).toLocaleString()})`,
+    );
   }
 
   console.log("\n🔐 Authentication:");
@@ -967,6 +1671,26 @@ async function main() {
       return;
     }
 
+    if (command === "import") {
+      await runImport(args.slice(1));
+      return;
+    }
+
+    if (command === "verify") {
+      await runVerify(args.slice(1));
+      return;
+    }
+
+    if (command === "daemon") {
+      await runDaemonCommand();
+      return;
+    }
+
+    if (command === "service") {
+      await runService(args.slice(1));
+      return;
+    }
+
     if (command === "cron") {
       console.log("🔄 Re-running cron setup...\n");
       await runSetup(false);
@@ -988,6 +1712,13 @@ Lawn Lapse - Capture daily snapshots and create time-lapse videos
 Usage:
   lawn              Run capture (setup if first time)
   lawn status       Show current configuration and statistics
+  lawn import <dir> Extract snapshots from recorded video files
+                    [--camera <id|name>] [--dry-run]
+  lawn verify       Quarantine corrupt snapshots so they are fetched again
+                    [--camera <id|name>] [--dry-run]
+  lawn daemon       Stay running and capture each slot on time
+  lawn service      Manage the systemd timer or launchd agent
+                    install [--daemon] [--dry-run] | uninstall | status
   lawn cron         Set up or update cron job
   lawn version      Show version number
   lawn help         Show this help message
@@ -1006,10 +1737,17 @@ Subsequent runs will capture snapshots and update the time-lapse video.
       config = applyDefaults(createDefaultConfig());
     }
 
+    // Controller credentials only matter when a camera is fetched from UniFi
+    const usesUnifi =
+      !config.cameras?.length ||
+      config.cameras.some((camera) => getSourceType(camera) === "unifi");
+
     const missingFields = [];
-    if (!config.unifi?.host) missingFields.push("UniFi host");
-    if (!config.unifi?.username) missingFields.push("UniFi username");
-    if (!config.unifi?.password) missingFields.push("UniFi password");
+    if (usesUnifi) {
+      if (!config.unifi?.host) missingFields.push("UniFi host");
+      if (!config.unifi?.username) missingFields.push("UniFi username");
+      if (!config.unifi?.password) missingFields.push("UniFi password");
+    }
     if (!config.cameras?.[0]?.id) missingFields.push("Camera selection");
     if (!config.schedule?.fixedTimes?.length)
       missingFields.push("Capture time");
@@ -1031,9 +1769,14 @@ Subsequent runs will capture snapshots and update the time-lapse video.
       return;
     }
 
-    if (!isCronInstalled()) {
+    const service = await getServiceStatus().catch(() => null);
+    if (
+      !isCronInstalled() &&
+      !service?.active &&
+      !(await readDaemonState())?.running
+    ) {
       console.log(
-        '⚠️  Warning: Cron job is not installed. Run "lawn cron" to set up automatic captures.\n',
+        '⚠️  Warning: No automatic captures are set up. Run "lawn service install" or "lawn cron" to set them up.\n',
       );
     }
 
@@ -1099,7 +1842,15 @@ Subsequent runs will capture snapshots and update the time-lapse video.
 }
 
 // Export functions for programmatic use
-export { runSetup, runCapture, runStatus };
+export {
+  runSetup,
+  runCapture,
+  runStatus,
+  runImport,
+  runVerify,
+  runDaemonCommand,
+  runService,
+};
 
 // Only run main function if this is the entry point (not being imported)
 // Resolve both paths to handle symlinks (used by npm bin)
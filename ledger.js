@@ -0,0 +1,324 @@
+/**
+ * @file ledger.js
+ * @description Per-camera capture ledger stored as JSONL under the base directory
+ * Records every slot attempt (time, outcome, error category, file hash, source) so
+ * "never attempted", "no recording existed" and "failed" can be told apart
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import crypto from "crypto";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+import { getScheduleTimezone, parseWallTime } from "./scheduling.js";
+
+/**
+ * Slot outcomes stored in the ledger
+ * @enum {string}
+ */
+export const OUTCOMES = {
+  CAPTURED: "captured", // Snapshot saved
+  EMPTY: "empty", // Source had no recording for the slot
+  FAILED: "failed", // Attempt failed for another reason
+  MISSING: "missing", // Was captured, but the file has since been removed
+  SKIPPED: "skipped", // Not captured because of the weather filter
+};
+
+// Error categories (see retry.js) meaning the slot itself has no footage
+const EMPTY_CATEGORIES = new Set(["no-data", "not-found"]);
+
+// Recent footage may not be exportable yet, so an empty result only becomes
+// final once it was observed this long after the slot
+const EMPTY_SETTLE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} slot - Slot time (ISO 8601)
+ * @property {string} filename - Snapshot filename (YYYY-MM-DD_HHMM.jpg)
+ * @property {string} outcome - One of OUTCOMES
+ * @property {string|null} errorCategory - Error category for failed/empty slots
+ * @property {string|null} error - Error message for failed/empty slots
+ * @property {string|null} sha256 - Hash of the saved snapshot
+ * @property {string|null} source - Where the frame came from (e.g. unifi:192.168.1.1)
+ * @property {number|null} frameOffset - Seconds between the slot and the chosen frame (null without frame selection or precision timing)
+ * @property {Array<string>|null} weather - Weather tags at the slot (null if not looked up)
+ * @property {string} attemptedAt - When the attempt finished (ISO 8601)
+ */
+
+/**
+ * Gets the path of a camera's ledger file
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getLedgerPath(cameraId) {
+  return path.join(
+    getBaseDir(),
+    "ledger",
+    `${encodeURIComponent(cameraId)}.jsonl`,
+  );
+}
+
+/**
+ * Maps an error category to the ledger outcome for a failed attempt
+ * @param {string} category - Error category from classifyError
+ * @returns {string} OUTCOMES.EMPTY or OUTCOMES.FAILED
+ */
+export function outcomeForCategory(category) {
+  return EMPTY_CATEGORIES.has(category) ? OUTCOMES.EMPTY : OUTCOMES.FAILED;
+}
+
+/**
+ * Checks whether a slot is known to have no recording and need not be requested again
+ * @param {LedgerEntry|undefined} entry - Latest ledger entry for the slot
+ * @returns {boolean} True if the slot was empty well after it happened
+ */
+export function isKnownEmpty(entry) {
+  if (entry?.outcome !== OUTCOMES.EMPTY) return false;
+  return (
+    Date.parse(entry.attemptedAt) - Date.parse(entry.slot) >= EMPTY_SETTLE_MS
+  );
+}
+
+/**
+ * Builds a ledger entry for a slot
+ * @param {Object} item - Slot details ({slot: Date, filename})
+ * @param {Object} details - Outcome details
+ * @param {string} details.outcome - One of OUTCOMES
+ * @param {string} [details.errorCategory] - Error category
+ * @param {string} [details.error] - Error message
+ * @param {string} [details.sha256] - Snapshot hash
+ * @param {string} [details.source] - Frame source
+ * @param {number} [details.frameOffset] - Offset of the chosen frame from the slot
+ * @param {Array<string>} [details.weather] - Weather tags at the slot
+ * @returns {LedgerEntry} Entry ready to append
+ */
+export function createLedgerEntry(item, details) {
+  return {
+    slot: item.slot.toISOString(),
+    filename: item.filename,
+    outcome: details.outcome,
+    errorCategory: details.errorCategory ?? null,
+    error: details.error ?? null,
+    sha256: details.sha256 ?? null,
+    source: details.source ?? null,
+    frameOffset: details.frameOffset ?? null,
+    weather: details.weather ?? null,
+    attemptedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Loads a camera's ledger, keeping the latest entry for each slot
+ * Rewrites the file when most of its lines have been superseded
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @returns {Promise<Map<string, LedgerEntry>>} Entries keyed by filename
+ */
+export async function loadLedger(cameraId) {
+  const ledger = new Map();
+  const ledgerPath = getLedgerPath(cameraId);
+
+  let raw;
+  try {
+    raw = await fs.readFile(ledgerPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return ledger;
+    throw error;
+  }
+
+  let lineCount = 0;
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    lineCount++;
+    try {
+      const entry = JSON.parse(line);
+      if (entry?.filename) {
+        ledger.set(entry.filename, entry);
+      }
+    } catch {
+      // A partially written last line (e.g. after a crash) is skipped
+    }
+  }
+
+  if (lineCount > 1000 && lineCount > ledger.size * 2) {
+    await writeLedger(cameraId, ledger);
+  }
+
+  return ledger;
+}
+
+/**
+ * Appends entries to a camera's ledger
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {Array<LedgerEntry>} entries - Entries to append
+ * @returns {Promise<void>}
+ */
+export async function appendLedger(cameraId, entries) {
+  if (entries.length === 0) return;
+
+  const ledgerPath = getLedgerPath(cameraId);
+  await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+  await fs.appendFile(
+    ledgerPath,
+    entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""),
+  );
+}
+
+/**
+ * Replaces a camera's ledger with one line per slot
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {Map<string, LedgerEntry>} ledger - Entries keyed by filename
+ * @returns {Promise<void>}
+ */
+export async function writeLedger(cameraId, ledger) {
+  const ledgerPath = getLedgerPath(cameraId);
+  const tempPath = `${ledgerPath}.tmp`;
+  const lines = Array.from(ledger.values())
+    .sort((a, b) => a.slot.localeCompare(b.slot))
+    .map((entry) => `${JSON.stringify(entry)}\n`);
+
+  await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+  await fs.writeFile(tempPath, lines.join(""));
+  await fs.rename(tempPath, ledgerPath);
+}
+
+/**
+ * Computes the SHA-256 of a file
+ * @async
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Parses the slot time encoded in a snapshot filename
+ * @param {string} filename - Snapshot filename (YYYY-MM-DD_HHMM.jpg)
+ * @param {string} timezone - Timezone the filename's wall-clock time is in
+ * @returns {Date|null} Slot time, or null for other files
+ */
+function parseSnapshotFilename(filename, timezone) {
+  const match = filename.match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})\.jpg$/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  return parseWallTime({ year, month, day, hour, minute }, timezone);
+}
+
+/**
+ * Brings a ledger in line with the snapshot directory
+ * Snapshots the ledger doesn't know about (older captures, imports, manual
+ * copies) are adopted as captured; captured slots whose file has been
+ * removed are marked missing so they are fetched again.
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {string} snapshotDir - Camera snapshot directory
+ * @param {Map<string, LedgerEntry>} ledger - Loaded ledger (updated in place)
+ * @param {string} [timezone] - Timezone of the camera's schedule, which snapshot names are in (default: the host's)
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.dryRun=false] - Update the loaded ledger only, without appending to the ledger file
+ * @returns {Promise<{adopted: number, missing: number}>} Changes made
+ */
+export async function syncLedgerWithDirectory(
+  cameraId,
+  snapshotDir,
+  ledger,
+  timezone = getScheduleTimezone(null),
+  { dryRun = false } = {},
+) {
+  const files = await fs.readdir(snapshotDir).catch(() => []);
+  const onDisk = new Set(files.filter((f) => f.endsWith(".jpg")));
+  const changes = [];
+
+  for (const filename of onDisk) {
+    if (ledger.get(filename)?.outcome === OUTCOMES.CAPTURED) continue;
+
+    const slot = parseSnapshotFilename(filename, timezone);
+    if (!slot) continue;
+
+    changes.push(
+      createLedgerEntry(
+        { slot, filename },
+        {
+          outcome: OUTCOMES.CAPTURED,
+          sha256: await hashFile(path.join(snapshotDir, filename)),
+          source: "disk",
+        },
+      ),
+    );
+  }
+  const adopted = changes.length;
+
+  for (const entry of ledger.values()) {
+    if (entry.outcome === OUTCOMES.CAPTURED && !onDisk.has(entry.filename)) {
+      changes.push({
+        ...entry,
+        outcome: OUTCOMES.MISSING,
+        attemptedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  for (const entry of changes) {
+    ledger.set(entry.filename, entry);
+  }
+  if (!dryRun) {
+    await appendLedger(cameraId, changes);
+  }
+
+  return { adopted, missing: changes.length - adopted };
+}
+
+/**
+ * Lists the filenames of captured snapshots, oldest first
+ * @param {Map<string, LedgerEntry>} ledger - Loaded ledger
+ * @returns {Array<string>} Snapshot filenames
+ */
+export function getCapturedFilenames(ledger) {
+  return Array.from(ledger.values())
+    .filter((entry) => entry.outcome === OUTCOMES.CAPTURED)
+    .map((entry) => entry.filename)
+    .sort();
+}
+
+/**
+ * Counts slots by outcome
+ * @param {Map<string, LedgerEntry>} ledger - Loaded ledger
+ * @returns {{captured: number, empty: number, failed: number, missing: number, lastAttemptAt: string|null}} Summary
+ */
+export function summarizeLedger(ledger) {
+  const summary = {
+    captured: 0,
+    empty: 0,
+    failed: 0,
+    missing: 0,
+    lastAttemptAt: null,
+  };
+
+  for (const entry of ledger.values()) {
+    if (entry.outcome in summary) {
+      summary[entry.outcome]++;
+    }
+    // Bookkeeping entries are not capture attempts
+    const isAttempt =
+      entry.source !== "disk" && entry.outcome !== OUTCOMES.MISSING;
+    if (
+      isAttempt &&
+      (!summary.lastAttemptAt || entry.attemptedAt > summary.lastAttemptAt)
+    ) {
+      summary.lastAttemptAt = entry.attemptedAt;
+    }
+  }
+
+  return summary;
+}
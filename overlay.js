@@ -0,0 +1,260 @@
+/**
+ * @file overlay.js
+ * @description Date and time text burned into time-lapse frames with ffmpeg drawtext
+ * The text for each frame comes from its snapshot filename and reaches drawtext as
+ * per-frame metadata in the ffconcat list, so one filter labels every frame
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { getSelectedVideoSettings } from "./config.js";
+
+/**
+ * Frame metadata key that carries each frame's overlay text
+ * @type {string}
+ */
+export const OVERLAY_METADATA_KEY = "lawn_overlay";
+
+/**
+ * Default overlay settings. `overlay: true` uses these as they are;
+ * an object changes individual settings
+ * @type {Object}
+ */
+export const DEFAULT_OVERLAY = {
+  // Placeholders: {date}, {time}, {camera}, {label}
+  text: "{date} {time}",
+  label: "",
+  dateFormat: "YYYY-MM-DD",
+  timeFormat: "HH:mm",
+  position: "bottom-right",
+  // Font family name, or a path to a .ttf/.otf/.ttc file
+  font: null,
+  // Pixels; null sizes the text to 1/30 of the video height
+  fontSize: null,
+  fontColor: "white",
+  box: true,
+  boxColor: "black@0.5",
+  // Pixels from the frame edge; null uses half the font size
+  margin: null,
+};
+
+/**
+ * drawtext x/y expressions for each position, given the margin in pixels
+ * @type {Object<string, function(number): [string, string]>}
+ */
+export const OVERLAY_POSITIONS = {
+  "top-left": (m) => [`${m}`, `${m}`],
+  top: (m) => ["(w-tw)/2", `${m}`],
+  "top-right": (m) => [`w-tw-${m}`, `${m}`],
+  "bottom-left": (m) => [`${m}`, `h-th-${m}`],
+  bottom: (m) => ["(w-tw)/2", `h-th-${m}`],
+  "bottom-right": (m) => [`w-tw-${m}`, `h-th-${m}`],
+};
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Longest tokens first so "MMMM" isn't read as "MM" twice
+const FORMAT_TOKENS = /YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|A/g;
+
+/**
+ * Merges an overlay setting over the defaults
+ * @param {boolean|Object|null} overlay - Overlay setting from the video settings
+ * @returns {Object|null} Overlay settings, or null when there is no overlay
+ * @throws {Error} If a setting is invalid
+ */
+export function resolveOverlay(overlay) {
+  if (!overlay) {
+    return null;
+  }
+  if (overlay !== true && typeof overlay !== "object") {
+    throw new Error("Overlay must be true or an object of settings");
+  }
+
+  const settings = {
+    ...DEFAULT_OVERLAY,
+    ...(overlay === true ? {} : overlay),
+  };
+
+  if (!OVERLAY_POSITIONS[settings.position]) {
+    throw new Error(
+      `Unknown overlay position "${settings.position}" (expected one of: ${Object.keys(OVERLAY_POSITIONS).join(", ")})`,
+    );
+  }
+  for (const key of ["text", "label", "dateFormat", "timeFormat"]) {
+    if (typeof settings[key] !== "string") {
+      throw new Error(`Overlay ${key} must be a string`);
+    }
+  }
+  for (const key of ["fontSize", "margin"]) {
+    const value = settings[key];
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`Overlay ${key} must be a number of pixels or null`);
+    }
+  }
+  if (settings.fontSize === 0) {
+    throw new Error("Overlay fontSize must be greater than 0");
+  }
+
+  return settings;
+}
+
+/**
+ * Reads the wall-clock time encoded in a snapshot filename
+ * Filenames are already in the schedule's timezone, so no conversion is done
+ * @param {string} filename - Snapshot filename (YYYY-MM-DD_HHMM.jpg)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}|null} Time parts, or null for other files
+ */
+export function parseSnapshotTime(filename) {
+  const match = filename.match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})\.jpg$/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  return { year, month, day, hour, minute };
+}
+
+/**
+ * Formats snapshot time parts with YYYY, YY, MMMM, MMM, MM, M, dddd, ddd,
+ * DD, D, HH, H, hh, h, mm and A tokens; other characters are kept as they are
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts - Time parts
+ * @param {string} format - Format such as "MMM D, YYYY" or "h:mm A"
+ * @returns {string} Formatted text
+ */
+export function formatSnapshotTime(parts, format) {
+  const { year, month, day, hour, minute } = parts;
+  const pad = (value) => String(value).padStart(2, "0");
+  const hour12 = hour % 12 || 12;
+  const weekday =
+    WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+  const values = {
+    YYYY: String(year),
+    YY: pad(year % 100),
+    MMMM: MONTHS[month - 1],
+    MMM: MONTHS[month - 1].slice(0, 3),
+    MM: pad(month),
+    M: String(month),
+    dddd: weekday,
+    ddd: weekday.slice(0, 3),
+    DD: pad(day),
+    D: String(day),
+    HH: pad(hour),
+    H: String(hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(minute),
+    A: hour < 12 ? "AM" : "PM",
+  };
+
+  return format.replace(FORMAT_TOKENS, (token) => values[token]);
+}
+
+/**
+ * Builds the overlay text for one frame
+ * Frames whose filename carries no time get an empty date and time
+ * @param {string} filename - Snapshot filename
+ * @param {Object} overlay - Overlay settings from resolveOverlay
+ * @param {string} [cameraName] - Camera name for {camera}
+ * @returns {string} Text drawn on the frame
+ */
+export function getOverlayText(filename, overlay, cameraName = "") {
+  const parts = parseSnapshotTime(filename);
+  const values = {
+    date: parts ? formatSnapshotTime(parts, overlay.dateFormat) : "",
+    time: parts ? formatSnapshotTime(parts, overlay.timeFormat) : "",
+    camera: cameraName,
+    label: overlay.label,
+  };
+
+  return overlay.text
+    .replace(/\{(date|time|camera|label)\}/g, (_, key) => values[key])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Escapes a filter option value (text, colors, file paths) for the filter
+ * option and filtergraph levels
+ * @param {string} value - Option value
+ * @returns {string} Escaped value
+ */
+export function escapeFilterValue(value) {
+  const option = String(value).replace(/[\\':]/g, "\\$&");
+  return option.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+/**
+ * Builds the drawtext filter that draws each frame's overlay text
+ * The text is read from the OVERLAY_METADATA_KEY frame metadata
+ * @param {Object} overlay - Overlay settings from resolveOverlay
+ * @param {Object} options - Options
+ * @param {number} options.height - Video height, used to size the text
+ * @returns {string} ffmpeg drawtext filter
+ */
+export function buildOverlayFilter(overlay, { height }) {
+  const fontSize = overlay.fontSize ?? Math.max(12, Math.round(height / 30));
+  const margin = Math.round(overlay.margin ?? fontSize / 2);
+  const [x, y] = OVERLAY_POSITIONS[overlay.position](margin);
+
+  const options = [
+    `text=${escapeFilterValue(`%{metadata:${OVERLAY_METADATA_KEY}}`)}`,
+  ];
+  if (overlay.font) {
+    const isFile = /[\\/]|\.(ttf|otf|ttc)$/i.test(overlay.font);
+    options.push(
+      `${isFile ? "fontfile" : "font"}=${escapeFilterValue(overlay.font)}`,
+    );
+  }
+  options.push(
+    `fontsize=${fontSize}`,
+    `fontcolor=${escapeFilterValue(overlay.fontColor)}`,
+  );
+  if (overlay.box) {
+    options.push(
+      "box=1",
+      `boxcolor=${escapeFilterValue(overlay.boxColor)}`,
+      `boxborderw=${Math.max(1, Math.round(fontSize / 4))}`,
+    );
+  }
+  options.push(`x=${x}`, `y=${y}`);
+
+  return `drawtext=${options.join(":")}`;
+}
+
+/**
+ * Checks every selected overlay's settings
+ * @param {Object} config - Configuration with defaults applied
+ * @returns {void}
+ * @throws {Error} If an overlay setting is invalid
+ */
+export function validateOverlays(config) {
+  for (const { where, value } of getSelectedVideoSettings(config, "overlay")) {
+    try {
+      resolveOverlay(value);
+    } catch (error) {
+      throw new Error(`Invalid overlay in ${where}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * @file precision-timing.js
+ * @description Chooses the frame whose on-screen timestamp matches the slot
+ * Exports a window around the slot, reads the camera's timestamp overlay with
+ * OCR (tesseract) and keeps the frame closest to the requested time
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { spawn } from "child_process";
+
+import { extractOverlayCrops } from "./frames.js";
+import {
+  getScheduleTimezone,
+  getZonedParts,
+  parseWallTime,
+} from "./scheduling.js";
+
+/**
+ * Default precision timing settings (overridden globally by the `precisionTiming`
+ * config block and per camera by `camera.precisionTiming`)
+ * @type {Object}
+ */
+export const DEFAULT_PRECISION_TIMING = {
+  enabled: false,
+  windowSeconds: 5,
+  framesPerSecond: 2,
+  maxDeviationSeconds: 2,
+  // Fractions of the frame; UniFi cameras draw the overlay in the top-left corner
+  region: { x: 0, y: 0, width: 0.4, height: 0.08 },
+  tesseractPath: "tesseract",
+  language: "eng",
+};
+
+/**
+ * Merges global and per-camera precision timing settings over the defaults
+ * @param {Object} [globalConfig] - `precisionTiming` block from lawn.config.json
+ * @param {Object} [cameraConfig] - `precisionTiming` block of a camera
+ * @returns {Object} Complete settings
+ */
+export function resolvePrecisionTiming(globalConfig = {}, cameraConfig = {}) {
+  const settings = {
+    ...DEFAULT_PRECISION_TIMING,
+    ...globalConfig,
+    ...cameraConfig,
+  };
+  const region = {
+    ...DEFAULT_PRECISION_TIMING.region,
+    ...globalConfig?.region,
+    ...cameraConfig?.region,
+  };
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+  const x = clamp(Number(region.x) || 0, 0, 0.99);
+  const y = clamp(Number(region.y) || 0, 0, 0.99);
+
+  return {
+    ...settings,
+    windowSeconds: clamp(Number(settings.windowSeconds) || 0, 1, 30),
+    framesPerSecond: clamp(Number(settings.framesPerSecond) || 0, 0.5, 10),
+    maxDeviationSeconds: Math.max(0, Number(settings.maxDeviationSeconds) || 0),
+    region: {
+      x,
+      y,
+      width: clamp(Number(region.width) || 0, 0.01, 1 - x),
+      height: clamp(Number(region.height) || 0, 0.01, 1 - y),
+    },
+  };
+}
+
+// Characters tesseract commonly confuses with digits in overlay fonts
+const DIGIT_LOOKALIKES = { O: "0", o: "0", D: "0", l: "1", I: "1", "|": "1" };
+
+/**
+ * Reads the time shown in a timestamp overlay
+ * Understands 24-hour and AM/PM times with optional YYYY-MM-DD, MM/DD/YYYY or
+ * DD.MM.YYYY dates. Without a date, the day closest to the slot is used so
+ * overlays around midnight resolve correctly. The overlay shows wall-clock
+ * time, which is read in the schedule's timezone like the slot itself.
+ * @param {string} text - OCR output
+ * @param {Date} slot - Slot the frame belongs to
+ * @param {string} [timezone] - Timezone the schedule is in (default: the host's)
+ * @returns {Date|null} Overlay time, or null if no time could be read
+ */
+export function parseOverlayTime(
+  text,
+  slot,
+  timezone = getScheduleTimezone(null),
+) {
+  // Only fix up tokens that look like dates or times
+  const normalized = text
+    .split(/(\s+)/)
+    .map((token) =>
+      /\d/.test(token) && /^[\dOoDlI|:./-]+$/.test(token)
+        ? token.replace(/[OoDlI|]/g, (char) => DIGIT_LOOKALIKES[char])
+        : token,
+    )
+    .join("");
+
+  const timeMatch = normalized.match(
+    /(\d{1,2}):(\d{2}):(\d{2})(?:\s*([AaPp])\.?[Mm]\.?)?/,
+  );
+  if (!timeMatch) return null;
+
+  let hour = Number(timeMatch[1]);
+  const minute = Number(timeMatch[2]);
+  const second = Number(timeMatch[3]);
+  const meridiem = timeMatch[4]?.toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) return null;
+
+  const beforeTime = normalized.slice(0, timeMatch.index);
+  const date = parseOverlayDate(beforeTime) ?? parseOverlayDate(normalized);
+
+  if (date) {
+    return parseWallTime({ ...date, hour, minute, second }, timezone);
+  }
+
+  // No date in the overlay: pick the day nearest to the slot
+  const { year, month, day } = getZonedParts(slot, timezone);
+  const candidates = [-1, 0, 1].map((dayOffset) => {
+    const nearby = new Date(Date.UTC(year, month - 1, day + dayOffset));
+    return parseWallTime(
+      {
+        year: nearby.getUTCFullYear(),
+        month: nearby.getUTCMonth() + 1,
+        day: nearby.getUTCDate(),
+        hour,
+        minute,
+        second,
+      },
+      timezone,
+    );
+  });
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - slot) < Math.abs(best - slot) ? candidate : best,
+  );
+}
+
+/**
+ * Finds a date in overlay text
+ * @param {string} text - Normalized OCR output
+ * @returns {{year: number, month: number, day: number}|null} Date parts
+ */
+function parseOverlayDate(text) {
+  let match = text.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    return { year: +match[1], month: +match[2], day: +match[3] };
+  }
+
+  match = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) {
+    return { year: +match[3], month: +match[1], day: +match[2] };
+  }
+
+  match = text.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (match) {
+    return { year: +match[3], month: +match[2], day: +match[1] };
+  }
+
+  return null;
+}
+
+/**
+ * OCR engine backed by the tesseract command-line tool
+ * @class
+ */
+export class TesseractEngine {
+  /**
+   * @constructor
+   * @param {Object} [options] - Engine options
+   * @param {string} [options.tesseractPath="tesseract"] - tesseract binary
+   * @param {string} [options.language="eng"] - Trained data language
+   */
+  constructor(options = {}) {
+    this.tesseractPath = options.tesseractPath || "tesseract";
+    this.language = options.language || "eng";
+    this.available = null;
+  }
+
+  /**
+   * Checks once whether tesseract can be run
+   * @async
+   * @returns {Promise<boolean>} True if the binary responded
+   */
+  async isAvailable() {
+    if (this.available === null) {
+      this.available = this.run(["--version"])
+        .then(() => true)
+        .catch(() => false);
+    }
+    return this.available;
+  }
+
+  /**
+   * Recognizes a single line of text in an image
+   * @async
+   * @param {Buffer} image - Image data (PGM, PNG or JPEG)
+   * @returns {Promise<string>} Recognized text
+   * @throws {Error} If tesseract fails
+   */
+  async recognize(image) {
+    return this.run(
+      [
+        "stdin",
+        "stdout",
+        "-l",
+        this.language,
+        "--psm",
+        "7", // Treat the image as a single line of text
+      ],
+      image,
+    );
+  }
+
+  /**
+   * Runs tesseract and collects its output
+   * @async
+   * @param {Array<string>} args - tesseract arguments
+   * @param {Buffer} [input] - Data piped into stdin
+   * @returns {Promise<string>} stdout
+   * @throws {Error} If tesseract fails
+   */
+  async run(args, input) {
+    return new Promise((resolve, reject) => {
+      const tesseract = spawn(this.tesseractPath, args, {
+        stdio: [input ? "pipe" : "ignore", "pipe", "ignore"],
+      });
+
+      let output = "";
+      tesseract.stdout.on("data", (data) => {
+        output += data.toString();
+      });
+
+      if (input) {
+        tesseract.stdin.on("error", () => {});
+        tesseract.stdin.end(input);
+      }
+
+      tesseract.on("close", (code) => {
+        if (code !== 0) {
+          reject(new Error(`tesseract exited with code ${code}`));
+        } else {
+          resolve(output.trim());
+        }
+      });
+
+      tesseract.on("error", reject);
+    });
+  }
+}
+
+// Engines are reused across slots and cameras so availability is probed once
+const ocrEngines = new Map();
+
+/**
+ * Returns the shared OCR engine for a tesseract binary and language
+ * @param {Object} settings - Settings from resolvePrecisionTiming
+ * @returns {TesseractEngine} Cached engine
+ */
+export function getOcrEngine(settings) {
+  const key = `${settings.tesseractPath}:${settings.language}`;
+  if (!ocrEngines.has(key)) {
+    ocrEngines.set(
+      key,
+      new TesseractEngine({
+        tesseractPath: settings.tesseractPath,
+        language: settings.language,
+      }),
+    );
+  }
+  return ocrEngines.get(key);
+}
+
+/**
+ * Picks the frame whose overlay time is closest to the slot
+ * Frames are read in clip order; the first frame showing the exact slot
+ * second wins. Falls back to the middle frame when no overlay can be read
+ * or the closest reading is further off than `maxDeviationSeconds`.
+ * @async
+ * @param {Array<{offsetSeconds: number, image: Buffer}>} frames - Overlay crops in clip order
+ * @param {Date} slot - Requested time
+ * @param {{recognize: function(Buffer): Promise<string>}} engine - OCR engine
+ * @param {Object} settings - Settings from resolvePrecisionTiming
+ * @param {string} [settings.timezone] - Timezone the schedule is in (default: the host's)
+ * @returns {Promise<{offsetSeconds: number, overlayTime: Date|null}>} Chosen offset within the clip and the time it shows
+ */
+export async function selectFrameByOverlay(frames, slot, engine, settings) {
+  const fallback = { offsetSeconds: settings.windowSeconds, overlayTime: null };
+  let best = null;
+
+  for (const frame of frames) {
+    let text;
+    try {
+      text = await engine.recognize(frame.image);
+    } catch {
+      continue; // Unreadable frame; others may still work
+    }
+
+    const overlayTime = parseOverlayTime(
+      text,
+      slot,
+      settings.timezone ?? undefined,
+    );
+    if (!overlayTime) continue;
+
+    const deviation = Math.abs(overlayTime - slot);
+    if (!best || deviation < best.deviation) {
+      best = { offsetSeconds: frame.offsetSeconds, overlayTime, deviation };
+    }
+    if (deviation === 0) break;
+  }
+
+  if (!best || best.deviation > settings.maxDeviationSeconds * 1000) {
+    return fallback;
+  }
+  return { offsetSeconds: best.offsetSeconds, overlayTime: best.overlayTime };
+}
+
+/**
+ * Finds the offset of the frame showing the slot time in a clip exported around it
+ * @async
+ * @param {Buffer} videoBuffer - Clip spanning `windowSeconds` either side of the slot
+ * @param {Date} slot - Requested time
+ * @param {Object} settings - Settings from resolvePrecisionTiming
+ * @param {Object} [engine] - OCR engine (default: the shared tesseract engine)
+ * @returns {Promise<{offsetSeconds: number, overlayTime: Date|null}>} Chosen offset within the clip
+ * @throws {Error} If ffmpeg fails
+ */
+export async function selectPreciseFrameOffset(
+  videoBuffer,
+  slot,
+  settings,
+  engine = getOcrEngine(settings),
+) {
+  if (engine.isAvailable && !(await engine.isAvailable())) {
+    return { offsetSeconds: settings.windowSeconds, overlayTime: null };
+  }
+
+  const frames = await extractOverlayCrops(videoBuffer, {
+    framesPerSecond: settings.framesPerSecond,
+    durationSeconds: settings.windowSeconds * 2,
+    region: settings.region,
+  });
+
+  return selectFrameByOverlay(frames, slot, engine, settings);
+}
@@ -0,0 +1,233 @@
+/**
+ * @file recording-range.js
+ * @description Finds how far back a camera's recordings go before backfilling
+ * Asks the source for its recording range and, when it cannot say, bisects with
+ * short exports to find the oldest footage. The last result is kept per camera
+ * so `lawn status` can show it without contacting the controller.
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+import { classifyError } from "./retry.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Export failures that mean "no footage here" rather than "try again later"
+const EMPTY_CATEGORIES = new Set(["not-found", "no-data"]);
+
+// The newest footage may still be in the recording buffer
+const LATEST_PROBE_AGE_MS = 10 * 60 * 1000;
+
+// unifi-protect pauses all requests after ten failures in a row, so a search
+// must never fail that often
+const MAX_PROBES = 8;
+
+// Probed ranges cost several exports, so they are reused for a day
+const PROBE_REUSE_MS = DAY_MS;
+
+// Controllers refresh recording stats periodically, so the reported end lags
+const END_GRACE_MS = HOUR_MS;
+
+/**
+ * @typedef {Object} RecordingRange
+ * @property {Date} start - Oldest recorded time
+ * @property {Date|null} end - Newest recorded time (null if unknown)
+ * @property {number} uncertaintyMs - Recordings may start up to this much before `start`
+ * @property {string} method - "controller" or "probe"
+ * @property {Date} checkedAt - When the range was determined
+ */
+
+/**
+ * Gets the path of a camera's saved recording range
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getRecordingRangePath(cameraId) {
+  return path.join(
+    getBaseDir(),
+    "recording-range",
+    `${encodeURIComponent(cameraId)}.json`,
+  );
+}
+
+/**
+ * Loads the recording range found by the last backfill
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @returns {Promise<RecordingRange|null>} Saved range, or null if there is none
+ */
+export async function loadRecordingRange(cameraId) {
+  let saved;
+  try {
+    saved = JSON.parse(
+      await fs.readFile(getRecordingRangePath(cameraId), "utf8"),
+    );
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+
+  const start = new Date(saved?.start);
+  if (isNaN(start.getTime())) {
+    return null;
+  }
+  return {
+    start,
+    end: saved.end ? new Date(saved.end) : null,
+    uncertaintyMs: saved.uncertaintyMs || 0,
+    method: saved.method,
+    checkedAt: new Date(saved.checkedAt),
+  };
+}
+
+/**
+ * Saves a camera's recording range
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {RecordingRange} range - Range to keep
+ * @returns {Promise<void>}
+ */
+export async function saveRecordingRange(cameraId, range) {
+  const rangePath = getRecordingRangePath(cameraId);
+  await fs.mkdir(path.dirname(rangePath), { recursive: true });
+  await fs.writeFile(rangePath, `${JSON.stringify(range, null, 2)}\n`);
+}
+
+/**
+ * Checks whether a one-second export at a time succeeds
+ * UniFi Protect fails exports of expired footage the same way as exports from
+ * a busy or rebooting controller ("unavailable"). Such a failure only counts
+ * as missing footage if footage known to exist still exports.
+ * @async
+ * @param {CameraSource} source - Source with exportVideo
+ * @param {string} cameraId - Camera ID
+ * @param {number} timeMs - Time to probe
+ * @param {number|null} [knownMs] - A time with footage, to tell the two apart
+ * @returns {Promise<boolean>} True if footage was exported
+ * @throws {Error} If the export failed for a reason other than missing footage
+ */
+async function hasFootageAt(source, cameraId, timeMs, knownMs = null) {
+  try {
+    const clip = await source.exportVideo(cameraId, timeMs, 1000);
+    return clip.length > 0;
+  } catch (error) {
+    const category = classifyError(error);
+    if (EMPTY_CATEGORIES.has(category)) {
+      return false;
+    }
+    if (
+      category === "unavailable" &&
+      knownMs !== null &&
+      (await hasFootageAt(source, cameraId, knownMs))
+    ) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Bisects for the oldest footage between two times
+ * Assumes recordings are continuous from the oldest footage onwards.
+ * @async
+ * @param {CameraSource} source - Source with exportVideo
+ * @param {string} cameraId - Camera ID
+ * @param {Object} options - Search bounds
+ * @param {number} options.earliestMs - Oldest time of interest
+ * @param {number} options.latestMs - Newest time to probe (should have footage)
+ * @param {number} [options.resolutionMs=6h] - Stop once the oldest footage is known this precisely
+ * @returns {Promise<{start: Date, uncertaintyMs: number}|null>} Oldest footage found, or null if there was none at `latestMs`
+ * @throws {Error} If a probe failed for a reason other than missing footage,
+ *   including an unavailable controller
+ */
+export async function probeOldestRecording(source, cameraId, options) {
+  const { earliestMs, latestMs, resolutionMs = 6 * HOUR_MS } = options;
+
+  if (!(await hasFootageAt(source, cameraId, latestMs))) {
+    return null;
+  }
+
+  // Footage is known at `hi`; before `lo` it does not matter
+  let lo = earliestMs;
+  let hi = latestMs;
+  for (
+    let probes = 0;
+    probes < MAX_PROBES && hi - lo > resolutionMs;
+    probes++
+  ) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await hasFootageAt(source, cameraId, mid, hi)) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return { start: new Date(hi), uncertaintyMs: hi - lo };
+}
+
+/**
+ * Determines how far back a camera's recordings go
+ * Uses the range reported by the source, then a probed range from the last
+ * day, and finally probes with short exports.
+ * @async
+ * @param {CameraSource} source - Source that supports backfill
+ * @param {string} cameraId - Camera ID
+ * @param {Object} options - Search options
+ * @param {number} options.earliestMs - Oldest slot backfill would request
+ * @param {RecordingRange|null} [options.previous] - Range saved by the last run
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<RecordingRange|null>} Range, or null if it could not be determined
+ * @throws {Error} If the source could not be queried
+ */
+export async function discoverRecordingRange(source, cameraId, options) {
+  const { earliestMs, previous = null, now = new Date() } = options;
+
+  const reported = await source.getRecordingRange(cameraId);
+  if (reported?.start) {
+    return {
+      start: reported.start,
+      end: reported.end ?? null,
+      uncertaintyMs: 0,
+      method: "controller",
+      checkedAt: now,
+    };
+  }
+
+  if (
+    previous?.method === "probe" &&
+    now - previous.checkedAt < PROBE_REUSE_MS
+  ) {
+    return previous;
+  }
+
+  const probed = await probeOldestRecording(source, cameraId, {
+    earliestMs,
+    latestMs: now.getTime() - LATEST_PROBE_AGE_MS,
+  });
+  if (!probed) {
+    return null;
+  }
+  return { ...probed, end: null, method: "probe", checkedAt: now };
+}
+
+/**
+ * Checks whether a slot falls inside a recording range
+ * @param {RecordingRange} range - Recording range
+ * @param {Date} slot - Slot time
+ * @returns {boolean} True if the slot may have footage
+ */
+export function isSlotInRange(range, slot) {
+  const time = slot.getTime();
+  return (
+    time >= range.start.getTime() - range.uncertaintyMs &&
+    (!range.end || time <= range.end.getTime() + END_GRACE_MS)
+  );
+}
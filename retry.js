@@ -0,0 +1,222 @@
+/**
+ * @file retry.js
+ * @description Retry policy for transient capture failures and the persistent "retry later" list
+ * Classifies errors, retries retryable ones with exponential backoff and jitter, and keeps
+ * slots that still failed so the next run can revisit them first
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+
+/**
+ * Default retry policy (overridden by the `retry` config block)
+ * @type {Object}
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelayMs: 2000,
+  maxDelayMs: 30000,
+  backoffFactor: 2,
+  jitter: 0.2,
+  retryOn: ["timeout", "connection", "extraction"],
+  maxLaterRuns: 5,
+};
+
+// Checked in order; the first match decides the category
+const ERROR_CATEGORIES = [
+  ["throttled", /throttling api calls|too many requests|\b429\b/],
+  ["timeout", /timed out|taking too long|timeout|etimedout/],
+  [
+    "auth",
+    /failed to login|unauthorized|forbidden|invalid (login )?credentials|insufficient privileges|\b40[13]\b/,
+  ],
+  [
+    "connection",
+    /econnrefused|econnreset|ehostunreach|enetunreach|enotfound|eperm|network|connection refused|connection .*reset|socket hang up/,
+  ],
+  ["unavailable", /unable to connect to the protect controller|\b50[0-4]\b/],
+  ["not-found", /\b404\b|not found/],
+  ["no-data", /no data|no recording|no video data/],
+  ["extraction", /ffmpeg|ffprobe|corrupt jpeg/],
+];
+
+// Categories that mean the slot is genuinely empty or can never succeed
+const PERMANENT_CATEGORIES = new Set(["not-found", "no-data", "auth"]);
+
+/**
+ * Sorts a capture error into a category used by the retry policy
+ * @param {Error|string} error - Error thrown while capturing
+ * @returns {string} One of throttled, timeout, auth, connection, unavailable, not-found, no-data, extraction, unknown
+ */
+export function classifyError(error) {
+  const message = (error?.message || String(error)).toLowerCase();
+  const match = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : "unknown";
+}
+
+/**
+ * Checks whether a failure is worth revisiting on a later run
+ * @param {string} category - Error category from classifyError
+ * @returns {boolean} False for empty slots and credential problems
+ */
+export function isTransientCategory(category) {
+  return !PERMANENT_CATEGORIES.has(category);
+}
+
+/**
+ * Merges a partial retry configuration over the defaults
+ * @param {Object} [retryConfig] - `retry` block from lawn.config.json
+ * @returns {Object} Complete retry policy
+ */
+export function resolveRetryPolicy(retryConfig = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...retryConfig };
+}
+
+/**
+ * Computes the wait before a retry
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {function(): number} [random=Math.random] - Random source (0..1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, policy, random = Math.random) {
+  const base = Math.min(
+    policy.maxDelayMs,
+    policy.initialDelayMs * policy.backoffFactor ** (attempt - 1),
+  );
+  // Spread retries out so parallel workers don't hit the controller together
+  const spread = base * policy.jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
+
+/**
+ * Runs an operation, retrying failures whose category the policy allows
+ * @async
+ * @param {function(number): Promise<*>} operation - Receives the attempt number (1-based)
+ * @param {Object} policy - Retry policy (see resolveRetryPolicy)
+ * @param {Object} [options] - Hooks
+ * @param {function(Error, string, number, number): void} [options.onRetry] - Called with (error, category, attempt, delayMs) before waiting
+ * @returns {Promise<*>} Result of the operation
+ * @throws {Error} The last error, with `category` and `attempts` properties set
+ */
+export async function withRetry(operation, policy, options = {}) {
+  const maxAttempts = Math.max(1, policy.maxAttempts ?? 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const category = classifyError(error);
+      const retryable = policy.retryOn?.includes(category);
+
+      if (!retryable || attempt >= maxAttempts) {
+        if (error instanceof Error) {
+          error.category = category;
+          error.attempts = attempt;
+        }
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, policy);
+      options.onRetry?.(error, category, attempt, delayMs);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Gets the path of a camera's retry-later list
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getRetryListPath(cameraId) {
+  return path.join(
+    getBaseDir(),
+    "retry-later",
+    `${encodeURIComponent(cameraId)}.json`,
+  );
+}
+
+/**
+ * Loads the slots a camera still needs to retry
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @returns {Promise<Array<{slot: string, filename: string, category: string, error: string, runs: number, lastAttemptAt: string}>>} Entries, oldest slot first
+ */
+export async function loadRetryList(cameraId) {
+  try {
+    const raw = await fs.readFile(getRetryListPath(cameraId), "utf8");
+    const entries = JSON.parse(raw);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    if (error instanceof SyntaxError) {
+      console.warn(
+        `⚠️  Ignoring unreadable retry list ${getRetryListPath(cameraId)}`,
+      );
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves a camera's retry-later list, removing the file when it is empty
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {Array<Object>} entries - Entries to keep
+ * @returns {Promise<void>}
+ */
+export async function saveRetryList(cameraId, entries) {
+  const listPath = getRetryListPath(cameraId);
+
+  if (entries.length === 0) {
+    await fs.rm(listPath, { force: true });
+    return;
+  }
+
+  const sorted = [...entries].sort((a, b) => a.slot.localeCompare(b.slot));
+  await fs.mkdir(path.dirname(listPath), { recursive: true });
+  await fs.writeFile(listPath, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+/**
+ * Records the outcome of a slot in a retry-later list (in memory)
+ * Successes and permanent failures drop the slot; transient failures keep it
+ * until it has failed on `maxLaterRuns` runs
+ * @param {Map<string, Object>} entries - Entries keyed by filename
+ * @param {Object} item - Slot that was attempted ({slot: Date, filename})
+ * @param {Error|null} error - Failure, or null on success
+ * @param {Object} policy - Retry policy
+ * @returns {void}
+ */
+export function updateRetryEntry(entries, item, error, policy) {
+  const previous = entries.get(item.filename);
+  const category = error ? error.category || classifyError(error) : null;
+
+  if (!error || !isTransientCategory(category)) {
+    entries.delete(item.filename);
+    return;
+  }
+
+  const runs = (previous?.runs ?? 0) + 1;
+  if (runs >= policy.maxLaterRuns) {
+    entries.delete(item.filename);
+    return;
+  }
+
+  entries.set(item.filename, {
+    slot: item.slot.toISOString(),
+    filename: item.filename,
+    category,
+    error: error.message || String(error),
+    runs,
+    lastAttemptAt: new Date().toISOString(),
+  });
+}
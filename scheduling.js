@@ -8,15 +8,275 @@
 
 import SunCalc from "suncalc";
 
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl formatters are slow to create, so one is kept per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Named sun events for solar schedules, with display labels
+ * @type {Object<string, string>}
+ */
+export const SOLAR_EVENTS = {
+  blueHourMorning: "morning blue hour",
+  goldenHourMorning: "morning golden hour",
+  solarNoon: "solar noon",
+  goldenHourEvening: "evening golden hour",
+  blueHourEvening: "evening blue hour",
+};
+
+// Blue hour is usually taken as the sun 4-6° below the horizon
+const BLUE_HOUR_ELEVATION = -5;
+
+// Sun angle crossings are bracketed at this step, then bisected
+const SUN_SEARCH_STEP_MS = 10 * 60 * 1000;
+
+// Day names for calendar rules, indexed like Date#getDay
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_GROUPS = {
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+};
+
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY = /^\d{2}-\d{2}$/;
+
+/**
+ * Gets the timezone a schedule's slots are in
+ * Schedules without one use the host's timezone, as slots always did before
+ * timezones were honored.
+ * @param {Object} schedule - Schedule configuration
+ * @returns {string} IANA timezone identifier
+ */
+export function getScheduleTimezone(schedule) {
+  return (
+    schedule?.timezone ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone ||
+    "UTC"
+  );
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Fields, with month 1-12
+ * @throws {RangeError} If the timezone is unknown
+ */
+export function getZonedParts(date, timezone) {
+  let formatter = zonedFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    zonedFormatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Gets a timezone's offset from UTC at an instant
+ * @param {number} timeMs - Instant in epoch milliseconds
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getOffsetMs(timeMs, timezone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    new Date(timeMs),
+    timezone,
+  );
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallMs - Math.floor(timeMs / 1000) * 1000;
+}
+
+/**
+ * Finds when a wall-clock time happens in a timezone
+ * Times repeated when clocks fall back resolve to the first occurrence. Times
+ * skipped when clocks spring forward resolve to the same distance past the
+ * transition (02:30 becomes 03:30) and are reported as not existing.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {{date: Date, exists: boolean}} Instant, and whether the wall time occurs that day
+ */
+export function resolveWallTime(year, month, day, hour, minute, timezone) {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = getOffsetMs(wallMs - DAY_MS, timezone);
+  const offsetAfter = getOffsetMs(wallMs + DAY_MS, timezone);
+
+  const matches = [wallMs - offsetBefore, wallMs - offsetAfter].filter(
+    (timeMs) => getOffsetMs(timeMs, timezone) === wallMs - timeMs,
+  );
+  if (matches.length > 0) {
+    return { date: new Date(Math.min(...matches)), exists: true };
+  }
+  return { date: new Date(wallMs - offsetBefore), exists: false };
+}
+
+/**
+ * Reads a wall-clock date and time written in a timezone, such as the time in
+ * a snapshot or recording filename
+ * Impossible dates and times are rejected rather than rolled over. Times
+ * skipped by a spring-forward transition resolve past it like slots do.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second?: number}} parts - Fields, with month 1-12
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date|null} Instant, or null if the fields are not a valid time
+ */
+export function parseWallTime(parts, timezone) {
+  const { year, month, day, hour, minute, second = 0 } = parts;
+  const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day ||
+    check.getUTCHours() !== hour ||
+    check.getUTCMinutes() !== minute ||
+    check.getUTCSeconds() !== second
+  ) {
+    return null;
+  }
+
+  // Seconds are added after resolving, as no timezone changes mid-minute
+  const { date } = resolveWallTime(year, month, day, hour, minute, timezone);
+  return new Date(date.getTime() + second * 1000);
+}
+
+/**
+ * Gets the calendar day an instant falls on in a timezone
+ * The result is local midnight of that day, the form generateDailySlots takes.
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date} Local midnight of the zoned calendar day
+ */
+export function getZonedDay(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Expands a list of day names into Date#getDay indexes
+ * @param {Array<string>} days - Day names ("mon", ...) or "weekdays"/"weekends"
+ * @returns {Set<number>|null} Day indexes, or null if a name is unknown
+ */
+function expandDays(days) {
+  const indexes = new Set();
+  for (const name of days) {
+    for (const day of WEEKDAY_GROUPS[name] ?? [name]) {
+      const index = WEEKDAYS.indexOf(day);
+      if (index === -1) return null;
+      indexes.add(index);
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Checks whether a day falls in a date range
+ * MM-DD bounds recur every year and may wrap around New Year.
+ * @param {string} key - Day as YYYY-MM-DD
+ * @param {string} from - First day, YYYY-MM-DD or MM-DD
+ * @param {string} to - Last day, in the same form as `from`
+ * @returns {boolean} True if the day is inside the range (inclusive)
+ */
+function isInDateRange(key, from, to) {
+  if (MONTH_DAY.test(from)) {
+    const monthDay = key.slice(5);
+    return from <= to
+      ? monthDay >= from && monthDay <= to
+      : monthDay >= from || monthDay <= to;
+  }
+  return key >= from && key <= to;
+}
+
+/**
+ * Checks whether a calendar rule applies to a day
+ * Every condition the rule sets must hold.
+ * @param {Object} rule - Rule with optional days, from/to and dates
+ * @param {Date} date - Day (its local year, month and day)
+ * @param {string} key - Same day as YYYY-MM-DD
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatches(rule, date, key) {
+  if (rule.days && !expandDays(rule.days)?.has(date.getDay())) {
+    return false;
+  }
+  if (rule.from && !isInDateRange(key, rule.from, rule.to)) {
+    return false;
+  }
+  if (rule.dates && !rule.dates.includes(key)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Works out which schedule applies on a day
+ * `excludeDates` (YYYY-MM-DD, or MM-DD every year) and the `days` mask apply
+ * first. Then the first matching entry of `rules` either skips the day or
+ * replaces keys of the base schedule with its own `schedule`.
+ * @param {Date} date - Day (its local year, month and day)
+ * @param {Object} schedule - Schedule configuration, possibly with calendar rules
+ * @returns {Object|null} Schedule for the day without calendar keys, or null if nothing is captured
+ */
+export function resolveDaySchedule(date, schedule) {
+  const { rules, days, excludeDates, ...base } = schedule;
+  const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+  if (excludeDates?.some((entry) => entry === key || entry === key.slice(5))) {
+    return null;
+  }
+  if (days && !expandDays(days)?.has(date.getDay())) {
+    return null;
+  }
+
+  const rule = rules?.find((candidate) => ruleMatches(candidate, date, key));
+  if (!rule) {
+    return base;
+  }
+  return rule.skip ? null : { ...base, ...(rule.schedule ?? {}) };
+}
+
 /**
  * Generates capture slots for a given day based on schedule configuration
- * @param {Date} date - The date to generate slots for
+ * Slot times are wall-clock times in the schedule's timezone, whatever the
+ * host's timezone is. Calendar rules are applied first (see resolveDaySchedule).
+ * @param {Date} date - The day to generate slots for (its local year, month and day)
  * @param {Object} schedule - Schedule configuration
  * @param {Object} location - Location for sunrise/sunset (lat, lon)
  * @returns {Array<Date>} Array of Date objects representing capture times
  */
 export function generateDailySlots(date, schedule, location = null) {
-  const timezone = schedule.timezone || "UTC";
+  const daySchedule = resolveDaySchedule(date, schedule);
+  if (!daySchedule) {
+    return [];
+  }
+  return generateSlotsForMode(date, daySchedule, location);
+}
+
+/**
+ * Generates a day's slots for a schedule's mode
+ * @param {Date} date - The day to generate slots for
+ * @param {Object} schedule - Schedule for that day
+ * @param {Object} location - Location for sunrise/sunset (lat, lon)
+ * @returns {Array<Date>} Array of Date objects representing capture times
+ */
+function generateSlotsForMode(date, schedule, location) {
+  const timezone = getScheduleTimezone(schedule);
 
   switch (schedule.mode) {
     case "fixed-time":
@@ -38,6 +298,12 @@ export function generateDailySlots(date, schedule, location = null) {
       }
       return generateSunriseSlots(date, schedule, location, timezone);
 
+    case "solar":
+      if (!location || !location.lat || !location.lon) {
+        throw new Error("Location (lat/lon) required for solar scheduling");
+      }
+      return generateSolarSlots(date, schedule, location, timezone);
+
     default:
       // Default to fixed-time mode with single noon capture
       return generateFixedTimeSlots(date, ["12:00"], timezone);
@@ -46,33 +312,42 @@ export function generateDailySlots(date, schedule, location = null) {
 
 /**
  * Generates slots for fixed time scheduling
+ * A time skipped by a spring-forward transition is taken just after it.
  * @param {Date} date - The date to generate slots for
  * @param {Array<string>} times - Array of time strings (HH:MM format)
  * @param {string} timezone - Timezone identifier
  * @returns {Array<Date>} Array of Date objects
  */
-function generateFixedTimeSlots(date, times, _timezone) {
-  const slots = [];
+function generateFixedTimeSlots(date, times, timezone) {
+  const slots = new Map();
 
   for (const time of times) {
     const [hour, minute] = time.split(":").map(Number);
-    const slot = new Date(date);
-    slot.setHours(hour, minute, 0, 0);
-    slots.push(slot);
+    const { date: slot } = resolveWallTime(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate(),
+      hour,
+      minute,
+      timezone,
+    );
+    slots.set(slot.getTime(), slot);
   }
 
-  return slots.sort((a, b) => a - b);
+  return [...slots.values()].sort((a, b) => a - b);
 }
 
 /**
  * Generates slots based on interval within a time window
+ * Slots are spaced in wall-clock time, so times skipped by a spring-forward
+ * transition have no slot and times repeated by a fall-back transition get one.
  * @param {Date} date - The date to generate slots for
  * @param {Object} interval - Interval configuration (shotsPerHour)
  * @param {Object} window - Time window (startHour, endHour)
  * @param {string} timezone - Timezone identifier
  * @returns {Array<Date>} Array of Date objects
  */
-function generateIntervalSlots(date, interval, window, _timezone) {
+function generateIntervalSlots(date, interval, window, timezone) {
   const slots = [];
   const shotsPerHour = interval.shotsPerHour || 1;
   const intervalMinutes = 60 / shotsPerHour;
@@ -84,19 +359,25 @@ function generateIntervalSlots(date, interval, window, _timezone) {
   const [endHour, endMinute] = (window.endHour || "23:59")
     .split(":")
     .map(Number);
-
-  // Create start and end times for the day
-  const startTime = new Date(date);
-  startTime.setHours(startHour, startMinute, 0, 0);
-
-  const endTime = new Date(date);
-  endTime.setHours(endHour, endMinute, 0, 0);
+  const startOfWindow = startHour * 60 + startMinute;
+  const endOfWindow = endHour * 60 + endMinute;
 
   // Generate slots at intervals
-  const currentTime = new Date(startTime);
-  while (currentTime <= endTime) {
-    slots.push(new Date(currentTime));
-    currentTime.setMinutes(currentTime.getMinutes() + intervalMinutes);
+  for (let i = 0; ; i++) {
+    const minuteOfDay = startOfWindow + Math.floor(i * intervalMinutes);
+    if (minuteOfDay > endOfWindow) break;
+
+    const { date: slot, exists } = resolveWallTime(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate(),
+      Math.floor(minuteOfDay / 60),
+      minuteOfDay % 60,
+      timezone,
+    );
+    if (exists) {
+      slots.push(slot);
+    }
   }
 
   return slots;
@@ -110,9 +391,18 @@ function generateIntervalSlots(date, interval, window, _timezone) {
  * @param {string} timezone - Timezone identifier
  * @returns {Array<Date>} Array of Date objects
  */
-function generateSunriseSlots(date, schedule, location, _timezone) {
+function generateSunriseSlots(date, schedule, location, timezone) {
   const slots = [];
-  const times = SunCalc.getTimes(date, location.lat, location.lon);
+  // Local noon picks the right solar day wherever the host is
+  const { date: noon } = resolveWallTime(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    date.getDate(),
+    12,
+    0,
+    timezone,
+  );
+  const times = SunCalc.getTimes(noon, location.lat, location.lon);
 
   // Get sunrise and sunset times
   const sunrise = times.sunrise;
@@ -161,6 +451,152 @@ function generateSunriseSlots(date, schedule, location, _timezone) {
   return slots.sort((a, b) => a - b);
 }
 
+/**
+ * Gets the sun's elevation and compass bearing
+ * @param {Date} date - Instant
+ * @param {Object} location - Location object with lat/lon
+ * @returns {{elevation: number, azimuth: number}} Degrees above the horizon, and degrees clockwise from north
+ */
+export function getSunPosition(date, location) {
+  const { altitude, azimuth } = SunCalc.getPosition(
+    date,
+    location.lat,
+    location.lon,
+  );
+  return {
+    elevation: (altitude * 180) / Math.PI,
+    // SunCalc measures azimuth westward from south
+    azimuth: ((azimuth * 180) / Math.PI + 540) % 360,
+  };
+}
+
+/**
+ * Finds when a sun angle reaches a target value within a span of time
+ * @param {number} startMs - Start of the span
+ * @param {number} endMs - End of the span
+ * @param {function(number): number} difference - Angle minus the target at a time, in (-180, 180]
+ * @returns {Array<{date: Date, rising: boolean}>} Crossings, and whether the angle was increasing
+ */
+function findSunCrossings(startMs, endMs, difference) {
+  const crossings = [];
+  let previousMs = startMs;
+  let previous = difference(startMs);
+
+  while (previousMs < endMs) {
+    const timeMs = Math.min(previousMs + SUN_SEARCH_STEP_MS, endMs);
+    const value = difference(timeMs);
+
+    // A jump of more than half a turn is the angle wrapping, not a crossing
+    if (previous < 0 !== value < 0 && Math.abs(value - previous) < 180) {
+      let lo = previousMs;
+      let hi = timeMs;
+      while (hi - lo > 1000) {
+        const mid = (lo + hi) / 2;
+        if (difference(mid) < 0 === previous < 0) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      crossings.push({
+        date: new Date(Math.round(hi / 1000) * 1000),
+        rising: previous < 0,
+      });
+    }
+
+    previousMs = timeMs;
+    previous = value;
+  }
+
+  return crossings;
+}
+
+/**
+ * Generates slots at named sun events and sun angles
+ * Events the sun doesn't reach that day (high elevations in winter, blue hour
+ * in polar summer) have no slot.
+ * @param {Date} date - The date to generate slots for
+ * @param {Object} schedule - Schedule configuration (solarEvents, sunElevations, sunAzimuths)
+ * @param {Object} location - Location object with lat/lon
+ * @param {string} timezone - Timezone identifier
+ * @returns {Array<Date>} Array of Date objects
+ */
+function generateSolarSlots(date, schedule, location, timezone) {
+  const wallTime = (day, hour) =>
+    resolveWallTime(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate() + day,
+      hour,
+      0,
+      timezone,
+    ).date;
+  const dayStartMs = wallTime(0, 0).getTime();
+  const dayEndMs = wallTime(1, 0).getTime();
+  const times = SunCalc.getTimes(wallTime(0, 12), location.lat, location.lon);
+  const midpoint = (a, b) => new Date((a.getTime() + b.getTime()) / 2);
+
+  const elevationCrossings = (degrees) =>
+    findSunCrossings(
+      dayStartMs,
+      dayEndMs,
+      (timeMs) =>
+        getSunPosition(new Date(timeMs), location).elevation - degrees,
+    );
+
+  const elevations = [...(schedule.sunElevations ?? [])];
+  const azimuths = schedule.sunAzimuths ?? [];
+  const events =
+    schedule.solarEvents ??
+    (elevations.length + azimuths.length > 0 ? [] : ["solarNoon"]);
+
+  const slots = [];
+  for (const event of events) {
+    if (event === "solarNoon") {
+      slots.push(times.solarNoon);
+    } else if (event === "goldenHourMorning") {
+      slots.push(midpoint(times.sunrise, times.goldenHourEnd));
+    } else if (event === "goldenHourEvening") {
+      slots.push(midpoint(times.goldenHour, times.sunset));
+    } else if (event === "blueHourMorning") {
+      elevations.push({ degrees: BLUE_HOUR_ELEVATION, direction: "rising" });
+    } else if (event === "blueHourEvening") {
+      elevations.push({ degrees: BLUE_HOUR_ELEVATION, direction: "setting" });
+    }
+  }
+
+  for (const { degrees, direction } of elevations) {
+    for (const crossing of elevationCrossings(degrees)) {
+      if (!direction || crossing.rising === (direction === "rising")) {
+        slots.push(crossing.date);
+      }
+    }
+  }
+
+  // Bearings are only useful while the sun is up
+  for (const degrees of azimuths) {
+    const crossings = findSunCrossings(dayStartMs, dayEndMs, (timeMs) => {
+      const { azimuth } = getSunPosition(new Date(timeMs), location);
+      return ((azimuth - degrees + 540) % 360) - 180;
+    });
+    for (const crossing of crossings) {
+      if (getSunPosition(crossing.date, location).elevation > 0) {
+        slots.push(crossing.date);
+      }
+    }
+  }
+
+  // Missing events come back from SunCalc as invalid dates
+  const unique = new Map();
+  for (const slot of slots) {
+    const timeMs = slot.getTime();
+    if (timeMs >= dayStartMs && timeMs < dayEndMs) {
+      unique.set(timeMs, slot);
+    }
+  }
+  return [...unique.values()].sort((a, b) => a - b);
+}
+
 /**
  * Determines if a capture is due based on schedule and last capture time
  * @param {Object} schedule - Schedule configuration
@@ -170,8 +606,7 @@ function generateSunriseSlots(date, schedule, location, _timezone) {
  */
 export function isCaptureDue(schedule, lastCapture = null, location = null) {
   const now = new Date();
-  const today = new Date(now);
-  today.setHours(0, 0, 0, 0);
+  const today = getZonedDay(now, getScheduleTimezone(schedule));
 
   // Generate slots for today
   const todaySlots = generateDailySlots(today, schedule, location);
@@ -196,12 +631,15 @@ export function isCaptureDue(schedule, lastCapture = null, location = null) {
  * Gets the next scheduled capture time
  * @param {Object} schedule - Schedule configuration
  * @param {Object} location - Location for sunrise/sunset calculations
- * @returns {Date|null} Next capture time or null if none today
+ * @param {Date} [now=new Date()] - Time to look after
+ * @returns {Date|null} Next capture time or null if none today or tomorrow
  */
-export function getNextCaptureTime(schedule, location = null) {
-  const now = new Date();
-  const today = new Date(now);
-  today.setHours(0, 0, 0, 0);
+export function getNextCaptureTime(
+  schedule,
+  location = null,
+  now = new Date(),
+) {
+  const today = getZonedDay(now, getScheduleTimezone(schedule));
 
   // Check today's slots
   const todaySlots = generateDailySlots(today, schedule, location);
@@ -255,12 +693,181 @@ export function validateSchedule(schedule) {
     // Location validation will be done at runtime
   }
 
+  if (schedule.mode === "solar") {
+    const events = schedule.solarEvents ?? [];
+    const elevations = schedule.sunElevations ?? [];
+    const azimuths = schedule.sunAzimuths ?? [];
+
+    if (events.length + elevations.length + azimuths.length === 0) {
+      errors.push(
+        "Solar mode requires at least one sun event, elevation or azimuth",
+      );
+    }
+    for (const event of events) {
+      if (!Object.hasOwn(SOLAR_EVENTS, event)) {
+        errors.push(`Unknown solar event: ${event}`);
+      }
+    }
+    for (const { degrees, direction } of elevations) {
+      if (typeof degrees !== "number" || degrees < -18 || degrees > 90) {
+        errors.push("Sun elevation must be between -18 and 90 degrees");
+      }
+      if (direction && direction !== "rising" && direction !== "setting") {
+        errors.push('Sun elevation direction must be "rising" or "setting"');
+      }
+    }
+    for (const degrees of azimuths) {
+      if (typeof degrees !== "number" || degrees < 0 || degrees >= 360) {
+        errors.push("Sun azimuth must be between 0 and 360 degrees");
+      }
+    }
+  }
+
+  if (schedule.timezone) {
+    try {
+      getZonedParts(new Date(), schedule.timezone);
+    } catch {
+      errors.push(`Unknown timezone: ${schedule.timezone}`);
+    }
+  }
+
+  errors.push(...validateCalendar(schedule));
+
   return {
     isValid: errors.length === 0,
     errors,
   };
 }
 
+/**
+ * Checks a schedule's calendar keys (days, excludeDates and rules)
+ * Each rule's schedule is validated merged over the base schedule.
+ * @param {Object} schedule - Schedule configuration
+ * @returns {Array<string>} Error messages
+ */
+function validateCalendar(schedule) {
+  const errors = [];
+  const isDayList = (days) => Array.isArray(days) && expandDays(days) !== null;
+  const dayNames = `${WEEKDAYS.join(", ")}, weekdays or weekends`;
+
+  if (schedule.days !== undefined && !isDayList(schedule.days)) {
+    errors.push(`days must list day names (${dayNames})`);
+  }
+  for (const entry of schedule.excludeDates ?? []) {
+    if (!FULL_DATE.test(entry) && !MONTH_DAY.test(entry)) {
+      errors.push(`Excluded dates must be YYYY-MM-DD or MM-DD: ${entry}`);
+    }
+  }
+
+  const { rules = [], ...base } = schedule;
+  rules.forEach((rule, index) => {
+    const label = `Rule ${rule.name ?? index + 1}`;
+
+    if (rule.days !== undefined && !isDayList(rule.days)) {
+      errors.push(`${label}: days must list day names (${dayNames})`);
+    }
+    if (
+      (rule.from || rule.to) &&
+      !(FULL_DATE.test(rule.from) && FULL_DATE.test(rule.to)) &&
+      !(MONTH_DAY.test(rule.from) && MONTH_DAY.test(rule.to))
+    ) {
+      errors.push(
+        `${label}: from and to must both be YYYY-MM-DD or both MM-DD`,
+      );
+    }
+    for (const entry of rule.dates ?? []) {
+      if (!FULL_DATE.test(entry)) {
+        errors.push(`${label}: dates must be YYYY-MM-DD: ${entry}`);
+      }
+    }
+
+    if (rule.skip) {
+      return;
+    }
+    if (!rule.schedule) {
+      errors.push(`${label}: needs a schedule or "skip": true`);
+      return;
+    }
+    const { errors: ruleErrors } = validateSchedule({
+      ...base,
+      ...rule.schedule,
+      days: undefined,
+      excludeDates: undefined,
+    });
+    errors.push(...ruleErrors.map((error) => `${label}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Describes a schedule in one line for progress and status output
+ * @param {Object} schedule - Schedule configuration
+ * @returns {string} Description, e.g. "12:00, 18:00" or "sunrise + sunset"
+ */
+export function describeSchedule(schedule) {
+  return describeMode(schedule) + describeCalendar(schedule);
+}
+
+/**
+ * Describes when a schedule captures on a day
+ * @param {Object} schedule - Schedule configuration
+ * @returns {string} Description of the mode's slots
+ */
+function describeMode(schedule) {
+  const mode = schedule.mode || "fixed-time";
+
+  if (mode === "interval") {
+    const shotsPerHour = schedule.interval?.shotsPerHour || 1;
+    const startHour = schedule.window?.startHour || "00:00";
+    const endHour = schedule.window?.endHour || "23:59";
+    return `${shotsPerHour} shots/hour, ${startHour}-${endHour}`;
+  }
+
+  if (mode === "sunrise-sunset") {
+    const shotsPerHour = schedule.interval?.shotsPerHour;
+    const events = [];
+    if (schedule.captureSunrise !== false) events.push("sunrise");
+    if (schedule.captureSunset !== false) events.push("sunset");
+    if (shotsPerHour > 0) events.push(`${shotsPerHour} shots/hour between`);
+    return events.join(" + ");
+  }
+
+  if (mode === "solar") {
+    const events = (schedule.solarEvents ?? []).map(
+      (event) => SOLAR_EVENTS[event] ?? event,
+    );
+    for (const { degrees, direction } of schedule.sunElevations ?? []) {
+      events.push(`sun at ${degrees}°${direction ? ` ${direction}` : ""}`);
+    }
+    for (const degrees of schedule.sunAzimuths ?? []) {
+      events.push(`sun bearing ${degrees}°`);
+    }
+    return events.length > 0 ? events.join(" + ") : SOLAR_EVENTS.solarNoon;
+  }
+
+  return (schedule.fixedTimes || ["12:00"]).join(", ");
+}
+
+/**
+ * Describes a schedule's calendar keys, e.g. " (weekdays), 2 calendar rules"
+ * @param {Object} schedule - Schedule configuration
+ * @returns {string} Suffix for describeSchedule, empty without calendar keys
+ */
+function describeCalendar(schedule) {
+  let description = "";
+  if (schedule.days?.length > 0) {
+    description += ` (${schedule.days.join(", ")})`;
+  }
+  if (schedule.excludeDates?.length > 0) {
+    description += `, ${schedule.excludeDates.length} excluded date(s)`;
+  }
+  if (schedule.rules?.length > 0) {
+    description += `, ${schedule.rules.length} calendar rule(s)`;
+  }
+  return description;
+}
+
 /**
  * Formats a slot time for display
  * @param {Date} slot - Slot time to format
@@ -270,12 +877,36 @@ export function validateSchedule(schedule) {
 export function formatSlotTime(slot, timezone = "UTC") {
   return slot.toLocaleTimeString("en-US", {
     timeZone: timezone,
-    hour12: false,
+    hourCycle: "h23",
     hour: "2-digit",
     minute: "2-digit",
   });
 }
 
+/**
+ * Builds the snapshot filename for a capture slot
+ * Uses the wall-clock date and time in the given timezone (or the host's local
+ * time without one), matching YYYY-MM-DD_HHMM.jpg
+ * @param {Date} slot - Capture time
+ * @param {string} [timezone] - Timezone the schedule is in
+ * @returns {{date: string, time: string, filename: string}} Date (YYYY-MM-DD), time (HHMM) and filename
+ */
+export function formatSnapshotName(slot, timezone) {
+  const { year, month, day, hour, minute } = timezone
+    ? getZonedParts(slot, timezone)
+    : {
+        year: slot.getFullYear(),
+        month: slot.getMonth() + 1,
+        day: slot.getDate(),
+        hour: slot.getHours(),
+        minute: slot.getMinutes(),
+      };
+  const date = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const time = `${String(hour).padStart(2, "0")}${String(minute).padStart(2, "0")}`;
+
+  return { date, time, filename: `${date}_${time}.jpg` };
+}
+
 /**
  * Gets capture slots for a date range
  * @param {Date} startDate - Start date
@@ -291,10 +922,14 @@ export function getSlotsForDateRange(
   location = null,
 ) {
   const allSlots = [];
+  // Start and end a day early and late, since the schedule's days need not
+  // line up with the host's
   const current = new Date(startDate);
   current.setHours(0, 0, 0, 0);
+  current.setDate(current.getDate() - 1);
+  const last = new Date(endDate.getTime() + DAY_MS);
 
-  while (current <= endDate) {
+  while (current <= last) {
     const daySlots = generateDailySlots(current, schedule, location);
     allSlots.push(...daySlots);
     current.setDate(current.getDate() + 1);
@@ -0,0 +1,565 @@
+/**
+ * @file service.js
+ * @description Generates and installs OS service definitions for automatic captures
+ * Writes a systemd user service and timer on Linux or a launchd agent on macOS,
+ * either running capture-and-timelapse.js at the schedule's times or keeping
+ * `lawn daemon` running. Unit files are built as text so they can be checked
+ * without installing them; installing and status checks shell out to
+ * systemctl/launchctl through a replaceable command runner.
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { getBaseDir, getCameraSchedule } from "./config.js";
+import { getScheduleTimezone } from "./scheduling.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Name of the systemd units */
+export const SERVICE_NAME = "lawn-lapse";
+
+/** Label of the launchd agent */
+export const LAUNCHD_LABEL = "com.lawn-lapse.capture";
+
+// Checked every this many minutes when slots can't be expressed as calendar times
+const POLL_MINUTES = 15;
+
+// Appended to the PATH so ffmpeg is found from Homebrew and system locations
+const FALLBACK_PATH = [
+  "/opt/homebrew/bin",
+  "/usr/local/bin",
+  "/usr/bin",
+  "/bin",
+];
+
+/**
+ * Picks the service manager for a platform
+ * @param {string} [platform=process.platform] - Node platform name
+ * @returns {"systemd"|"launchd"|null} Service manager, or null if unsupported
+ */
+export function getServicePlatform(platform = process.platform) {
+  if (platform === "linux") return "systemd";
+  if (platform === "darwin") return "launchd";
+  return null;
+}
+
+/**
+ * Builds the PATH for scheduled runs
+ * Services start with a minimal environment, so the PATH is fixed at install
+ * time: Node's own directory first, then the installing shell's PATH, then
+ * common binary locations.
+ * @param {Object} [env=process.env] - Environment to take PATH from
+ * @param {string} [execPath=process.execPath] - Node binary
+ * @returns {string} Colon-separated PATH without duplicates
+ */
+export function buildServicePath(
+  env = process.env,
+  execPath = process.execPath,
+) {
+  const dirs = [
+    path.dirname(execPath),
+    ...(env.PATH || "").split(":"),
+    ...FALLBACK_PATH,
+  ];
+  return Array.from(new Set(dirs.filter(Boolean))).join(":");
+}
+
+/**
+ * Works out when timed captures should run
+ * When every camera captures at fixed times in one timezone without calendar
+ * rules, the run times are the union of those times; otherwise the capture
+ * script is run every 15 minutes and decides itself what is due.
+ * @param {Object} config - Application configuration
+ * @returns {{times: Array<string>, timezone: string}|{everyMinutes: number}} Run times
+ */
+export function getCaptureCalendar(config) {
+  const schedules = (config.cameras || []).map((camera) =>
+    getCameraSchedule(config, camera),
+  );
+  const fixed =
+    schedules.length > 0 &&
+    schedules.every(
+      (schedule) =>
+        schedule.mode === "fixed-time" &&
+        schedule.fixedTimes?.length > 0 &&
+        !schedule.rules?.length,
+    );
+  const timezones = new Set(schedules.map(getScheduleTimezone));
+
+  if (!fixed || timezones.size !== 1) {
+    return { everyMinutes: POLL_MINUTES };
+  }
+
+  const times = new Set();
+  for (const schedule of schedules) {
+    for (const time of schedule.fixedTimes) {
+      const [hour, minute] = time.split(":").map((n) => parseInt(n, 10));
+      times.add(
+        `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`,
+      );
+    }
+  }
+  return { times: Array.from(times).sort(), timezone: [...timezones][0] };
+}
+
+/**
+ * Describes run times for messages
+ * @param {Object} calendar - Result of getCaptureCalendar
+ * @returns {string} E.g. "at 12:00, 18:00 America/New_York" or "every 15 minutes"
+ */
+export function describeCaptureCalendar(calendar) {
+  return calendar.times
+    ? `at ${calendar.times.join(", ")} ${calendar.timezone}`
+    : `every ${calendar.everyMinutes} minutes`;
+}
+
+/**
+ * Resolves the command, environment and log file a service runs with
+ * @param {Object} options - Service options
+ * @param {boolean} [options.daemon=false] - Run `lawn daemon` instead of timed captures
+ * @param {Object} [options.env=process.env] - Environment to take PATH from
+ * @param {string} [options.execPath=process.execPath] - Node binary
+ * @returns {{args: Array<string>, environment: Object, logPath: string}} Launch settings
+ */
+function getLaunchSettings({
+  daemon = false,
+  env = process.env,
+  execPath = process.execPath,
+} = {}) {
+  const baseDir = getBaseDir();
+  return {
+    args: daemon
+      ? [execPath, path.join(__dirname, "lawn-lapse.js"), "daemon"]
+      : [execPath, path.join(__dirname, "capture-and-timelapse.js")],
+    environment: {
+      PATH: buildServicePath(env, execPath),
+      LAWN_LAPSE_CONFIG_DIR: baseDir,
+    },
+    logPath: path.join(baseDir, "logs", "lawn-lapse.log"),
+  };
+}
+
+/**
+ * Escapes systemd specifiers in a unit file value
+ * @param {string} value - Raw value
+ * @returns {string} Value with % doubled
+ */
+function escapeSpecifiers(value) {
+  return value.replace(/%/g, "%%");
+}
+
+/**
+ * Quotes a word for a systemd unit file
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted, escaped value
+ */
+function quoteSystemd(value) {
+  return `"${escapeSpecifiers(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * Generates the systemd user units
+ * Timed captures get a oneshot service started by a timer; daemon mode gets a
+ * service that is restarted if it fails.
+ * @param {Object} config - Application configuration
+ * @param {Object} [options] - See getLaunchSettings
+ * @returns {Object<string, string>} Unit file contents keyed by file name
+ */
+export function createSystemdUnits(config, options = {}) {
+  const { args, environment, logPath } = getLaunchSettings(options);
+  const serviceLines = [
+    "[Unit]",
+    options.daemon
+      ? "Description=Lawn Lapse capture daemon"
+      : "Description=Lawn Lapse snapshot capture",
+    "",
+    "[Service]",
+    options.daemon ? "Type=simple" : "Type=oneshot",
+    // ExecStart expands $VARIABLES, so a literal $ is doubled
+    `ExecStart=${args.map((arg) => quoteSystemd(arg.replace(/\$/g, "$$$$"))).join(" ")}`,
+    ...Object.entries(environment).map(
+      ([key, value]) => `Environment=${quoteSystemd(`${key}=${value}`)}`,
+    ),
+    `StandardOutput=append:${escapeSpecifiers(logPath)}`,
+    `StandardError=append:${escapeSpecifiers(logPath)}`,
+  ];
+
+  if (options.daemon) {
+    serviceLines.push(
+      "Restart=on-failure",
+      "RestartSec=60",
+      "",
+      "[Install]",
+      "WantedBy=default.target",
+    );
+    return { [`${SERVICE_NAME}.service`]: `${serviceLines.join("\n")}\n` };
+  }
+
+  const calendar = getCaptureCalendar(config);
+  const onCalendar = calendar.times
+    ? calendar.times.map(
+        (time) => `OnCalendar=*-*-* ${time}:00 ${calendar.timezone}`,
+      )
+    : [`OnCalendar=*:0/${calendar.everyMinutes}`];
+  const timerLines = [
+    "[Unit]",
+    `Description=Run Lawn Lapse capture ${describeCaptureCalendar(calendar)}`,
+    "",
+    "[Timer]",
+    ...onCalendar,
+    "Persistent=true",
+    "",
+    "[Install]",
+    "WantedBy=timers.target",
+  ];
+
+  return {
+    [`${SERVICE_NAME}.service`]: `${serviceLines.join("\n")}\n`,
+    [`${SERVICE_NAME}.timer`]: `${timerLines.join("\n")}\n`,
+  };
+}
+
+/**
+ * Escapes text for a plist string
+ * @param {string} value - Raw value
+ * @returns {string} XML-escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Generates the launchd agent plist
+ * launchd calendar intervals use the host's timezone, so schedules in another
+ * zone are polled every 15 minutes instead.
+ * @param {Object} config - Application configuration
+ * @param {Object} [options] - See getLaunchSettings
+ * @param {string} [options.hostTimezone] - Host timezone (default: detected)
+ * @returns {string} Plist XML
+ */
+export function createLaunchdPlist(config, options = {}) {
+  const { args, environment, logPath } = getLaunchSettings(options);
+  const hostTimezone =
+    options.hostTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const string = (value) => `<string>${escapeXml(value)}</string>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    "<dict>",
+    "  <key>Label</key>",
+    `  ${string(LAUNCHD_LABEL)}`,
+    "  <key>ProgramArguments</key>",
+    "  <array>",
+    ...args.map((arg) => `    ${string(arg)}`),
+    "  </array>",
+    "  <key>EnvironmentVariables</key>",
+    "  <dict>",
+    ...Object.entries(environment).flatMap(([key, value]) => [
+      `    <key>${escapeXml(key)}</key>`,
+      `    ${string(value)}`,
+    ]),
+    "  </dict>",
+    "  <key>StandardOutPath</key>",
+    `  ${string(logPath)}`,
+    "  <key>StandardErrorPath</key>",
+    `  ${string(logPath)}`,
+  ];
+
+  if (options.daemon) {
+    lines.push("  <key>RunAtLoad</key>", "  <true/>");
+    lines.push("  <key>KeepAlive</key>", "  <true/>");
+  } else {
+    const calendar = getCaptureCalendar(config);
+    if (calendar.times && calendar.timezone === hostTimezone) {
+      lines.push("  <key>StartCalendarInterval</key>", "  <array>");
+      for (const time of calendar.times) {
+        const [hour, minute] = time.split(":").map((n) => parseInt(n, 10));
+        lines.push(
+          "    <dict>",
+          "      <key>Hour</key>",
+          `      <integer>${hour}</integer>`,
+          "      <key>Minute</key>",
+          `      <integer>${minute}</integer>`,
+          "    </dict>",
+        );
+      }
+      lines.push("  </array>");
+    } else {
+      lines.push(
+        "  <key>StartInterval</key>",
+        `  <integer>${POLL_MINUTES * 60}</integer>`,
+      );
+    }
+  }
+
+  lines.push("</dict>", "</plist>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Gets the directory the service files are installed in
+ * @param {"systemd"|"launchd"} platform - Service manager
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.homeDir=os.homedir()] - Home directory
+ * @param {Object} [options.env=process.env] - Environment (for XDG_CONFIG_HOME)
+ * @returns {string} Absolute directory path
+ */
+export function getServiceDir(
+  platform,
+  { homeDir = os.homedir(), env = process.env } = {},
+) {
+  if (platform === "launchd") {
+    return path.join(homeDir, "Library", "LaunchAgents");
+  }
+  return path.join(
+    env.XDG_CONFIG_HOME || path.join(homeDir, ".config"),
+    "systemd",
+    "user",
+  );
+}
+
+/**
+ * Generates the service files for a platform
+ * @param {"systemd"|"launchd"} platform - Service manager
+ * @param {Object} config - Application configuration
+ * @param {Object} [options] - Service options (see getLaunchSettings and getServiceDir)
+ * @returns {Array<{path: string, contents: string}>} Files to write
+ */
+export function getServiceFiles(platform, config, options = {}) {
+  const dir = getServiceDir(platform, options);
+  if (platform === "launchd") {
+    return [
+      {
+        path: path.join(dir, `${LAUNCHD_LABEL}.plist`),
+        contents: createLaunchdPlist(config, options),
+      },
+    ];
+  }
+  return Object.entries(createSystemdUnits(config, options)).map(
+    ([name, contents]) => ({ path: path.join(dir, name), contents }),
+  );
+}
+
+/**
+ * Runs a service manager command
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {string} Standard output
+ * @throws {Error} If the command exits with an error
+ */
+function runCommand(command, args) {
+  return execFileSync(command, args, {
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+}
+
+/**
+ * Runs a command, ignoring failures
+ * @param {function(string, Array<string>): string} run - Command runner
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {string|null} Standard output, or null if the command failed
+ */
+function tryCommand(run, command, args) {
+  try {
+    return run(command, args);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Installs and starts the service, replacing an earlier installation
+ * @async
+ * @param {Object} config - Application configuration
+ * @param {Object} [options] - Service options
+ * @param {string} [options.platform] - Service manager (default: this host's)
+ * @param {function(string, Array<string>): string} [options.run] - Command runner
+ * @returns {Promise<{platform: string, files: Array<string>, logPath: string}>} What was installed
+ * @throws {Error} If the platform is unsupported or the service manager fails
+ */
+export async function installService(config, options = {}) {
+  const platform = options.platform || getServicePlatform();
+  const run = options.run || runCommand;
+  if (!platform) {
+    throw new Error(
+      `Services are not supported on ${process.platform}; use 'lawn cron' instead`,
+    );
+  }
+
+  await uninstallService({ ...options, platform, run });
+
+  const files = getServiceFiles(platform, config, options);
+  const { logPath } = getLaunchSettings(options);
+  await fs.mkdir(path.dirname(logPath), { recursive: true });
+  for (const file of files) {
+    await fs.mkdir(path.dirname(file.path), { recursive: true });
+    await fs.writeFile(file.path, file.contents);
+  }
+
+  if (platform === "launchd") {
+    run("launchctl", ["load", "-w", files[0].path]);
+  } else {
+    run("systemctl", ["--user", "daemon-reload"]);
+    run("systemctl", [
+      "--user",
+      "enable",
+      "--now",
+      `${SERVICE_NAME}.${options.daemon ? "service" : "timer"}`,
+    ]);
+  }
+
+  return { platform, files: files.map((file) => file.path), logPath };
+}
+
+/**
+ * Stops the service and removes its files
+ * @async
+ * @param {Object} [options] - See installService
+ * @returns {Promise<Array<string>>} Paths of the removed files
+ */
+export async function uninstallService(options = {}) {
+  const platform = options.platform || getServicePlatform();
+  const run = options.run || runCommand;
+  if (!platform) {
+    return [];
+  }
+
+  const dir = getServiceDir(platform, options);
+  const names =
+    platform === "launchd"
+      ? [`${LAUNCHD_LABEL}.plist`]
+      : [`${SERVICE_NAME}.timer`, `${SERVICE_NAME}.service`];
+
+  const removed = [];
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    try {
+      await fs.access(filePath);
+    } catch {
+      continue;
+    }
+
+    if (platform === "launchd") {
+      tryCommand(run, "launchctl", ["unload", "-w", filePath]);
+    } else {
+      tryCommand(run, "systemctl", ["--user", "disable", "--now", name]);
+    }
+    await fs.rm(filePath, { force: true });
+    removed.push(filePath);
+  }
+
+  if (platform === "systemd" && removed.length > 0) {
+    tryCommand(run, "systemctl", ["--user", "daemon-reload"]);
+  }
+  return removed;
+}
+
+/**
+ * Reports whether the service is installed and running
+ * @async
+ * @param {Object} [options] - See installService
+ * @returns {Promise<{platform: string|null, installed: boolean, active: boolean, mode: "timer"|"daemon"|null, files: Array<string>}>} Service status
+ */
+export async function getServiceStatus(options = {}) {
+  const platform = options.platform || getServicePlatform();
+  const run = options.run || runCommand;
+  const status = {
+    platform,
+    installed: false,
+    active: false,
+    mode: null,
+    files: [],
+  };
+  if (!platform) {
+    return status;
+  }
+
+  const dir = getServiceDir(platform, options);
+  if (platform === "launchd") {
+    const plistPath = path.join(dir, `${LAUNCHD_LABEL}.plist`);
+    const plist = await fs.readFile(plistPath, "utf8").catch(() => null);
+    if (plist === null) {
+      return status;
+    }
+    status.installed = true;
+    status.files = [plistPath];
+    status.mode = plist.includes("<key>KeepAlive</key>") ? "daemon" : "timer";
+    status.active =
+      tryCommand(run, "launchctl", ["list", LAUNCHD_LABEL]) !== null;
+    return status;
+  }
+
+  for (const name of [`${SERVICE_NAME}.timer`, `${SERVICE_NAME}.service`]) {
+    const filePath = path.join(dir, name);
+    if (
+      await fs.access(filePath).then(
+        () => true,
+        () => false,
+      )
+    ) {
+      status.files.push(filePath);
+    }
+  }
+  if (status.files.length === 0) {
+    return status;
+  }
+  status.installed = true;
+  status.mode = status.files.some((file) => file.endsWith(".timer"))
+    ? "timer"
+    : "daemon";
+  const unit = `${SERVICE_NAME}.${status.mode === "timer" ? "timer" : "service"}`;
+  status.active =
+    tryCommand(run, "systemctl", ["--user", "is-active", unit])?.trim() ===
+    "active";
+  return status;
+}
+
+/**
+ * Names a service for messages
+ * @param {{platform: string, mode: string}} status - Service status
+ * @returns {string} E.g. "systemd timer" or "launchd agent (daemon)"
+ */
+export function describeService({ platform, mode }) {
+  if (platform === "launchd") {
+    return mode === "daemon" ? "launchd agent (daemon)" : "launchd agent";
+  }
+  return mode === "daemon" ? "systemd service (daemon)" : "systemd timer";
+}
+
+/**
+ * Lists the schedulers that will start captures
+ * A daemon started by the service counts once, as the service.
+ * @param {Object} schedulers - What was detected
+ * @param {boolean} schedulers.cron - A cron job is installed and not commented out
+ * @param {Object|null} schedulers.service - Result of getServiceStatus
+ * @param {boolean} schedulers.daemonRunning - A `lawn daemon` is running
+ * @returns {Array<string>} Names of the active schedulers
+ */
+export function listActiveSchedulers({ cron, service, daemonRunning }) {
+  const active = [];
+  if (cron) {
+    active.push("cron");
+  }
+  if (service?.active) {
+    active.push(describeService(service));
+  }
+  if (daemonRunning && !(service?.active && service.mode === "daemon")) {
+    active.push("lawn daemon");
+  }
+  return active;
+}
@@ -0,0 +1,226 @@
+/**
+ * @file snapshot-integrity.js
+ * @description Atomic snapshot writes, JPEG validation and quarantine of corrupt snapshots
+ * Frames are written under a temporary name and only renamed into place once they
+ * parse as a complete JPEG, so an interrupted capture never looks like a finished one
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+import {
+  OUTCOMES,
+  createLedgerEntry,
+  loadLedger,
+  appendLedger,
+  syncLedgerWithDirectory,
+  getCapturedFilenames,
+} from "./ledger.js";
+
+/**
+ * Suffix of snapshots that are still being written
+ * @type {string}
+ */
+export const PARTIAL_SUFFIX = ".partial";
+
+const END_OF_IMAGE = Buffer.from([0xff, 0xd9]);
+
+// Start-of-frame markers carrying the image dimensions (excludes DHT, JPG and DAC)
+const SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+/**
+ * Reads the dimensions of a JPEG, checking that it is structurally complete
+ * Walks the marker segments up to the start of scan and requires an
+ * end-of-image marker after it, which truncated writes never have. Bytes after
+ * the marker (padding some cameras append) are allowed
+ * @param {Buffer} data - File contents
+ * @returns {{width: number, height: number}} Image dimensions
+ * @throws {Error} "Corrupt JPEG: ..." describing the first problem found
+ */
+export function readJpegInfo(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    throw new Error("Corrupt JPEG: missing start-of-image marker");
+  }
+
+  let dimensions = null;
+  let offset = 2;
+
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) {
+      throw new Error(`Corrupt JPEG: invalid marker at byte ${offset}`);
+    }
+
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2; // Markers without a length
+      continue;
+    }
+    if (marker === 0xd9) {
+      throw new Error("Corrupt JPEG: image ends before any image data");
+    }
+
+    const length = data.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > data.length) {
+      throw new Error("Corrupt JPEG: truncated header");
+    }
+
+    if (SOF_MARKERS.has(marker) && length >= 7) {
+      dimensions = {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+      };
+    }
+
+    if (marker === 0xda) {
+      if (!dimensions) {
+        throw new Error("Corrupt JPEG: missing frame header");
+      }
+      if (dimensions.width === 0 || dimensions.height === 0) {
+        throw new Error("Corrupt JPEG: zero image dimensions");
+      }
+      // Scan data stuffs 0xFF bytes, so the first FFD9 after it is the real end
+      if (data.indexOf(END_OF_IMAGE, offset + 2 + length) === -1) {
+        throw new Error("Corrupt JPEG: truncated image data");
+      }
+      return dimensions;
+    }
+
+    offset += 2 + length;
+  }
+
+  throw new Error("Corrupt JPEG: truncated header");
+}
+
+/**
+ * Validates a JPEG file on disk
+ * @async
+ * @param {string} filePath - File to check
+ * @returns {Promise<{width: number, height: number}>} Image dimensions
+ * @throws {Error} If the file can't be read or is not a complete JPEG
+ */
+export async function validateJpeg(filePath) {
+  return readJpegInfo(await fs.readFile(filePath));
+}
+
+/**
+ * Writes a snapshot under a temporary name, validates it, then renames it into place
+ * The temporary file is removed if writing or validation fails
+ * @async
+ * @param {string} outputPath - Final snapshot path
+ * @param {function(string): Promise<void>} write - Writes the frame to the given path
+ * @returns {Promise<{width: number, height: number}>} Dimensions of the saved frame
+ * @throws {Error} The write error, or a "Corrupt JPEG" error from validation
+ */
+export async function writeSnapshotAtomically(outputPath, write) {
+  const partialPath = `${outputPath}${PARTIAL_SUFFIX}`;
+
+  try {
+    await write(partialPath);
+    const dimensions = await validateJpeg(partialPath);
+    await fs.rename(partialPath, outputPath);
+    return dimensions;
+  } finally {
+    await fs.rm(partialPath, { force: true });
+  }
+}
+
+/**
+ * Gets the directory corrupt snapshots of a camera are moved to
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getQuarantineDir(cameraId) {
+  return path.join(getBaseDir(), "quarantine", encodeURIComponent(cameraId));
+}
+
+/**
+ * Moves a file, copying it when the destination is on another filesystem
+ * @async
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Checks every snapshot of a camera and quarantines the corrupt ones
+ * Corrupt snapshots are moved to the quarantine directory and recorded as
+ * failed in the ledger, so the next capture run fetches them again.
+ * @async
+ * @param {Object} camera - Camera configuration (id, snapshotDir)
+ * @param {Object} [options] - Verify options
+ * @param {boolean} [options.dryRun=false] - Report problems without moving files or writing the ledger
+ * @param {string} [options.timezone] - Timezone of the camera's schedule, for adopting untracked snapshots
+ * @returns {Promise<{checked: number, corrupt: Array<{filename: string, error: string}>}>} Results
+ */
+export async function verifySnapshots(camera, options = {}) {
+  const { dryRun = false, timezone } = options;
+
+  // A dry run checks the same snapshots as a real one but leaves the ledger
+  // file alone
+  const ledger = await loadLedger(camera.id);
+  await syncLedgerWithDirectory(
+    camera.id,
+    camera.snapshotDir,
+    ledger,
+    timezone,
+    { dryRun },
+  );
+
+  const filenames = getCapturedFilenames(ledger);
+  const corrupt = [];
+
+  for (const filename of filenames) {
+    try {
+      await validateJpeg(path.join(camera.snapshotDir, filename));
+    } catch (error) {
+      corrupt.push({ filename, error: error.message });
+    }
+  }
+
+  if (dryRun || corrupt.length === 0) {
+    return { checked: filenames.length, corrupt };
+  }
+
+  const quarantineDir = getQuarantineDir(camera.id);
+  await fs.mkdir(quarantineDir, { recursive: true });
+
+  const entries = [];
+  for (const { filename, error } of corrupt) {
+    await moveFile(
+      path.join(camera.snapshotDir, filename),
+      path.join(quarantineDir, filename),
+    );
+    entries.push(
+      createLedgerEntry(
+        { slot: new Date(ledger.get(filename).slot), filename },
+        {
+          outcome: OUTCOMES.FAILED,
+          errorCategory: "corrupt",
+          error,
+          source: "verify",
+        },
+      ),
+    );
+  }
+  await appendLedger(camera.id, entries);
+
+  return { checked: filenames.length, corrupt };
+}
@@ -0,0 +1,488 @@
+/**
+ * @file stabilization.js
+ * @description Aligns every snapshot with a reference frame so wind and bumped cameras don't shake the videos
+ * vidstabdetect (tripod mode) measures each snapshot against the camera's reference
+ * frame once; the motions are cached per snapshot, and vidstabtransform applies them
+ * to whichever snapshots a video is rendered from
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+
+import { getBaseDir, getSelectedVideoSettings } from "./config.js";
+import { escapeFilterValue } from "./overlay.js";
+import { getFfmpegList } from "./video-profiles.js";
+
+// Check for verbose flag for detailed output
+const isVerbose =
+  process.argv.includes("-v") || process.argv.includes("--verbose");
+
+/**
+ * Default stabilization settings. `stabilize: true` uses these as they are;
+ * an object changes individual settings
+ * @type {Object}
+ */
+export const DEFAULT_STABILIZATION = {
+  // Snapshot every frame is aligned with; null keeps the first one used
+  reference: null,
+  // How shaky the camera is, 1-10 (vidstabdetect shakiness)
+  shakiness: 5,
+  // Detection accuracy, 1-15 (vidstabdetect accuracy)
+  accuracy: 15,
+  // What fills the edges a shifted frame leaves: "zoom", "black" or "keep"
+  borders: "zoom",
+};
+
+/**
+ * vidstabtransform options for each border mode
+ * zoom crops in just enough to hide the edges, black leaves them black and
+ * keep fills them with the previous frame
+ * @type {Object<string, string>}
+ */
+export const BORDER_MODES = {
+  zoom: "optzoom=1:crop=black",
+  black: "optzoom=0:crop=black",
+  keep: "optzoom=0:crop=keep",
+};
+
+// A frame with no measured motion stays where it is
+const NO_MOTION = "List 0 []";
+
+/**
+ * @typedef {Object} SnapshotTransform
+ * @property {number} size - Snapshot size in bytes when measured
+ * @property {number} mtimeMs - Snapshot modification time when measured
+ * @property {string} motions - vidstab local motions against the reference frame
+ */
+
+/**
+ * @typedef {Object} TransformCache
+ * @property {{filename: string, size: number, mtimeMs: number, width: number, height: number}|null} reference - Reference frame
+ * @property {number} shakiness - Detection shakiness the motions were measured with
+ * @property {number} accuracy - Detection accuracy the motions were measured with
+ * @property {Map<string, SnapshotTransform>} transforms - Motions keyed by snapshot filename
+ */
+
+/**
+ * Merges a stabilization setting over the defaults
+ * @param {boolean|Object|null} stabilize - Stabilization setting from the video settings
+ * @returns {Object|null} Stabilization settings, or null when stabilization is off
+ * @throws {Error} If a setting is invalid
+ */
+export function resolveStabilization(stabilize) {
+  if (!stabilize) {
+    return null;
+  }
+  if (stabilize !== true && typeof stabilize !== "object") {
+    throw new Error("Stabilization must be true or an object of settings");
+  }
+
+  const settings = {
+    ...DEFAULT_STABILIZATION,
+    ...(stabilize === true ? {} : stabilize),
+  };
+
+  if (!BORDER_MODES[settings.borders]) {
+    throw new Error(
+      `Unknown stabilization borders "${settings.borders}" (expected one of: ${Object.keys(BORDER_MODES).join(", ")})`,
+    );
+  }
+  if (
+    !Number.isInteger(settings.shakiness) ||
+    settings.shakiness < 1 ||
+    settings.shakiness > 10
+  ) {
+    throw new Error(
+      "Stabilization shakiness must be a whole number from 1 to 10",
+    );
+  }
+  if (
+    !Number.isInteger(settings.accuracy) ||
+    settings.accuracy < 1 ||
+    settings.accuracy > 15
+  ) {
+    throw new Error(
+      "Stabilization accuracy must be a whole number from 1 to 15",
+    );
+  }
+  if (settings.reference !== null && typeof settings.reference !== "string") {
+    throw new Error("Stabilization reference must be a snapshot filename");
+  }
+
+  return settings;
+}
+
+/**
+ * Lists the video filters the local ffmpeg build supports
+ * @async
+ * @returns {Promise<Set<string>|null>} Filter names, or null if ffmpeg can't be run
+ */
+export async function getAvailableFilters() {
+  // Filter lines look like " ... vidstabdetect     V->V       Extract ..."
+  return getFfmpegList("filters", /^\s*[.A-Z|]{2,3}\s+(\S+)\s+\S+->\S+/);
+}
+
+/**
+ * Gets the path of a camera's transform cache
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Path under the base directory
+ */
+export function getStabilizationPath(cameraId) {
+  return path.join(
+    getBaseDir(),
+    "stabilization",
+    `${encodeURIComponent(cameraId)}.json`,
+  );
+}
+
+/**
+ * Loads a camera's transform cache
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @returns {Promise<TransformCache>} Cached reference and motions (empty if there are none)
+ */
+export async function loadTransforms(cameraId) {
+  try {
+    const saved = JSON.parse(
+      await fs.readFile(getStabilizationPath(cameraId), "utf8"),
+    );
+    return {
+      reference: saved.reference ?? null,
+      shakiness: saved.shakiness,
+      accuracy: saved.accuracy,
+      transforms: new Map(Object.entries(saved.transforms ?? {})),
+    };
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return { reference: null, transforms: new Map() };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves a camera's transform cache
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {TransformCache} cache - Reference and motions
+ * @returns {Promise<void>}
+ */
+export async function saveTransforms(cameraId, cache) {
+  const cachePath = getStabilizationPath(cameraId);
+  const transforms = Object.fromEntries(
+    Array.from(cache.transforms.entries()).sort(([a], [b]) =>
+      a.localeCompare(b),
+    ),
+  );
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  await fs.writeFile(
+    cachePath,
+    `${JSON.stringify({ ...cache, transforms })}\n`,
+  );
+}
+
+/**
+ * Reads the per-frame motions from a vidstab transform file
+ * @param {string} text - Contents of a .trf file
+ * @returns {Array<string>} Motions for each frame, in frame order
+ */
+export function parseTransformFile(text) {
+  const motions = [];
+  for (const line of text.split("\n")) {
+    const match = line.match(/^Frame (\d+) \((List .*)\)\s*$/);
+    if (match) {
+      motions[Number(match[1]) - 1] = match[2];
+    }
+  }
+  return Array.from(motions, (entry) => entry ?? NO_MOTION);
+}
+
+/**
+ * Builds a vidstab transform file for frames in playback order
+ * @param {Array<string>} motions - Motions for each frame
+ * @returns {string} Contents of a .trf file
+ */
+export function formatTransformFile(motions) {
+  const lines = ["VID.STAB 1"];
+  motions.forEach((entry, index) => {
+    lines.push(`Frame ${index + 1} (${entry})`);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Picks the reference frame: `settings.reference`, else the one the cache
+ * was built against, else the first snapshot given
+ * A deleted reference is replaced unless the settings name it
+ * @async
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Array<string>} filenames - Snapshots to measure
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @param {Object|null} cached - Reference frame from the cache
+ * @returns {Promise<{filename: string, size: number, mtimeMs: number}>} Reference snapshot
+ * @throws {Error} If no candidate snapshot exists
+ */
+async function findReference(snapshotDir, filenames, settings, cached) {
+  const candidates = settings.reference
+    ? [settings.reference]
+    : [cached?.filename, filenames[0]].filter(Boolean);
+
+  for (const filename of candidates) {
+    const stats = await fs
+      .stat(path.join(snapshotDir, filename))
+      .catch(() => null);
+    if (stats) {
+      return { filename, size: stats.size, mtimeMs: stats.mtimeMs };
+    }
+  }
+  throw new Error(`Reference frame ${candidates.at(-1)} not found`);
+}
+
+/**
+ * Finds the reference frame analyzeStabilization would measure against,
+ * without measuring anything
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {string} snapshotDir - Camera snapshot directory
+ * @param {Array<string>} filenames - Snapshots to measure
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @returns {Promise<{filename: string, size: number, mtimeMs: number}>} Reference snapshot
+ * @throws {Error} If the reference frame is missing
+ */
+export async function getStabilizationReference(
+  cameraId,
+  snapshotDir,
+  filenames,
+  settings,
+) {
+  const cache = await loadTransforms(cameraId);
+  return findReference(snapshotDir, filenames, settings, cache.reference);
+}
+
+/**
+ * Runs vidstabdetect over the reference frame followed by the given snapshots
+ * @async
+ * @param {string} snapshotDir - Directory containing snapshots
+ * @param {Object} reference - Reference frame from the cache
+ * @param {Array<string>} filenames - Snapshots to measure
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @returns {Promise<Array<string>>} Motions for each snapshot, in the order given
+ * @throws {Error} If ffmpeg fails
+ */
+async function detectMotions(snapshotDir, reference, filenames, settings) {
+  // Frames are timestamped one second apart; only their order matters
+  const stamp = `${process.pid}-${Date.now()}`;
+  const listPath = path.join(snapshotDir, `filelist-stabilize-${stamp}.txt`);
+  const resultPath = path.join(snapshotDir, `stabilize-${stamp}.trf`);
+  const lines = ["ffconcat version 1.0"];
+  for (const filename of [reference.filename, ...filenames]) {
+    lines.push(`file '${filename}'`, "duration 1");
+  }
+  await fs.writeFile(listPath, `${lines.join("\n")}\n`);
+
+  const filters = [
+    `scale=${reference.width}:${reference.height}`,
+    // vidstabdetect finds no motion in full-range (JPEG) frames
+    "format=yuv420p",
+    `vidstabdetect=tripod=1:shakiness=${settings.shakiness}:accuracy=${settings.accuracy}:result=${escapeFilterValue(resultPath)}`,
+  ];
+
+  try {
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(
+        "ffmpeg",
+        [
+          ...(isVerbose ? [] : ["-loglevel", "error"]),
+          "-f",
+          "concat",
+          "-safe",
+          "0",
+          "-i",
+          listPath,
+          "-vf",
+          filters.join(","),
+          "-f",
+          "null",
+          "-",
+        ],
+        { stdio: ["ignore", "ignore", isVerbose ? "inherit" : "ignore"] },
+      );
+
+      ffmpeg.on("close", (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}`));
+        } else {
+          resolve();
+        }
+      });
+
+      ffmpeg.on("error", reject);
+    });
+
+    // Frame 1 is the reference itself
+    const motions = parseTransformFile(await fs.readFile(resultPath, "utf8"));
+    return filenames.map((_, index) => motions[index + 1] ?? NO_MOTION);
+  } finally {
+    await fs.unlink(listPath).catch(() => {});
+    await fs.unlink(resultPath).catch(() => {});
+  }
+}
+
+/**
+ * Measures the snapshots that have no up-to-date motions yet
+ * Changing the reference frame (see findReference) or the detection settings
+ * measures every snapshot again
+ * @async
+ * @param {string} cameraId - Camera ID
+ * @param {string} snapshotDir - Camera snapshot directory
+ * @param {Array<string>} filenames - Snapshots to measure
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @param {function(string): Promise<{width: number, height: number}>} probe - Reads image dimensions
+ * @returns {Promise<{cache: TransformCache, measured: number}>} All known motions and how many were added
+ * @throws {Error} If the reference frame is missing or ffmpeg fails
+ */
+export async function analyzeStabilization(
+  cameraId,
+  snapshotDir,
+  filenames,
+  settings,
+  probe,
+) {
+  let cache = await loadTransforms(cameraId);
+
+  const found = await findReference(
+    snapshotDir,
+    filenames,
+    settings,
+    cache.reference,
+  );
+  const reference = {
+    ...found,
+    ...(await probe(path.join(snapshotDir, found.filename))),
+  };
+
+  const cached = cache.reference;
+  if (
+    cached?.filename !== reference.filename ||
+    cached.size !== reference.size ||
+    cached.mtimeMs !== reference.mtimeMs ||
+    cache.shakiness !== settings.shakiness ||
+    cache.accuracy !== settings.accuracy
+  ) {
+    cache = {
+      reference,
+      shakiness: settings.shakiness,
+      accuracy: settings.accuracy,
+      transforms: new Map(),
+    };
+  }
+
+  const pending = [];
+  for (const filename of filenames) {
+    const stats = await fs
+      .stat(path.join(snapshotDir, filename))
+      .catch(() => null);
+    if (!stats) continue;
+
+    const previous = cache.transforms.get(filename);
+    if (previous?.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+      continue;
+    }
+    pending.push({ filename, size: stats.size, mtimeMs: stats.mtimeMs });
+  }
+
+  if (pending.length > 0) {
+    const motions = await detectMotions(
+      snapshotDir,
+      reference,
+      pending.map(({ filename }) => filename),
+      settings,
+    );
+    pending.forEach(({ filename, size, mtimeMs }, index) => {
+      cache.transforms.set(filename, {
+        size,
+        mtimeMs,
+        motions: motions[index],
+      });
+    });
+    await saveTransforms(cameraId, cache);
+  }
+
+  return { cache, measured: pending.length };
+}
+
+/**
+ * Writes the transform file for one video
+ * @async
+ * @param {string} transformsPath - Path of the .trf file
+ * @param {TransformCache} cache - Cache from analyzeStabilization
+ * @param {Array<string>} filenames - Snapshots in playback order
+ * @returns {Promise<void>}
+ */
+export async function writeTransformFile(transformsPath, cache, filenames) {
+  const motions = filenames.map(
+    (filename) => cache.transforms.get(filename)?.motions ?? NO_MOTION,
+  );
+  await fs.writeFile(transformsPath, formatTransformFile(motions));
+}
+
+/**
+ * Builds the filters that align frames with the reference frame
+ * Frames are brought to the reference frame's size first, because the
+ * motions were measured at that size
+ * @param {Object} settings - Stabilization settings from resolveStabilization
+ * @param {Object} options - Options
+ * @param {string} options.transformsPath - Transform file from writeTransformFile
+ * @param {number} options.width - Reference frame width
+ * @param {number} options.height - Reference frame height
+ * @returns {Array<string>} ffmpeg video filters
+ */
+export function buildStabilizationFilters(
+  settings,
+  { transformsPath, width, height },
+) {
+  return [
+    `scale=${width}:${height}`,
+    "format=yuv420p",
+    `vidstabtransform=tripod=1:${BORDER_MODES[settings.borders]}:input=${escapeFilterValue(transformsPath)}`,
+  ];
+}
+
+/**
+ * Checks every selected stabilization setting and that ffmpeg has vidstab
+ * Filters are only checked when ffmpeg can be run; without stabilization nothing is spawned
+ * @async
+ * @param {Object} config - Configuration with defaults applied
+ * @param {Object} [options] - Options
+ * @param {Set<string>|null} [options.filters] - Available filters (detected by default)
+ * @returns {Promise<void>}
+ * @throws {Error} If a setting is invalid or ffmpeg lacks vidstab
+ */
+export async function validateStabilization(config, options = {}) {
+  const selected = getSelectedVideoSettings(config, "stabilize");
+  if (selected.length === 0) {
+    return;
+  }
+
+  const filters =
+    "filters" in options ? options.filters : await getAvailableFilters();
+
+  for (const { where, value } of selected) {
+    try {
+      resolveStabilization(value);
+      if (
+        filters &&
+        !(filters.has("vidstabdetect") && filters.has("vidstabtransform"))
+      ) {
+        throw new Error(
+          "Stabilization needs ffmpeg built with libvidstab (vidstabdetect and vidstabtransform)",
+        );
+      }
+    } catch (error) {
+      throw new Error(`Invalid stabilization in ${where}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,205 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  RateLimiter,
+  getControllerLimiter,
+  isThrottlingError,
+  runWithThrottleBackoff,
+  runOrderedQueue,
+} from "../backfill-queue.js";
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ============================================
+// runOrderedQueue
+// ============================================
+
+test("runOrderedQueue - delivers results in item order", async () => {
+  const delays = [30, 5, 15, 0, 10];
+  const seen = [];
+
+  const result = await runOrderedQueue(
+    delays.keys(),
+    async (index) => {
+      await delay(delays[index]);
+      return index * 10;
+    },
+    {
+      concurrency: 3,
+      onResult: (index, { value }) => {
+        seen.push([index, value]);
+      },
+    },
+  );
+
+  assert.deepEqual(seen, [
+    [0, 0],
+    [1, 10],
+    [2, 20],
+    [3, 30],
+    [4, 40],
+  ]);
+  assert.deepEqual(result, { processed: 5, stopped: false });
+});
+
+test("runOrderedQueue - never exceeds the concurrency limit", async () => {
+  let active = 0;
+  let peak = 0;
+
+  await runOrderedQueue(
+    Array.from({ length: 12 }, (_, i) => i),
+    async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    },
+    { concurrency: 4, onResult: () => false },
+  );
+
+  assert.equal(peak, 4);
+});
+
+test("runOrderedQueue - passes errors to onResult", async () => {
+  const outcomes = [];
+
+  await runOrderedQueue(
+    [1, 2],
+    async (n) => {
+      if (n === 2) throw new Error("No video data received");
+      return n;
+    },
+    {
+      concurrency: 2,
+      onResult: (n, outcome) => {
+        outcomes.push(outcome.error ? outcome.error.message : outcome.value);
+      },
+    },
+  );
+
+  assert.deepEqual(outcomes, [1, "No video data received"]);
+});
+
+test("runOrderedQueue - stops pulling items once onResult returns true", async () => {
+  const started = [];
+  function* endless() {
+    for (let i = 0; ; i++) yield i;
+  }
+
+  const result = await runOrderedQueue(
+    endless(),
+    async (n) => {
+      started.push(n);
+      await delay(1);
+    },
+    { concurrency: 2, onResult: (n) => n === 3 },
+  );
+
+  assert.equal(result.stopped, true);
+  // Items already in flight when the stop arrives still finish
+  assert.ok(started.length <= 6);
+  assert.equal(result.processed, started.length);
+});
+
+// ============================================
+// Rate limiting and throttling
+// ============================================
+
+test("RateLimiter - spaces requests evenly", async () => {
+  const limiter = new RateLimiter(50); // one every 20ms
+  const startedAt = Date.now();
+
+  for (let i = 0; i < 4; i++) {
+    await limiter.acquire();
+  }
+
+  assert.ok(Date.now() - startedAt >= 55);
+});
+
+test("RateLimiter - pause holds back callers", async () => {
+  const limiter = new RateLimiter(0);
+  limiter.pause(40);
+  const startedAt = Date.now();
+
+  await limiter.acquire();
+
+  assert.ok(Date.now() - startedAt >= 35);
+});
+
+test("getControllerLimiter - shares a limiter per controller", () => {
+  const a = getControllerLimiter("unifi:10.0.0.1", 5);
+  const b = getControllerLimiter("unifi:10.0.0.1", 10);
+  const c = getControllerLimiter("unifi:10.0.0.2", 5);
+
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+});
+
+test("isThrottlingError - recognizes throttling responses", () => {
+  assert.equal(
+    isThrottlingError(
+      new Error("No video data received (throttling API calls)"),
+    ),
+    true,
+  );
+  assert.equal(isThrottlingError(new Error("HTTP 429")), true);
+  assert.equal(isThrottlingError(new Error("No video data received")), false);
+});
+
+test("runWithThrottleBackoff - retries throttled requests with growing delays", async () => {
+  const delays = [];
+  let calls = 0;
+
+  const result = await runWithThrottleBackoff(
+    async () => {
+      calls++;
+      if (calls < 3) throw new Error("Throttling API calls");
+      return "ok";
+    },
+    new RateLimiter(0),
+    {
+      throttleBackoffMs: 5,
+      onThrottle: (delayMs) => delays.push(delayMs),
+    },
+  );
+
+  assert.equal(result, "ok");
+  assert.deepEqual(delays, [5, 10]);
+});
+
+test("runWithThrottleBackoff - gives up after maxThrottleRetries", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    runWithThrottleBackoff(
+      async () => {
+        calls++;
+        throw new Error("Throttling API calls");
+      },
+      new RateLimiter(0),
+      { throttleBackoffMs: 1, maxThrottleRetries: 2 },
+    ),
+    /Throttling/,
+  );
+  assert.equal(calls, 3);
+});
+
+test("runWithThrottleBackoff - does not retry other errors", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    runWithThrottleBackoff(
+      async () => {
+        calls++;
+        throw new Error("No video data received");
+      },
+      new RateLimiter(0),
+      { throttleBackoffMs: 1 },
+    ),
+    /No video data/,
+  );
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,385 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { tmpdir } from "node:os";
+import { mkdtemp, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  createCameraSource,
+  registerCameraSource,
+  getCameraSourceTypes,
+  getSourceType,
+  captureSlot,
+  UniFiProtectClient,
+  RtspSource,
+  HttpSnapshotSource,
+} from "../camera-sources.js";
+
+const CONFIG = {
+  unifi: { host: "192.168.1.1", username: "admin", password: "secret" },
+};
+
+// ============================================
+// getSourceType
+// ============================================
+
+test("getSourceType - defaults to unifi", () => {
+  assert.equal(getSourceType({ id: "cam1" }), "unifi");
+  assert.equal(getSourceType({ id: "cam1", source: {} }), "unifi");
+  assert.equal(getSourceType(undefined), "unifi");
+});
+
+test("getSourceType - returns configured type", () => {
+  assert.equal(getSourceType({ source: { type: "custom" } }), "custom");
+});
+
+// ============================================
+// createCameraSource
+// ============================================
+
+test("createCameraSource - builds UniFi client from global settings", () => {
+  const source = createCameraSource({ id: "cam1" }, CONFIG);
+
+  assert.ok(source instanceof UniFiProtectClient);
+  assert.equal(source.type, "unifi");
+  assert.equal(source.host, "192.168.1.1");
+  assert.equal(source.password, "secret");
+  assert.equal(source.capabilities.backfill, true);
+  assert.equal(source.isConnected, false);
+});
+
+test("createCameraSource - per-camera UniFi settings override global", () => {
+  const source = createCameraSource(
+    { id: "cam1", source: { type: "unifi", host: "10.0.0.5" } },
+    CONFIG,
+  );
+
+  assert.equal(source.host, "10.0.0.5");
+  assert.equal(source.username, "admin");
+  assert.equal(source.label, "10.0.0.5");
+});
+
+test("createCameraSource - unknown type throws", () => {
+  assert.throws(
+    () => createCameraSource({ id: "cam1", source: { type: "nope" } }, CONFIG),
+    /Unknown camera source "nope"/,
+  );
+});
+
+test("registerCameraSource - makes new type available", () => {
+  registerCameraSource("test-source", (camera) => ({
+    type: "test-source",
+    cameraId: camera.id,
+  }));
+
+  assert.ok(getCameraSourceTypes().includes("test-source"));
+  const source = createCameraSource(
+    { id: "cam9", source: { type: "test-source" } },
+    CONFIG,
+  );
+  assert.equal(source.cameraId, "cam9");
+});
+
+// ============================================
+// captureSlot
+// ============================================
+
+// Smallest structurally complete baseline JPEG header + scan (2x1 pixels)
+const TINY_JPEG = Buffer.from([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x01, 0x00, 0x02, 0x03, 0x01,
+  0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xda, 0x00, 0x0c, 0x03,
+  0x01, 0x00, 0x02, 0x11, 0x03, 0x11, 0x00, 0x3f, 0x00, 0x12, 0x34, 0xff, 0xd9,
+]);
+
+test("captureSlot - live sources grab a frame", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-source-"));
+  const outputPath = path.join(dir, "out.jpg");
+  const calls = [];
+  const source = {
+    capabilities: { backfill: false },
+    grabFrame: async (cameraId, partialPath) => {
+      calls.push({ cameraId, partialPath });
+      await writeFile(partialPath, TINY_JPEG);
+    },
+    exportVideo: async () => {
+      throw new Error("should not export");
+    },
+  };
+
+  await captureSlot(source, "cam1", new Date(), outputPath);
+
+  // The frame is written under a temporary name and renamed once valid
+  assert.deepEqual(calls, [
+    { cameraId: "cam1", partialPath: `${outputPath}.partial` },
+  ]);
+  assert.deepEqual(await readdir(dir), ["out.jpg"]);
+});
+
+test("captureSlot - truncated frames never reach the snapshot path", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-source-"));
+  const source = {
+    capabilities: { backfill: false },
+    grabFrame: async (cameraId, partialPath) => {
+      await writeFile(partialPath, TINY_JPEG.subarray(0, 30));
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", new Date(), path.join(dir, "out.jpg")),
+    (error) =>
+      /Corrupt JPEG/.test(error.message) && error.category === "extraction",
+  );
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test("captureSlot - recording sources export at the slot time", async () => {
+  const slot = new Date("2025-06-15T12:00:00Z");
+  const calls = [];
+  const source = {
+    capabilities: { backfill: true },
+    exportVideo: async (cameraId, startMs, durationMs) => {
+      calls.push({ cameraId, startMs, durationMs });
+      throw new Error("No video data received");
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", slot, "/tmp/out.jpg"),
+    /No video data/,
+  );
+  assert.deepEqual(calls, [
+    { cameraId: "cam1", startMs: slot.getTime(), durationMs: 1000 },
+  ]);
+});
+
+test("captureSlot - single frames are streamed from the export", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-source-"));
+  const slot = new Date("2025-06-15T12:00:00Z");
+  const calls = [];
+  const source = {
+    capabilities: { backfill: true },
+    exportVideoStream: async (cameraId, startMs, durationMs) => {
+      calls.push({ cameraId, startMs, durationMs });
+      throw new Error("No video data received");
+    },
+    exportVideo: async () => {
+      throw new Error("should not buffer");
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", slot, path.join(dir, "out.jpg")),
+    /No video data/,
+  );
+  assert.deepEqual(calls, [
+    { cameraId: "cam1", startMs: slot.getTime(), durationMs: 1000 },
+  ]);
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test("captureSlot - a stream that fails mid-clip is retried", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-source-"));
+  let calls = 0;
+  const source = {
+    capabilities: { backfill: true },
+    exportVideoStream: async () => {
+      calls++;
+      return (async function* () {
+        yield Buffer.from([0, 0, 0, 24]);
+        throw new Error("socket hang up");
+      })();
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", new Date(), path.join(dir, "out.jpg"), {
+      retryPolicy: {
+        maxAttempts: 2,
+        initialDelayMs: 1,
+        maxDelayMs: 1,
+        backoffFactor: 2,
+        jitter: 0,
+        retryOn: ["connection"],
+      },
+    }),
+    (error) => error.category === "connection" && error.attempts === 2,
+  );
+  assert.equal(calls, 2);
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test("captureSlot - frame selection exports a window around the slot", async () => {
+  const slot = new Date("2025-06-15T12:00:00Z");
+  const calls = [];
+  const source = {
+    capabilities: { backfill: true },
+    exportVideo: async (cameraId, startMs, durationMs) => {
+      calls.push({ startMs, durationMs });
+      throw new Error("No video data received");
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", slot, "/tmp/out.jpg", {
+      frameSelection: { enabled: true, windowSeconds: 2 },
+    }),
+    /No video data/,
+  );
+  assert.deepEqual(calls, [
+    { startMs: slot.getTime() - 2000, durationMs: 4000 },
+  ]);
+});
+
+test("captureSlot - retries transient export failures", async () => {
+  let calls = 0;
+  const source = {
+    capabilities: { backfill: true },
+    exportVideo: async () => {
+      calls++;
+      throw new Error(
+        "No video data received (Protect controller is taking too long to respond to a request)",
+      );
+    },
+  };
+
+  await assert.rejects(
+    captureSlot(source, "cam1", new Date(), "/tmp/out.jpg", {
+      retryPolicy: {
+        maxAttempts: 2,
+        initialDelayMs: 1,
+        maxDelayMs: 1,
+        backoffFactor: 2,
+        jitter: 0,
+        retryOn: ["timeout"],
+      },
+    }),
+    (error) => error.category === "timeout" && error.attempts === 2,
+  );
+  assert.equal(calls, 2);
+});
+
+// ============================================
+// Live sources (RTSP / HTTP)
+// ============================================
+
+test("createCameraSource - rtsp source is live-only", () => {
+  const source = createCameraSource(
+    {
+      id: "garage",
+      source: { type: "rtsp", url: "rtsp://user:pw@10.0.0.9:554/stream1" },
+    },
+    CONFIG,
+  );
+
+  assert.ok(source instanceof RtspSource);
+  assert.equal(source.capabilities.backfill, false);
+  assert.equal(source.transport, "tcp");
+  // Credentials embedded in the URL are not shown
+  assert.equal(source.label, "rtsp://10.0.0.9:554");
+});
+
+test("createCameraSource - live source without url throws", () => {
+  assert.throws(
+    () =>
+      createCameraSource(
+        { id: "garage", name: "Garage", source: { type: "http" } },
+        CONFIG,
+      ),
+    /Garage needs a source.url/,
+  );
+});
+
+test("live sources list only their own camera and have no recordings", async () => {
+  const source = new RtspSource({
+    id: "garage",
+    name: "Garage",
+    source: { type: "rtsp", url: "rtsp://10.0.0.9/stream" },
+  });
+
+  const cameras = await source.listCameras();
+  assert.equal(cameras.length, 1);
+  assert.equal(cameras[0].id, "garage");
+  assert.equal(await source.getRecordingRange("garage"), null);
+});
+
+async function withSnapshotServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  try {
+    return await fn(`http://127.0.0.1:${port}/snapshot.jpg`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("HttpSnapshotSource - saves the returned JPEG with basic auth", async () => {
+  const jpeg = TINY_JPEG;
+  let authorization;
+
+  await withSnapshotServer(
+    (req, res) => {
+      authorization = req.headers.authorization;
+      res.writeHead(200, { "Content-Type": "image/jpeg" });
+      res.end(jpeg);
+    },
+    async (url) => {
+      const dir = await mkdtemp(path.join(tmpdir(), "lawn-source-"));
+      const outputPath = path.join(dir, "2025-06-15_1200.jpg");
+      const source = new HttpSnapshotSource({
+        id: "porch",
+        source: { type: "http", url, username: "viewer", password: "pw" },
+      });
+
+      await captureSlot(source, "porch", new Date(), outputPath);
+
+      assert.deepEqual(await readFile(outputPath), jpeg);
+      assert.equal(
+        authorization,
+        `Basic ${Buffer.from("viewer:pw").toString("base64")}`,
+      );
+    },
+  );
+});
+
+test("HttpSnapshotSource - rejects non-image responses", async () => {
+  await withSnapshotServer(
+    (req, res) => {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html>login</html>");
+    },
+    async (url) => {
+      const source = new HttpSnapshotSource({
+        id: "porch",
+        source: { type: "http", url },
+      });
+
+      await assert.rejects(
+        source.grabFrame("porch", path.join(tmpdir(), "never.jpg")),
+        /returned text\/html/,
+      );
+    },
+  );
+});
+
+test("HttpSnapshotSource - reports HTTP errors", async () => {
+  await withSnapshotServer(
+    (req, res) => {
+      res.writeHead(401);
+      res.end();
+    },
+    async (url) => {
+      const source = new HttpSnapshotSource({
+        id: "porch",
+        source: { type: "http", url },
+      });
+
+      await assert.rejects(
+        source.grabFrame("porch", path.join(tmpdir(), "never.jpg")),
+        /failed: 401/,
+      );
+    },
+  );
+});
@@ -1,7 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { tmpdir } from "node:os";
-import { mkdtemp, writeFile, readFile, access, mkdir } from "node:fs/promises";
+import { writeFile, readFile, access, mkdir } from "node:fs/promises";
 import path from "node:path";
 
 import {
@@ -14,25 +13,14 @@ import {
   detectLegacySnapshots,
   getBaseDir,
   getConfigPath,
+  getCameraSchedule,
+  getSelectedVideoSettings,
 } from "../config.js";
-
-const TEMP_PREFIX = "lawn-config-";
-
-async function withTempConfigDir(fn) {
-  const dir = await mkdtemp(path.join(tmpdir(), TEMP_PREFIX));
-  const previous = process.env.LAWN_LAPSE_CONFIG_DIR;
-  process.env.LAWN_LAPSE_CONFIG_DIR = dir;
-
-  try {
-    return await fn(dir);
-  } finally {
-    if (previous === undefined) {
-      delete process.env.LAWN_LAPSE_CONFIG_DIR;
-    } else {
-      process.env.LAWN_LAPSE_CONFIG_DIR = previous;
-    }
-  }
-}
+import { resolveRetryPolicy } from "../retry.js";
+import { resolveFrameSelection } from "../frame-selection.js";
+import { resolvePrecisionTiming } from "../precision-timing.js";
+import { resolveWeatherSettings } from "../weather.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
 
 test("loadConfig creates default file with baseline schema", async () => {
   await withTempConfigDir(async (dir) => {
@@ -101,6 +89,19 @@ test("loadConfigIfExists loads existing config", async () => {
   });
 });
 
+test("loadConfigIfExists leaves video settings to the render paths", async () => {
+  await withTempConfigDir(async (dir) => {
+    await writeFile(
+      path.join(dir, "lawn.config.json"),
+      JSON.stringify({ version: 2, videoDefaults: { profile: "bogus" } }),
+    );
+
+    // Commands that never render, such as status and setup, still load it
+    const config = await loadConfigIfExists();
+    assert.equal(config.videoDefaults.profile, "bogus");
+  });
+});
+
 // ============================================
 // updateConfig tests
 // ============================================
@@ -176,6 +177,135 @@ test("applyDefaults camera-specific video overrides defaults", () => {
   assert.equal(config.cameras[0].video.quality, 1);
 });
 
+test("applyDefaults lets cameras override the global video profile", () => {
+  const config = applyDefaults({
+    cameras: [
+      { id: "cam1", name: "Front", video: { profile: "archive" } },
+      { id: "cam2", name: "Back" },
+    ],
+    videoDefaults: { profile: "web" },
+  });
+
+  assert.equal(config.cameras[0].video.profile, "archive");
+  assert.equal(config.cameras[1].video.profile, "web");
+  assert.equal(applyDefaults({}).videoDefaults.profile, null);
+});
+
+test("getSelectedVideoSettings lists global and per-camera values", () => {
+  const config = applyDefaults({
+    cameras: [
+      { id: "a", name: "Front", video: { profile: "archive" } },
+      { id: "b", name: "Back" },
+    ],
+  });
+  assert.deepEqual(getSelectedVideoSettings(config, "profile"), [
+    { where: "camera Front", value: "archive" },
+  ]);
+
+  const global = applyDefaults({
+    videoDefaults: { profile: "web" },
+    cameras: [{ id: "a", name: "Front" }],
+  });
+  assert.deepEqual(getSelectedVideoSettings(global, "profile"), [
+    { where: "videoDefaults", value: "web" },
+    { where: "camera Front", value: "web" },
+  ]);
+});
+
+test("applyDefaults gives cameras a unifi source by default", () => {
+  const config = applyDefaults({
+    cameras: [
+      { id: "cam1", name: "Test" },
+      { id: "cam2", name: "Other", source: { type: "custom", url: "x" } },
+    ],
+  });
+
+  assert.deepEqual(config.cameras[0].source, { type: "unifi" });
+  assert.equal(config.cameras[1].source.type, "custom");
+  assert.equal(config.cameras[1].source.url, "x");
+});
+
+test("applyDefaults merges backfill settings", () => {
+  const config = applyDefaults({ backfill: { concurrency: 1 } });
+
+  assert.equal(config.backfill.concurrency, 1);
+  assert.equal(config.backfill.requestsPerSecond, 5);
+  assert.equal(config.backfill.throttleBackoffMs, 60000);
+});
+
+test("applyDefaults keeps the retry block for resolveRetryPolicy", () => {
+  const config = applyDefaults({ retry: { maxAttempts: 5 } });
+  assert.deepEqual(config.retry, { maxAttempts: 5 });
+
+  const policy = resolveRetryPolicy(config.retry);
+  assert.equal(policy.maxAttempts, 5);
+  assert.deepEqual(policy.retryOn, ["timeout", "connection", "extraction"]);
+  assert.deepEqual(applyDefaults({}).retry, {});
+});
+
+test("applyDefaults keeps per-camera precision timing overrides", () => {
+  const config = applyDefaults({
+    precisionTiming: { enabled: true, region: { y: 0.9 } },
+    cameras: [{ id: "cam1", precisionTiming: { windowSeconds: 2 } }],
+  });
+
+  assert.deepEqual(config.cameras[0].precisionTiming, { windowSeconds: 2 });
+
+  const settings = resolvePrecisionTiming(
+    config.precisionTiming,
+    config.cameras[0].precisionTiming,
+  );
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.windowSeconds, 2);
+  assert.equal(settings.region.y, 0.9);
+  assert.equal(settings.region.width, 0.4);
+});
+
+test("applyDefaults merges the weather block and its provider", () => {
+  const config = applyDefaults({
+    weather: { enabled: true, provider: { url: "http://weather.local" } },
+  });
+
+  const settings = resolveWeatherSettings(config.weather);
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.action, "tag");
+  assert.deepEqual(settings.provider, {
+    type: "open-meteo",
+    url: "http://weather.local",
+  });
+});
+
+test("applyDefaults merges camera schedules over the global schedule", () => {
+  const config = applyDefaults({
+    schedule: { fixedTimes: ["09:00"], timezone: "America/New_York" },
+    cameras: [
+      { id: "backyard", schedule: { mode: "sunrise-sunset" } },
+      { id: "garage" },
+    ],
+  });
+
+  const backyard = getCameraSchedule(config, config.cameras[0]);
+  assert.equal(backyard.mode, "sunrise-sunset");
+  assert.equal(backyard.timezone, "America/New_York");
+  assert.deepEqual(backyard.interval, { shotsPerHour: 1 });
+
+  assert.equal("schedule" in config.cameras[1], false);
+  assert.equal(getCameraSchedule(config, config.cameras[1]), config.schedule);
+});
+
+test("applyDefaults keeps frame selection off unless enabled", () => {
+  assert.equal(
+    resolveFrameSelection(applyDefaults({}).frameSelection).enabled,
+    false,
+  );
+
+  const config = applyDefaults({ frameSelection: { enabled: true } });
+  const selection = resolveFrameSelection(config.frameSelection);
+  assert.equal(selection.enabled, true);
+  assert.equal(selection.windowSeconds, 3);
+  assert.equal(selection.candidates, 7);
+});
+
 // ============================================
 // createDefaultConfig tests
 // ============================================
@@ -0,0 +1,282 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { applyDefaults } from "../config.js";
+import {
+  DEFAULT_DAEMON,
+  CaptureDaemon,
+  planNextCapture,
+  readDaemonState,
+  resolveDaemonSettings,
+  runDaemon,
+  writeDaemonState,
+} from "../daemon.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+// A live camera at 09:00 and 12:00, and a UniFi camera at 12:00
+const CONFIG = applyDefaults({
+  schedule: { fixedTimes: ["12:00"], timezone: "UTC" },
+  cameras: [
+    {
+      id: "yard",
+      name: "Yard",
+      source: { type: "http", url: "http://cam.local/snap.jpg" },
+      schedule: { fixedTimes: ["09:00", "12:00"] },
+    },
+    { id: "garage", name: "Garage" },
+  ],
+});
+
+/**
+ * Creates a daemon on a fake clock that stops once the clock passes `until`
+ * @param {string} start - Start time
+ * @param {string} until - Stop time
+ * @param {Object} [overrides] - captureCamera/regenerateVideos overrides
+ * @returns {{daemon: CaptureDaemon, captures: Array<string>, videos: Array<string>}} Daemon and call log
+ */
+function fakeDaemon(start, until, overrides = {}) {
+  let clock = new Date(start).getTime();
+  const stopAt = new Date(until).getTime();
+  const captures = [];
+  const videos = [];
+
+  const daemon = new CaptureDaemon(CONFIG, {
+    now: () => new Date(clock),
+    sleep: async (ms) => {
+      clock += ms;
+      if (clock >= stopAt) {
+        daemon.stop();
+      }
+    },
+    captureCamera: async (config, camera, slot) => {
+      captures.push(`${camera.id} at ${new Date(clock).toISOString()}`);
+      return overrides.captureCamera?.(camera, slot) ?? { capturedCount: 1 };
+    },
+    regenerateVideos: async () => {
+      videos.push(new Date(clock).toISOString());
+    },
+  });
+
+  return { daemon, captures, videos };
+}
+
+// ============================================
+// resolveDaemonSettings
+// ============================================
+
+test("resolveDaemonSettings - fills defaults and clamps negatives", () => {
+  assert.deepEqual(resolveDaemonSettings(), DEFAULT_DAEMON);
+  assert.deepEqual(
+    resolveDaemonSettings({
+      videoIntervalMinutes: -5,
+      recordingDelaySeconds: 0,
+    }),
+    { videoIntervalMinutes: 0, recordingDelaySeconds: 0 },
+  );
+});
+
+// ============================================
+// planNextCapture
+// ============================================
+
+test("planNextCapture - picks the earliest capture and delays recorded sources", () => {
+  const settings = resolveDaemonSettings();
+
+  const first = planNextCapture(
+    CONFIG,
+    settings,
+    new Map(),
+    new Date("2025-06-16T10:00:00Z"),
+  );
+  assert.deepEqual(first.slot, new Date("2025-06-16T12:00:00Z"));
+  assert.deepEqual(first.at, new Date("2025-06-16T12:00:00Z"));
+  assert.deepEqual(
+    first.cameras.map((camera) => camera.id),
+    ["yard"],
+  );
+
+  // The UniFi slot has passed but is still waiting for its recording
+  const second = planNextCapture(
+    CONFIG,
+    settings,
+    new Map([["yard", new Date("2025-06-16T12:00:00Z")]]),
+    new Date("2025-06-16T12:00:30Z"),
+  );
+  assert.deepEqual(second.slot, new Date("2025-06-16T12:00:00Z"));
+  assert.deepEqual(second.at, new Date("2025-06-16T12:01:00Z"));
+  assert.deepEqual(
+    second.cameras.map((camera) => camera.id),
+    ["garage"],
+  );
+
+  const together = planNextCapture(
+    CONFIG,
+    resolveDaemonSettings({ recordingDelaySeconds: 0 }),
+    new Map(),
+    new Date("2025-06-16T10:00:00Z"),
+  );
+  assert.deepEqual(
+    together.cameras.map((camera) => camera.id),
+    ["yard", "garage"],
+  );
+});
+
+test("planNextCapture - leaves slots missed long ago to backfill", () => {
+  const plan = planNextCapture(
+    CONFIG,
+    resolveDaemonSettings(),
+    new Map([["yard", new Date("2025-06-14T09:00:00Z")]]),
+    new Date("2025-06-16T09:10:00Z"),
+  );
+
+  assert.deepEqual(plan.slot, new Date("2025-06-16T09:00:00Z"));
+  assert.deepEqual(
+    plan.cameras.map((camera) => camera.id),
+    ["yard"],
+  );
+});
+
+// ============================================
+// CaptureDaemon
+// ============================================
+
+test("CaptureDaemon - catches up, then captures each slot on time", async () => {
+  await withTempConfigDir(async () => {
+    const { daemon, captures, videos } = fakeDaemon(
+      "2025-06-16T11:58:00Z",
+      "2025-06-16T12:05:00Z",
+    );
+
+    await daemon.run();
+
+    assert.deepEqual(captures, [
+      "yard at 2025-06-16T11:58:00.000Z",
+      "garage at 2025-06-16T11:58:00.000Z",
+      "yard at 2025-06-16T12:00:00.000Z",
+      "garage at 2025-06-16T12:01:00.000Z",
+    ]);
+    assert.deepEqual(videos, ["2025-06-16T11:58:00.000Z"]);
+
+    const state = await readDaemonState();
+    assert.equal(state.pid, process.pid);
+    assert.equal(state.running, false);
+    assert.equal(state.stoppedAt, "2025-06-16T12:05:00.000Z");
+    assert.equal(state.lastCapture.slot, "2025-06-16T12:00:00.000Z");
+    assert.deepEqual(state.lastCapture.cameras, ["Garage"]);
+    assert.equal(state.lastVideos, "2025-06-16T11:58:00.000Z");
+    assert.equal(state.lastError, null);
+  });
+});
+
+test("CaptureDaemon - regenerates videos only after new snapshots", async () => {
+  await withTempConfigDir(async () => {
+    const { daemon, videos } = fakeDaemon(
+      "2025-06-16T10:30:00Z",
+      "2025-06-16T14:00:00Z",
+      {
+        captureCamera: (camera) => ({
+          capturedCount: camera.id === "yard" ? 1 : 0,
+        }),
+      },
+    );
+
+    await daemon.run();
+
+    // Once at start, once after the 12:00 capture; the 13:30 run has nothing new
+    assert.deepEqual(videos, [
+      "2025-06-16T10:30:00.000Z",
+      "2025-06-16T12:30:00.000Z",
+    ]);
+  });
+});
+
+test("CaptureDaemon - backfills recorded cameras only on the video cadence", async () => {
+  await withTempConfigDir(async () => {
+    const backfills = [];
+    const slots = [];
+    const { daemon } = fakeDaemon(
+      "2025-06-16T11:30:00Z",
+      "2025-06-16T12:45:00Z",
+      {
+        captureCamera: (camera, slot) => {
+          (slot ? slots : backfills).push(
+            `${camera.id}${slot ? ` ${slot.toISOString()}` : ""}`,
+          );
+          return { capturedCount: 0 };
+        },
+      },
+    );
+
+    await daemon.run();
+
+    // The start-up catch-up, then only the garage's recordings at 12:30
+    assert.deepEqual(backfills, ["yard", "garage", "garage"]);
+    assert.deepEqual(slots, [
+      "yard 2025-06-16T12:00:00.000Z",
+      "garage 2025-06-16T12:00:00.000Z",
+    ]);
+  });
+});
+
+test("CaptureDaemon - records a failing camera and keeps going", async () => {
+  await withTempConfigDir(async () => {
+    const { daemon, captures } = fakeDaemon(
+      "2025-06-16T11:59:00Z",
+      "2025-06-16T12:02:00Z",
+      {
+        captureCamera: (camera) => {
+          if (camera.id === "yard") {
+            throw new Error("Connection refused");
+          }
+        },
+      },
+    );
+
+    await daemon.run();
+
+    assert.equal(captures.length, 4);
+    const state = await readDaemonState();
+    assert.equal(state.lastError.message, "Yard: Connection refused");
+    assert.deepEqual(state.lastCapture.failed, []);
+  });
+});
+
+test("CaptureDaemon - stop() interrupts the sleep and video generation", async () => {
+  await withTempConfigDir(async () => {
+    let videoAborted = false;
+    const daemon = new CaptureDaemon(CONFIG, {
+      captureCamera: async () => ({ capturedCount: 1 }),
+      regenerateVideos: (signal) =>
+        new Promise((resolve) => {
+          signal.addEventListener("abort", () => {
+            videoAborted = true;
+            resolve();
+          });
+        }),
+    });
+
+    setTimeout(() => daemon.stop(), 50);
+    await daemon.run();
+
+    assert.equal(videoAborted, true);
+    const state = await readDaemonState();
+    assert.ok(state.stoppedAt);
+    assert.equal(state.lastVideos, null);
+  });
+});
+
+// ============================================
+// runDaemon
+// ============================================
+
+test("runDaemon - refuses to start while another daemon is running", async () => {
+  await withTempConfigDir(async () => {
+    await writeDaemonState({
+      pid: process.ppid,
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+    });
+
+    await assert.rejects(runDaemon(CONFIG), /already running \(pid \d+\)/);
+  });
+});
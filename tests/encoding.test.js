@@ -0,0 +1,595 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { tmpdir } from "node:os";
+import { mkdir, mkdtemp, readFile, readdir, stat } from "node:fs/promises";
+import path from "node:path";
+
+import { hasFfmpeg } from "./helpers/mock-protect.js";
+import { applyDefaults } from "../config.js";
+import {
+  EncodeJob,
+  STREAM_COPY,
+  analyzeSnapshotDistribution,
+  buildFrameFilters,
+  concatInput,
+  createH264Profile,
+  getCameraDirs,
+  renderTimelapses,
+  resolveVideoSettings,
+  writeFrameList,
+  generateTimelapse,
+  getRenderFingerprint,
+  getVideoCodec,
+  validateVideoSettings,
+  getVideoComment,
+} from "../encoding.js";
+import { resolveEncodingProfile } from "../video-profiles.js";
+import { resolveOverlay } from "../overlay.js";
+import { resolveStabilization } from "../stabilization.js";
+
+const NEEDS_FFMPEG = (await hasFfmpeg()) ? false : "ffmpeg is not installed";
+
+// ============================================
+// Settings and filters
+// ============================================
+
+test("resolveVideoSettings - prefers the camera over videoDefaults", () => {
+  const config = { videoDefaults: { fps: 30, quality: 18, interpolate: true } };
+
+  assert.deepEqual(resolveVideoSettings({}, {}), {
+    fps: 24,
+    quality: 1,
+    interpolate: true,
+    profile: null,
+    formats: [],
+    overlay: null,
+    stabilize: null,
+  });
+  assert.deepEqual(
+    resolveVideoSettings(
+      { video: { fps: 12, interpolate: false, profile: "web" } },
+      config,
+    ),
+    {
+      fps: 12,
+      quality: 18,
+      interpolate: false,
+      profile: "web",
+      formats: [],
+      overlay: null,
+      stabilize: null,
+    },
+  );
+  assert.equal(resolveVideoSettings({ video: { fps: 0 } }, config).fps, 1);
+  assert.equal(
+    resolveVideoSettings({}, { videoDefaults: { overlay: true } }).overlay
+      .position,
+    "bottom-right",
+  );
+  assert.equal(
+    resolveVideoSettings(
+      { video: { stabilize: { borders: "keep" } } },
+      { videoDefaults: { stabilize: true } },
+    ).stabilize.borders,
+    "keep",
+  );
+});
+
+test("validateVideoSettings - names the camera with a bad setting", async () => {
+  await validateVideoSettings(applyDefaults({}));
+  await assert.rejects(
+    validateVideoSettings(
+      applyDefaults({
+        cameras: [{ id: "cam1", name: "Front", video: { profile: "tiny" } }],
+      }),
+    ),
+    /Invalid video profile in camera Front: Unknown video profile "tiny"/,
+  );
+  await assert.rejects(
+    validateVideoSettings(
+      applyDefaults({
+        cameras: [
+          { id: "cam1", name: "Front", video: { overlay: { position: "x" } } },
+        ],
+      }),
+    ),
+    /Invalid overlay in camera Front: Unknown overlay position "x"/,
+  );
+  await assert.rejects(
+    validateVideoSettings(
+      applyDefaults({
+        videoDefaults: { stabilize: { shakiness: 20 } },
+      }),
+    ),
+    /Invalid stabilization in videoDefaults: Stabilization shakiness must be a whole number from 1 to 10/,
+  );
+});
+
+test("buildFrameFilters - scales, pads and optionally interpolates", () => {
+  assert.deepEqual(buildFrameFilters({ width: 640, height: 360, fps: 24 }), [
+    "scale=640:360:force_original_aspect_ratio=decrease",
+    "pad=640:360:(ow-iw)/2:(oh-ih)/2",
+  ]);
+
+  const interpolated = buildFrameFilters({
+    width: 640,
+    height: 360,
+    fps: 24,
+    interpolate: true,
+  });
+  assert.equal(interpolated.length, 3);
+  assert.match(interpolated[0], /^minterpolate=fps=24:/);
+
+  // Text is drawn before interpolation, which would drop the frame metadata
+  const labelled = buildFrameFilters({
+    width: 640,
+    height: 360,
+    fps: 24,
+    interpolate: true,
+    overlay: resolveOverlay(true),
+  });
+  assert.equal(labelled.length, 4);
+  assert.match(labelled[0], /^scale=/);
+  assert.match(labelled[2], /^drawtext=text=%\{metadata/);
+  assert.match(labelled[3], /^minterpolate=/);
+});
+
+test("getCameraDirs - puts timelapses next to the snapshot directory", () => {
+  assert.deepEqual(getCameraDirs({ snapshotDir: "/data/snaps/front" }), {
+    snapshotDir: "/data/snaps/front",
+    timelapseDir: "/data/snaps/timelapses",
+  });
+  assert.equal(
+    getCameraDirs({ snapshotDir: "/a", timelapseDir: "/b" }).timelapseDir,
+    "/b",
+  );
+});
+
+// ============================================
+// EncodeJob
+// ============================================
+
+test("EncodeJob - builds ffmpeg arguments from inputs, filters and profile", () => {
+  const job = new EncodeJob({
+    inputs: [concatInput("/snaps/list.txt")],
+    filters: ["scale=640:360", "pad=640:360"],
+    profile: createH264Profile({ fps: 24, quality: 18 }),
+    output: "/videos/out.mp4",
+  });
+
+  assert.deepEqual(job.buildArgs({ verbose: true }), [
+    "-f",
+    "concat",
+    "-safe",
+    "0",
+    "-i",
+    "/snaps/list.txt",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "slow",
+    "-crf",
+    "18",
+    "-vf",
+    "scale=640:360,pad=640:360",
+    "-r",
+    "24",
+    "-pix_fmt",
+    "yuv420p",
+    "-y",
+    "/videos/out.mp4",
+  ]);
+  assert.deepEqual(job.buildArgs({ verbose: false }).slice(0, 3), [
+    "-loglevel",
+    "error",
+    "-stats",
+  ]);
+});
+
+test("EncodeJob - passes encoder-specific speed flags and arguments", () => {
+  const job = new EncodeJob({
+    inputs: [{ path: "in.mp4" }],
+    profile: resolveEncodingProfile(
+      { codec: "vp9" },
+      { fps: 24, encoders: new Set(["libvpx-vp9"]) },
+    ),
+    output: "out.mp4",
+  });
+
+  assert.deepEqual(job.buildArgs({ verbose: true }).slice(2, 14), [
+    "-c:v",
+    "libvpx-vp9",
+    "-cpu-used",
+    "2",
+    "-crf",
+    "32",
+    "-b:v",
+    "0",
+    "-row-mt",
+    "1",
+    "-r",
+    "24",
+  ]);
+});
+
+test("EncodeJob - copies streams and rejects incomplete jobs", () => {
+  const copy = new EncodeJob({
+    inputs: [{ path: "in.mp4" }],
+    profile: STREAM_COPY,
+    output: "out.mp4",
+  });
+  assert.deepEqual(copy.buildArgs({ verbose: true }), [
+    "-i",
+    "in.mp4",
+    "-c",
+    "copy",
+    "-y",
+    "out.mp4",
+  ]);
+
+  const tagged = new EncodeJob({
+    inputs: [{ path: "in.mp4" }],
+    profile: STREAM_COPY,
+    output: "out.mp4",
+    metadata: { comment: "lawn-lapse:abc" },
+  });
+  assert.deepEqual(tagged.buildArgs({ verbose: true }).slice(-4), [
+    "-metadata",
+    "comment=lawn-lapse:abc",
+    "-y",
+    "out.mp4",
+  ]);
+
+  assert.throws(
+    () => new EncodeJob({ inputs: [], profile: STREAM_COPY, output: "o" }),
+    /at least one input/,
+  );
+  assert.throws(
+    () => new EncodeJob({ inputs: [{ path: "i" }], output: "o" }),
+    /codec profile/,
+  );
+  assert.throws(
+    () =>
+      new EncodeJob({
+        inputs: [{ path: "i" }],
+        filters: ["scale=1:1"],
+        profile: STREAM_COPY,
+        output: "o",
+      }),
+    /copying streams/,
+  );
+});
+
+test("getRenderFingerprint - changes with anything that changes the video", () => {
+  const settings = resolveVideoSettings({}, {});
+  const profile = createH264Profile(settings);
+  const fingerprint = getRenderFingerprint(settings, profile);
+
+  assert.match(fingerprint, /^lawn-lapse:[0-9a-f]{16}$/);
+  assert.equal(
+    getRenderFingerprint({ ...settings }, { ...profile }),
+    fingerprint,
+  );
+
+  const changes = [
+    [{ ...settings, fps: 12 }, profile],
+    [{ ...settings, interpolate: false }, profile],
+    [settings, createH264Profile({ ...settings, quality: 23 })],
+    [{ ...settings, overlay: resolveOverlay(true) }, profile],
+    [{ ...settings, stabilize: resolveStabilization(true) }, profile],
+  ];
+  assert.notEqual(
+    getRenderFingerprint(settings, profile, {
+      filenames: ["2025-06-01_0900.jpg"],
+    }),
+    fingerprint,
+  );
+  for (const [changed, changedProfile] of changes) {
+    assert.notEqual(getRenderFingerprint(changed, changedProfile), fingerprint);
+  }
+
+  // The overlay can show the camera name
+  const overlaid = { ...settings, overlay: resolveOverlay(true) };
+  assert.notEqual(
+    getRenderFingerprint(overlaid, profile, { camera: { name: "Front" } }),
+    getRenderFingerprint(overlaid, profile, { camera: { name: "Back" } }),
+  );
+
+  // Stabilization depends on the reference frame as well as its settings
+  const stabilized = { ...settings, stabilize: resolveStabilization(true) };
+  const reference = { filename: "2025-06-01_1200.jpg", size: 10, mtimeMs: 1 };
+  assert.notEqual(
+    getRenderFingerprint(stabilized, profile, { reference }),
+    getRenderFingerprint(stabilized, profile, {
+      reference: { ...reference, mtimeMs: 2 },
+    }),
+  );
+  assert.notEqual(
+    getRenderFingerprint(stabilized, profile, { reference }),
+    getRenderFingerprint(
+      { ...settings, stabilize: resolveStabilization({ borders: "keep" }) },
+      profile,
+      { reference },
+    ),
+  );
+});
+
+// ============================================
+// Frame lists and snapshot distribution
+// ============================================
+
+test("writeFrameList - gives every frame but the last a duration", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-encoding-"));
+  const listPath = path.join(dir, "list.txt");
+
+  await writeFrameList(listPath, ["a.jpg", "b.jpg", "c.jpg"], 4);
+
+  assert.equal(
+    await readFile(listPath, "utf8"),
+    [
+      "ffconcat version 1.0",
+      "file 'a.jpg'",
+      "duration 0.250000",
+      "file 'b.jpg'",
+      "duration 0.250000",
+      "file 'c.jpg'",
+      "",
+    ].join("\n"),
+  );
+
+  await writeFrameList(listPath, ["a.jpg", "b.jpg"], 2, [
+    "Jun 1 12:00",
+    "Pat's lawn",
+  ]);
+  assert.equal(
+    await readFile(listPath, "utf8"),
+    [
+      "ffconcat version 1.0",
+      "file 'a.jpg'",
+      "file_packet_metadata 'lawn_overlay=Jun 1 12:00'",
+      "duration 0.500000",
+      "file 'b.jpg'",
+      "file_packet_metadata 'lawn_overlay=Pat\\'\\''s lawn'",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("analyzeSnapshotDistribution - splits multi-capture days from time groups", async () => {
+  const { dailyVideos, timeGroups } = await analyzeSnapshotDistribution(null, [
+    "2025-06-02_1200.jpg",
+    "2025-06-02_0900.jpg",
+    "2025-06-02_1500.jpg",
+    "2025-06-01_1200.jpg",
+    "2025-06-01_1000.jpg",
+    "2025-06-01_1100.jpg",
+    "2025-06-03_1200.jpg",
+    "2025-05-31_1200.jpg",
+    "2025-05-31_0800.jpg",
+    "notes.txt",
+  ]);
+
+  assert.deepEqual(
+    dailyVideos.map(({ date, snapshots }) => [
+      date,
+      snapshots.map((snapshot) => snapshot.time),
+    ]),
+    [
+      ["2025-06-01", ["1000", "1100", "1200"]],
+      ["2025-06-02", ["0900", "1200", "1500"]],
+    ],
+  );
+  assert.deepEqual(
+    timeGroups.map(({ time, hour, minute, snapshots }) => [
+      time,
+      hour,
+      minute,
+      snapshots.map((snapshot) => snapshot.date),
+    ]),
+    [
+      ["0800", 8, 0, ["2025-05-31"]],
+      ["1200", 12, 0, ["2025-05-31", "2025-06-03"]],
+    ],
+  );
+});
+
+// ============================================
+// renderTimelapses
+// ============================================
+
+/**
+ * Renders a small JPEG with ffmpeg
+ * @param {string} outputPath - JPEG path
+ * @returns {Promise<void>}
+ */
+async function renderJpeg(outputPath) {
+  await new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      "ffmpeg",
+      [
+        "-f",
+        "lavfi",
+        "-i",
+        "testsrc2=size=64x36",
+        "-frames:v",
+        "1",
+        "-y",
+        outputPath,
+      ],
+      { stdio: "ignore" },
+    );
+    ffmpeg.on("close", (code) =>
+      code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}`)),
+    );
+    ffmpeg.on("error", reject);
+  });
+}
+
+test(
+  "renderTimelapses - renders daily, full and time-based videos and reuses daily videos",
+  { skip: NEEDS_FFMPEG },
+  async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "lawn-encoding-"));
+    const camera = {
+      id: "front",
+      snapshotDir: path.join(dir, "snapshots"),
+      timelapseDir: path.join(dir, "videos"),
+      video: { fps: 4, quality: 30, interpolate: false },
+    };
+    const snapshotFiles = [
+      "2025-06-01_0900.jpg",
+      "2025-06-01_1200.jpg",
+      "2025-06-01_1500.jpg",
+      "2025-06-01_1800.jpg",
+      "2025-06-02_1200.jpg",
+      "2025-06-03_1200.jpg",
+    ];
+    await mkdir(camera.snapshotDir);
+    for (const filename of snapshotFiles) {
+      await renderJpeg(path.join(camera.snapshotDir, filename));
+    }
+
+    const first = await renderTimelapses(camera, {}, { snapshotFiles });
+    assert.equal(first.dailyVideos, 1);
+    assert.equal(first.timeGroups, 1);
+    assert.deepEqual(first.outputs, [
+      path.join(camera.timelapseDir, "2025-06-01.mp4"),
+      path.join(
+        camera.timelapseDir,
+        "full-timelapse_2025-06-01_to_2025-06-01.mp4",
+      ),
+      path.join(
+        camera.timelapseDir,
+        "timelapse_12h00_2025-06-01_to_2025-06-03.mp4",
+      ),
+    ]);
+    assert.deepEqual((await readdir(camera.timelapseDir)).sort(), [
+      "2025-06-01.mp4",
+      "full-timelapse_2025-06-01_to_2025-06-01.mp4",
+      "timelapse_12h00_2025-06-01_to_2025-06-03.mp4",
+    ]);
+    assert.ok(
+      !(await readdir(camera.snapshotDir)).some((f) => f.endsWith(".txt")),
+    );
+
+    // The daily video is newer than its snapshots, so it is kept
+    const daily = path.join(camera.timelapseDir, "2025-06-01.mp4");
+    const before = (await stat(daily)).mtimeMs;
+    await renderTimelapses(camera, {}, { snapshotFiles });
+    assert.equal((await stat(daily)).mtimeMs, before);
+
+    assert.match(await getVideoComment(daily), /^lawn-lapse:/);
+
+    // Other render settings make it again, so the full timelapse shows them
+    camera.video.overlay = true;
+    await renderTimelapses(camera, {}, { snapshotFiles });
+    const overlaid = (await stat(daily)).mtimeMs;
+    assert.notEqual(overlaid, before);
+
+    // So does leaving out a frame, e.g. one below the quality thresholds
+    await renderTimelapses(
+      camera,
+      {},
+      {
+        snapshotFiles: snapshotFiles.filter((f) => f !== "2025-06-01_1800.jpg"),
+      },
+    );
+    assert.notEqual((await stat(daily)).mtimeMs, overlaid);
+
+    // Switching codecs re-encodes it, so the daily videos can still be joined
+    camera.video.profile = "archive";
+    await renderTimelapses(camera, {}, { snapshotFiles });
+    assert.equal(await getVideoCodec(daily), "hevc");
+    assert.equal(
+      await getVideoCodec(
+        path.join(
+          camera.timelapseDir,
+          "full-timelapse_2025-06-01_to_2025-06-01.mp4",
+        ),
+      ),
+      "hevc",
+    );
+  },
+);
+
+test(
+  "generateTimelapse - writes the camera's export formats next to the MP4",
+  { skip: NEEDS_FFMPEG },
+  async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "lawn-encoding-"));
+    const camera = {
+      id: "front",
+      snapshotDir: path.join(dir, "snapshots"),
+      timelapseDir: path.join(dir, "videos"),
+      video: {
+        fps: 4,
+        quality: 30,
+        interpolate: false,
+        formats: ["gif", "webp", "contact-sheet", "avi"],
+      },
+    };
+    await mkdir(camera.snapshotDir);
+    for (const day of ["01", "02", "03"]) {
+      await renderJpeg(
+        path.join(camera.snapshotDir, `2025-06-${day}_1200.jpg`),
+      );
+    }
+
+    // The unknown format is reported without failing the time-lapse
+    const output = await generateTimelapse(camera, {}, 12, 0);
+    assert.equal(
+      output,
+      path.join(
+        camera.timelapseDir,
+        "timelapse_12h00_2025-06-01_to_2025-06-03.mp4",
+      ),
+    );
+    assert.deepEqual((await readdir(camera.timelapseDir)).sort(), [
+      "timelapse_12h00_2025-06-01_to_2025-06-03.gif",
+      "timelapse_12h00_2025-06-01_to_2025-06-03.mp4",
+      "timelapse_12h00_2025-06-01_to_2025-06-03.webp",
+      "timelapse_12h00_2025-06-01_to_2025-06-03_contact-sheet.jpg",
+    ]);
+    assert.equal(await getVideoCodec(output.replace(/\.mp4$/, ".gif")), "gif");
+  },
+);
+
+test(
+  "renderTimelapses - draws the overlay on daily and time-based videos",
+  { skip: NEEDS_FFMPEG },
+  async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "lawn-encoding-"));
+    const camera = {
+      id: "front",
+      name: "Front's lawn",
+      snapshotDir: path.join(dir, "snapshots"),
+      timelapseDir: path.join(dir, "videos"),
+      video: {
+        fps: 4,
+        quality: 30,
+        interpolate: false,
+        overlay: { text: "{camera} {date} {time}", fontSize: 8 },
+      },
+    };
+    const snapshotFiles = [
+      "2025-06-01_0900.jpg",
+      "2025-06-01_1200.jpg",
+      "2025-06-01_1500.jpg",
+      "2025-06-02_1200.jpg",
+    ];
+    await mkdir(camera.snapshotDir);
+    for (const filename of snapshotFiles) {
+      await renderJpeg(path.join(camera.snapshotDir, filename));
+    }
+
+    const { outputs } = await renderTimelapses(camera, {}, { snapshotFiles });
+    assert.equal(outputs.length, 3);
+    for (const output of outputs) {
+      assert.equal(await getVideoCodec(output), "h264");
+    }
+    assert.ok(
+      !(await readdir(camera.snapshotDir)).some((f) => f.endsWith(".txt")),
+    );
+  },
+);
@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { applyDefaults } from "../config.js";
+import {
+  fitWidth,
+  getExportPath,
+  planExport,
+  resolveExportFormat,
+  sampleEvenly,
+  validateExportFormats,
+} from "../export-formats.js";
+
+const VIDEO = "/videos/timelapse_12h00_2025-06-01_to_2025-06-30.mp4";
+const FRAMES = Array.from(
+  { length: 30 },
+  (_, i) => `2025-06-${String(i + 1).padStart(2, "0")}_1200.jpg`,
+);
+const HD = { width: 1920, height: 1080 };
+
+// ============================================
+// Helpers
+// ============================================
+
+test("resolveExportFormat - merges overrides and rejects unknown formats", () => {
+  assert.equal(resolveExportFormat("gif").width, 480);
+  assert.deepEqual(
+    resolveExportFormat({ type: "contact-sheet", frames: 9, columns: 3 }),
+    {
+      type: "contact-sheet",
+      label: "Contact sheet",
+      frames: 9,
+      columns: 3,
+      tileWidth: 320,
+    },
+  );
+  assert.throws(
+    () => resolveExportFormat("avi"),
+    /Unknown export format "avi" \(expected one of: gif, webp, contact-sheet\)/,
+  );
+});
+
+test("sampleEvenly - keeps the first and last items", () => {
+  assert.deepEqual(sampleEvenly([1, 2, 3], 5), [1, 2, 3]);
+  assert.deepEqual(sampleEvenly([1, 2, 3, 4, 5, 6, 7, 8, 9], 3), [1, 5, 9]);
+  assert.deepEqual(sampleEvenly([1, 2, 3, 4], 1), [1]);
+  assert.deepEqual(sampleEvenly(FRAMES, 4), [
+    "2025-06-01_1200.jpg",
+    "2025-06-11_1200.jpg",
+    "2025-06-20_1200.jpg",
+    "2025-06-30_1200.jpg",
+  ]);
+});
+
+test("fitWidth - keeps the aspect ratio with even sizes and never upscales", () => {
+  assert.deepEqual(fitWidth(HD, 480), { width: 480, height: 270 });
+  assert.deepEqual(fitWidth({ width: 2688, height: 1512 }, 321), {
+    width: 322,
+    height: 182,
+  });
+  assert.deepEqual(fitWidth({ width: 160, height: 90 }, 480), {
+    width: 160,
+    height: 90,
+  });
+});
+
+test("getExportPath - writes exports next to the MP4", () => {
+  assert.equal(
+    getExportPath(VIDEO, "gif"),
+    "/videos/timelapse_12h00_2025-06-01_to_2025-06-30.gif",
+  );
+  assert.equal(
+    getExportPath(VIDEO, "contact-sheet"),
+    "/videos/timelapse_12h00_2025-06-01_to_2025-06-30_contact-sheet.jpg",
+  );
+});
+
+// ============================================
+// planExport
+// ============================================
+
+test("planExport - builds a paletted, looping GIF", () => {
+  const plan = planExport(
+    resolveExportFormat({ type: "gif", maxFrames: 10, colors: 64 }),
+    { filenames: FRAMES, resolution: HD, videoPath: VIDEO },
+  );
+
+  assert.equal(plan.filenames.length, 10);
+  assert.equal(plan.output, getExportPath(VIDEO, "gif"));
+  assert.deepEqual([plan.width, plan.height, plan.fps], [480, 270, 10]);
+  assert.match(plan.filters[0], /palettegen=max_colors=64/);
+  assert.match(plan.filters[0], /paletteuse=/);
+  assert.deepEqual(plan.profile, {
+    codec: "gif",
+    fps: 10,
+    args: ["-loop", "0"],
+  });
+});
+
+test("planExport - prefers libwebp_anim and falls back to libwebp", () => {
+  const format = resolveExportFormat({ type: "webp", quality: 60 });
+  const options = { filenames: FRAMES, resolution: HD, videoPath: VIDEO };
+
+  assert.equal(
+    planExport(format, {
+      ...options,
+      encoders: new Set(["libwebp_anim", "libwebp"]),
+    }).profile.codec,
+    "libwebp_anim",
+  );
+
+  const plan = planExport(format, {
+    ...options,
+    encoders: new Set(["libwebp"]),
+  });
+  assert.equal(plan.profile.codec, "libwebp");
+  assert.deepEqual(plan.profile.args, ["-quality", "60", "-loop", "0"]);
+
+  assert.throws(
+    () => planExport(format, { ...options, encoders: new Set(["gif"]) }),
+    /WebP export needs libwebp_anim or libwebp, which this ffmpeg build does not include/,
+  );
+});
+
+test("planExport - tiles evenly spaced frames into one image", () => {
+  const plan = planExport(
+    resolveExportFormat({ type: "contact-sheet", frames: 6, columns: 4 }),
+    { filenames: FRAMES, resolution: HD, videoPath: VIDEO },
+  );
+
+  assert.equal(plan.filenames.length, 6);
+  assert.equal(plan.filenames[5], "2025-06-30_1200.jpg");
+  assert.deepEqual([plan.width, plan.height], [320, 180]);
+  assert.deepEqual(plan.filters, ["tile=4x2:padding=4:margin=4"]);
+  assert.equal(plan.profile.codec, "mjpeg");
+
+  const few = planExport(resolveExportFormat("contact-sheet"), {
+    filenames: FRAMES.slice(0, 2),
+    resolution: HD,
+    videoPath: VIDEO,
+  });
+  assert.deepEqual(few.filters, ["tile=2x1:padding=4:margin=4"]);
+});
+
+// ============================================
+// validateExportFormats
+// ============================================
+
+test("validateExportFormats - checks names always and encoders when known", async () => {
+  const config = applyDefaults({
+    cameras: [{ id: "a", name: "Front", video: { formats: ["gif", "webp"] } }],
+  });
+
+  await validateExportFormats(config, {
+    encoders: new Set(["gif", "libwebp"]),
+  });
+  await validateExportFormats(config, { encoders: null });
+  await assert.rejects(
+    validateExportFormats(config, { encoders: new Set(["gif"]) }),
+    /^Error: Invalid export format in camera Front: WebP export needs/,
+  );
+  await assert.rejects(
+    validateExportFormats(
+      applyDefaults({ videoDefaults: { formats: [{ type: "mov" }] } }),
+      { encoders: null },
+    ),
+    /Invalid export format in videoDefaults: Unknown export format "mov"/,
+  );
+
+  await validateExportFormats(applyDefaults({}));
+});
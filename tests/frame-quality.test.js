@@ -0,0 +1,267 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import path from "node:path";
+
+import { hasFfmpeg } from "./helpers/mock-protect.js";
+import {
+  DEFAULT_FRAME_QUALITY,
+  QUALITY_ISSUES,
+  analyzeSnapshots,
+  compareSignatures,
+  filterFramesByQuality,
+  findQualityIssues,
+  loadFrameScores,
+  measureImage,
+  resolveFrameQuality,
+  saveFrameScores,
+} from "../frame-quality.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const NEEDS_FFMPEG = (await hasFfmpeg()) ? false : "ffmpeg is not installed";
+const SETTINGS = resolveFrameQuality({ enabled: true });
+
+/**
+ * Builds an RGB image from a per-pixel color function
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {function(number, number): Array<number>} color - Returns [r, g, b] for (x, y)
+ * @returns {Uint8Array} Packed RGB pixels
+ */
+function rgbImage(width, height, color) {
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(color(x, y), (y * width + x) * 3);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Builds a signature with a gradient layout
+ * @param {function(number): number} value - Block value for block index
+ * @returns {string} Base64 signature
+ */
+function signature(value) {
+  return Buffer.from(Array.from({ length: 144 }, (_, i) => value(i))).toString(
+    "base64",
+  );
+}
+
+const LEFT_BRIGHT = signature((i) => (i % 16 < 8 ? 200 : 60));
+const RIGHT_BRIGHT = signature((i) => (i % 16 < 8 ? 60 : 200));
+
+/**
+ * Creates a frame score for tests
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Frame score
+ */
+function score(overrides = {}) {
+  return {
+    size: 1,
+    mtimeMs: 1,
+    brightness: 120,
+    saturation: 0.3,
+    sharpness: 200,
+    signature: LEFT_BRIGHT,
+    ...overrides,
+  };
+}
+
+// ============================================
+// resolveFrameQuality
+// ============================================
+
+test("resolveFrameQuality - fills defaults and turns off maxChange with null", () => {
+  assert.deepEqual(resolveFrameQuality(), DEFAULT_FRAME_QUALITY);
+  assert.equal(resolveFrameQuality({ maxChange: null }).maxChange, Infinity);
+  assert.equal(resolveFrameQuality({ minBrightness: -5 }).minBrightness, 0);
+});
+
+// ============================================
+// measureImage / compareSignatures
+// ============================================
+
+test("measureImage - measures brightness, saturation and sharpness", () => {
+  const gray = measureImage(
+    rgbImage(160, 90, () => [128, 128, 128]),
+    160,
+    90,
+  );
+  assert.equal(gray.brightness, 128);
+  assert.equal(gray.saturation, 0);
+  assert.equal(gray.sharpness, 0);
+  assert.equal(Buffer.from(gray.signature, "base64").length, 16 * 9);
+
+  const checkered = measureImage(
+    rgbImage(160, 90, (x, y) => ((x + y) % 2 ? [0, 200, 0] : [0, 40, 0])),
+    160,
+    90,
+  );
+  assert.ok(checkered.saturation > 0.99);
+  assert.ok(checkered.sharpness > 1000);
+
+  const dark = measureImage(
+    rgbImage(160, 90, () => [10, 5, 5]),
+    160,
+    90,
+  );
+  assert.ok(dark.brightness < 10);
+});
+
+test("compareSignatures - ignores brightness and contrast but not layout", () => {
+  const dimmer = signature((i) => (i % 16 < 8 ? 100 : 40));
+
+  assert.equal(compareSignatures(LEFT_BRIGHT, LEFT_BRIGHT), 0);
+  assert.ok(compareSignatures(LEFT_BRIGHT, dimmer) < 0.01);
+  assert.ok(compareSignatures(LEFT_BRIGHT, RIGHT_BRIGHT) > 0.99);
+  assert.equal(
+    compareSignatures(
+      LEFT_BRIGHT,
+      signature(() => 90),
+    ),
+    0.5,
+  );
+});
+
+// ============================================
+// findQualityIssues / filterFramesByQuality
+// ============================================
+
+test("findQualityIssues - flags dark, infrared and blurry frames", () => {
+  const scores = new Map([
+    ["2025-06-01_1200.jpg", score({ brightness: 12 })],
+    ["2025-06-02_1200.jpg", score({ saturation: 0.005, sharpness: 3 })],
+    ["2025-06-03_1200.jpg", score()],
+  ]);
+
+  assert.deepEqual(
+    findQualityIssues(
+      ["2025-06-01_1200.jpg", "2025-06-02_1200.jpg", "2025-06-03_1200.jpg"],
+      scores,
+      SETTINGS,
+    ),
+    new Map([
+      ["2025-06-01_1200.jpg", [QUALITY_ISSUES.DARK]],
+      ["2025-06-02_1200.jpg", [QUALITY_ISSUES.INFRARED, QUALITY_ISSUES.BLURRY]],
+    ]),
+  );
+});
+
+test("findQualityIssues - flags frames unlike both neighbors in their sequence", () => {
+  // One daily sequence, plus noon shots on days with one frame
+  const files = [
+    "2025-06-01_0900.jpg",
+    "2025-06-01_1000.jpg",
+    "2025-06-01_1100.jpg",
+    "2025-06-01_1200.jpg",
+    "2025-06-02_1200.jpg",
+    "2025-06-03_1200.jpg",
+    "2025-06-04_1200.jpg",
+  ];
+  const scores = new Map(files.map((filename) => [filename, score()]));
+  scores.set("2025-06-01_1000.jpg", score({ signature: RIGHT_BRIGHT }));
+  // Last frame of a sequence has only one neighbor, so it is kept
+  scores.set("2025-06-04_1200.jpg", score({ signature: RIGHT_BRIGHT }));
+  // A dark neighbor is skipped when comparing
+  scores.set(
+    "2025-06-02_1200.jpg",
+    score({ brightness: 5, signature: RIGHT_BRIGHT }),
+  );
+  scores.set("2025-06-03_1200.jpg", score({ signature: RIGHT_BRIGHT }));
+
+  const issues = findQualityIssues(files, scores, SETTINGS);
+  assert.deepEqual(issues.get("2025-06-01_1000.jpg"), [QUALITY_ISSUES.CHANGE]);
+  assert.deepEqual(issues.get("2025-06-02_1200.jpg"), [QUALITY_ISSUES.DARK]);
+  assert.equal(issues.has("2025-06-03_1200.jpg"), false);
+  assert.equal(issues.has("2025-06-04_1200.jpg"), false);
+
+  assert.equal(
+    findQualityIssues(files, scores, { ...SETTINGS, maxChange: Infinity }).has(
+      "2025-06-01_1000.jpg",
+    ),
+    false,
+  );
+});
+
+test("filterFramesByQuality - keeps everything when disabled or unscored", () => {
+  const files = ["2025-06-01_1200.jpg", "2025-06-02_1200.jpg"];
+  const scores = new Map([["2025-06-01_1200.jpg", score({ brightness: 0 })]]);
+
+  assert.deepEqual(filterFramesByQuality(files, scores, SETTINGS), {
+    kept: ["2025-06-02_1200.jpg"],
+    excluded: [{ filename: "2025-06-01_1200.jpg", reasons: ["dark"] }],
+  });
+  assert.deepEqual(
+    filterFramesByQuality(files, scores, resolveFrameQuality()),
+    { kept: files, excluded: [] },
+  );
+});
+
+// ============================================
+// analyzeSnapshots
+// ============================================
+
+/**
+ * Renders a JPEG with ffmpeg
+ * @param {string} source - lavfi source description
+ * @param {string} outputPath - JPEG path
+ * @returns {Promise<void>}
+ */
+async function renderJpeg(source, outputPath) {
+  await new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      "ffmpeg",
+      ["-f", "lavfi", "-i", source, "-frames:v", "1", "-y", outputPath],
+      { stdio: "ignore" },
+    );
+    ffmpeg.on("close", (code) =>
+      code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}`)),
+    );
+    ffmpeg.on("error", reject);
+  });
+}
+
+test(
+  "analyzeSnapshots - scores new snapshots once and caches the result",
+  { skip: NEEDS_FFMPEG },
+  async () => {
+    await withTempConfigDir(async (dir) => {
+      await renderJpeg(
+        "testsrc2=size=320x180",
+        path.join(dir, "2025-06-01_1200.jpg"),
+      );
+      await renderJpeg(
+        "color=c=gray:size=320x180",
+        path.join(dir, "2025-06-02_1200.jpg"),
+      );
+      const files = ["2025-06-01_1200.jpg", "2025-06-02_1200.jpg", "gone.jpg"];
+
+      const first = await analyzeSnapshots("cam/1", dir, files);
+      assert.equal(first.scored, 2);
+      assert.deepEqual(
+        filterFramesByQuality(files, first.scores, SETTINGS).excluded,
+        [
+          {
+            filename: "2025-06-02_1200.jpg",
+            reasons: [QUALITY_ISSUES.INFRARED, QUALITY_ISSUES.BLURRY],
+          },
+        ],
+      );
+
+      const second = await analyzeSnapshots("cam/1", dir, files);
+      assert.equal(second.scored, 0);
+      assert.deepEqual(second.scores, first.scores);
+    });
+  },
+);
+
+test("saveFrameScores - round-trips through the base directory", async () => {
+  await withTempConfigDir(async () => {
+    assert.deepEqual(await loadFrameScores("cam1"), new Map());
+    const scores = new Map([["2025-06-01_1200.jpg", score()]]);
+    await saveFrameScores("cam1", scores);
+    assert.deepEqual(await loadFrameScores("cam1"), scores);
+  });
+});
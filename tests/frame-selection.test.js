@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  resolveFrameSelection,
+  scoreFrame,
+  pickBestFrame,
+} from "../frame-selection.js";
+
+const WIDTH = 16;
+const HEIGHT = 12;
+
+function makeFrame(offsetSeconds, pixelAt) {
+  const pixels = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels[y * WIDTH + x] = pixelAt(x, y);
+    }
+  }
+  return { offsetSeconds, pixels, width: WIDTH, height: HEIGHT };
+}
+
+// Fine detail around mid-gray
+const sharp = (x, y) => ((x + y) % 2 === 0 ? 90 : 170);
+// The same scene smeared out
+const blurred = (x) => 120 + (x % 4) * 5;
+// Sharp but nearly black, as during an IR switch
+const dark = (x, y) => ((x + y) % 2 === 0 ? 0 : 20);
+
+// ============================================
+// resolveFrameSelection
+// ============================================
+
+test("resolveFrameSelection - fills defaults and clamps values", () => {
+  assert.deepEqual(resolveFrameSelection(), {
+    enabled: false,
+    windowSeconds: 3,
+    candidates: 7,
+  });
+
+  const settings = resolveFrameSelection({
+    enabled: true,
+    windowSeconds: 0,
+    candidates: 1,
+  });
+  assert.equal(settings.windowSeconds, 0.5);
+  assert.equal(settings.candidates, 2);
+});
+
+// ============================================
+// Scoring
+// ============================================
+
+test("scoreFrame - sharp frames beat blurred ones", () => {
+  const a = makeFrame(0, sharp);
+  const b = makeFrame(0, blurred);
+
+  assert.ok(
+    scoreFrame(a.pixels, WIDTH, HEIGHT).sharpness >
+      scoreFrame(b.pixels, WIDTH, HEIGHT).sharpness,
+  );
+});
+
+test("scoreFrame - penalizes dark and clipped frames", () => {
+  const { exposure: good } = scoreFrame(
+    makeFrame(0, sharp).pixels,
+    WIDTH,
+    HEIGHT,
+  );
+  const { exposure: bad } = scoreFrame(
+    makeFrame(0, dark).pixels,
+    WIDTH,
+    HEIGHT,
+  );
+
+  assert.ok(good > 0.5);
+  assert.ok(bad < 0.1);
+});
+
+test("pickBestFrame - picks the highest score", () => {
+  const frames = [
+    makeFrame(0, dark),
+    makeFrame(1, blurred),
+    makeFrame(2, sharp),
+    makeFrame(3, blurred),
+  ];
+
+  assert.equal(pickBestFrame(frames, 1.5).offsetSeconds, 2);
+  assert.equal(pickBestFrame([], 3), null);
+});
+
+test("pickBestFrame - prefers the frame closest to the slot on ties", () => {
+  const frames = [0, 1, 2, 3, 4, 5, 6].map((offset) =>
+    makeFrame(offset, sharp),
+  );
+
+  assert.equal(pickBestFrame(frames, 3).offsetSeconds, 3);
+});
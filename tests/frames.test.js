@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { mkdtemp, mkdir, writeFile, readdir, utimes } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  canStreamClip,
+  getTempDir,
+  sweepOrphanedTempFiles,
+  splitPgmImages,
+} from "../frames.js";
+
+// ============================================
+// Temp files
+// ============================================
+
+test("getTempDir - lives under the OS temp directory", () => {
+  assert.ok(getTempDir().startsWith(tmpdir()));
+});
+
+test("sweepOrphanedTempFiles - removes leftover clips only", async () => {
+  const root = await mkdtemp(path.join(tmpdir(), "lawn-frames-"));
+  const snapshotDir = path.join(root, "snapshots");
+  const tempDir = path.join(root, "staging");
+  await mkdir(snapshotDir);
+  await mkdir(tempDir);
+
+  await writeFile(path.join(snapshotDir, "2025-06-15_1200.jpg"), "jpeg");
+  await writeFile(path.join(snapshotDir, "2025-06-15_1300.jpg.temp.mp4"), "");
+  await writeFile(path.join(snapshotDir, "2025-06-15_1400.jpg.partial"), "");
+  await writeFile(path.join(snapshotDir, "2025-06-15_1500.jpg.partial"), "");
+  await writeFile(path.join(tempDir, "fresh.mp4"), "");
+  await writeFile(path.join(tempDir, "stale.mp4"), "");
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  await utimes(path.join(tempDir, "stale.mp4"), twoHoursAgo, twoHoursAgo);
+  await utimes(
+    path.join(snapshotDir, "2025-06-15_1400.jpg.partial"),
+    twoHoursAgo,
+    twoHoursAgo,
+  );
+
+  const removed = await sweepOrphanedTempFiles(
+    [snapshotDir, path.join(root, "missing")],
+    { tempDir },
+  );
+
+  // Fresh partial snapshots may belong to a capture still in progress
+  assert.equal(removed, 3);
+  assert.deepEqual((await readdir(snapshotDir)).sort(), [
+    "2025-06-15_1200.jpg",
+    "2025-06-15_1500.jpg.partial",
+  ]);
+  assert.deepEqual(await readdir(tempDir), ["fresh.mp4"]);
+});
+
+// ============================================
+// Streaming
+// ============================================
+
+/**
+ * Builds an MP4 box header followed by zeroed content
+ * @param {string} type - Four character box type
+ * @param {number} size - Total box size
+ * @returns {Buffer} Box bytes
+ */
+function box(type, size) {
+  const data = Buffer.alloc(size);
+  data.writeUInt32BE(size, 0);
+  data.write(type, 4, "latin1");
+  return data;
+}
+
+test("canStreamClip - streams clips whose index comes first", () => {
+  assert.equal(
+    canStreamClip(Buffer.concat([box("ftyp", 24), box("moov", 16)])),
+    true,
+  );
+  assert.equal(
+    canStreamClip(
+      Buffer.concat([box("ftyp", 24), box("free", 8), box("moov", 8)]),
+    ),
+    true,
+  );
+});
+
+test("canStreamClip - stages clips whose index follows the media", () => {
+  assert.equal(
+    canStreamClip(Buffer.concat([box("ftyp", 24), box("mdat", 64)])),
+    false,
+  );
+});
+
+test("canStreamClip - asks for more bytes until a box decides", () => {
+  const ftyp = box("ftyp", 24);
+  assert.equal(canStreamClip(ftyp.subarray(0, 6)), null);
+  assert.equal(canStreamClip(ftyp), null);
+  assert.equal(
+    canStreamClip(Buffer.concat([ftyp, box("moov", 16).subarray(0, 4)])),
+    null,
+  );
+});
+
+test("canStreamClip - leaves other formats to ffmpeg", () => {
+  assert.equal(
+    canStreamClip(Buffer.from([0x47, 0x40, 0x00, 0x10, 0, 0, 0, 0])),
+    true,
+  );
+});
+
+// ============================================
+// Overlay crops
+// ============================================
+
+test("splitPgmImages - splits ffmpeg's concatenated PGM output", () => {
+  const pgm = (width, height, value) =>
+    Buffer.concat([
+      Buffer.from(`P5\n${width} ${height}\n255\n`),
+      Buffer.alloc(width * height, value),
+    ]);
+  // Pixel data may itself contain header-like bytes
+  const tricky = pgm(2, 2, 0x50);
+
+  const images = splitPgmImages(Buffer.concat([pgm(3, 2, 10), tricky]));
+
+  assert.equal(images.length, 2);
+  assert.equal(images[0].length, 11 + 6);
+  assert.deepEqual(images[1], tricky);
+  assert.throws(
+    () => splitPgmImages(pgm(3, 2, 10).subarray(0, 14)),
+    /Truncated PGM/,
+  );
+  assert.throws(() => splitPgmImages(Buffer.from("nope")), /Invalid PGM/);
+});
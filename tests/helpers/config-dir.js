@@ -0,0 +1,33 @@
+/**
+ * @file config-dir.js
+ * @description Temporary LAWN_LAPSE_CONFIG_DIR for tests that read or write the base directory
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { tmpdir } from "node:os";
+import { mkdtemp } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Runs `fn` with LAWN_LAPSE_CONFIG_DIR pointing at a new temp directory and
+ * restores the previous value afterwards
+ * @async
+ * @param {function(string): Promise<*>} fn - Receives the temp directory
+ * @returns {Promise<*>} Whatever `fn` resolves to
+ */
+export async function withTempConfigDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-config-"));
+  const previous = process.env.LAWN_LAPSE_CONFIG_DIR;
+  process.env.LAWN_LAPSE_CONFIG_DIR = dir;
+
+  try {
+    return await fn(dir);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.LAWN_LAPSE_CONFIG_DIR;
+    } else {
+      process.env.LAWN_LAPSE_CONFIG_DIR = previous;
+    }
+  }
+}
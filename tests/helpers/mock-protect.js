@@ -0,0 +1,451 @@
+/**
+ * @file mock-protect.js
+ * @description Local stand-in for a UniFi Protect controller used by the integration tests
+ * Speaks just enough of the Protect API for the unifi-protect library: login,
+ * bootstrap, the realtime events WebSocket handshake and video export
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import https from "node:https";
+import crypto from "node:crypto";
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Generated on first start and shared by every controller in the process
+let tlsOptions = null;
+
+// Served instead of a generated clip when ffmpeg is not installed
+const PLACEHOLDER_CLIP = Buffer.from("mock-protect: ffmpeg unavailable");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Checks whether ffmpeg can be run
+ * @async
+ * @returns {Promise<boolean>} True if ffmpeg responded
+ */
+export async function hasFfmpeg() {
+  return new Promise((resolve) => {
+    const ffmpeg = spawn("ffmpeg", ["-version"], { stdio: "ignore" });
+    ffmpeg.on("close", (code) => resolve(code === 0));
+    ffmpeg.on("error", () => resolve(false));
+  });
+}
+
+/**
+ * Checks whether openssl can be run
+ * @async
+ * @returns {Promise<boolean>} True if openssl responded
+ */
+export async function hasOpenssl() {
+  return new Promise((resolve) => {
+    const openssl = spawn("openssl", ["version"], { stdio: "ignore" });
+    openssl.on("close", (code) => resolve(code === 0));
+    openssl.on("error", () => resolve(false));
+  });
+}
+
+/**
+ * Generates a throwaway self-signed certificate for localhost
+ * Nothing is kept on disk; the library does not verify controller certificates
+ * @async
+ * @returns {Promise<{key: Buffer, cert: Buffer}>} PEM key and certificate
+ * @throws {Error} If openssl fails
+ */
+async function generateTlsOptions() {
+  const dir = await mkdtemp(path.join(tmpdir(), "mock-protect-"));
+  const keyPath = path.join(dir, "key.pem");
+  const certPath = path.join(dir, "cert.pem");
+
+  try {
+    await new Promise((resolve, reject) => {
+      const openssl = spawn(
+        "openssl",
+        [
+          "req",
+          "-x509",
+          "-newkey",
+          "rsa:2048",
+          "-nodes",
+          "-subj",
+          "/CN=localhost",
+          "-days",
+          "1",
+          "-keyout",
+          keyPath,
+          "-out",
+          certPath,
+        ],
+        { stdio: "ignore" },
+      );
+      openssl.on("close", (code) => {
+        if (code !== 0) {
+          reject(new Error(`openssl exited with code ${code}`));
+        } else {
+          resolve();
+        }
+      });
+      openssl.on("error", reject);
+    });
+
+    return { key: await readFile(keyPath), cert: await readFile(certPath) };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Renders a test pattern clip with ffmpeg
+ * Fragmented so it can be read from a pipe like a real export
+ * @async
+ * @param {number} durationSeconds - Clip length
+ * @returns {Promise<Buffer>} MP4 data
+ * @throws {Error} If ffmpeg fails
+ */
+export async function generateClip(durationSeconds) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      "ffmpeg",
+      [
+        "-f",
+        "lavfi",
+        "-i",
+        `testsrc2=size=320x180:rate=5:duration=${durationSeconds}`,
+        "-pix_fmt",
+        "yuv420p",
+        "-movflags",
+        "frag_keyframe+empty_moov",
+        "-f",
+        "mp4",
+        "pipe:1",
+      ],
+      { stdio: ["ignore", "pipe", "ignore"] },
+    );
+
+    const chunks = [];
+    ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+    ffmpeg.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    ffmpeg.on("error", reject);
+  });
+}
+
+/**
+ * Mock UniFi Protect controller
+ * Serves HTTPS on 127.0.0.1 with a random port. Exports inside a camera's
+ * recording range return a clip; everything else is a 404, like a controller
+ * whose retention has expired. `onExport` can override individual exports.
+ * @class
+ */
+export class MockProtectController {
+  /**
+   * @constructor
+   * @param {Object} [options] - Controller options
+   * @param {string} [options.username="admin"] - Accepted username
+   * @param {string} [options.password="secret"] - Accepted password
+   * @param {Array<{id: string, name: string, recordingStart?: number, recordingEnd?: number, reportStats?: boolean}>} [options.cameras] - Cameras in the bootstrap; `reportStats: false` leaves the recording range out of it
+   * @param {Buffer|function(Object): (Buffer|Promise<Buffer>)} [options.clip] - Export body (default: a generated test pattern)
+   * @param {number} [options.retryAfterSeconds=0.01] - Retry-After sent with errors; the library retries them five times
+   */
+  constructor(options = {}) {
+    this.username = options.username ?? "admin";
+    this.password = options.password ?? "secret";
+    this.cameras = options.cameras ?? [{ id: "cam-front", name: "Front Lawn" }];
+    this.clip = options.clip ?? ((request) => this.generatedClip(request));
+    this.retryAfterSeconds = options.retryAfterSeconds ?? 0.01;
+
+    /**
+     * Overrides an export; return `{status}`, `{delayMs}` or null for the default
+     * @type {function(Object): ({status?: number, delayMs?: number}|null)|null}
+     */
+    this.onExport = null;
+
+    this.exports = [];
+    this.logins = 0;
+    this.sessions = new Set();
+    this.sockets = new Set();
+    this.timers = new Set();
+    this.clipCache = new Map();
+    this.server = null;
+    this.host = null;
+  }
+
+  /**
+   * Starts listening on a random local port
+   * @async
+   * @returns {Promise<string>} Host and port, as used for `unifi.host`
+   */
+  async start() {
+    tlsOptions ??= generateTlsOptions();
+    this.server = https.createServer(await tlsOptions, (req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) res.writeHead(500);
+        res.end(error.message);
+      });
+    });
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+    this.server.on("upgrade", (req, socket) => this.handleUpgrade(req, socket));
+
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.host = `127.0.0.1:${this.server.address().port}`;
+    return this.host;
+  }
+
+  /**
+   * Stops the server, dropping open connections and pending responses
+   * @async
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    for (const socket of this.sockets) socket.destroy();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Routes an API request
+   * @async
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `https://${this.host}`);
+
+    if (req.method === "GET" && url.pathname === "/") {
+      res.writeHead(200, { "X-CSRF-Token": "mock-csrf" });
+      res.end();
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/auth/login") {
+      const body = JSON.parse((await readBody(req)) || "{}");
+      if (body.username !== this.username || body.password !== this.password) {
+        res.writeHead(401, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Invalid credentials" }));
+        return;
+      }
+
+      const session = crypto.randomUUID();
+      this.sessions.add(session);
+      this.logins++;
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Set-Cookie": `TOKEN=${session}; path=/; secure; httponly`,
+        "X-CSRF-Token": "mock-csrf",
+      });
+      res.end(JSON.stringify({ username: this.username }));
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    if (
+      req.method === "GET" &&
+      url.pathname === "/proxy/protect/api/bootstrap"
+    ) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(this.bootstrap()));
+      return;
+    }
+
+    if (
+      req.method === "GET" &&
+      url.pathname === "/proxy/protect/api/video/export"
+    ) {
+      await this.handleExport(url, res);
+      return;
+    }
+
+    this.sendError(res, 404);
+  }
+
+  /**
+   * Answers a video export request
+   * @async
+   * @param {URL} url - Request URL with camera, start and end
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleExport(url, res) {
+    const request = {
+      cameraId: url.searchParams.get("camera"),
+      start: Number(url.searchParams.get("start")),
+      end: Number(url.searchParams.get("end")),
+    };
+    this.exports.push(request);
+
+    const override = this.onExport?.(request);
+    if (override?.delayMs) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          resolve();
+        }, override.delayMs);
+        this.timers.add(timer);
+      });
+      if (res.destroyed) return;
+    }
+    if (override?.status) {
+      this.sendError(res, override.status);
+      return;
+    }
+
+    const camera = this.cameras.find((c) => c.id === request.cameraId);
+    const recorded =
+      camera &&
+      request.start >= (camera.recordingStart ?? 0) &&
+      request.end <= (camera.recordingEnd ?? Infinity);
+    if (!recorded) {
+      this.sendError(res, 404);
+      return;
+    }
+
+    const clip =
+      typeof this.clip === "function" ? await this.clip(request) : this.clip;
+    res.writeHead(200, {
+      "Content-Type": "video/mp4",
+      "Content-Length": clip.length,
+    });
+    res.end(clip);
+  }
+
+  /**
+   * Completes the realtime events WebSocket handshake
+   * No events are ever sent; close frames are answered so clients disconnect cleanly.
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @returns {void}
+   */
+  handleUpgrade(req, socket) {
+    const key = req.headers["sec-websocket-key"];
+    if (!this.isAuthorized(req) || !key) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+
+    const accept = crypto
+      .createHash("sha1")
+      .update(key + WEBSOCKET_GUID)
+      .digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n"),
+    );
+    socket.on("data", (frame) => {
+      if ((frame[0] & 0x0f) === 0x8) {
+        socket.end(Buffer.from([0x88, 0x00]));
+      }
+    });
+    socket.on("error", () => {});
+  }
+
+  /**
+   * Builds the bootstrap document
+   * @returns {Object} Bootstrap with NVR, user and camera records
+   */
+  bootstrap() {
+    return {
+      authUserId: "user-1",
+      lastUpdateId: crypto.randomUUID(),
+      nvr: { id: "nvr-1", name: "Mock NVR", marketName: "UNVR" },
+      users: [
+        { id: "user-1", allPermissions: ["camera:read,write,readmedia:*"] },
+      ],
+      cameras: this.cameras.map((camera) => ({
+        id: camera.id,
+        name: camera.name,
+        marketName: "G4 Bullet",
+        type: "UVC G4 Bullet",
+        isConnected: true,
+        stats: {
+          video:
+            camera.reportStats === false
+              ? {}
+              : {
+                  recordingStart: camera.recordingStart ?? null,
+                  recordingEnd: camera.recordingEnd ?? null,
+                },
+        },
+      })),
+    };
+  }
+
+  /**
+   * Checks the session cookie and CSRF token of a request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if the request belongs to a logged in session
+   */
+  isAuthorized(req) {
+    const session = /TOKEN=([^;]+)/.exec(req.headers.cookie ?? "")?.[1];
+    return this.sessions.has(session);
+  }
+
+  /**
+   * Sends an error status
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @returns {void}
+   */
+  sendError(res, status) {
+    res.writeHead(status, { "Retry-After": String(this.retryAfterSeconds) });
+    res.end();
+  }
+
+  /**
+   * Returns a generated clip as long as the requested window
+   * Without ffmpeg the body is placeholder bytes, which only exercise the HTTP side.
+   * @async
+   * @param {{start: number, end: number}} request - Export request
+   * @returns {Promise<Buffer>} MP4 data
+   */
+  async generatedClip(request) {
+    const durationSeconds = Math.max(
+      1,
+      Math.ceil((request.end - request.start) / 1000),
+    );
+    if (!this.clipCache.has(durationSeconds)) {
+      this.clipCache.set(
+        durationSeconds,
+        generateClip(durationSeconds).catch(() => PLACEHOLDER_CLIP),
+      );
+    }
+    return this.clipCache.get(durationSeconds);
+  }
+}
+
+/**
+ * Reads a request body
+ * @async
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
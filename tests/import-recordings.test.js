@@ -0,0 +1,183 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { mkdtemp, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  parseRecordingStart,
+  findVideoFiles,
+  planFrameExtractions,
+} from "../import-recordings.js";
+
+// No timezone: slots follow the host's, like the local-time recording names
+const FIXED_SCHEDULE = {
+  mode: "fixed-time",
+  fixedTimes: ["08:00", "12:00"],
+};
+
+// ============================================
+// parseRecordingStart
+// ============================================
+
+test("parseRecordingStart - compact NVR names", () => {
+  const expected = new Date(2024, 4, 1, 11, 58, 30).getTime();
+
+  assert.equal(
+    parseRecordingStart("Driveway_20240501_115830.mp4").getTime(),
+    expected,
+  );
+  assert.equal(parseRecordingStart("20240501115830.mp4").getTime(), expected);
+  assert.equal(
+    parseRecordingStart("ch01-20240501-115830.mkv").getTime(),
+    expected,
+  );
+});
+
+test("parseRecordingStart - dashed date and time", () => {
+  const expected = new Date(2024, 4, 1, 11, 58, 30).getTime();
+
+  assert.equal(
+    parseRecordingStart("2024-05-01_11-58-30.mp4").getTime(),
+    expected,
+  );
+  assert.equal(
+    parseRecordingStart("export 2024-05-01T11:58:30.mov").getTime(),
+    expected,
+  );
+});
+
+test("parseRecordingStart - epoch milliseconds", () => {
+  assert.equal(
+    parseRecordingStart("cam1_1714564800000.mp4").getTime(),
+    1714564800000,
+  );
+});
+
+test("parseRecordingStart - reads names in the camera's timezone", () => {
+  assert.equal(
+    parseRecordingStart(
+      "Driveway_20240501_115830.mp4",
+      "America/Los_Angeles",
+    ).toISOString(),
+    "2024-05-01T18:58:30.000Z",
+  );
+
+  // 02:30 is skipped when New York springs forward; it is not an invalid name
+  assert.equal(
+    parseRecordingStart(
+      "2024-03-10_02-30-00.mp4",
+      "America/New_York",
+    ).toISOString(),
+    "2024-03-10T07:30:00.000Z",
+  );
+});
+
+test("parseRecordingStart - returns null without a valid timestamp", () => {
+  assert.equal(parseRecordingStart("driveway.mp4"), null);
+  assert.equal(parseRecordingStart("20241340_250000.mp4"), null);
+});
+
+// ============================================
+// findVideoFiles
+// ============================================
+
+test("findVideoFiles - finds video files recursively", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-import-"));
+  await mkdir(path.join(dir, "2024", "05"), { recursive: true });
+  await writeFile(path.join(dir, "a.MP4"), "");
+  await writeFile(path.join(dir, "2024", "05", "b.mkv"), "");
+  await writeFile(path.join(dir, "notes.txt"), "");
+  await writeFile(path.join(dir, ".hidden.mp4"), "");
+
+  const files = await findVideoFiles(dir);
+
+  assert.deepEqual(files, [
+    path.join(dir, "2024", "05", "b.mkv"),
+    path.join(dir, "a.MP4"),
+  ]);
+});
+
+// ============================================
+// planFrameExtractions
+// ============================================
+
+test("planFrameExtractions - extracts slots inside the recording", () => {
+  const start = new Date(2024, 4, 1, 11, 58, 30);
+  const plan = planFrameExtractions(
+    [{ path: "/nas/a.mp4", start, durationMs: 10 * 60 * 1000 }],
+    FIXED_SCHEDULE,
+  );
+
+  assert.equal(plan.length, 1);
+  assert.equal(plan[0].recording, "/nas/a.mp4");
+  assert.equal(plan[0].filename, "2024-05-01_1200.jpg");
+  assert.equal(plan[0].offsetSeconds, 90);
+});
+
+test("planFrameExtractions - long recordings span several days", () => {
+  const start = new Date(2024, 4, 1, 10, 0, 0);
+  const plan = planFrameExtractions(
+    [{ path: "/nas/day.mp4", start, durationMs: 48 * 60 * 60 * 1000 }],
+    FIXED_SCHEDULE,
+  );
+
+  assert.deepEqual(
+    plan.map((item) => item.filename),
+    [
+      "2024-05-01_1200.jpg",
+      "2024-05-02_0800.jpg",
+      "2024-05-02_1200.jpg",
+      "2024-05-03_0800.jpg",
+    ],
+  );
+});
+
+test("planFrameExtractions - uses the schedule's timezone", () => {
+  const plan = planFrameExtractions(
+    [
+      {
+        path: "/nas/a.mp4",
+        start: new Date("2024-05-01T18:58:30Z"),
+        durationMs: 10 * 60 * 1000,
+      },
+    ],
+    { ...FIXED_SCHEDULE, timezone: "America/Los_Angeles" },
+  );
+
+  assert.equal(plan.length, 1);
+  assert.equal(plan[0].filename, "2024-05-01_1200.jpg");
+  assert.equal(plan[0].offsetSeconds, 90);
+});
+
+test("planFrameExtractions - recordings missing every slot plan nothing", () => {
+  const start = new Date(2024, 4, 1, 13, 0, 0);
+  const plan = planFrameExtractions(
+    [{ path: "/nas/a.mp4", start, durationMs: 60 * 60 * 1000 }],
+    FIXED_SCHEDULE,
+  );
+
+  assert.deepEqual(plan, []);
+});
+
+test("planFrameExtractions - earliest overlapping recording wins", () => {
+  const plan = planFrameExtractions(
+    [
+      {
+        path: "/nas/late.mp4",
+        start: new Date(2024, 4, 1, 11, 59, 0),
+        durationMs: 5 * 60 * 1000,
+      },
+      {
+        path: "/nas/early.mp4",
+        start: new Date(2024, 4, 1, 11, 55, 0),
+        durationMs: 10 * 60 * 1000,
+      },
+    ],
+    FIXED_SCHEDULE,
+  );
+
+  assert.equal(plan.length, 1);
+  assert.equal(plan[0].recording, "/nas/early.mp4");
+  assert.equal(plan[0].offsetSeconds, 300);
+});
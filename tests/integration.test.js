@@ -0,0 +1,650 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { mkdtemp, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  MockProtectController,
+  hasFfmpeg,
+  hasOpenssl,
+} from "./helpers/mock-protect.js";
+import { UniFiProtectClient } from "../camera-sources.js";
+import {
+  createDefaultConfig,
+  loadConfigIfExists,
+  saveConfig,
+} from "../config.js";
+import { loadLedger } from "../ledger.js";
+import { loadRecordingRange } from "../recording-range.js";
+import { classifyError, loadRetryList, saveRetryList } from "../retry.js";
+import { readJpegInfo } from "../snapshot-integrity.js";
+import { fetchMissingSnapshots, main } from "../capture-and-timelapse.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FFMPEG_AVAILABLE = await hasFfmpeg();
+const NEEDS_FFMPEG = FFMPEG_AVAILABLE ? false : "ffmpeg is not installed";
+// The mock controller's TLS certificate is generated with openssl
+const NEEDS_OPENSSL = (await hasOpenssl()) ? false : "openssl is not installed";
+
+/**
+ * Runs a test against a fresh mock controller
+ * @param {Object} options - MockProtectController options
+ * @param {function(MockProtectController): Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withController(options, fn) {
+  const controller = new MockProtectController(options);
+  await controller.start();
+  try {
+    await fn(controller);
+  } finally {
+    await controller.stop();
+  }
+}
+
+/**
+ * Writes a config pointing at the mock controller into a temp
+ * LAWN_LAPSE_CONFIG_DIR and loads it back
+ * @param {MockProtectController} controller - Running mock controller
+ * @param {Object} [overrides] - Top-level config overrides
+ * @returns {Promise<Object>} Loaded config
+ */
+async function writeTempConfig(controller, overrides = {}) {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-integration-"));
+  process.env.LAWN_LAPSE_CONFIG_DIR = dir;
+
+  const camera = controller.cameras[0];
+  await saveConfig({
+    ...createDefaultConfig(),
+    unifi: { host: controller.host, username: "admin", password: "secret" },
+    cameras: [
+      {
+        id: camera.id,
+        name: camera.name,
+        snapshotDir: path.join(dir, "snapshots", camera.id),
+        timelapseDir: path.join(dir, "videos", camera.id),
+      },
+    ],
+    history: { maxDays: 2, stopAfterConsecutiveNoData: 7 },
+    backfill: { concurrency: 2, requestsPerSecond: 0 },
+    retry: { maxAttempts: 1 },
+    ...overrides,
+  });
+  return loadConfigIfExists();
+}
+
+const recordedCamera = () => ({
+  id: "cam-front",
+  name: "Front Lawn",
+  recordingStart: Date.now() - 10 * DAY_MS,
+  recordingEnd: Date.now() + DAY_MS,
+});
+
+const expiredCamera = () => ({
+  id: "cam-back",
+  name: "Back Lawn",
+  recordingStart: Date.now() - 60 * DAY_MS,
+  recordingEnd: Date.now() - 30 * DAY_MS,
+});
+
+// ============================================
+// UniFiProtectClient
+// ============================================
+
+test(
+  "UniFiProtectClient - logs in and reads cameras from the bootstrap",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    const camera = recordedCamera();
+    await withController({ cameras: [camera] }, async (controller) => {
+      const client = new UniFiProtectClient({
+        host: controller.host,
+        username: "admin",
+        password: "secret",
+      });
+
+      try {
+        assert.deepEqual(await client.listCameras(), [
+          {
+            id: "cam-front",
+            name: "Front Lawn",
+            model: "G4 Bullet",
+            isConnected: true,
+          },
+        ]);
+        assert.deepEqual(await client.getRecordingRange("cam-front"), {
+          start: new Date(camera.recordingStart),
+          end: new Date(camera.recordingEnd),
+        });
+        assert.equal(await client.getRecordingRange("missing"), null);
+        assert.equal(controller.logins, 1);
+      } finally {
+        await client.disconnect();
+      }
+    });
+  },
+);
+
+test(
+  "UniFiProtectClient - rejects wrong credentials",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController({}, async (controller) => {
+      const client = new UniFiProtectClient({
+        host: controller.host,
+        username: "admin",
+        password: "wrong",
+      });
+
+      await assert.rejects(client.connect(), /Failed to login/);
+      assert.equal(client.isConnected, false);
+    });
+  },
+);
+
+test(
+  "UniFiProtectClient - exports the requested window",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    const clip = Buffer.from("mock mp4 data");
+    await withController(
+      { cameras: [recordedCamera()], clip },
+      async (controller) => {
+        const client = new UniFiProtectClient({
+          host: controller.host,
+          password: "secret",
+        });
+        const start = Date.now() - DAY_MS;
+
+        try {
+          assert.deepEqual(await client.exportVideo("cam-front", start), clip);
+          assert.deepEqual(controller.exports, [
+            { cameraId: "cam-front", start, end: start + 1000 },
+          ]);
+        } finally {
+          await client.disconnect();
+        }
+      },
+    );
+  },
+);
+
+test(
+  "UniFiProtectClient - reports exports without recordings as unavailable",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController({ cameras: [expiredCamera()] }, async (controller) => {
+      const client = new UniFiProtectClient({
+        host: controller.host,
+        password: "secret",
+      });
+
+      try {
+        const error = await client
+          .exportVideo("cam-back", Date.now() - DAY_MS)
+          .catch((e) => e);
+        assert.match(error.message, /No video data received/);
+        // Protect answers 404 both for expired footage and while rebooting
+        assert.equal(classifyError(error), "unavailable");
+      } finally {
+        await client.disconnect();
+      }
+    });
+  },
+);
+
+test(
+  "UniFiProtectClient - surfaces library throttling after repeated 429s",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        controller.onExport = () => ({ status: 429 });
+        const client = new UniFiProtectClient({
+          host: controller.host,
+          password: "secret",
+        });
+
+        try {
+          let error;
+          for (let i = 0; i < 11; i++) {
+            error = await client
+              .exportVideo("cam-front", Date.now() - DAY_MS)
+              .catch((e) => e);
+          }
+          assert.match(error.message, /throttling API calls/);
+          assert.equal(classifyError(error), "throttled");
+        } finally {
+          await client.disconnect();
+        }
+      },
+    );
+  },
+);
+
+test(
+  "UniFiProtectClient - times out slow exports",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        controller.onExport = () => ({ delayMs: 10000 });
+        const client = new UniFiProtectClient({
+          host: controller.host,
+          password: "secret",
+        });
+
+        try {
+          const error = await client
+            .exportVideo("cam-front", Date.now() - DAY_MS)
+            .catch((e) => e);
+          assert.match(error.message, /taking too long/);
+          assert.equal(classifyError(error), "timeout");
+        } finally {
+          await client.disconnect();
+        }
+      },
+    );
+  },
+);
+
+// ============================================
+// fetchMissingSnapshots
+// ============================================
+
+test(
+  "fetchMissingSnapshots - skips slots outside the reported recording range",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController({ cameras: [expiredCamera()] }, async (controller) => {
+      const config = await writeTempConfig(controller);
+      const result = await fetchMissingSnapshots(config, config.cameras[0]);
+
+      assert.equal(result.capturedCount, 0);
+      assert.deepEqual(controller.exports, []);
+      assert.equal((await loadLedger("cam-back")).size, 0);
+
+      const range = await loadRecordingRange("cam-back");
+      assert.equal(range.method, "controller");
+      assert.equal(range.start.getTime(), controller.cameras[0].recordingStart);
+    });
+  },
+);
+
+test(
+  "fetchMissingSnapshots - probes for the oldest recording when the controller does not say",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    const camera = {
+      ...recordedCamera(),
+      recordingStart: Date.now() - 1.5 * DAY_MS,
+      reportStats: false,
+    };
+    await withController({ cameras: [camera] }, async (controller) => {
+      const config = await writeTempConfig(controller, {
+        history: { maxDays: 5 },
+      });
+      await fetchMissingSnapshots(config, config.cameras[0]);
+
+      const range = await loadRecordingRange("cam-front");
+      assert.equal(range.method, "probe");
+      assert.ok(range.start.getTime() >= camera.recordingStart);
+      assert.ok(
+        range.start.getTime() - range.uncertaintyMs <= camera.recordingStart,
+      );
+
+      // Only one-second probes reached back past the probed start, and few of
+      // them (the library retries each failed probe itself)
+      const earlyRequests = controller.exports.filter(
+        (r) => r.start < range.start.getTime() - range.uncertaintyMs,
+      );
+      assert.ok(earlyRequests.every((r) => r.end - r.start === 1000));
+      assert.ok(new Set(earlyRequests.map((r) => r.start)).size <= 8);
+    });
+  },
+);
+
+test(
+  "fetchMissingSnapshots - records every slot when no footage can be found",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [{ ...expiredCamera(), reportStats: false }] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        const result = await fetchMissingSnapshots(config, config.cameras[0]);
+
+        assert.equal(result.capturedCount, 0);
+        assert.equal(await loadRecordingRange("cam-back"), null);
+
+        // The library retries 404s itself, so each slot is requested several
+        // times; the first request was the probe for recent footage
+        const requestedSlots = new Set(
+          controller.exports.slice(1).map((r) => r.start),
+        );
+        requestedSlots.delete(controller.exports[0].start);
+        const ledger = await loadLedger("cam-back");
+        assert.ok(ledger.size >= 1);
+        assert.equal(ledger.size, requestedSlots.size);
+        for (const start of requestedSlots) {
+          const entry = Array.from(ledger.values()).find(
+            (e) => new Date(e.slot).getTime() === start,
+          );
+          assert.equal(entry.outcome, "failed");
+          assert.equal(entry.errorCategory, "unavailable");
+        }
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - requests only the given slot",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [{ ...expiredCamera(), reportStats: false }] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        const slot = new Date(
+          Math.floor((Date.now() - DAY_MS) / 60000) * 60000,
+        );
+        await fetchMissingSnapshots(config, config.cameras[0], { slot });
+
+        // No recording range probe and no walk back through earlier days
+        assert.equal(await loadRecordingRange("cam-back"), null);
+        assert.equal(new Set(controller.exports.map((r) => r.start)).size, 1);
+        const ledger = await loadLedger("cam-back");
+        assert.deepEqual(
+          Array.from(ledger.values(), (entry) => entry.slot),
+          [slot.toISOString()],
+        );
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - names and requests slots in the schedule's timezone",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [{ ...expiredCamera(), reportStats: false }] },
+      async (controller) => {
+        const config = await writeTempConfig(controller, {
+          schedule: {
+            ...createDefaultConfig().schedule,
+            mode: "fixed-time",
+            fixedTimes: ["12:00"],
+            timezone: "America/Los_Angeles",
+          },
+        });
+        await fetchMissingSnapshots(config, config.cameras[0]);
+
+        const entries = Array.from((await loadLedger("cam-back")).values());
+        assert.ok(entries.length >= 1);
+        for (const entry of entries) {
+          assert.match(entry.filename, /_1200\.jpg$/);
+          const laTime = new Date(entry.slot).toLocaleTimeString("en-US", {
+            timeZone: "America/Los_Angeles",
+            hourCycle: "h23",
+            hour: "2-digit",
+            minute: "2-digit",
+          });
+          assert.equal(laTime, "12:00");
+        }
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - skips days excluded by calendar rules",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller, {
+          schedule: {
+            ...createDefaultConfig().schedule,
+            mode: "fixed-time",
+            fixedTimes: ["12:00"],
+            timezone: "UTC",
+            rules: [
+              { name: "off season", from: "01-01", to: "12-31", skip: true },
+            ],
+          },
+        });
+        const slot = new Date(Date.now() - DAY_MS);
+        slot.setUTCHours(12, 0, 0, 0);
+        await saveRetryList("cam-front", [
+          { slot: slot.toISOString(), category: "timeout", runs: 1 },
+        ]);
+
+        const result = await fetchMissingSnapshots(config, config.cameras[0]);
+        assert.equal(result.capturedCount, 0);
+        assert.deepEqual(controller.exports, []);
+        assert.deepEqual(await loadRetryList("cam-front"), []);
+      },
+    );
+  },
+);
+
+/**
+ * Writes an hourly weather CSV covering the last few days into the base directory
+ * @param {string} conditions - Conditions column for every hour
+ * @returns {Promise<void>}
+ */
+async function writeWeatherCsv(conditions) {
+  const hourMs = 60 * 60 * 1000;
+  const start = Math.floor((Date.now() - 4 * DAY_MS) / hourMs) * hourMs;
+  const rows = ["time,conditions"];
+  for (let time = start; time <= Date.now() + DAY_MS; time += hourMs) {
+    rows.push(`${new Date(time).toISOString()},${conditions}`);
+  }
+  await writeFile(
+    path.join(process.env.LAWN_LAPSE_CONFIG_DIR, "weather.csv"),
+    `${rows.join("\n")}\n`,
+  );
+}
+
+test(
+  "fetchMissingSnapshots - skips slots with filtered weather",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller, {
+          weather: {
+            enabled: true,
+            action: "skip",
+            provider: { type: "csv", path: "weather.csv" },
+          },
+        });
+        await writeWeatherCsv("rain");
+
+        const result = await fetchMissingSnapshots(config, config.cameras[0]);
+        assert.equal(result.capturedCount, 0);
+        assert.deepEqual(controller.exports, []);
+
+        const entries = Array.from((await loadLedger("cam-front")).values());
+        assert.ok(entries.length >= 1);
+        for (const entry of entries) {
+          assert.equal(entry.outcome, "skipped");
+          assert.deepEqual(entry.weather, ["rain"]);
+        }
+
+        // Once skipped, the weather is not looked up again
+        await writeWeatherCsv("");
+        await fetchMissingSnapshots(config, config.cameras[0]);
+        assert.deepEqual(controller.exports, []);
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - aborts when the controller rejects the login",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()], password: "rotated" },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+
+        await assert.rejects(
+          fetchMissingSnapshots(config, config.cameras[0]),
+          /Unable to continue snapshot backfill: .*Failed to login/,
+        );
+        assert.deepEqual(controller.exports, []);
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - rejects an invalid camera schedule before connecting",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        const camera = {
+          ...config.cameras[0],
+          schedule: {
+            ...config.schedule,
+            mode: "interval",
+            interval: { shotsPerHour: 90 },
+          },
+        };
+
+        await assert.rejects(
+          fetchMissingSnapshots(config, camera),
+          /Invalid schedule for Front Lawn: shotsPerHour/,
+        );
+        assert.equal(controller.logins, 0);
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - throws instead of exiting without a password",
+  { skip: NEEDS_OPENSSL },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        config.unifi.password = "";
+
+        await assert.rejects(
+          fetchMissingSnapshots(config, config.cameras[0]),
+          /Missing UniFi Protect password/,
+        );
+        await assert.rejects(
+          fetchMissingSnapshots(config, null),
+          /No camera configured/,
+        );
+        assert.equal(controller.logins, 0);
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - backfills every past slot from exported clips",
+  { skip: NEEDS_OPENSSL || NEEDS_FFMPEG },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        const camera = config.cameras[0];
+
+        const result = await fetchMissingSnapshots(config, camera);
+        assert.ok(result.capturedCount >= 1);
+        assert.equal(result.capturedCount, controller.exports.length);
+
+        const files = await readdir(camera.snapshotDir);
+        assert.equal(files.length, result.capturedCount);
+        for (const file of files) {
+          const info = readJpegInfo(
+            await readFile(path.join(camera.snapshotDir, file)),
+          );
+          assert.deepEqual(info, { width: 320, height: 180 });
+        }
+        // Frame selection is off, so no frame was chosen
+        for (const entry of (await loadLedger("cam-front")).values()) {
+          assert.equal(entry.frameOffset, null);
+        }
+
+        // A second run finds everything in the ledger
+        const exportsBefore = controller.exports.length;
+        const rerun = await fetchMissingSnapshots(config, camera);
+        assert.equal(rerun.capturedCount, 0);
+        assert.equal(controller.exports.length, exportsBefore);
+      },
+    );
+  },
+);
+
+test(
+  "fetchMissingSnapshots - tags captured snapshots with the weather",
+  { skip: NEEDS_OPENSSL || NEEDS_FFMPEG },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller, {
+          weather: {
+            enabled: true,
+            provider: { type: "csv", path: "weather.csv" },
+          },
+        });
+        await writeWeatherCsv("fog");
+
+        const result = await fetchMissingSnapshots(config, config.cameras[0]);
+        assert.ok(result.capturedCount >= 1);
+
+        const entries = Array.from((await loadLedger("cam-front")).values());
+        for (const entry of entries) {
+          assert.equal(entry.outcome, "captured");
+          assert.deepEqual(entry.weather, ["fog"]);
+        }
+      },
+    );
+  },
+);
+
+// ============================================
+// main
+// ============================================
+
+test(
+  "main - captures and renders a time-lapse for each camera",
+  { skip: NEEDS_OPENSSL || NEEDS_FFMPEG },
+  async () => {
+    await withController(
+      { cameras: [recordedCamera()] },
+      async (controller) => {
+        const config = await writeTempConfig(controller);
+        const camera = config.cameras[0];
+
+        const results = await main();
+        assert.deepEqual(results, [
+          { camera: "Front Lawn", success: true, error: null },
+        ]);
+
+        const videos = await readdir(camera.timelapseDir);
+        assert.ok(videos.some((file) => file.endsWith(".mp4")));
+      },
+    );
+  },
+);
@@ -0,0 +1,194 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { mkdtemp, mkdir, writeFile, readFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  OUTCOMES,
+  getLedgerPath,
+  outcomeForCategory,
+  isKnownEmpty,
+  createLedgerEntry,
+  loadLedger,
+  appendLedger,
+  hashFile,
+  syncLedgerWithDirectory,
+  getCapturedFilenames,
+  summarizeLedger,
+} from "../ledger.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+function slotItem(filename, hour = 12) {
+  const [date] = filename.split("_");
+  const [year, month, day] = date.split("-").map(Number);
+  return { slot: new Date(year, month - 1, day, hour, 0), filename };
+}
+
+// ============================================
+// Entries
+// ============================================
+
+test("outcomeForCategory - separates empty slots from failures", () => {
+  assert.equal(outcomeForCategory("no-data"), OUTCOMES.EMPTY);
+  assert.equal(outcomeForCategory("not-found"), OUTCOMES.EMPTY);
+  assert.equal(outcomeForCategory("timeout"), OUTCOMES.FAILED);
+  assert.equal(outcomeForCategory("unknown"), OUTCOMES.FAILED);
+});
+
+test("createLedgerEntry - fills every field", () => {
+  const entry = createLedgerEntry(slotItem("2025-06-15_1200.jpg"), {
+    outcome: OUTCOMES.EMPTY,
+    errorCategory: "no-data",
+    error: "No video data received",
+    source: "unifi:192.168.1.1",
+  });
+
+  assert.equal(entry.filename, "2025-06-15_1200.jpg");
+  assert.equal(entry.outcome, "empty");
+  assert.equal(entry.errorCategory, "no-data");
+  assert.equal(entry.sha256, null);
+  assert.equal(entry.source, "unifi:192.168.1.1");
+  assert.ok(!isNaN(Date.parse(entry.attemptedAt)));
+});
+
+test("isKnownEmpty - only trusts empty results seen a day after the slot", () => {
+  const entry = (attemptedAt) => ({
+    slot: "2025-06-15T12:00:00.000Z",
+    outcome: OUTCOMES.EMPTY,
+    attemptedAt,
+  });
+
+  assert.equal(isKnownEmpty(entry("2025-06-15T12:05:00.000Z")), false);
+  assert.equal(isKnownEmpty(entry("2025-06-16T12:00:00.000Z")), true);
+  assert.equal(
+    isKnownEmpty({ ...entry("2025-06-20T00:00:00.000Z"), outcome: "failed" }),
+    false,
+  );
+  assert.equal(isKnownEmpty(undefined), false);
+});
+
+// ============================================
+// Persistence
+// ============================================
+
+test("loadLedger - latest entry for a slot wins", async () => {
+  await withTempConfigDir(async (dir) => {
+    assert.equal((await loadLedger("cam1")).size, 0);
+
+    const item = slotItem("2025-06-15_1200.jpg");
+    await appendLedger("cam1", [
+      createLedgerEntry(item, { outcome: OUTCOMES.FAILED }),
+    ]);
+    await appendLedger("cam1", [
+      createLedgerEntry(item, { outcome: OUTCOMES.CAPTURED, sha256: "abc" }),
+    ]);
+
+    assert.ok(getLedgerPath("cam1").startsWith(dir));
+    const ledger = await loadLedger("cam1");
+    assert.equal(ledger.size, 1);
+    assert.equal(ledger.get("2025-06-15_1200.jpg").outcome, "captured");
+    assert.equal(ledger.get("2025-06-15_1200.jpg").sha256, "abc");
+  });
+});
+
+test("loadLedger - skips a truncated last line", async () => {
+  await withTempConfigDir(async () => {
+    await appendLedger("cam1", [
+      createLedgerEntry(slotItem("2025-06-15_1200.jpg"), {
+        outcome: OUTCOMES.CAPTURED,
+      }),
+    ]);
+    await writeFile(getLedgerPath("cam1"), '{"filename":"2025-06-16', {
+      flag: "a",
+    });
+
+    const ledger = await loadLedger("cam1");
+    assert.deepEqual(Array.from(ledger.keys()), ["2025-06-15_1200.jpg"]);
+  });
+});
+
+test("hashFile - returns the SHA-256 digest", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-ledger-"));
+  const filePath = path.join(dir, "a.jpg");
+  await writeFile(filePath, "hello");
+
+  assert.equal(
+    await hashFile(filePath),
+    "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824",
+  );
+});
+
+// ============================================
+// Directory sync
+// ============================================
+
+test("syncLedgerWithDirectory - adopts untracked snapshots and flags removed ones", async () => {
+  await withTempConfigDir(async (dir) => {
+    const snapshotDir = path.join(dir, "snapshots");
+    await mkdir(snapshotDir);
+    await writeFile(path.join(snapshotDir, "2025-06-15_1200.jpg"), "jpeg");
+    await writeFile(path.join(snapshotDir, "notes.txt"), "ignored");
+
+    const ledger = await loadLedger("cam1");
+    ledger.set(
+      "2025-06-14_1200.jpg",
+      createLedgerEntry(slotItem("2025-06-14_1200.jpg"), {
+        outcome: OUTCOMES.CAPTURED,
+      }),
+    );
+
+    const result = await syncLedgerWithDirectory("cam1", snapshotDir, ledger);
+
+    assert.deepEqual(result, { adopted: 1, missing: 1 });
+    assert.equal(ledger.get("2025-06-15_1200.jpg").source, "disk");
+    assert.equal(ledger.get("2025-06-14_1200.jpg").outcome, "missing");
+    assert.deepEqual(getCapturedFilenames(ledger), ["2025-06-15_1200.jpg"]);
+
+    // Changes are persisted
+    const lines = (await readFile(getLedgerPath("cam1"), "utf8"))
+      .trim()
+      .split("\n");
+    assert.equal(lines.length, 2);
+  });
+});
+
+test("syncLedgerWithDirectory - reads adopted slots in the schedule's timezone", async () => {
+  await withTempConfigDir(async (dir) => {
+    const snapshotDir = path.join(dir, "snapshots");
+    await mkdir(snapshotDir);
+    await writeFile(path.join(snapshotDir, "2025-06-15_1200.jpg"), "jpeg");
+
+    const ledger = await loadLedger("cam1");
+    await syncLedgerWithDirectory(
+      "cam1",
+      snapshotDir,
+      ledger,
+      "Australia/Sydney",
+    );
+
+    assert.equal(
+      ledger.get("2025-06-15_1200.jpg").slot,
+      "2025-06-15T02:00:00.000Z",
+    );
+  });
+});
+
+test("summarizeLedger - counts outcomes and the last real attempt", () => {
+  const ledger = new Map();
+  const add = (filename, outcome, attemptedAt, source = "unifi:host") =>
+    ledger.set(filename, { filename, outcome, attemptedAt, source });
+
+  add("a.jpg", "captured", "2025-06-15T12:00:00.000Z");
+  add("b.jpg", "empty", "2025-06-16T12:00:00.000Z");
+  add("c.jpg", "failed", "2025-06-14T12:00:00.000Z");
+  add("d.jpg", "captured", "2025-06-20T12:00:00.000Z", "disk");
+
+  assert.deepEqual(summarizeLedger(ledger), {
+    captured: 2,
+    empty: 1,
+    failed: 1,
+    missing: 0,
+    lastAttemptAt: "2025-06-16T12:00:00.000Z",
+  });
+});
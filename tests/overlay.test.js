@@ -0,0 +1,148 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { applyDefaults } from "../config.js";
+import {
+  DEFAULT_OVERLAY,
+  buildOverlayFilter,
+  formatSnapshotTime,
+  getOverlayText,
+  parseSnapshotTime,
+  resolveOverlay,
+  validateOverlays,
+} from "../overlay.js";
+
+const AFTERNOON = { year: 2025, month: 6, day: 1, hour: 14, minute: 5 };
+
+// ============================================
+// Settings
+// ============================================
+
+test("resolveOverlay - merges settings over the defaults", () => {
+  assert.equal(resolveOverlay(null), null);
+  assert.equal(resolveOverlay(false), null);
+  assert.deepEqual(resolveOverlay(true), DEFAULT_OVERLAY);
+
+  const overlay = resolveOverlay({ position: "top-left", fontSize: 40 });
+  assert.equal(overlay.position, "top-left");
+  assert.equal(overlay.fontSize, 40);
+  assert.equal(overlay.text, "{date} {time}");
+});
+
+test("resolveOverlay - rejects invalid settings", () => {
+  assert.throws(
+    () => resolveOverlay({ position: "middle" }),
+    /Unknown overlay position "middle" \(expected one of: top-left, top, top-right, bottom-left, bottom, bottom-right\)/,
+  );
+  assert.throws(
+    () => resolveOverlay({ fontSize: "big" }),
+    /fontSize must be a number/,
+  );
+  assert.throws(() => resolveOverlay({ fontSize: 0 }), /greater than 0/);
+  assert.throws(() => resolveOverlay({ text: 42 }), /text must be a string/);
+  assert.throws(() => resolveOverlay("yes"), /true or an object/);
+});
+
+// ============================================
+// Text
+// ============================================
+
+test("parseSnapshotTime - reads the wall-clock time from a filename", () => {
+  assert.deepEqual(parseSnapshotTime("2025-06-01_1405.jpg"), AFTERNOON);
+  assert.equal(parseSnapshotTime("notes.txt"), null);
+});
+
+test("formatSnapshotTime - formats date and time tokens", () => {
+  assert.equal(
+    formatSnapshotTime(AFTERNOON, "YYYY-MM-DD HH:mm"),
+    "2025-06-01 14:05",
+  );
+  assert.equal(
+    formatSnapshotTime(AFTERNOON, "dddd, MMMM D, YYYY"),
+    "Sunday, June 1, 2025",
+  );
+  assert.equal(
+    formatSnapshotTime(AFTERNOON, "ddd M/D/YY h:mm A"),
+    "Sun 6/1/25 2:05 PM",
+  );
+  assert.equal(
+    formatSnapshotTime({ ...AFTERNOON, hour: 0 }, "hh:mm A"),
+    "12:05 AM",
+  );
+});
+
+test("getOverlayText - fills in the date, time, camera and label", () => {
+  const overlay = resolveOverlay({
+    text: "{camera} · {label} · {date} {time}",
+    label: "Back lawn",
+    dateFormat: "MMM D",
+  });
+  assert.equal(
+    getOverlayText("2025-06-01_1405.jpg", overlay, "Front"),
+    "Front · Back lawn · Jun 1 14:05",
+  );
+
+  // Missing parts don't leave gaps
+  assert.equal(
+    getOverlayText(
+      "2025-06-01_1405.jpg",
+      resolveOverlay({ text: "{label} {date}" }),
+    ),
+    "2025-06-01",
+  );
+  assert.equal(getOverlayText("frame.jpg", resolveOverlay(true)), "");
+});
+
+// ============================================
+// Filter
+// ============================================
+
+test("buildOverlayFilter - reads the text from frame metadata", () => {
+  assert.equal(
+    buildOverlayFilter(resolveOverlay(true), { height: 1080 }),
+    "drawtext=text=%{metadata\\\\:lawn_overlay}:fontsize=36:fontcolor=white:box=1:boxcolor=black@0.5:boxborderw=9:x=w-tw-18:y=h-th-18",
+  );
+
+  const custom = buildOverlayFilter(
+    resolveOverlay({
+      position: "top",
+      font: "C:/Fonts/Inter.ttf",
+      fontSize: 20,
+      box: false,
+      margin: 10,
+    }),
+    { height: 360 },
+  );
+  assert.match(custom, /:fontfile=C\\\\:\/Fonts\/Inter\.ttf:/);
+  assert.match(custom, /:x=\(w-tw\)\/2:y=10$/);
+  assert.doesNotMatch(custom, /box=/);
+
+  assert.match(
+    buildOverlayFilter(resolveOverlay({ font: "DejaVu Sans" }), {
+      height: 120,
+    }),
+    /:font=DejaVu Sans:fontsize=12:/,
+  );
+});
+
+// ============================================
+// validateOverlays
+// ============================================
+
+test("validateOverlays - checks the global and per-camera overlays", () => {
+  validateOverlays(applyDefaults({}));
+  validateOverlays(
+    applyDefaults({
+      videoDefaults: { overlay: true },
+      cameras: [{ id: "a", name: "Front", video: { overlay: { label: "x" } } }],
+    }),
+  );
+
+  assert.throws(
+    () =>
+      validateOverlays(
+        applyDefaults({ videoDefaults: { overlay: { margin: -4 } } }),
+      ),
+    /^Error: Invalid overlay in videoDefaults: Overlay margin must be/,
+  );
+});
@@ -0,0 +1,197 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  resolvePrecisionTiming,
+  parseOverlayTime,
+  selectFrameByOverlay,
+  selectPreciseFrameOffset,
+  getOcrEngine,
+} from "../precision-timing.js";
+
+const SLOT = new Date(2025, 5, 15, 12, 0, 0);
+const SETTINGS = resolvePrecisionTiming({ enabled: true, windowSeconds: 3 });
+
+// Fixture frames carry their overlay text; the fake engine "reads" it back
+function overlayFrames(texts, framesPerSecond = 1) {
+  return texts.map((text, i) => ({
+    offsetSeconds: i / framesPerSecond,
+    image: Buffer.from(text),
+  }));
+}
+
+function fakeEngine() {
+  const calls = [];
+  return {
+    calls,
+    recognize: async (image) => {
+      calls.push(image.toString());
+      if (image.toString() === "<unreadable>") {
+        throw new Error("tesseract exited with code 1");
+      }
+      return image.toString();
+    },
+  };
+}
+
+// ============================================
+// resolvePrecisionTiming
+// ============================================
+
+test("resolvePrecisionTiming - camera settings override global ones", () => {
+  const settings = resolvePrecisionTiming(
+    { enabled: true, maxDeviationSeconds: 1, region: { width: 0.5 } },
+    { windowSeconds: 2, region: { y: 0.9 } },
+  );
+
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.windowSeconds, 2);
+  assert.equal(settings.maxDeviationSeconds, 1);
+  assert.equal(settings.region.width, 0.5);
+  assert.equal(settings.region.y, 0.9);
+  // Region is kept inside the frame
+  assert.ok(Math.abs(settings.region.height - 0.08) < 1e-9);
+  assert.equal(resolvePrecisionTiming().enabled, false);
+});
+
+// ============================================
+// parseOverlayTime
+// ============================================
+
+test("parseOverlayTime - reads common overlay formats", () => {
+  assert.deepEqual(
+    parseOverlayTime("2025-06-15 12:00:01", SLOT),
+    new Date(2025, 5, 15, 12, 0, 1),
+  );
+  assert.deepEqual(
+    parseOverlayTime("Front Yard 06/15/2025 12:00:01 PM", SLOT),
+    new Date(2025, 5, 15, 12, 0, 1),
+  );
+  assert.deepEqual(
+    parseOverlayTime("15.06.2025 11:59:58", SLOT),
+    new Date(2025, 5, 15, 11, 59, 58),
+  );
+});
+
+test("parseOverlayTime - fixes digit lookalikes and missing dates", () => {
+  assert.deepEqual(
+    parseOverlayTime("l2:0O:0I", SLOT),
+    new Date(2025, 5, 15, 12, 0, 1),
+  );
+
+  // Without a date, the day nearest the slot is used
+  const midnight = new Date(2025, 5, 15, 0, 0, 0);
+  assert.deepEqual(
+    parseOverlayTime("23:59:59", midnight),
+    new Date(2025, 5, 14, 23, 59, 59),
+  );
+});
+
+test("parseOverlayTime - reads the overlay in the schedule's timezone", () => {
+  // 12:00 PDT, whatever the host's timezone
+  const slot = new Date("2025-06-15T19:00:00Z");
+  const timezone = "America/Los_Angeles";
+
+  assert.deepEqual(
+    parseOverlayTime("2025-06-15 12:00:01", slot, timezone),
+    new Date("2025-06-15T19:00:01Z"),
+  );
+  assert.deepEqual(
+    parseOverlayTime("11:59:58", slot, timezone),
+    new Date("2025-06-15T18:59:58Z"),
+  );
+
+  // 23:59 on the 14th in Los Angeles is the 15th in UTC
+  assert.deepEqual(
+    parseOverlayTime("23:59:59", new Date("2025-06-15T07:00:00Z"), timezone),
+    new Date("2025-06-15T06:59:59Z"),
+  );
+});
+
+test("parseOverlayTime - returns null for unreadable text", () => {
+  assert.equal(parseOverlayTime("", SLOT), null);
+  assert.equal(parseOverlayTime("Front Yard", SLOT), null);
+  assert.equal(parseOverlayTime("25:61:00", SLOT), null);
+  assert.equal(parseOverlayTime("2025-02-30 12:00:00", SLOT), null);
+});
+
+// ============================================
+// selectFrameByOverlay
+// ============================================
+
+test("selectFrameByOverlay - picks the first frame showing the slot time", async () => {
+  const engine = fakeEngine();
+  const frames = overlayFrames([
+    "2025-06-15 11:59:57",
+    "2025-06-15 11:59:58",
+    "2025-06-15 11:59:59",
+    "2025-06-15 12:00:00",
+    "2025-06-15 12:00:01",
+  ]);
+
+  const result = await selectFrameByOverlay(frames, SLOT, engine, SETTINGS);
+
+  assert.equal(result.offsetSeconds, 3);
+  assert.deepEqual(result.overlayTime, SLOT);
+  // Stops reading once the exact second was found
+  assert.equal(engine.calls.length, 4);
+});
+
+test("selectFrameByOverlay - allows a small deviation", async () => {
+  const frames = overlayFrames([
+    "<unreadable>",
+    "2025-06-15 11:59:57",
+    "2025-06-15 11:59:59",
+  ]);
+
+  const result = await selectFrameByOverlay(
+    frames,
+    SLOT,
+    fakeEngine(),
+    SETTINGS,
+  );
+
+  assert.equal(result.offsetSeconds, 2);
+});
+
+test("selectFrameByOverlay - matches slots in the schedule's timezone", async () => {
+  const slot = new Date("2025-06-15T19:00:00Z");
+  const frames = overlayFrames(["2025-06-15 11:59:59", "2025-06-15 12:00:00"]);
+
+  const result = await selectFrameByOverlay(frames, slot, fakeEngine(), {
+    ...SETTINGS,
+    timezone: "America/Los_Angeles",
+  });
+
+  assert.equal(result.offsetSeconds, 1);
+  assert.deepEqual(result.overlayTime, slot);
+});
+
+test("selectFrameByOverlay - falls back to the middle frame", async () => {
+  const farOff = overlayFrames(["2025-06-15 11:59:50", "2025-06-15 11:59:51"]);
+  const unreadable = overlayFrames(["<unreadable>", "no overlay here"]);
+
+  for (const frames of [farOff, unreadable, []]) {
+    assert.deepEqual(
+      await selectFrameByOverlay(frames, SLOT, fakeEngine(), SETTINGS),
+      { offsetSeconds: 3, overlayTime: null },
+    );
+  }
+});
+
+test("selectPreciseFrameOffset - uses the middle frame without an OCR engine", async () => {
+  const engine = { isAvailable: async () => false, recognize: async () => "" };
+
+  assert.deepEqual(
+    await selectPreciseFrameOffset(Buffer.alloc(0), SLOT, SETTINGS, engine),
+    { offsetSeconds: 3, overlayTime: null },
+  );
+});
+
+test("getOcrEngine - reuses the engine across slots", () => {
+  assert.equal(getOcrEngine(SETTINGS), getOcrEngine({ ...SETTINGS }));
+  assert.notEqual(
+    getOcrEngine(SETTINGS),
+    getOcrEngine({ ...SETTINGS, language: "deu" }),
+  );
+});
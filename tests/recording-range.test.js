@@ -0,0 +1,218 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  probeOldestRecording,
+  discoverRecordingRange,
+  isSlotInRange,
+  loadRecordingRange,
+  saveRecordingRange,
+} from "../recording-range.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+// What UniFi Protect reports for expired footage and for a busy controller
+const UNAVAILABLE = new Error(
+  "No video data received (Unable to connect to the Protect controller)",
+);
+
+/**
+ * Source whose footage starts at a given time; counts exports and the
+ * longest run of failed ones
+ * @param {number} oldestMs - Oldest recorded time
+ * @param {Object} [options] - Overrides
+ * @returns {Object} Fake camera source
+ */
+function fakeSource(oldestMs, options = {}) {
+  return {
+    exports: [],
+    failures: 0,
+    maxFailures: 0,
+    async getRecordingRange() {
+      return options.reported ?? null;
+    },
+    async exportVideo(_cameraId, startMs) {
+      this.exports.push(startMs);
+      try {
+        if (options.error) throw options.error;
+        if (this.exports.length > (options.busyAfter ?? Infinity)) {
+          throw UNAVAILABLE;
+        }
+        if (startMs < oldestMs) throw options.missing ?? UNAVAILABLE;
+      } catch (error) {
+        this.failures++;
+        this.maxFailures = Math.max(this.maxFailures, this.failures);
+        throw error;
+      }
+      this.failures = 0;
+      return Buffer.from("clip");
+    },
+  };
+}
+
+// ============================================
+// probeOldestRecording
+// ============================================
+
+test("probeOldestRecording - bisects to the oldest footage", async () => {
+  const oldestMs = NOW.getTime() - 20 * DAY_MS - 5 * HOUR_MS;
+  const source = fakeSource(oldestMs);
+
+  const result = await probeOldestRecording(source, "cam1", {
+    earliestMs: NOW.getTime() - 365 * DAY_MS,
+    latestMs: NOW.getTime(),
+    resolutionMs: DAY_MS,
+  });
+
+  assert.ok(result.start.getTime() >= oldestMs);
+  assert.ok(result.start.getTime() - result.uncertaintyMs <= oldestMs);
+  // Never more than eight failures in a row (the library throttles at ten);
+  // each miss is checked against footage known to exist
+  assert.ok(source.maxFailures <= 8);
+  assert.ok(source.exports.length <= 17);
+});
+
+test("probeOldestRecording - returns null without recent footage", async () => {
+  const source = fakeSource(Infinity, { missing: new Error("404 Not Found") });
+
+  const result = await probeOldestRecording(source, "cam1", {
+    earliestMs: NOW.getTime() - 30 * DAY_MS,
+    latestMs: NOW.getTime(),
+  });
+
+  assert.equal(result, null);
+  assert.equal(source.exports.length, 1);
+});
+
+test("probeOldestRecording - gives up when the controller is unavailable", async () => {
+  const options = {
+    earliestMs: NOW.getTime() - 30 * DAY_MS,
+    latestMs: NOW.getTime(),
+  };
+
+  // No footage known yet, so an unavailable export can't be told apart
+  await assert.rejects(
+    probeOldestRecording(fakeSource(Infinity), "cam1", options),
+    /Unable to connect/,
+  );
+
+  // Known footage stops exporting too: the controller is busy, not empty
+  const source = fakeSource(0, { busyAfter: 2 });
+  await assert.rejects(
+    probeOldestRecording(source, "cam1", options),
+    /Unable to connect/,
+  );
+  assert.equal(source.exports.length, 4);
+});
+
+test("probeOldestRecording - gives up on errors other than missing footage", async () => {
+  const source = fakeSource(0, {
+    error: new Error(
+      "No video data received (Protect controller is taking too long)",
+    ),
+  });
+
+  await assert.rejects(
+    probeOldestRecording(source, "cam1", {
+      earliestMs: NOW.getTime() - 30 * DAY_MS,
+      latestMs: NOW.getTime(),
+    }),
+    /taking too long/,
+  );
+});
+
+// ============================================
+// discoverRecordingRange
+// ============================================
+
+test("discoverRecordingRange - prefers the range reported by the source", async () => {
+  const reported = {
+    start: new Date("2025-05-01T00:00:00Z"),
+    end: new Date("2025-06-15T11:59:00Z"),
+  };
+  const source = fakeSource(0, { reported });
+
+  const range = await discoverRecordingRange(source, "cam1", {
+    earliestMs: 0,
+    now: NOW,
+  });
+
+  assert.deepEqual(range, {
+    ...reported,
+    uncertaintyMs: 0,
+    method: "controller",
+    checkedAt: NOW,
+  });
+  assert.deepEqual(source.exports, []);
+});
+
+test("discoverRecordingRange - reuses a probed range for a day", async () => {
+  const source = fakeSource(NOW.getTime() - 3 * DAY_MS);
+  const previous = {
+    start: new Date(NOW.getTime() - 2 * DAY_MS),
+    end: null,
+    uncertaintyMs: HOUR_MS,
+    method: "probe",
+    checkedAt: new Date(NOW.getTime() - HOUR_MS),
+  };
+
+  const range = await discoverRecordingRange(source, "cam1", {
+    earliestMs: NOW.getTime() - 30 * DAY_MS,
+    previous,
+    now: NOW,
+  });
+  assert.equal(range, previous);
+  assert.deepEqual(source.exports, []);
+
+  const refreshed = await discoverRecordingRange(source, "cam1", {
+    earliestMs: NOW.getTime() - 30 * DAY_MS,
+    previous: { ...previous, checkedAt: new Date(NOW.getTime() - 2 * DAY_MS) },
+    now: NOW,
+  });
+  assert.equal(refreshed.method, "probe");
+  assert.ok(source.exports.length > 0);
+});
+
+// ============================================
+// isSlotInRange
+// ============================================
+
+test("isSlotInRange - allows for probe uncertainty and stale end times", () => {
+  const range = {
+    start: new Date("2025-06-10T12:00:00Z"),
+    end: new Date("2025-06-15T12:00:00Z"),
+    uncertaintyMs: 6 * HOUR_MS,
+  };
+
+  assert.equal(isSlotInRange(range, new Date("2025-06-10T07:00:00Z")), true);
+  assert.equal(isSlotInRange(range, new Date("2025-06-10T05:00:00Z")), false);
+  assert.equal(isSlotInRange(range, new Date("2025-06-15T12:30:00Z")), true);
+  assert.equal(isSlotInRange(range, new Date("2025-06-15T14:00:00Z")), false);
+  assert.equal(
+    isSlotInRange({ ...range, end: null }, new Date("2025-07-01T00:00:00Z")),
+    true,
+  );
+});
+
+// ============================================
+// loadRecordingRange / saveRecordingRange
+// ============================================
+
+test("saveRecordingRange - round-trips through the base directory", async () => {
+  await withTempConfigDir(async () => {
+    assert.equal(await loadRecordingRange("cam/1"), null);
+
+    const range = {
+      start: new Date("2025-05-01T00:00:00Z"),
+      end: null,
+      uncertaintyMs: HOUR_MS,
+      method: "probe",
+      checkedAt: NOW,
+    };
+    await saveRecordingRange("cam/1", range);
+    assert.deepEqual(await loadRecordingRange("cam/1"), range);
+  });
+});
@@ -0,0 +1,184 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { access } from "node:fs/promises";
+
+import {
+  classifyError,
+  isTransientCategory,
+  resolveRetryPolicy,
+  getRetryDelay,
+  withRetry,
+  getRetryListPath,
+  loadRetryList,
+  saveRetryList,
+  updateRetryEntry,
+} from "../retry.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const FAST_POLICY = resolveRetryPolicy({
+  initialDelayMs: 1,
+  maxDelayMs: 5,
+  jitter: 0,
+});
+
+// ============================================
+// classifyError
+// ============================================
+
+test("classifyError - recognizes transient failures", () => {
+  assert.equal(
+    classifyError(
+      new Error(
+        "No video data received (Protect controller is taking too long to respond to a request)",
+      ),
+    ),
+    "timeout",
+  );
+  assert.equal(
+    classifyError(new Error("Stream timed out after 15s")),
+    "timeout",
+  );
+  assert.equal(
+    classifyError(new Error("No video data received (throttling API calls)")),
+    "throttled",
+  );
+  assert.equal(classifyError(new Error("read ECONNRESET")), "connection");
+  assert.equal(
+    classifyError(new Error("ffmpeg exited with code 1")),
+    "extraction",
+  );
+});
+
+test("classifyError - recognizes permanent failures", () => {
+  assert.equal(classifyError(new Error("No video data received")), "no-data");
+  assert.equal(classifyError(new Error("HTTP 404 Not Found")), "not-found");
+  assert.equal(
+    classifyError(new Error("Failed to login to UniFi Protect")),
+    "auth",
+  );
+  assert.equal(classifyError(new Error("something odd")), "unknown");
+  assert.equal(isTransientCategory("no-data"), false);
+  assert.equal(isTransientCategory("timeout"), true);
+});
+
+// ============================================
+// Backoff
+// ============================================
+
+test("getRetryDelay - grows exponentially up to the cap", () => {
+  const policy = resolveRetryPolicy({ jitter: 0 });
+
+  assert.equal(getRetryDelay(1, policy), 2000);
+  assert.equal(getRetryDelay(2, policy), 4000);
+  assert.equal(getRetryDelay(10, policy), 30000);
+});
+
+test("getRetryDelay - applies jitter around the base delay", () => {
+  const policy = resolveRetryPolicy({ jitter: 0.5 });
+
+  assert.equal(
+    getRetryDelay(1, policy, () => 0),
+    1000,
+  );
+  assert.equal(
+    getRetryDelay(1, policy, () => 1),
+    3000,
+  );
+});
+
+test("withRetry - retries retryable errors until success", async () => {
+  const retries = [];
+
+  const result = await withRetry(
+    async (attempt) => {
+      if (attempt < 3) throw new Error("Stream timed out after 15s");
+      return "ok";
+    },
+    FAST_POLICY,
+    {
+      onRetry: (error, category, attempt) => retries.push([category, attempt]),
+    },
+  );
+
+  assert.equal(result, "ok");
+  assert.deepEqual(retries, [
+    ["timeout", 1],
+    ["timeout", 2],
+  ]);
+});
+
+test("withRetry - tags the final error after maxAttempts", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw new Error("ffmpeg exited with code 1");
+    }, FAST_POLICY),
+    (error) => error.category === "extraction" && error.attempts === 3,
+  );
+  assert.equal(calls, 3);
+});
+
+test("withRetry - does not retry classes outside retryOn", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw new Error("No video data received");
+    }, FAST_POLICY),
+    (error) => error.category === "no-data" && error.attempts === 1,
+  );
+  assert.equal(calls, 1);
+});
+
+// ============================================
+// Retry-later list
+// ============================================
+
+test("retry list - round trips entries and removes empty lists", async () => {
+  await withTempConfigDir(async (dir) => {
+    assert.deepEqual(await loadRetryList("cam1"), []);
+
+    const entries = [
+      { slot: "2025-06-15T12:00:00.000Z", filename: "b.jpg", runs: 1 },
+      { slot: "2025-06-14T12:00:00.000Z", filename: "a.jpg", runs: 2 },
+    ];
+    await saveRetryList("cam1", entries);
+
+    assert.ok(getRetryListPath("cam1").startsWith(dir));
+    const loaded = await loadRetryList("cam1");
+    assert.deepEqual(
+      loaded.map((entry) => entry.filename),
+      ["a.jpg", "b.jpg"],
+    );
+
+    await saveRetryList("cam1", []);
+    await assert.rejects(access(getRetryListPath("cam1")));
+  });
+});
+
+test("updateRetryEntry - keeps transient failures and drops the rest", () => {
+  const entries = new Map();
+  const item = {
+    slot: new Date("2025-06-15T12:00:00Z"),
+    filename: "2025-06-15_1200.jpg",
+  };
+  const policy = resolveRetryPolicy({ maxLaterRuns: 2 });
+
+  updateRetryEntry(entries, item, new Error("Stream timed out"), policy);
+  assert.equal(entries.get(item.filename).category, "timeout");
+  assert.equal(entries.get(item.filename).runs, 1);
+
+  // Gives up once the slot has failed on maxLaterRuns runs
+  updateRetryEntry(entries, item, new Error("Stream timed out"), policy);
+  assert.equal(entries.has(item.filename), false);
+
+  updateRetryEntry(entries, item, new Error("Stream timed out"), policy);
+  updateRetryEntry(entries, item, null, policy);
+  assert.equal(entries.has(item.filename), false);
+
+  updateRetryEntry(entries, item, new Error("No video data received"), policy);
+  assert.equal(entries.has(item.filename), false);
+});
@@ -7,6 +7,10 @@ import {
   getSlotsForDateRange,
   isCaptureDue,
   getNextCaptureTime,
+  formatSnapshotName,
+  describeSchedule,
+  getSunPosition,
+  resolveDaySchedule,
 } from "../scheduling.js";
 
 // Fixed date for consistent testing
@@ -26,8 +30,8 @@ test("generateDailySlots - fixed-time with single time", () => {
   const slots = generateDailySlots(TEST_DATE, schedule);
 
   assert.equal(slots.length, 1);
-  assert.equal(slots[0].getHours(), 12);
-  assert.equal(slots[0].getMinutes(), 0);
+  assert.equal(slots[0].getUTCHours(), 12);
+  assert.equal(slots[0].getUTCMinutes(), 0);
 });
 
 test("generateDailySlots - fixed-time with multiple times", () => {
@@ -40,9 +44,9 @@ test("generateDailySlots - fixed-time with multiple times", () => {
   const slots = generateDailySlots(TEST_DATE, schedule);
 
   assert.equal(slots.length, 3);
-  assert.equal(slots[0].getHours(), 8);
-  assert.equal(slots[1].getHours(), 12);
-  assert.equal(slots[2].getHours(), 18);
+  assert.equal(slots[0].getUTCHours(), 8);
+  assert.equal(slots[1].getUTCHours(), 12);
+  assert.equal(slots[2].getUTCHours(), 18);
 });
 
 test("generateDailySlots - fixed-time slots are sorted", () => {
@@ -55,9 +59,9 @@ test("generateDailySlots - fixed-time slots are sorted", () => {
   const slots = generateDailySlots(TEST_DATE, schedule);
 
   assert.equal(slots.length, 3);
-  assert.equal(slots[0].getHours(), 6);
-  assert.equal(slots[1].getHours(), 12);
-  assert.equal(slots[2].getHours(), 18);
+  assert.equal(slots[0].getUTCHours(), 6);
+  assert.equal(slots[1].getUTCHours(), 12);
+  assert.equal(slots[2].getUTCHours(), 18);
 });
 
 // ============================================
@@ -75,8 +79,8 @@ test("generateDailySlots - interval mode with 1 shot per hour", () => {
   const slots = generateDailySlots(TEST_DATE, schedule);
 
   assert.equal(slots.length, 4); // 09:00, 10:00, 11:00, 12:00
-  assert.equal(slots[0].getHours(), 9);
-  assert.equal(slots[3].getHours(), 12);
+  assert.equal(slots[0].getUTCHours(), 9);
+  assert.equal(slots[3].getUTCHours(), 12);
 });
 
 test("generateDailySlots - interval mode with 4 shots per hour", () => {
@@ -91,11 +95,11 @@ test("generateDailySlots - interval mode with 4 shots per hour", () => {
 
   // 10:00, 10:15, 10:30, 10:45, 11:00
   assert.equal(slots.length, 5);
-  assert.equal(slots[0].getMinutes(), 0);
-  assert.equal(slots[1].getMinutes(), 15);
-  assert.equal(slots[2].getMinutes(), 30);
-  assert.equal(slots[3].getMinutes(), 45);
-  assert.equal(slots[4].getHours(), 11);
+  assert.equal(slots[0].getUTCMinutes(), 0);
+  assert.equal(slots[1].getUTCMinutes(), 15);
+  assert.equal(slots[2].getUTCMinutes(), 30);
+  assert.equal(slots[3].getUTCMinutes(), 45);
+  assert.equal(slots[4].getUTCHours(), 11);
 });
 
 test("generateDailySlots - interval mode uses default window", () => {
@@ -189,6 +193,177 @@ test("generateDailySlots - sunrise-sunset requires location", () => {
   }, /Location.*required/);
 });
 
+// ============================================
+// generateDailySlots - solar mode
+// ============================================
+
+const SAN_FRANCISCO = { lat: 37.7749, lon: -122.4194 };
+const JUNE_15 = new Date(2025, 5, 15);
+
+test("generateDailySlots - solar noon is the sun's highest point", () => {
+  const [noon] = generateDailySlots(
+    JUNE_15,
+    { mode: "solar", solarEvents: ["solarNoon"], timezone: LOS_ANGELES },
+    SAN_FRANCISCO,
+  );
+
+  const elevation = getSunPosition(noon, SAN_FRANCISCO).elevation;
+  for (const minutes of [-30, 30]) {
+    const nearby = new Date(noon.getTime() + minutes * 60 * 1000);
+    assert.ok(getSunPosition(nearby, SAN_FRANCISCO).elevation < elevation);
+  }
+  assert.equal(formatSnapshotName(noon, LOS_ANGELES).date, "2025-06-15");
+});
+
+test("generateDailySlots - golden and blue hours bracket the horizon", () => {
+  const slots = generateDailySlots(
+    JUNE_15,
+    {
+      mode: "solar",
+      solarEvents: [
+        "blueHourMorning",
+        "goldenHourMorning",
+        "goldenHourEvening",
+        "blueHourEvening",
+      ],
+      timezone: LOS_ANGELES,
+    },
+    SAN_FRANCISCO,
+  );
+
+  const elevations = slots.map(
+    (slot) => getSunPosition(slot, SAN_FRANCISCO).elevation,
+  );
+  assert.equal(slots.length, 4);
+  assert.ok(Math.abs(elevations[0] + 5) < 0.1);
+  assert.ok(elevations[1] > -1 && elevations[1] < 6);
+  assert.ok(elevations[2] > -1 && elevations[2] < 6);
+  assert.ok(Math.abs(elevations[3] + 5) < 0.1);
+  assert.ok(slots[0] < slots[1] && slots[2] < slots[3]);
+});
+
+test("generateDailySlots - sun elevation and bearing", () => {
+  const slots = generateDailySlots(
+    JUNE_15,
+    {
+      mode: "solar",
+      sunElevations: [{ degrees: 30, direction: "rising" }],
+      sunAzimuths: [270],
+      timezone: LOS_ANGELES,
+    },
+    SAN_FRANCISCO,
+  );
+
+  assert.equal(slots.length, 2);
+  const rising = getSunPosition(slots[0], SAN_FRANCISCO);
+  assert.ok(Math.abs(rising.elevation - 30) < 0.1);
+  assert.ok(rising.azimuth < 180); // Morning sun is in the east
+  const west = getSunPosition(slots[1], SAN_FRANCISCO);
+  assert.ok(Math.abs(west.azimuth - 270) < 0.1);
+  assert.ok(west.elevation > 0);
+});
+
+test("generateDailySlots - skips angles the sun never reaches", () => {
+  const slots = generateDailySlots(
+    new Date(2025, 11, 21),
+    {
+      mode: "solar",
+      sunElevations: [{ degrees: 60 }],
+      sunAzimuths: [0],
+      timezone: LOS_ANGELES,
+    },
+    SAN_FRANCISCO,
+  );
+
+  assert.deepEqual(slots, []);
+});
+
+test("generateDailySlots - solar mode requires location", () => {
+  assert.throws(() => {
+    generateDailySlots(JUNE_15, { mode: "solar", timezone: "UTC" }, null);
+  }, /Location.*required/);
+});
+
+// ============================================
+// generateDailySlots - calendar rules
+// ============================================
+
+const NOON_UTC = { mode: "fixed-time", fixedTimes: ["12:00"], timezone: "UTC" };
+
+test("generateDailySlots - days mask skips other days", () => {
+  const schedule = { ...NOON_UTC, days: ["weekdays"] };
+
+  // 2025-06-14 is a Saturday
+  assert.deepEqual(generateDailySlots(new Date(2025, 5, 14), schedule), []);
+  assert.equal(generateDailySlots(new Date(2025, 5, 16), schedule).length, 1);
+});
+
+test("generateDailySlots - seasonal rules replace the base schedule", () => {
+  const schedule = {
+    ...NOON_UTC,
+    rules: [
+      {
+        name: "summer",
+        from: "04-01",
+        to: "10-31",
+        schedule: {
+          mode: "interval",
+          interval: { shotsPerHour: 1 },
+          window: { startHour: "06:00", endHour: "18:00" },
+        },
+      },
+    ],
+  };
+
+  assert.equal(generateDailySlots(new Date(2025, 6, 1), schedule).length, 13);
+  assert.equal(generateDailySlots(new Date(2025, 9, 31), schedule).length, 13);
+  assert.equal(generateDailySlots(new Date(2025, 10, 1), schedule).length, 1);
+  assert.equal(generateDailySlots(new Date(2026, 0, 15), schedule).length, 1);
+});
+
+test("resolveDaySchedule - exclusions, wrapping ranges and first match", () => {
+  const schedule = {
+    ...NOON_UTC,
+    excludeDates: ["2025-07-04", "12-25"],
+    rules: [
+      { dates: ["2025-03-01"], schedule: { fixedTimes: ["09:00"] } },
+      { from: "11-15", to: "03-15", skip: true },
+      {
+        from: "2025-06-01",
+        to: "2025-06-30",
+        days: ["sat", "sun"],
+        skip: true,
+      },
+    ],
+  };
+
+  assert.equal(resolveDaySchedule(new Date(2025, 6, 4), schedule), null);
+  assert.equal(resolveDaySchedule(new Date(2026, 11, 25), schedule), null);
+  assert.equal(resolveDaySchedule(new Date(2026, 0, 10), schedule), null);
+  assert.deepEqual(
+    resolveDaySchedule(new Date(2025, 2, 1), schedule).fixedTimes,
+    ["09:00"],
+  );
+  assert.equal(resolveDaySchedule(new Date(2025, 5, 14), schedule), null);
+  assert.deepEqual(
+    resolveDaySchedule(new Date(2025, 5, 16), schedule),
+    NOON_UTC,
+  );
+});
+
+test("getSlotsForDateRange - respects calendar rules", () => {
+  const slots = getSlotsForDateRange(
+    new Date("2025-06-09T00:00:00Z"),
+    new Date("2025-06-15T23:59:59Z"),
+    { ...NOON_UTC, days: ["mon", "wed", "fri"] },
+  );
+
+  assert.deepEqual(
+    slots.map((slot) => slot.toISOString().slice(0, 10)),
+    ["2025-06-09", "2025-06-11", "2025-06-13"],
+  );
+});
+
 // ============================================
 // generateDailySlots - default mode
 // ============================================
@@ -199,8 +374,129 @@ test("generateDailySlots - defaults to noon when no mode", () => {
   const slots = generateDailySlots(TEST_DATE, schedule);
 
   assert.equal(slots.length, 1);
-  assert.equal(slots[0].getHours(), 12);
-  assert.equal(slots[0].getMinutes(), 0);
+  assert.equal(slots[0].getUTCHours(), 12);
+  assert.equal(slots[0].getUTCMinutes(), 0);
+});
+
+// ============================================
+// generateDailySlots - timezones and DST
+// ============================================
+
+const LOS_ANGELES = "America/Los_Angeles";
+
+/**
+ * Names each slot in Los Angeles time
+ * @param {Array<Date>} slots - Slots
+ * @returns {Array<string>} HHMM times
+ */
+function laTimes(slots) {
+  return slots.map((slot) => formatSnapshotName(slot, LOS_ANGELES).time);
+}
+
+test("generateDailySlots - fixed times are in the schedule's timezone", () => {
+  const slots = generateDailySlots(new Date(2025, 5, 15), {
+    mode: "fixed-time",
+    fixedTimes: ["12:00"],
+    timezone: LOS_ANGELES,
+  });
+
+  assert.deepEqual(slots, [new Date("2025-06-15T19:00:00Z")]);
+  assert.equal(
+    formatSnapshotName(slots[0], LOS_ANGELES).filename,
+    "2025-06-15_1200.jpg",
+  );
+});
+
+test("generateDailySlots - spring forward skips the missing hour", () => {
+  const slots = generateDailySlots(new Date(2025, 2, 9), {
+    mode: "interval",
+    interval: { shotsPerHour: 4 },
+    window: { startHour: "01:00", endHour: "04:00" },
+    timezone: LOS_ANGELES,
+  });
+
+  assert.deepEqual(laTimes(slots), [
+    "0100",
+    "0115",
+    "0130",
+    "0145",
+    "0300",
+    "0315",
+    "0330",
+    "0345",
+    "0400",
+  ]);
+  for (let i = 1; i < slots.length; i++) {
+    assert.equal(slots[i] - slots[i - 1], 15 * 60 * 1000);
+  }
+});
+
+test("generateDailySlots - spring forward moves a fixed time past the gap", () => {
+  const slots = generateDailySlots(new Date(2025, 2, 9), {
+    mode: "fixed-time",
+    fixedTimes: ["02:30", "12:00"],
+    timezone: LOS_ANGELES,
+  });
+
+  assert.deepEqual(slots, [
+    new Date("2025-03-09T10:30:00Z"),
+    new Date("2025-03-09T19:00:00Z"),
+  ]);
+  assert.deepEqual(laTimes(slots), ["0330", "1200"]);
+});
+
+test("generateDailySlots - fall back takes repeated times once", () => {
+  const slots = generateDailySlots(new Date(2025, 10, 2), {
+    mode: "interval",
+    interval: { shotsPerHour: 2 },
+    window: { startHour: "00:00", endHour: "03:00" },
+    timezone: LOS_ANGELES,
+  });
+
+  const times = laTimes(slots);
+  assert.deepEqual(times, [
+    "0000",
+    "0030",
+    "0100",
+    "0130",
+    "0200",
+    "0230",
+    "0300",
+  ]);
+  assert.equal(new Set(times).size, times.length);
+  // The first 01:30 (PDT), not the second (PST)
+  assert.deepEqual(slots[3], new Date("2025-11-02T08:30:00Z"));
+});
+
+test("generateDailySlots - sunrise is on the schedule's day", () => {
+  const slots = generateDailySlots(
+    new Date(2025, 5, 15),
+    {
+      mode: "sunrise-sunset",
+      captureSunrise: true,
+      captureSunset: true,
+      timezone: LOS_ANGELES,
+    },
+    { lat: 37.7749, lon: -122.4194 },
+  );
+
+  const names = slots.map((slot) => formatSnapshotName(slot, LOS_ANGELES));
+  assert.deepEqual(
+    names.map((name) => name.date),
+    ["2025-06-15", "2025-06-15"],
+  );
+  assert.equal(names[0].time.slice(0, 2), "05");
+  assert.equal(names[1].time.slice(0, 2), "20");
+});
+
+test("getSlotsForDateRange - includes slots from the schedule's neighbouring days", () => {
+  const slots = getSlotsForDateRange(
+    new Date("2025-06-15T00:00:00Z"),
+    new Date("2025-06-16T00:00:00Z"),
+    { mode: "fixed-time", fixedTimes: ["12:00"], timezone: "Asia/Tokyo" },
+  );
+
+  assert.deepEqual(slots, [new Date("2025-06-15T03:00:00Z")]);
 });
 
 // ============================================
@@ -285,6 +581,135 @@ test("validateSchedule - sunrise-sunset mode is valid", () => {
   assert.equal(result.isValid, true);
 });
 
+test("validateSchedule - solar mode", () => {
+  assert.equal(
+    validateSchedule({
+      mode: "solar",
+      solarEvents: ["solarNoon"],
+      sunElevations: [{ degrees: 20, direction: "setting" }],
+      sunAzimuths: [180],
+    }).isValid,
+    true,
+  );
+
+  assert.deepEqual(validateSchedule({ mode: "solar" }).errors, [
+    "Solar mode requires at least one sun event, elevation or azimuth",
+  ]);
+  assert.deepEqual(
+    validateSchedule({
+      mode: "solar",
+      solarEvents: ["teaTime"],
+      sunElevations: [{ degrees: 95, direction: "up" }],
+      sunAzimuths: [360],
+    }).errors,
+    [
+      "Unknown solar event: teaTime",
+      "Sun elevation must be between -18 and 90 degrees",
+      'Sun elevation direction must be "rising" or "setting"',
+      "Sun azimuth must be between 0 and 360 degrees",
+    ],
+  );
+});
+
+test("validateSchedule - calendar rules", () => {
+  assert.equal(
+    validateSchedule({
+      ...NOON_UTC,
+      days: ["weekdays", "sat"],
+      excludeDates: ["2025-12-25", "01-01"],
+      rules: [
+        { from: "11-01", to: "02-28", skip: true },
+        { dates: ["2025-07-04"], schedule: { fixedTimes: ["09:00"] } },
+      ],
+    }).isValid,
+    true,
+  );
+
+  assert.deepEqual(
+    validateSchedule({
+      ...NOON_UTC,
+      days: ["someday"],
+      excludeDates: ["Christmas"],
+      rules: [
+        { name: "summer", from: "2025-04-01", to: "10-31", skip: true },
+        { dates: ["07-04"] },
+        { schedule: { mode: "interval", interval: { shotsPerHour: 0 } } },
+      ],
+    }).errors,
+    [
+      "days must list day names (sun, mon, tue, wed, thu, fri, sat, weekdays or weekends)",
+      "Excluded dates must be YYYY-MM-DD or MM-DD: Christmas",
+      "Rule summer: from and to must both be YYYY-MM-DD or both MM-DD",
+      "Rule 2: dates must be YYYY-MM-DD: 07-04",
+      'Rule 2: needs a schedule or "skip": true',
+      "Rule 3: Interval mode requires shotsPerHour configuration",
+      "Rule 3: shotsPerHour must be between 1 and 60",
+    ],
+  );
+});
+
+test("validateSchedule - unknown timezone", () => {
+  const schedule = {
+    mode: "fixed-time",
+    fixedTimes: ["12:00"],
+    timezone: "Mars/Olympus_Mons",
+  };
+
+  const result = validateSchedule(schedule);
+
+  assert.equal(result.isValid, false);
+  assert.deepEqual(result.errors, ["Unknown timezone: Mars/Olympus_Mons"]);
+});
+
+// ============================================
+// describeSchedule
+// ============================================
+
+test("describeSchedule - summarizes each mode", () => {
+  assert.equal(
+    describeSchedule({ mode: "fixed-time", fixedTimes: ["12:00", "18:00"] }),
+    "12:00, 18:00",
+  );
+  assert.equal(
+    describeSchedule({
+      mode: "interval",
+      interval: { shotsPerHour: 4 },
+      window: { startHour: "06:00", endHour: "20:00" },
+    }),
+    "4 shots/hour, 06:00-20:00",
+  );
+  assert.equal(
+    describeSchedule({
+      mode: "sunrise-sunset",
+      captureSunset: false,
+      interval: { shotsPerHour: 2 },
+    }),
+    "sunrise + 2 shots/hour between",
+  );
+  assert.equal(
+    describeSchedule({ mode: "sunrise-sunset" }),
+    "sunrise + sunset",
+  );
+  assert.equal(
+    describeSchedule({
+      mode: "solar",
+      solarEvents: ["goldenHourMorning", "solarNoon"],
+      sunElevations: [{ degrees: 30, direction: "setting" }],
+      sunAzimuths: [180],
+    }),
+    "morning golden hour + solar noon + sun at 30° setting + sun bearing 180°",
+  );
+  assert.equal(
+    describeSchedule({
+      ...NOON_UTC,
+      days: ["weekdays"],
+      excludeDates: ["12-25"],
+      rules: [{ from: "11-01", to: "02-28", skip: true }],
+    }),
+    "12:00 (weekdays), 1 excluded date(s), 1 calendar rule(s)",
+  );
+});
+
 // ============================================
 // formatSlotTime
 // ============================================
@@ -305,6 +730,30 @@ test("formatSlotTime - formats midnight correctly", () => {
   assert.equal(formatted, "00:00");
 });
 
+// ============================================
+// formatSnapshotName
+// ============================================
+
+test("formatSnapshotName - builds YYYY-MM-DD_HHMM.jpg names", () => {
+  const slot = new Date(2025, 0, 5, 7, 5);
+
+  const name = formatSnapshotName(slot);
+
+  assert.equal(name.date, "2025-01-05");
+  assert.equal(name.time, "0705");
+  assert.equal(name.filename, "2025-01-05_0705.jpg");
+});
+
+test("formatSnapshotName - uses the wall clock of a timezone", () => {
+  const slot = new Date("2025-01-05T07:05:00Z");
+
+  assert.equal(
+    formatSnapshotName(slot, "America/Los_Angeles").filename,
+    "2025-01-04_2305.jpg",
+  );
+  assert.equal(formatSnapshotName(slot, "UTC").filename, "2025-01-05_0705.jpg");
+});
+
 // ============================================
 // getSlotsForDateRange
 // ============================================
@@ -398,3 +847,26 @@ test("getNextCaptureTime - returns future time", () => {
     assert.ok(result > now);
   }
 });
+
+test("getNextCaptureTime - looks after the given time", () => {
+  const schedule = {
+    mode: "fixed-time",
+    fixedTimes: ["09:00", "17:00"],
+    timezone: "UTC",
+    days: ["mon", "tue", "wed", "thu", "fri"],
+  };
+
+  assert.deepEqual(
+    getNextCaptureTime(schedule, null, new Date("2025-06-16T09:00:00Z")),
+    new Date("2025-06-16T17:00:00Z"),
+  );
+  assert.deepEqual(
+    getNextCaptureTime(schedule, null, new Date("2025-06-16T18:00:00Z")),
+    new Date("2025-06-17T09:00:00Z"),
+  );
+  // Friday evening: nothing today or tomorrow
+  assert.equal(
+    getNextCaptureTime(schedule, null, new Date("2025-06-20T18:00:00Z")),
+    null,
+  );
+});
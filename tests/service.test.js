@@ -0,0 +1,284 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile, access } from "node:fs/promises";
+import path from "node:path";
+
+import { applyDefaults } from "../config.js";
+import {
+  LAUNCHD_LABEL,
+  buildServicePath,
+  createLaunchdPlist,
+  createSystemdUnits,
+  getCaptureCalendar,
+  getServicePlatform,
+  getServiceStatus,
+  installService,
+  listActiveSchedulers,
+  uninstallService,
+} from "../service.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const ENV = { PATH: "/home/me/bin:/usr/bin" };
+const EXEC_PATH = "/opt/node 20/bin/node";
+
+const FIXED = applyDefaults({
+  schedule: { fixedTimes: ["12:00"], timezone: "America/New_York" },
+  cameras: [
+    { id: "front", name: "Front" },
+    { id: "back", name: "Back", schedule: { fixedTimes: ["7:30", "12:00"] } },
+  ],
+});
+
+const INTERVAL = applyDefaults({
+  schedule: { mode: "interval", timezone: "UTC" },
+  cameras: [{ id: "front", name: "Front" }],
+});
+
+// ============================================
+// Platform, PATH and run times
+// ============================================
+
+test("getServicePlatform - maps Linux to systemd and macOS to launchd", () => {
+  assert.equal(getServicePlatform("linux"), "systemd");
+  assert.equal(getServicePlatform("darwin"), "launchd");
+  assert.equal(getServicePlatform("win32"), null);
+});
+
+test("buildServicePath - puts Node first and keeps the shell PATH", () => {
+  assert.equal(
+    buildServicePath(ENV, "/usr/bin/node"),
+    "/usr/bin:/home/me/bin:/opt/homebrew/bin:/usr/local/bin:/bin",
+  );
+});
+
+test("getCaptureCalendar - runs at fixed times, otherwise every 15 minutes", () => {
+  assert.deepEqual(getCaptureCalendar(FIXED), {
+    times: ["07:30", "12:00"],
+    timezone: "America/New_York",
+  });
+  assert.deepEqual(getCaptureCalendar(INTERVAL), { everyMinutes: 15 });
+
+  const seasonal = applyDefaults({
+    schedule: {
+      fixedTimes: ["12:00"],
+      timezone: "UTC",
+      rules: [
+        { from: "06-01", to: "08-31", schedule: { fixedTimes: ["08:00"] } },
+      ],
+    },
+    cameras: [{ id: "front" }],
+  });
+  assert.deepEqual(getCaptureCalendar(seasonal), { everyMinutes: 15 });
+});
+
+// ============================================
+// Generated files
+// ============================================
+
+test("createSystemdUnits - writes a oneshot service and a timer", async () => {
+  await withTempConfigDir(async (dir) => {
+    const units = createSystemdUnits(FIXED, { env: ENV, execPath: EXEC_PATH });
+    const service = units["lawn-lapse.service"];
+
+    assert.match(service, /^Type=oneshot$/m);
+    assert.match(
+      service,
+      /^ExecStart="\/opt\/node 20\/bin\/node" ".*\/capture-and-timelapse\.js"$/m,
+    );
+    assert.match(
+      service,
+      /^Environment="PATH=\/opt\/node 20\/bin:\/home\/me\/bin:\/usr\/bin:/m,
+    );
+    assert.ok(service.includes(`Environment="LAWN_LAPSE_CONFIG_DIR=${dir}"`));
+    assert.ok(
+      service.includes(
+        `StandardOutput=append:${path.join(dir, "logs", "lawn-lapse.log")}`,
+      ),
+    );
+
+    const timer = units["lawn-lapse.timer"];
+    assert.match(timer, /^OnCalendar=\*-\*-\* 07:30:00 America\/New_York$/m);
+    assert.match(timer, /^OnCalendar=\*-\*-\* 12:00:00 America\/New_York$/m);
+    assert.match(timer, /^Persistent=true$/m);
+    assert.match(
+      createSystemdUnits(INTERVAL, { env: ENV })["lawn-lapse.timer"],
+      /^OnCalendar=\*:0\/15$/m,
+    );
+  });
+});
+
+test("createSystemdUnits - runs the daemon without a timer and escapes % and $", () => {
+  const units = createSystemdUnits(FIXED, {
+    daemon: true,
+    env: ENV,
+    execPath: "/home/50%$off/node",
+  });
+
+  assert.deepEqual(Object.keys(units), ["lawn-lapse.service"]);
+  assert.match(
+    units["lawn-lapse.service"],
+    /^ExecStart="\/home\/50%%\$\$off\/node" ".*\/lawn-lapse\.js" "daemon"$/m,
+  );
+  assert.match(units["lawn-lapse.service"], /^Restart=on-failure$/m);
+});
+
+test("createLaunchdPlist - uses calendar intervals in the host timezone", () => {
+  const plist = createLaunchdPlist(FIXED, {
+    env: ENV,
+    execPath: "/usr/local/bin/node",
+    hostTimezone: "America/New_York",
+  });
+
+  assert.ok(plist.includes(`<string>${LAUNCHD_LABEL}</string>`));
+  assert.ok(plist.includes("<key>StartCalendarInterval</key>"));
+  assert.ok(
+    plist.includes(
+      "<key>Hour</key>\n      <integer>7</integer>\n      <key>Minute</key>\n      <integer>30</integer>",
+    ),
+  );
+  assert.ok(plist.includes("<string>/usr/local/bin/node</string>"));
+  assert.ok(!plist.includes("KeepAlive"));
+
+  // launchd can't run in another timezone, so it polls instead
+  const elsewhere = createLaunchdPlist(FIXED, {
+    env: ENV,
+    hostTimezone: "Europe/Paris",
+  });
+  assert.ok(
+    elsewhere.includes("<key>StartInterval</key>\n  <integer>900</integer>"),
+  );
+});
+
+test("createLaunchdPlist - keeps the daemon alive and escapes XML", () => {
+  const plist = createLaunchdPlist(INTERVAL, {
+    daemon: true,
+    env: { PATH: "/a&b<c>" },
+  });
+
+  assert.ok(plist.includes("<key>KeepAlive</key>\n  <true/>"));
+  assert.ok(plist.includes("/a&amp;b&lt;c&gt;"));
+  assert.ok(plist.includes("<string>daemon</string>"));
+});
+
+// ============================================
+// install / uninstall / status
+// ============================================
+
+test("installService - writes the units, enables the timer and replaces an old install", async () => {
+  await withTempConfigDir(async (dir) => {
+    const commands = [];
+    const run = (command, args) => {
+      commands.push([command, ...args].join(" "));
+      if (args.includes("is-active")) {
+        return "active\n";
+      }
+      return "";
+    };
+    const options = { platform: "systemd", run, homeDir: dir, env: ENV };
+    const unitDir = path.join(dir, ".config", "systemd", "user");
+
+    const result = await installService(FIXED, options);
+    assert.deepEqual(result.files, [
+      path.join(unitDir, "lawn-lapse.service"),
+      path.join(unitDir, "lawn-lapse.timer"),
+    ]);
+    assert.match(
+      await readFile(path.join(unitDir, "lawn-lapse.timer"), "utf8"),
+      /OnCalendar/,
+    );
+    await access(path.join(dir, "logs"));
+    assert.deepEqual(commands, [
+      "systemctl --user daemon-reload",
+      "systemctl --user enable --now lawn-lapse.timer",
+    ]);
+
+    assert.deepEqual(await getServiceStatus(options), {
+      platform: "systemd",
+      installed: true,
+      active: true,
+      mode: "timer",
+      files: [
+        path.join(unitDir, "lawn-lapse.timer"),
+        path.join(unitDir, "lawn-lapse.service"),
+      ],
+    });
+
+    // Switching to the daemon removes the timer first
+    commands.length = 0;
+    await installService(FIXED, { ...options, daemon: true });
+    assert.deepEqual(commands, [
+      "systemctl --user disable --now lawn-lapse.timer",
+      "systemctl --user disable --now lawn-lapse.service",
+      "systemctl --user daemon-reload",
+      "systemctl --user daemon-reload",
+      "systemctl --user enable --now lawn-lapse.service",
+    ]);
+    assert.equal((await getServiceStatus(options)).mode, "daemon");
+
+    assert.deepEqual(await uninstallService(options), [
+      path.join(unitDir, "lawn-lapse.service"),
+    ]);
+    assert.equal((await getServiceStatus(options)).installed, false);
+  });
+});
+
+test("getServiceStatus - reports a launchd agent that is not loaded", async () => {
+  await withTempConfigDir(async (dir) => {
+    const options = {
+      platform: "launchd",
+      homeDir: dir,
+      env: ENV,
+      run: (command, args) => {
+        if (args[0] === "list") {
+          throw new Error("Could not find service");
+        }
+        return "";
+      },
+    };
+
+    await installService(INTERVAL, options);
+    const status = await getServiceStatus(options);
+
+    assert.equal(status.installed, true);
+    assert.equal(status.active, false);
+    assert.equal(status.mode, "timer");
+    assert.deepEqual(status.files, [
+      path.join(dir, "Library", "LaunchAgents", `${LAUNCHD_LABEL}.plist`),
+    ]);
+  });
+});
+
+// ============================================
+// listActiveSchedulers
+// ============================================
+
+test("listActiveSchedulers - counts a daemon run by the service once", () => {
+  assert.deepEqual(
+    listActiveSchedulers({ cron: false, service: null, daemonRunning: false }),
+    [],
+  );
+  assert.deepEqual(
+    listActiveSchedulers({
+      cron: true,
+      service: { platform: "systemd", active: true, mode: "timer" },
+      daemonRunning: false,
+    }),
+    ["cron", "systemd timer"],
+  );
+  assert.deepEqual(
+    listActiveSchedulers({
+      cron: false,
+      service: { platform: "launchd", active: true, mode: "daemon" },
+      daemonRunning: true,
+    }),
+    ["launchd agent (daemon)"],
+  );
+  assert.deepEqual(
+    listActiveSchedulers({
+      cron: false,
+      service: { platform: "systemd", active: false, mode: "timer" },
+      daemonRunning: true,
+    }),
+    ["lawn daemon"],
+  );
+});
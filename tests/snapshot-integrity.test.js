@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { mkdtemp, mkdir, writeFile, readdir, access } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  readJpegInfo,
+  writeSnapshotAtomically,
+  getQuarantineDir,
+  verifySnapshots,
+} from "../snapshot-integrity.js";
+import { loadLedger } from "../ledger.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+// Smallest structurally complete baseline JPEG header + scan (2x1 pixels)
+const TINY_JPEG = Buffer.from([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x01, 0x00, 0x02, 0x03, 0x01,
+  0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xda, 0x00, 0x0c, 0x03,
+  0x01, 0x00, 0x02, 0x11, 0x03, 0x11, 0x00, 0x3f, 0x00, 0x12, 0x34, 0xff, 0xd9,
+]);
+
+// ============================================
+// readJpegInfo
+// ============================================
+
+test("readJpegInfo - reads dimensions of a complete JPEG", () => {
+  assert.deepEqual(readJpegInfo(TINY_JPEG), { width: 2, height: 1 });
+});
+
+test("readJpegInfo - allows bytes after the end-of-image marker", () => {
+  const padded = Buffer.concat([TINY_JPEG, Buffer.alloc(16)]);
+  assert.deepEqual(readJpegInfo(padded), { width: 2, height: 1 });
+
+  // Padding doesn't hide a missing end-of-image marker
+  assert.throws(
+    () =>
+      readJpegInfo(
+        Buffer.concat([
+          TINY_JPEG.subarray(0, TINY_JPEG.length - 2),
+          Buffer.alloc(16),
+        ]),
+      ),
+    /Corrupt JPEG: truncated image data/,
+  );
+});
+
+test("readJpegInfo - rejects truncated and non-JPEG data", () => {
+  assert.throws(
+    () => readJpegInfo(TINY_JPEG.subarray(0, TINY_JPEG.length - 2)),
+    /Corrupt JPEG: truncated image data/,
+  );
+  assert.throws(
+    () => readJpegInfo(TINY_JPEG.subarray(0, 10)),
+    /Corrupt JPEG: truncated header/,
+  );
+  assert.throws(
+    () => readJpegInfo(Buffer.from("<html></html>")),
+    /missing start-of-image/,
+  );
+  assert.throws(() => readJpegInfo(Buffer.alloc(0)), /Corrupt JPEG/);
+});
+
+test("readJpegInfo - rejects zero dimensions", () => {
+  const zeroWidth = Buffer.from(TINY_JPEG);
+  zeroWidth.writeUInt16BE(0, 9);
+
+  assert.throws(() => readJpegInfo(zeroWidth), /zero image dimensions/);
+});
+
+// ============================================
+// writeSnapshotAtomically
+// ============================================
+
+test("writeSnapshotAtomically - only renames complete frames into place", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "lawn-integrity-"));
+  const outputPath = path.join(dir, "2025-06-15_1200.jpg");
+
+  await assert.rejects(
+    writeSnapshotAtomically(outputPath, (partialPath) =>
+      writeFile(partialPath, TINY_JPEG.subarray(0, 30)),
+    ),
+    /Corrupt JPEG/,
+  );
+  assert.deepEqual(await readdir(dir), []);
+
+  const dimensions = await writeSnapshotAtomically(outputPath, (partialPath) =>
+    writeFile(partialPath, TINY_JPEG),
+  );
+  assert.deepEqual(dimensions, { width: 2, height: 1 });
+  assert.deepEqual(await readdir(dir), ["2025-06-15_1200.jpg"]);
+});
+
+// ============================================
+// verifySnapshots
+// ============================================
+
+test("verifySnapshots - quarantines corrupt snapshots and records them as failed", async () => {
+  await withTempConfigDir(async (dir) => {
+    const camera = { id: "cam1", snapshotDir: path.join(dir, "snapshots") };
+    await mkdir(camera.snapshotDir);
+    await writeFile(
+      path.join(camera.snapshotDir, "2025-06-14_1200.jpg"),
+      TINY_JPEG,
+    );
+    await writeFile(
+      path.join(camera.snapshotDir, "2025-06-15_1200.jpg"),
+      TINY_JPEG.subarray(0, 30),
+    );
+
+    const preview = await verifySnapshots(camera, { dryRun: true });
+    assert.equal(preview.checked, 2);
+    assert.deepEqual(
+      preview.corrupt.map((c) => c.filename),
+      ["2025-06-15_1200.jpg"],
+    );
+    await access(path.join(camera.snapshotDir, "2025-06-15_1200.jpg"));
+    // Not even the snapshots adopted from the directory are recorded
+    assert.equal((await loadLedger("cam1")).size, 0);
+
+    const result = await verifySnapshots(camera);
+    assert.equal(result.corrupt.length, 1);
+    assert.deepEqual(await readdir(camera.snapshotDir), [
+      "2025-06-14_1200.jpg",
+    ]);
+    assert.deepEqual(await readdir(getQuarantineDir("cam1")), [
+      "2025-06-15_1200.jpg",
+    ]);
+
+    const ledger = await loadLedger("cam1");
+    assert.equal(ledger.get("2025-06-15_1200.jpg").outcome, "failed");
+    assert.equal(ledger.get("2025-06-15_1200.jpg").errorCategory, "corrupt");
+    assert.equal(ledger.get("2025-06-14_1200.jpg").outcome, "captured");
+  });
+});
@@ -0,0 +1,306 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdir, readdir, stat, utimes } from "node:fs/promises";
+import path from "node:path";
+
+import { applyDefaults } from "../config.js";
+import {
+  generateDailyVideo,
+  generateTimelapse,
+  getImageDimensions,
+} from "../encoding.js";
+import {
+  DEFAULT_STABILIZATION,
+  analyzeStabilization,
+  buildStabilizationFilters,
+  formatTransformFile,
+  getAvailableFilters,
+  loadTransforms,
+  parseTransformFile,
+  resolveStabilization,
+  validateStabilization,
+} from "../stabilization.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const NEEDS_VIDSTAB = (await getAvailableFilters())?.has("vidstabdetect")
+  ? false
+  : "ffmpeg is not installed or lacks libvidstab";
+
+const TRF = `VID.STAB 1
+#      accuracy = 15
+#     shakiness = 5
+Frame 1 (List 0 [])
+Frame 2 (List 2 [(LM 6 0 399 81 48 0.63 0.24),(LM 6 0 452 81 48 0.54 0.18)])
+Frame 4 (List 1 [(LM -7 -5 399 81 48 0.62 0.28)])
+`;
+
+// ============================================
+// Settings
+// ============================================
+
+test("resolveStabilization - merges settings over the defaults", () => {
+  assert.equal(resolveStabilization(null), null);
+  assert.equal(resolveStabilization(false), null);
+  assert.deepEqual(resolveStabilization(true), DEFAULT_STABILIZATION);
+  assert.equal(resolveStabilization({ borders: "black" }).borders, "black");
+
+  assert.throws(
+    () => resolveStabilization({ borders: "blur" }),
+    /Unknown stabilization borders "blur" \(expected one of: zoom, black, keep\)/,
+  );
+  assert.throws(
+    () => resolveStabilization({ shakiness: 11 }),
+    /shakiness must be a whole number from 1 to 10/,
+  );
+  assert.throws(
+    () => resolveStabilization({ accuracy: 0 }),
+    /accuracy must be a whole number from 1 to 15/,
+  );
+  assert.throws(
+    () => resolveStabilization({ reference: 3 }),
+    /reference must be a snapshot filename/,
+  );
+});
+
+// ============================================
+// Transform files
+// ============================================
+
+test("parseTransformFile - reads each frame's motions in order", () => {
+  assert.deepEqual(parseTransformFile(TRF), [
+    "List 0 []",
+    "List 2 [(LM 6 0 399 81 48 0.63 0.24),(LM 6 0 452 81 48 0.54 0.18)]",
+    "List 0 []",
+    "List 1 [(LM -7 -5 399 81 48 0.62 0.28)]",
+  ]);
+});
+
+test("formatTransformFile - numbers frames in playback order", () => {
+  assert.equal(
+    formatTransformFile([
+      "List 1 [(LM -7 -5 399 81 48 0.62 0.28)]",
+      "List 0 []",
+    ]),
+    [
+      "VID.STAB 1",
+      "Frame 1 (List 1 [(LM -7 -5 399 81 48 0.62 0.28)])",
+      "Frame 2 (List 0 [])",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("buildStabilizationFilters - transforms at the reference size", () => {
+  assert.deepEqual(
+    buildStabilizationFilters(resolveStabilization(true), {
+      transformsPath: "C:/snaps/transforms-2025-06-01.trf",
+      width: 1920,
+      height: 1080,
+    }),
+    [
+      "scale=1920:1080",
+      "format=yuv420p",
+      "vidstabtransform=tripod=1:optzoom=1:crop=black:input=C\\\\:/snaps/transforms-2025-06-01.trf",
+    ],
+  );
+});
+
+// ============================================
+// validateStabilization
+// ============================================
+
+test("validateStabilization - checks settings always and vidstab when known", async () => {
+  const config = applyDefaults({
+    cameras: [{ id: "a", name: "Front", video: { stabilize: true } }],
+  });
+  const vidstab = new Set(["vidstabdetect", "vidstabtransform"]);
+
+  await validateStabilization(config, { filters: vidstab });
+  await validateStabilization(config, { filters: null });
+  await assert.rejects(
+    validateStabilization(config, { filters: new Set(["scale"]) }),
+    /^Error: Invalid stabilization in camera Front: Stabilization needs ffmpeg built with libvidstab/,
+  );
+  await assert.rejects(
+    validateStabilization(
+      applyDefaults({ videoDefaults: { stabilize: { borders: "fill" } } }),
+      { filters: null },
+    ),
+    /Invalid stabilization in videoDefaults: Unknown stabilization borders "fill"/,
+  );
+
+  await validateStabilization(applyDefaults({}));
+});
+
+// ============================================
+// analyzeStabilization
+// ============================================
+
+/**
+ * Runs ffmpeg to completion
+ * @param {Array<string>} args - ffmpeg arguments
+ * @returns {Promise<void>}
+ */
+async function ffmpeg(args) {
+  await new Promise((resolve, reject) => {
+    const child = spawn("ffmpeg", ["-loglevel", "error", ...args], {
+      stdio: "ignore",
+    });
+    child.on("close", (code) =>
+      code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}`)),
+    );
+    child.on("error", reject);
+  });
+}
+
+/**
+ * Writes snapshots cut from one detailed image at the given offsets,
+ * as if the camera had been nudged between captures
+ * @param {string} dir - Snapshot directory
+ * @param {Object<string, [number, number]>} offsets - Crop offset per filename
+ * @returns {Promise<void>}
+ */
+async function renderShiftedSnapshots(dir, offsets) {
+  const scene = path.join(dir, "scene.png");
+  await ffmpeg([
+    "-f",
+    "lavfi",
+    "-i",
+    "mandelbrot=size=400x260:start_scale=1.5",
+    "-frames:v",
+    "1",
+    "-y",
+    scene,
+  ]);
+  for (const [filename, [x, y]] of Object.entries(offsets)) {
+    await ffmpeg([
+      "-i",
+      scene,
+      "-vf",
+      `crop=320:180:${x}:${y}`,
+      "-q:v",
+      "2",
+      "-y",
+      path.join(dir, filename),
+    ]);
+  }
+}
+
+test(
+  "analyzeStabilization - measures each snapshot against the reference once",
+  { skip: NEEDS_VIDSTAB },
+  async () => {
+    await withTempConfigDir(async (dir) => {
+      const snapshotDir = path.join(dir, "snapshots");
+      await mkdir(snapshotDir);
+      await renderShiftedSnapshots(snapshotDir, {
+        "2025-06-01_1200.jpg": [40, 40],
+        "2025-06-02_1200.jpg": [46, 40],
+        "2025-06-03_1200.jpg": [34, 45],
+      });
+      const files = [
+        "2025-06-01_1200.jpg",
+        "2025-06-02_1200.jpg",
+        "2025-06-03_1200.jpg",
+      ];
+      const settings = resolveStabilization(true);
+
+      const first = await analyzeStabilization(
+        "cam/1",
+        snapshotDir,
+        files,
+        settings,
+        getImageDimensions,
+      );
+      assert.equal(first.measured, 3);
+      const { filename, width, height } = first.cache.reference;
+      assert.deepEqual([filename, width, height], [files[0], 320, 180]);
+      const motions = (filename) =>
+        first.cache.transforms.get(filename).motions;
+      assert.match(motions("2025-06-02_1200.jpg"), /\(LM 6 0 /);
+      assert.match(motions("2025-06-03_1200.jpg"), /\(LM -6 5 /);
+
+      // Cached motions are reused, and survive a reload
+      const second = await analyzeStabilization(
+        "cam/1",
+        snapshotDir,
+        files.slice(1),
+        settings,
+        getImageDimensions,
+      );
+      assert.equal(second.measured, 0);
+      assert.deepEqual(
+        (await loadTransforms("cam/1")).transforms,
+        first.cache.transforms,
+      );
+
+      // A changed snapshot is measured again
+      const earlier = new Date(Date.now() - 60_000);
+      await utimes(path.join(snapshotDir, files[2]), earlier, earlier);
+      const third = await analyzeStabilization(
+        "cam/1",
+        snapshotDir,
+        files,
+        settings,
+        getImageDimensions,
+      );
+      assert.equal(third.measured, 1);
+
+      // Other detection settings start over
+      const stricter = await analyzeStabilization(
+        "cam/1",
+        snapshotDir,
+        files,
+        { ...settings, shakiness: 8 },
+        getImageDimensions,
+      );
+      assert.equal(stricter.measured, 3);
+
+      const camera = {
+        id: "cam/1",
+        snapshotDir,
+        timelapseDir: path.join(dir, "videos"),
+        video: {
+          fps: 4,
+          quality: 30,
+          interpolate: false,
+          stabilize: { shakiness: 8, borders: "black" },
+        },
+      };
+      assert.ok(await generateTimelapse(camera, {}, 12, 0, files));
+      assert.ok(
+        !(await readdir(snapshotDir)).some(
+          (f) => f.endsWith(".txt") || f.endsWith(".trf"),
+        ),
+      );
+
+      // Cached daily videos follow the stabilization settings and reference
+      const renderDaily = async () => {
+        const output = await generateDailyVideo(
+          {
+            date: "2025-06-01",
+            snapshots: files.map((filename) => ({ filename })),
+          },
+          snapshotDir,
+          camera.timelapseDir,
+          camera,
+          {},
+        );
+        return (await stat(output)).mtimeMs;
+      };
+      const rendered = await renderDaily();
+      assert.equal(await renderDaily(), rendered);
+
+      camera.video.stabilize = { shakiness: 8, borders: "keep" };
+      const keep = await renderDaily();
+      assert.notEqual(keep, rendered);
+
+      // Older than the video, so only the fingerprint can tell
+      const reference = path.join(snapshotDir, files[0]);
+      const replaced = new Date(Date.now() - 120_000);
+      await utimes(reference, replaced, replaced);
+      assert.notEqual(await renderDaily(), keep);
+    });
+  },
+);
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { applyDefaults } from "../config.js";
+import {
+  ENCODING_PROFILES,
+  getAvailableEncoders,
+  getFfmpegList,
+  resolveEncodingProfile,
+  validateEncodingProfiles,
+} from "../video-profiles.js";
+
+const ALL_ENCODERS = new Set([
+  "libx264",
+  "libx265",
+  "libvpx-vp9",
+  "libsvtav1",
+  "libaom-av1",
+]);
+
+// ============================================
+// resolveEncodingProfile
+// ============================================
+
+test("resolveEncodingProfile - resolves the built-in profiles", () => {
+  assert.deepEqual(Object.keys(ENCODING_PROFILES), [
+    "archive",
+    "web",
+    "share",
+    "compact",
+  ]);
+
+  assert.deepEqual(
+    resolveEncodingProfile("archive", { fps: 24, encoders: ALL_ENCODERS }),
+    {
+      codec: "libx265",
+      codecName: "hevc",
+      presetFlag: "-preset",
+      preset: "slow",
+      crf: 18,
+      fps: 24,
+      pixelFormat: "yuv420p",
+      args: ["-tag:v", "hvc1"],
+    },
+  );
+
+  const share = resolveEncodingProfile("share", { fps: 10 });
+  assert.equal(share.codec, "libx264");
+  assert.equal(share.preset, "medium");
+  assert.equal(share.crf, 28);
+  assert.deepEqual(share.args, ["-movflags", "+faststart"]);
+});
+
+test("resolveEncodingProfile - falls back to libaom and its own speed setting", () => {
+  const svt = resolveEncodingProfile(
+    { codec: "av1", preset: "4" },
+    { fps: 24, encoders: ALL_ENCODERS },
+  );
+  assert.equal(svt.codec, "libsvtav1");
+  assert.equal(svt.preset, "4");
+
+  const aom = resolveEncodingProfile(
+    { codec: "av1", preset: "4" },
+    { fps: 24, encoders: new Set(["libx264", "libaom-av1"]) },
+  );
+  assert.equal(aom.codec, "libaom-av1");
+  assert.equal(aom.presetFlag, "-cpu-used");
+  assert.equal(aom.preset, "6");
+  assert.equal(aom.crf, 35);
+  assert.deepEqual(aom.args, ["-b:v", "0", "-row-mt", "1"]);
+});
+
+test("resolveEncodingProfile - takes custom profiles and rejects unknown ones", () => {
+  const vp9 = resolveEncodingProfile(
+    { codec: "vp9", crf: 28 },
+    { fps: 24, encoders: ALL_ENCODERS },
+  );
+  assert.equal(vp9.codec, "libvpx-vp9");
+  assert.equal(vp9.crf, 28);
+
+  assert.throws(
+    () => resolveEncodingProfile("tiny", { fps: 24 }),
+    /Unknown video profile "tiny" \(expected one of: archive, web, share, compact\)/,
+  );
+  assert.throws(
+    () => resolveEncodingProfile({ codec: "theora" }, { fps: 24 }),
+    /Unknown video codec "theora"/,
+  );
+  assert.throws(
+    () =>
+      resolveEncodingProfile("compact", {
+        fps: 24,
+        encoders: new Set(["libx264"]),
+      }),
+    /needs libsvtav1 or libaom-av1, which this ffmpeg build does not include/,
+  );
+});
+
+// ============================================
+// validateEncodingProfiles
+// ============================================
+
+test("validateEncodingProfiles - checks names always and encoders when known", async () => {
+  const config = applyDefaults({
+    cameras: [{ id: "a", name: "Front", video: { profile: "compact" } }],
+  });
+
+  await validateEncodingProfiles(config, { encoders: ALL_ENCODERS });
+  // Without ffmpeg only the names can be checked
+  await validateEncodingProfiles(config, { encoders: null });
+  await assert.rejects(
+    validateEncodingProfiles(config, { encoders: new Set(["libx264"]) }),
+    /^Error: Invalid video profile in camera Front: Video profile "compact" needs/,
+  );
+  await assert.rejects(
+    validateEncodingProfiles(
+      applyDefaults({ videoDefaults: { profile: "huge" } }),
+      { encoders: null },
+    ),
+    /Invalid video profile in videoDefaults: Unknown video profile "huge"/,
+  );
+
+  // Nothing to check without a profile
+  await validateEncodingProfiles(applyDefaults({}));
+});
+
+// ============================================
+// getFfmpegList
+// ============================================
+
+test("getFfmpegList - runs each listing once", async () => {
+  const pattern = /^\s*V[.A-Z]{5}\s+(\S+)/;
+  assert.equal(
+    getFfmpegList("encoders", pattern),
+    getFfmpegList("encoders", pattern),
+  );
+
+  const encoders = await getAvailableEncoders();
+  // null without ffmpeg; otherwise H.264 is in every build this project supports
+  assert.ok(encoders === null || encoders.has("libx264"));
+});
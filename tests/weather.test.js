@@ -0,0 +1,300 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  DEFAULT_WEATHER,
+  CsvWeatherProvider,
+  OpenMeteoProvider,
+  WeatherLookup,
+  classifyObservation,
+  createWeatherLookup,
+  createWeatherProvider,
+  filterSnapshotsByWeather,
+  hasExcludedWeather,
+  parseWeatherCsv,
+  registerWeatherProvider,
+  resolveWeatherSettings,
+  summarizeWeather,
+} from "../weather.js";
+import { withTempConfigDir } from "./helpers/config-dir.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const SETTINGS = resolveWeatherSettings({ enabled: true });
+
+// ============================================
+// resolveWeatherSettings
+// ============================================
+
+test("resolveWeatherSettings - fills defaults and drops unknown values", () => {
+  assert.deepEqual(resolveWeatherSettings(), DEFAULT_WEATHER);
+
+  const settings = resolveWeatherSettings({
+    enabled: true,
+    action: "delete",
+    conditions: ["rain", "hail"],
+    provider: { path: "weather.csv" },
+  });
+  assert.equal(settings.action, "tag");
+  assert.deepEqual(settings.conditions, ["rain"]);
+  assert.deepEqual(settings.provider, {
+    type: "open-meteo",
+    path: "weather.csv",
+  });
+});
+
+// ============================================
+// classifyObservation
+// ============================================
+
+test("classifyObservation - tags rain, snow, fog and heavy overcast", () => {
+  const tags = (observation) =>
+    classifyObservation({ time: new Date(), ...observation }, SETTINGS);
+
+  assert.deepEqual(tags({ weatherCode: 0, cloudCover: 10 }), []);
+  assert.deepEqual(tags({ weatherCode: 61 }), ["rain"]);
+  assert.deepEqual(tags({ precipitation: 1.2 }), ["rain"]);
+  assert.deepEqual(tags({ precipitation: 0.1 }), []);
+  assert.deepEqual(tags({ precipitation: 2, snowfall: 1.4 }), ["snow"]);
+  assert.deepEqual(tags({ weatherCode: 45, cloudCover: 100 }), [
+    "fog",
+    "overcast",
+  ]);
+  assert.deepEqual(tags({ cloudCover: 90 }), []);
+  assert.deepEqual(tags({ conditions: ["overcast", "hail", "rain"] }), [
+    "rain",
+    "overcast",
+  ]);
+});
+
+test("hasExcludedWeather - only acts on the configured conditions", () => {
+  const settings = resolveWeatherSettings({ conditions: ["rain", "snow"] });
+
+  assert.equal(hasExcludedWeather(["rain"], settings), true);
+  assert.equal(hasExcludedWeather(["overcast"], settings), false);
+  assert.equal(hasExcludedWeather([], settings), false);
+  assert.equal(hasExcludedWeather(null, settings), false);
+});
+
+// ============================================
+// CSV provider
+// ============================================
+
+test("parseWeatherCsv - reads named columns in any order", () => {
+  const observations = parseWeatherCsv(
+    [
+      "Cloud_Cover,time,weather_code,conditions",
+      "100,2025-06-15T13:00:00Z,3,",
+      "20,1749988800,0,fog;rain",
+      ",not a time,0,",
+    ].join("\n"),
+  );
+
+  assert.deepEqual(observations, [
+    {
+      time: new Date("2025-06-15T12:00:00Z"),
+      cloudCover: 20,
+      weatherCode: 0,
+      conditions: ["fog", "rain"],
+    },
+    {
+      time: new Date("2025-06-15T13:00:00Z"),
+      cloudCover: 100,
+      weatherCode: 3,
+    },
+  ]);
+  assert.throws(() => parseWeatherCsv("date,rain\n"), /"time" column/);
+});
+
+test("CsvWeatherProvider - returns observations in range relative to the base directory", async () => {
+  await withTempConfigDir(async (dir) => {
+    await writeFile(
+      path.join(dir, "weather.csv"),
+      "time,precipitation\n2025-06-15T11:00:00Z,0\n2025-06-15T12:00:00Z,3\n2025-06-16T12:00:00Z,0\n",
+    );
+    const provider = new CsvWeatherProvider({ path: "weather.csv" });
+    const observations = await provider.getObservations(
+      new Date("2025-06-15T11:30:00Z"),
+      new Date("2025-06-15T23:00:00Z"),
+    );
+    assert.deepEqual(observations, [
+      { time: new Date("2025-06-15T12:00:00Z"), precipitation: 3 },
+    ]);
+  });
+});
+
+// ============================================
+// Open-Meteo provider
+// ============================================
+
+test("OpenMeteoProvider - requests hourly data and parses the response", async () => {
+  let requested;
+  const server = http.createServer((req, res) => {
+    requested = new URL(req.url, "http://localhost");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        hourly: {
+          time: [1749988800, 1749992400],
+          weather_code: [61, 0],
+          precipitation: [1.5, 0],
+          snowfall: [0, 0],
+          cloud_cover: [100, null],
+        },
+      }),
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/v1/forecast`;
+    const provider = new OpenMeteoProvider({
+      lat: 37.77,
+      lon: -122.42,
+      url,
+      archiveUrl: url.replace("forecast", "archive"),
+    });
+    const observations = await provider.getObservations(
+      new Date("2025-06-14T22:30:00Z"),
+      new Date("2025-06-15T13:30:00Z"),
+    );
+
+    assert.equal(requested.pathname, "/v1/archive");
+    assert.equal(requested.searchParams.get("latitude"), "37.77");
+    assert.equal(requested.searchParams.get("start_date"), "2025-06-14");
+    assert.equal(requested.searchParams.get("end_date"), "2025-06-15");
+    assert.deepEqual(observations, [
+      {
+        time: new Date("2025-06-15T12:00:00Z"),
+        weatherCode: 61,
+        precipitation: 1.5,
+        snowfall: 0,
+        cloudCover: 100,
+      },
+      {
+        time: new Date("2025-06-15T13:00:00Z"),
+        weatherCode: 0,
+        precipitation: 0,
+        snowfall: 0,
+        cloudCover: undefined,
+      },
+    ]);
+
+    await provider.getObservations(
+      new Date(Date.now() - 2 * HOUR_MS),
+      new Date(),
+    );
+    assert.equal(requested.pathname, "/v1/forecast");
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("createWeatherProvider - needs a location for Open-Meteo and a known type", () => {
+  const settings = resolveWeatherSettings({ enabled: true });
+
+  assert.throws(
+    () => createWeatherProvider(settings, { location: { lat: null } }),
+    /needs a location/,
+  );
+  assert.equal(
+    createWeatherProvider(settings, { location: { lat: 1, lon: 2 } }).type,
+    "open-meteo",
+  );
+  assert.throws(
+    () =>
+      createWeatherProvider(
+        resolveWeatherSettings({ provider: { type: "almanac" } }),
+        {},
+      ),
+    /Unknown weather provider "almanac"/,
+  );
+});
+
+// ============================================
+// WeatherLookup
+// ============================================
+
+test("WeatherLookup - uses the nearest observation and caches a week at a time", async () => {
+  const requests = [];
+  registerWeatherProvider("test-stub", () => ({
+    type: "test-stub",
+    async getObservations(start, end) {
+      requests.push([start, end]);
+      return [
+        { time: new Date("2025-06-15T12:00:00Z"), weatherCode: 63 },
+        { time: new Date("2025-06-15T13:00:00Z"), cloudCover: 10 },
+      ];
+    },
+  }));
+  const lookup = createWeatherLookup(
+    resolveWeatherSettings({ enabled: true, provider: { type: "test-stub" } }),
+    {},
+  );
+
+  assert.deepEqual(await lookup.getTags(new Date("2025-06-15T12:20:00Z")), [
+    "rain",
+  ]);
+  assert.deepEqual(await lookup.getTags(new Date("2025-06-15T12:40:00Z")), []);
+  assert.equal(await lookup.getTags(new Date("2025-06-15T18:00:00Z")), null);
+  assert.equal(requests.length, 1);
+  assert.ok(requests[0][0] <= new Date("2025-06-15T00:00:00Z"));
+});
+
+test("WeatherLookup - leaves slots untagged when the provider fails", async () => {
+  const lookup = new WeatherLookup(
+    {
+      type: "broken",
+      async getObservations() {
+        throw new Error("offline");
+      },
+    },
+    SETTINGS,
+  );
+
+  assert.equal(await lookup.getTags(new Date("2025-06-15T12:00:00Z")), null);
+  assert.equal(lookup.warned, true);
+});
+
+test("createWeatherLookup - is off unless enabled and configured", () => {
+  assert.equal(createWeatherLookup(resolveWeatherSettings(), {}), null);
+  assert.equal(
+    createWeatherLookup(SETTINGS, { location: { lat: null, lon: null } }),
+    null,
+  );
+});
+
+// ============================================
+// filterSnapshotsByWeather / summarizeWeather
+// ============================================
+
+test("filterSnapshotsByWeather - leaves out snapshots with filtered weather", () => {
+  const ledger = new Map([
+    ["a.jpg", { outcome: "captured", weather: ["rain"] }],
+    ["b.jpg", { outcome: "captured", weather: ["overcast"] }],
+    ["c.jpg", { outcome: "captured", weather: [] }],
+    ["d.jpg", { outcome: "captured", weather: null }],
+    ["e.jpg", { outcome: "skipped", weather: ["snow"] }],
+  ]);
+  const files = ["a.jpg", "b.jpg", "c.jpg", "d.jpg"];
+  const settings = resolveWeatherSettings({
+    enabled: true,
+    conditions: ["rain", "snow"],
+  });
+
+  assert.deepEqual(filterSnapshotsByWeather(files, ledger, settings), {
+    kept: ["b.jpg", "c.jpg", "d.jpg"],
+    excluded: 1,
+  });
+  assert.deepEqual(
+    filterSnapshotsByWeather(files, ledger, resolveWeatherSettings()),
+    { kept: files, excluded: 0 },
+  );
+  assert.deepEqual(summarizeWeather(ledger, settings), {
+    checked: 3,
+    excluded: 1,
+    skipped: 1,
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @file video-profiles.js
+ * @description Named encoding profiles (archive, web, share, compact) and the codecs behind them
+ * Profiles are selected with `profile` in videoDefaults or a camera's video block,
+ * and checked against the encoders the local ffmpeg build was compiled with
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import { spawn } from "child_process";
+
+import { getSelectedVideoSettings } from "./config.js";
+
+/**
+ * Supported codecs. Each lists its ffmpeg encoders in order of preference,
+ * with the flag and value used for the encoder's speed preset
+ * @type {Object<string, Object>}
+ */
+export const CODECS = {
+  h264: {
+    codecName: "h264",
+    crf: 23,
+    encoders: [{ encoder: "libx264", preset: "slow" }],
+  },
+  h265: {
+    codecName: "hevc",
+    crf: 24,
+    encoders: [
+      // hvc1 tagging lets QuickTime and iOS play the file
+      { encoder: "libx265", preset: "slow", args: ["-tag:v", "hvc1"] },
+    ],
+  },
+  vp9: {
+    codecName: "vp9",
+    crf: 32,
+    encoders: [
+      {
+        encoder: "libvpx-vp9",
+        presetFlag: "-cpu-used",
+        preset: "2",
+        // Constant quality mode needs the bitrate cap turned off
+        args: ["-b:v", "0", "-row-mt", "1"],
+      },
+    ],
+  },
+  av1: {
+    codecName: "av1",
+    crf: 35,
+    encoders: [
+      { encoder: "libsvtav1", preset: "8" },
+      {
+        encoder: "libaom-av1",
+        presetFlag: "-cpu-used",
+        preset: "6",
+        args: ["-b:v", "0", "-row-mt", "1"],
+      },
+    ],
+  },
+};
+
+/**
+ * Built-in profiles. A camera can also give a profile object with the same
+ * fields (codec, crf, preset, faststart) instead of a name
+ * @type {Object<string, Object>}
+ */
+export const ENCODING_PROFILES = {
+  // Near-lossless masters at about half the size of H.264
+  archive: { codec: "h265", crf: 18 },
+  // Plays in every browser; starts playing before it has fully downloaded
+  web: { codec: "h264", crf: 23, faststart: true },
+  // Small clips for chat and wikis
+  share: { codec: "h264", crf: 28, preset: "medium", faststart: true },
+  // Smallest files, for players with AV1 support
+  compact: { codec: "av1", crf: 35 },
+};
+
+const ffmpegLists = new Map();
+
+/**
+ * Runs `ffmpeg -hide_banner -<list>` once per process and collects the name
+ * from every line matching `pattern`
+ * @param {string} list - ffmpeg listing option, e.g. "encoders" or "filters"
+ * @param {RegExp} pattern - Matches a listing line; the first group is the name
+ * @returns {Promise<Set<string>|null>} Names, or null if ffmpeg can't be run
+ */
+export function getFfmpegList(list, pattern) {
+  if (!ffmpegLists.has(list)) {
+    ffmpegLists.set(
+      list,
+      new Promise((resolve) => {
+        const ffmpeg = spawn("ffmpeg", ["-hide_banner", `-${list}`], {
+          stdio: ["ignore", "pipe", "ignore"],
+        });
+
+        let output = "";
+        ffmpeg.stdout.on("data", (data) => {
+          output += data.toString();
+        });
+
+        ffmpeg.on("close", (code) => {
+          if (code !== 0) {
+            resolve(null);
+            return;
+          }
+          const names = new Set();
+          for (const line of output.split("\n")) {
+            const match = line.match(pattern);
+            if (match) {
+              names.add(match[1]);
+            }
+          }
+          resolve(names);
+        });
+
+        ffmpeg.on("error", () => resolve(null));
+      }),
+    );
+  }
+
+  return ffmpegLists.get(list);
+}
+
+/**
+ * Lists the video encoders the local ffmpeg build supports
+ * @async
+ * @returns {Promise<Set<string>|null>} Encoder names, or null if ffmpeg can't be run
+ */
+export async function getAvailableEncoders() {
+  // Encoder lines look like " V....D libx264   libx264 H.264 / AVC ..."
+  return getFfmpegList("encoders", /^\s*V[.A-Z]{5}\s+(\S+)/);
+}
+
+/**
+ * Gets the profile settings for a profile name or object
+ * @param {string|Object} profile - Profile name or {codec, crf?, preset?, faststart?}
+ * @returns {Object} Profile settings
+ * @throws {Error} If the profile or its codec is unknown
+ */
+export function getProfileSettings(profile) {
+  const settings =
+    typeof profile === "string" ? ENCODING_PROFILES[profile] : profile;
+
+  if (!settings) {
+    throw new Error(
+      `Unknown video profile "${profile}" (expected one of: ${Object.keys(ENCODING_PROFILES).join(", ")})`,
+    );
+  }
+  if (!CODECS[settings.codec]) {
+    throw new Error(
+      `Unknown video codec "${settings.codec}" (expected one of: ${Object.keys(CODECS).join(", ")})`,
+    );
+  }
+
+  return settings;
+}
+
+/**
+ * Describes a profile for messages
+ * @param {string|Object} profile - Profile name or object
+ * @returns {string} Description such as "archive" or "custom vp9"
+ */
+export function describeProfile(profile) {
+  return typeof profile === "string" ? profile : `custom ${profile.codec}`;
+}
+
+/**
+ * Resolves a profile into an EncodeJob codec profile
+ * @param {string|Object} profile - Profile name or object
+ * @param {Object} options - Options
+ * @param {number} options.fps - Output frame rate
+ * @param {Set<string>|null} [options.encoders] - Available encoders (null picks the first)
+ * @returns {Object} Codec profile for EncodeJob
+ * @throws {Error} If the profile is unknown or ffmpeg has none of its encoders
+ */
+export function resolveEncodingProfile(profile, { fps, encoders = null }) {
+  const settings = getProfileSettings(profile);
+  const codec = CODECS[settings.codec];
+  const choice = encoders
+    ? codec.encoders.find(({ encoder }) => encoders.has(encoder))
+    : codec.encoders[0];
+
+  if (!choice) {
+    throw new Error(
+      `Video profile "${describeProfile(profile)}" needs ${codec.encoders.map(({ encoder }) => encoder).join(" or ")}, which this ffmpeg build does not include`,
+    );
+  }
+
+  const args = [...(choice.args ?? [])];
+  if (settings.faststart) {
+    args.push("-movflags", "+faststart");
+  }
+
+  return {
+    codec: choice.encoder,
+    codecName: codec.codecName,
+    presetFlag: choice.presetFlag ?? "-preset",
+    // Presets are encoder-specific, so a profile's preset only applies to
+    // the encoder family it was written for
+    preset:
+      settings.preset !== undefined &&
+      choice.encoder === codec.encoders[0].encoder
+        ? settings.preset
+        : choice.preset,
+    crf: settings.crf ?? codec.crf,
+    fps,
+    pixelFormat: "yuv420p",
+    args,
+  };
+}
+
+/**
+ * Checks that every selected profile exists and that ffmpeg can encode it
+ * Encoders are only checked when ffmpeg can be run; without a profile nothing is spawned
+ * @async
+ * @param {Object} config - Configuration with defaults applied
+ * @param {Object} [options] - Options
+ * @param {Set<string>|null} [options.encoders] - Available encoders (detected by default)
+ * @returns {Promise<void>}
+ * @throws {Error} If a profile is unknown or unsupported
+ */
+export async function validateEncodingProfiles(config, options = {}) {
+  const selected = getSelectedVideoSettings(config, "profile");
+  if (selected.length === 0) {
+    return;
+  }
+
+  const encoders =
+    "encoders" in options ? options.encoders : await getAvailableEncoders();
+
+  for (const { where, value: profile } of selected) {
+    try {
+      getProfileSettings(profile);
+      if (encoders) {
+        resolveEncodingProfile(profile, { fps: 1, encoders });
+      }
+    } catch (error) {
+      throw new Error(`Invalid video profile in ${where}: ${error.message}`);
+    }
+  }
+}
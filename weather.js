@@ -0,0 +1,487 @@
+/**
+ * @file weather.js
+ * @description Tags snapshots with the weather at their slot time
+ * Looks up hourly observations from a pluggable weather provider (Open-Meteo
+ * by default, or a local CSV file) so frames taken in rain, snow, fog or heavy
+ * overcast can be skipped at capture time or left out of the videos
+ * @author David E. Weekly
+ * @license MIT
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { getBaseDir } from "./config.js";
+import { OUTCOMES } from "./ledger.js";
+
+/**
+ * Weather conditions a snapshot can be tagged with
+ * @type {Array<string>}
+ */
+export const WEATHER_CONDITIONS = ["rain", "snow", "fog", "overcast"];
+
+/**
+ * Default weather filter settings (overridden by the `weather` config block)
+ * @type {Object}
+ */
+export const DEFAULT_WEATHER = {
+  enabled: false,
+  provider: { type: "open-meteo" },
+  // "tag" keeps the snapshot but leaves it out of videos; "skip" never captures it
+  action: "tag",
+  conditions: [...WEATHER_CONDITIONS],
+  minPrecipitationMm: 0.2,
+  overcastCloudCover: 95,
+};
+
+// WMO weather interpretation codes, as reported by Open-Meteo
+const FOG_CODES = new Set([45, 48]);
+const RAIN_CODES = new Set([
+  51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 80, 81, 82, 95, 96, 99,
+]);
+const SNOW_CODES = new Set([71, 73, 75, 77, 85, 86]);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Observations are fetched a week at a time so backfill makes few requests
+const BLOCK_MS = 7 * DAY_MS;
+
+// Hourly observations further than this from a slot say nothing about it
+const MAX_OBSERVATION_GAP_MS = 90 * 60 * 1000;
+
+// Open-Meteo's forecast API only reaches about three months into the past;
+// older data comes from its archive, which lags by a few days
+const ARCHIVE_AFTER_MS = 80 * DAY_MS;
+
+const OPEN_METEO_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+
+/**
+ * Hourly weather at one point in time; every field but `time` is optional
+ * @typedef {Object} WeatherObservation
+ * @property {Date} time - Observation time
+ * @property {number} [weatherCode] - WMO weather interpretation code
+ * @property {number} [precipitation] - Precipitation in mm over the hour
+ * @property {number} [snowfall] - Snowfall in cm over the hour
+ * @property {number} [cloudCover] - Total cloud cover in percent
+ * @property {Array<string>} [conditions] - Conditions stated outright (see WEATHER_CONDITIONS)
+ */
+
+/**
+ * Interface implemented by every weather provider.
+ *
+ * @typedef {Object} WeatherProvider
+ * @property {string} type - Provider type identifier (matches `weather.provider.type`)
+ * @property {function(Date, Date): Promise<Array<WeatherObservation>>} getObservations - Hourly observations between two times
+ */
+
+/**
+ * Merges the `weather` config block over the defaults
+ * @param {Object} [weather] - `weather` block from lawn.config.json
+ * @returns {Object} Complete settings
+ */
+export function resolveWeatherSettings(weather = {}) {
+  const settings = { ...DEFAULT_WEATHER, ...weather };
+  return {
+    ...settings,
+    provider: { ...DEFAULT_WEATHER.provider, ...weather?.provider },
+    action: settings.action === "skip" ? "skip" : "tag",
+    conditions: (Array.isArray(settings.conditions)
+      ? settings.conditions
+      : DEFAULT_WEATHER.conditions
+    ).filter((condition) => WEATHER_CONDITIONS.includes(condition)),
+    minPrecipitationMm: Math.max(0, Number(settings.minPrecipitationMm) || 0),
+    overcastCloudCover: Number(settings.overcastCloudCover) || 100,
+  };
+}
+
+/**
+ * Derives condition tags from an observation
+ * @param {WeatherObservation} observation - Hourly observation
+ * @param {Object} settings - Resolved weather settings
+ * @returns {Array<string>} Tags in WEATHER_CONDITIONS order (empty for fair weather)
+ */
+export function classifyObservation(observation, settings) {
+  const tags = new Set(observation.conditions ?? []);
+  const code = observation.weatherCode;
+
+  if (SNOW_CODES.has(code) || observation.snowfall > 0) {
+    tags.add("snow");
+  }
+  // Precipitation includes melted snow, so it only means rain without snowfall
+  if (
+    RAIN_CODES.has(code) ||
+    (!tags.has("snow") &&
+      observation.precipitation >= settings.minPrecipitationMm &&
+      observation.precipitation > 0)
+  ) {
+    tags.add("rain");
+  }
+  if (FOG_CODES.has(code)) {
+    tags.add("fog");
+  }
+  if (observation.cloudCover >= settings.overcastCloudCover) {
+    tags.add("overcast");
+  }
+
+  return WEATHER_CONDITIONS.filter((condition) => tags.has(condition));
+}
+
+/**
+ * Checks whether weather tags include a condition the filter acts on
+ * @param {Array<string>|null|undefined} tags - Tags of a slot
+ * @param {Object} settings - Resolved weather settings
+ * @returns {boolean} True if the snapshot should be skipped or left out
+ */
+export function hasExcludedWeather(tags, settings) {
+  return Boolean(tags?.some((tag) => settings.conditions.includes(tag)));
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC
+ * @param {number} timeMs - Time in milliseconds
+ * @returns {string} UTC calendar date
+ */
+function toUtcDate(timeMs) {
+  return new Date(timeMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Hourly weather from Open-Meteo (https://open-meteo.com)
+ * Needs no API key; `url` and `archiveUrl` can point at a self-hosted instance.
+ * @class
+ */
+export class OpenMeteoProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {number} options.lat - Latitude
+   * @param {number} options.lon - Longitude
+   * @param {string} [options.url] - Forecast API endpoint
+   * @param {string} [options.archiveUrl] - Historical archive API endpoint
+   * @param {number} [options.timeoutMs=15000] - Request timeout
+   */
+  constructor(options) {
+    this.type = "open-meteo";
+    this.lat = options.lat;
+    this.lon = options.lon;
+    this.url = options.url || OPEN_METEO_FORECAST_URL;
+    this.archiveUrl = options.archiveUrl || OPEN_METEO_ARCHIVE_URL;
+    this.timeoutMs = options.timeoutMs ?? 15000;
+  }
+
+  /**
+   * Fetches hourly observations covering a time range
+   * @async
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Promise<Array<WeatherObservation>>} Observations, oldest first
+   * @throws {Error} If the request fails
+   */
+  async getObservations(start, end) {
+    const endpoint =
+      Date.now() - end.getTime() > ARCHIVE_AFTER_MS
+        ? this.archiveUrl
+        : this.url;
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      latitude: String(this.lat),
+      longitude: String(this.lon),
+      hourly: "weather_code,precipitation,snowfall,cloud_cover",
+      start_date: toUtcDate(start.getTime()),
+      end_date: toUtcDate(end.getTime()),
+      timezone: "GMT",
+      timeformat: "unixtime",
+    }).toString();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        throw new Error(
+          `Open-Meteo request timed out after ${this.timeoutMs / 1000}s`,
+        );
+      }
+      throw error;
+    }
+    if (!response.ok) {
+      throw new Error(`Open-Meteo request failed: ${response.status}`);
+    }
+
+    const { hourly } = await response.json();
+    return (hourly?.time ?? []).map((seconds, i) => ({
+      time: new Date(seconds * 1000),
+      weatherCode: hourly.weather_code?.[i] ?? undefined,
+      precipitation: hourly.precipitation?.[i] ?? undefined,
+      snowfall: hourly.snowfall?.[i] ?? undefined,
+      cloudCover: hourly.cloud_cover?.[i] ?? undefined,
+    }));
+  }
+}
+
+// CSV headers, lowercased without separators, mapped to observation fields
+const CSV_COLUMNS = {
+  time: "time",
+  weathercode: "weatherCode",
+  precipitation: "precipitation",
+  snowfall: "snowfall",
+  cloudcover: "cloudCover",
+  conditions: "conditions",
+};
+
+/**
+ * Parses a weather CSV file
+ * The first line names the columns: `time` (ISO 8601 or Unix seconds) and any
+ * of `weather_code`, `precipitation`, `snowfall`, `cloud_cover` and
+ * `conditions` (tags separated by spaces or semicolons).
+ * @param {string} text - File contents
+ * @returns {Array<WeatherObservation>} Observations, oldest first
+ * @throws {Error} If there is no time column
+ */
+export function parseWeatherCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const fields = lines[0].split(",").map(
+    (header) =>
+      CSV_COLUMNS[
+        header
+          .trim()
+          .toLowerCase()
+          .replace(/[\s_-]/g, "")
+      ],
+  );
+  if (!fields.includes("time")) {
+    throw new Error('Weather CSV needs a "time" column');
+  }
+
+  const observations = [];
+  for (const line of lines.slice(1)) {
+    const observation = {};
+    line.split(",").forEach((raw, i) => {
+      const field = fields[i];
+      const value = raw.trim();
+      if (!field || value === "") return;
+
+      if (field === "time") {
+        observation.time = /^\d+$/.test(value)
+          ? new Date(Number(value) * 1000)
+          : new Date(value);
+      } else if (field === "conditions") {
+        observation.conditions = value.toLowerCase().split(/[\s;]+/);
+      } else if (Number.isFinite(Number(value))) {
+        observation[field] = Number(value);
+      }
+    });
+    if (observation.time && !isNaN(observation.time.getTime())) {
+      observations.push(observation);
+    }
+  }
+
+  return observations.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Hourly weather from a local CSV file (see parseWeatherCsv)
+ * Useful offline, with data exported from a home weather station.
+ * @class
+ */
+export class CsvWeatherProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.path - CSV file, relative to the base directory unless absolute
+   */
+  constructor(options) {
+    if (!options.path) {
+      throw new Error("CSV weather provider needs a path");
+    }
+    this.type = "csv";
+    this.path = path.resolve(getBaseDir(), options.path);
+    this.observations = null;
+  }
+
+  /**
+   * Returns the observations in a time range, reading the file once
+   * @async
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Promise<Array<WeatherObservation>>} Observations, oldest first
+   * @throws {Error} If the file cannot be read
+   */
+  async getObservations(start, end) {
+    this.observations ??= fs
+      .readFile(this.path, "utf8")
+      .then((text) => parseWeatherCsv(text));
+    return (await this.observations).filter(
+      (observation) => observation.time >= start && observation.time <= end,
+    );
+  }
+}
+
+// Registered provider factories, keyed by `weather.provider.type`
+const providerFactories = new Map([
+  [
+    "open-meteo",
+    (options, config) => {
+      const lat = options.lat ?? config.location?.lat;
+      const lon = options.lon ?? config.location?.lon;
+      if (typeof lat !== "number" || typeof lon !== "number") {
+        throw new Error("Open-Meteo weather needs a location (lat/lon)");
+      }
+      return new OpenMeteoProvider({ ...options, lat, lon });
+    },
+  ],
+  ["csv", (options) => new CsvWeatherProvider(options)],
+]);
+
+/**
+ * Registers a weather provider implementation
+ * @param {string} type - Provider type used in `weather.provider.type`
+ * @param {function(Object, Object): WeatherProvider} factory - Creates a provider for (provider options, config)
+ */
+export function registerWeatherProvider(type, factory) {
+  providerFactories.set(type, factory);
+}
+
+/**
+ * Creates the weather provider configured in `weather.provider`
+ * @param {Object} settings - Resolved weather settings
+ * @param {Object} config - Loaded application configuration (for the location)
+ * @returns {WeatherProvider} Provider instance
+ * @throws {Error} If the type is unknown or the provider is misconfigured
+ */
+export function createWeatherProvider(settings, config) {
+  const type = settings.provider.type;
+  const factory = providerFactories.get(type);
+  if (!factory) {
+    throw new Error(`Unknown weather provider "${type}"`);
+  }
+  return factory(settings.provider, config);
+}
+
+/**
+ * Looks up the weather for schedule slots, caching a week of observations at a time
+ * Lookup failures are reported once and leave slots untagged, so the weather
+ * never stops a capture.
+ * @class
+ */
+export class WeatherLookup {
+  /**
+   * @constructor
+   * @param {WeatherProvider} provider - Weather provider
+   * @param {Object} settings - Resolved weather settings
+   */
+  constructor(provider, settings) {
+    this.provider = provider;
+    this.settings = settings;
+    this.blocks = new Map();
+    this.warned = false;
+  }
+
+  /**
+   * Gets the weather tags for a slot
+   * @async
+   * @param {Date} slot - Slot time
+   * @returns {Promise<Array<string>|null>} Tags (empty for fair weather), or null if unknown
+   */
+  async getTags(slot) {
+    const blockStart = Math.floor(slot.getTime() / BLOCK_MS) * BLOCK_MS;
+    if (!this.blocks.has(blockStart)) {
+      this.blocks.set(
+        blockStart,
+        this.provider
+          .getObservations(
+            new Date(blockStart - MAX_OBSERVATION_GAP_MS),
+            new Date(blockStart + BLOCK_MS + MAX_OBSERVATION_GAP_MS),
+          )
+          .catch((error) => {
+            if (!this.warned) {
+              this.warned = true;
+              console.log(
+                `⚠️  Weather lookup failed (${error.message}); snapshots are not tagged`,
+              );
+            }
+            return null;
+          }),
+      );
+    }
+
+    const observations = await this.blocks.get(blockStart);
+    let nearest = null;
+    for (const observation of observations ?? []) {
+      const gap = Math.abs(observation.time - slot);
+      if (
+        gap <= MAX_OBSERVATION_GAP_MS &&
+        (!nearest || gap < Math.abs(nearest.time - slot))
+      ) {
+        nearest = observation;
+      }
+    }
+
+    return nearest ? classifyObservation(nearest, this.settings) : null;
+  }
+}
+
+/**
+ * Creates a weather lookup when the weather filter is enabled
+ * A misconfigured provider is reported and disables the filter for the run.
+ * @param {Object} settings - Resolved weather settings
+ * @param {Object} config - Loaded application configuration
+ * @returns {WeatherLookup|null} Lookup, or null if the filter is off
+ */
+export function createWeatherLookup(settings, config) {
+  if (!settings.enabled) {
+    return null;
+  }
+  try {
+    return new WeatherLookup(createWeatherProvider(settings, config), settings);
+  } catch (error) {
+    console.log(`⚠️  Weather filter disabled: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Leaves snapshots tagged with filtered weather out of a list of captures
+ * @param {Array<string>} filenames - Captured snapshot filenames
+ * @param {Map<string, Object>} ledger - Loaded ledger with weather tags
+ * @param {Object} settings - Resolved weather settings
+ * @returns {{kept: Array<string>, excluded: number}} Snapshots to use and how many were left out
+ */
+export function filterSnapshotsByWeather(filenames, ledger, settings) {
+  if (!settings.enabled) {
+    return { kept: filenames, excluded: 0 };
+  }
+  const kept = filenames.filter(
+    (filename) => !hasExcludedWeather(ledger.get(filename)?.weather, settings),
+  );
+  return { kept, excluded: filenames.length - kept.length };
+}
+
+/**
+ * Counts weather results in a ledger
+ * @param {Map<string, Object>} ledger - Loaded ledger
+ * @param {Object} settings - Resolved weather settings
+ * @returns {{checked: number, excluded: number, skipped: number}} Captures with known weather, captures left out of videos, slots not captured
+ */
+export function summarizeWeather(ledger, settings) {
+  const summary = { checked: 0, excluded: 0, skipped: 0 };
+  for (const entry of ledger.values()) {
+    if (entry.outcome === OUTCOMES.SKIPPED) {
+      summary.skipped++;
+    } else if (entry.outcome === OUTCOMES.CAPTURED && entry.weather) {
+      summary.checked++;
+      if (hasExcludedWeather(entry.weather, settings)) {
+        summary.excluded++;
+      }
+    }
+  }
+  return summary;
+}